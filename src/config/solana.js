@@ -1,40 +1,61 @@
-const { Connection, PublicKey, Keypair, clusterApiUrl } = require('@solana/web3.js');
+const { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL, clusterApiUrl } = require('@solana/web3.js');
+const MockSolanaConnection = require('./solanaMock');
 const { logger } = require('../utils/logger');
 
+// SPL Memo program, used when no SOLANA_PROGRAM_ID is configured
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const LOCAL_VALIDATOR_URL = 'http://127.0.0.1:8899';
+
+// rpc: the cluster at SOLANA_RPC_URL (devnet by default)
+// local: a solana-test-validator, funded by airdrop
+// mock: an in-process mock connection, for tests
+const SOLANA_MODES = ['rpc', 'local', 'mock'];
+
 class SolanaConfig {
   constructor() {
     this.connection = null;
     this.keypair = null;
     this.programId = null;
+    this.mode = null;
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
+      this.mode = process.env.SOLANA_MODE || 'rpc';
+      if (!SOLANA_MODES.includes(this.mode)) {
+        throw new Error(`SOLANA_MODE must be one of: ${SOLANA_MODES.join(', ')}`);
+      }
+
       // Initialize connection
-      const rpcUrl = process.env.SOLANA_RPC_URL || clusterApiUrl('devnet');
-      this.connection = new Connection(rpcUrl, 'confirmed');
+      if (this.mode === 'mock') {
+        this.connection = new MockSolanaConnection();
+      } else {
+        const defaultUrl = this.mode === 'local' ? LOCAL_VALIDATOR_URL : clusterApiUrl('devnet');
+        this.connection = new Connection(process.env.SOLANA_RPC_URL || defaultUrl, 'confirmed');
+      }
       
-      // Initialize keypair from private key
+      // Initialize keypair from private key (the mock signs with a throwaway key if none is set)
       const privateKeyString = process.env.SOLANA_PRIVATE_KEY;
-      if (!privateKeyString) {
+      if (privateKeyString) {
+        const privateKeyArray = JSON.parse(privateKeyString);
+        this.keypair = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
+      } else if (this.mode === 'mock') {
+        this.keypair = Keypair.generate();
+      } else {
         throw new Error('SOLANA_PRIVATE_KEY is not defined in environment variables');
       }
       
-      const privateKeyArray = JSON.parse(privateKeyString);
-      this.keypair = Keypair.fromSecretKey(new Uint8Array(privateKeyArray));
-      
-      // Initialize program ID
-      const programIdString = process.env.SOLANA_PROGRAM_ID;
-      if (!programIdString) {
-        throw new Error('SOLANA_PROGRAM_ID is not defined in environment variables');
-      }
-      
-      this.programId = new PublicKey(programIdString);
+      // Initialize program ID; anchors are memos unless a custom program is configured
+      this.programId = new PublicKey(process.env.SOLANA_PROGRAM_ID || MEMO_PROGRAM_ID);
       
       // Test connection
-      const balance = await this.connection.getBalance(this.keypair.publicKey);
-      logger.info(`Solana connection established. Balance: ${balance / 1e9} SOL`);
+      let balance = await this.connection.getBalance(this.keypair.publicKey);
+      if (this.mode === 'local' && balance < LAMPORTS_PER_SOL) {
+        await this.fundFromAirdrop();
+        balance = await this.connection.getBalance(this.keypair.publicKey);
+      }
+      logger.info(`Solana connection established (${this.mode}). Balance: ${balance / LAMPORTS_PER_SOL} SOL`);
       
       this.isInitialized = true;
       logger.info('✅ Solana configuration initialized successfully');
@@ -45,6 +66,20 @@ class SolanaConfig {
     }
   }
 
+  /**
+   * Fund the keypair on a local test validator
+   */
+  async fundFromAirdrop() {
+    const signature = await this.connection.requestAirdrop(this.keypair.publicKey, 10 * LAMPORTS_PER_SOL);
+    const latestBlockhash = await this.connection.getLatestBlockhash();
+    await this.connection.confirmTransaction({ signature, ...latestBlockhash }, 'confirmed');
+    logger.info('Funded Solana keypair from the local validator faucet');
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
   getConnection() {
     if (!this.isInitialized) {
       throw new Error('Solana configuration not initialized. Call initialize() first.');
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { Keypair, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * In-process stand-in for a Solana RPC connection (SOLANA_MODE=mock). It checks
+ * transaction signatures, records memos and advances one slot per transaction;
+ * every transaction is confirmed, then finalized on the next status query.
+ */
+class MockSolanaConnection {
+  constructor() {
+    this.slot = 1;
+    this.blockHeight = 1;
+    this.transactions = new Map();
+  }
+
+  async getBalance() {
+    return 1000 * 1e9;
+  }
+
+  async getLatestBlockhash() {
+    return {
+      blockhash: Keypair.generate().publicKey.toBase58(),
+      lastValidBlockHeight: this.blockHeight + 150
+    };
+  }
+
+  async getBlockHeight() {
+    return this.blockHeight;
+  }
+
+  async sendRawTransaction(rawTransaction) {
+    const transaction = Transaction.from(rawTransaction);
+    if (!transaction.verifySignatures()) {
+      throw new Error('Transaction signature verification failure');
+    }
+
+    const signature = bs58.encode(transaction.signature);
+    this.slot++;
+    this.blockHeight++;
+    this.transactions.set(signature, {
+      slot: this.slot,
+      blockHeight: this.blockHeight,
+      blockTime: Math.floor(Date.now() / 1000),
+      blockhash: bs58.encode(crypto.randomBytes(32)),
+      transaction,
+      confirmationStatus: 'confirmed'
+    });
+
+    return signature;
+  }
+
+  async confirmTransaction(strategy, commitment = 'confirmed') {
+    const record = this.transactions.get(strategy.signature || strategy);
+    if (!record) {
+      throw new Error('Transaction not found');
+    }
+    if (commitment === 'finalized') {
+      record.confirmationStatus = 'finalized';
+    }
+    return { context: { slot: record.slot }, value: { err: null } };
+  }
+
+  async getSignatureStatuses(signatures) {
+    return {
+      context: { slot: this.slot },
+      value: signatures.map(signature => {
+        const record = this.transactions.get(signature);
+        if (!record) return null;
+
+        const status = { slot: record.slot, confirmations: null, err: null, confirmationStatus: record.confirmationStatus };
+        record.confirmationStatus = 'finalized';
+        return status;
+      })
+    };
+  }
+
+  async getTransaction(signature) {
+    const record = this.transactions.get(signature);
+    if (!record) return null;
+
+    return {
+      slot: record.slot,
+      blockTime: record.blockTime,
+      meta: { err: null, fee: LAMPORTS_PER_SIGNATURE },
+      transaction: {
+        message: record.transaction.compileMessage(),
+        signatures: [signature]
+      }
+    };
+  }
+
+  async getBlock(slot) {
+    const record = [...this.transactions.values()].find(r => r.slot === slot);
+    if (!record) return null;
+
+    return {
+      blockhash: record.blockhash,
+      blockHeight: record.blockHeight,
+      blockTime: record.blockTime,
+      parentSlot: slot - 1
+    };
+  }
+
+  async getAccountInfo() {
+    return null;
+  }
+
+  async requestAirdrop() {
+    return bs58.encode(crypto.randomBytes(64));
+  }
+}
+
+module.exports = MockSolanaConnection;
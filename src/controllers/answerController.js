@@ -0,0 +1,129 @@
+const { getAnswerService, getMerkleAnchorService, getSignatureService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const versionedHash = require('../utils/versionedHash');
+const { logger } = require('../utils/logger');
+
+/**
+ * Answer Controller for answer operations
+ * Following Single Responsibility Principle (SRP)
+ */
+class AnswerController {
+  constructor() {
+    this.answerService = getAnswerService();
+    this.merkleAnchorService = getMerkleAnchorService();
+    this.signatureService = getSignatureService();
+  }
+
+  /**
+   * Save a student's encrypted answer in the running session
+   * POST /api/answers/save
+   * POST /api/exam/submit
+   */
+  saveAnswer = async (req, res) => {
+    try {
+      const { questionId, selectedOption, timeSpent, isMarkedForReview } = req.body;
+      const session = req.examSession;
+
+      const answer = await this.answerService.saveAnswer(session, {
+        questionId,
+        selectedOption,
+        timeSpent: parseInt(timeSpent) || 0,
+        isMarkedForReview: isMarkedForReview === true
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Answer saved successfully',
+        data: {
+          answerId: answer.answerId,
+          sessionId: answer.sessionId,
+          questionId: answer.questionId,
+          questionNumber: answer.questionNumber,
+          selectedOption: answer.selectedOption,
+          timeSpent: answer.timeSpent,
+          attempts: answer.attempts,
+          answerHash: answer.answerHash,
+          hashVersion: versionedHash.versionOf(answer.hashVersion),
+          submittedAt: answer.submittedAt,
+          // Signed receipt of the submission
+          signature: this.signatureService.getSignedAnswer(answer),
+          answeredQuestions: session.answeredQuestions,
+          timeRemaining: session.timeRemaining
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in saveAnswer:', error);
+      sendServiceError(res, error, 'Failed to save answer');
+    }
+  };
+
+  /**
+   * Get the revision history of an answer
+   * GET /api/answers/:answerId/history
+   */
+  getAnswerHistory = async (req, res) => {
+    try {
+      const { answer, verification } = await this.answerService.getAnswerHistory(req.params.answerId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Answer history retrieved successfully',
+        data: {
+          answerId: answer.answerId,
+          studentId: answer.studentId,
+          sessionId: answer.sessionId,
+          questionId: answer.questionId,
+          currentOption: answer.selectedOption,
+          attempts: answer.attempts,
+          revisions: answer.revisions.map(revision => ({
+            sequence: revision.sequence,
+            selectedOption: revision.selectedOption,
+            answerHash: revision.answerHash,
+            timeSpent: revision.timeSpent,
+            timeRemaining: revision.timeRemaining,
+            submittedAt: revision.submittedAt,
+            previousHash: revision.previousHash,
+            hash: revision.hash,
+            hashVersion: versionedHash.versionOf(revision.hashVersion)
+          })),
+          chain: {
+            head: answer.revisionHead,
+            valid: verification.valid,
+            brokenAt: verification.brokenAt,
+            anchoredHead: verification.anchoredHead,
+            anchorMatches: verification.anchorMatches,
+            blockchainTxId: answer.blockchainTxId || null
+          },
+          encryptedAnswerMatches: verification.encryptedAnswerMatches
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getAnswerHistory:', error);
+      sendServiceError(res, error, 'Failed to retrieve answer history');
+    }
+  };
+
+  /**
+   * Get the Merkle inclusion proof of an answer's anchored chain head
+   * GET /api/answers/:answerId/proof
+   */
+  getAnswerProof = async (req, res) => {
+    try {
+      const proof = await this.merkleAnchorService.getInclusionProof('Answer', req.params.answerId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Answer inclusion proof retrieved successfully',
+        data: proof
+      });
+
+    } catch (error) {
+      logger.error('Error in getAnswerProof:', error);
+      sendServiceError(res, error, 'Failed to retrieve answer inclusion proof');
+    }
+  };
+}
+
+module.exports = AnswerController;
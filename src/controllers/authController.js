@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const EncryptionService = require('../utils/encryption');
 const { logger } = require('../utils/logger');
 
 /**
@@ -198,6 +199,7 @@ class AuthController {
             studentId: user.studentId,
             isActive: user.isActive,
             lastLogin: user.lastLogin,
+            shareKeyFingerprint: (user.shareKey && user.shareKey.fingerprint) || null,
             createdAt: user.createdAt
           }
         }
@@ -346,6 +348,48 @@ class AuthController {
     }
   };
 
+  /**
+   * Register the public key that Shamir key shares are encrypted to
+   * PUT /api/auth/share-key
+   */
+  setShareKey = async (req, res) => {
+    try {
+      const { publicKey } = req.body;
+
+      let fingerprint;
+      try {
+        fingerprint = EncryptionService.getKeyFingerprint(publicKey);
+      } catch (keyError) {
+        return res.status(400).json({
+          success: false,
+          message: keyError.message
+        });
+      }
+
+      const shareKey = { publicKey, fingerprint, registeredAt: new Date() };
+      await User.updateOne({ _id: req.user._id }, { $set: { shareKey } });
+
+      logger.info(`Share key registered for user: ${req.user.email} (${fingerprint})`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Share key registered successfully',
+        data: {
+          fingerprint,
+          registeredAt: shareKey.registeredAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in setShareKey:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register share key',
+        error: error.message
+      });
+    }
+  };
+
   /**
    * Generate JWT token
    * @param {string} userId - User ID
@@ -0,0 +1,138 @@
+const { getBlockchainService, getBlockchainReconciliationService, getVerificationService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Blockchain Controller for anchoring transactions
+ * Following Single Responsibility Principle (SRP)
+ */
+class BlockchainController {
+  constructor() {
+    this.blockchainService = getBlockchainService();
+    this.reconciliationService = getBlockchainReconciliationService();
+    this.verificationService = getVerificationService();
+  }
+
+  /**
+   * Get a transaction by transaction ID or Solana signature
+   * GET /api/blockchain/get/:txId
+   */
+  getTransaction = async (req, res) => {
+    try {
+      const transaction = await this.blockchainService.getTransactionDetails(req.params.txId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Transaction retrieved successfully',
+        data: this.formatTransaction(transaction)
+      });
+
+    } catch (error) {
+      logger.error('Error in getTransaction:', error);
+      sendServiceError(res, error, 'Failed to retrieve transaction');
+    }
+  };
+
+  /**
+   * Verify an answer, result, paper or rank list against its blockchain anchor
+   * GET /api/blockchain/verify/:entityType/:entityId
+   */
+  verifyEntity = async (req, res) => {
+    try {
+      const { entityType, entityId } = req.params;
+      const verifiers = {
+        answer: id => this.verificationService.verifyAnswer(id),
+        result: id => this.verificationService.verifyResult(id),
+        paper: id => this.verificationService.verifyPaper(id),
+        ranklist: id => this.verificationService.verifyRankList(id)
+      };
+
+      const report = await verifiers[entityType](entityId);
+
+      res.status(200).json({
+        success: true,
+        message: `Verification ${report.verdict}`,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Error in verifyEntity:', error);
+      sendServiceError(res, error, 'Failed to verify entity');
+    }
+  };
+
+  /**
+   * List anchors that failed after every retry
+   * GET /api/blockchain/failed
+   */
+  getFailedAnchors = async (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+      const { transactions, entities } = await this.reconciliationService.getFailedAnchors(limit);
+
+      res.status(200).json({
+        success: true,
+        message: 'Failed anchors retrieved successfully',
+        data: {
+          transactions: transactions.map(transaction => this.formatTransaction(transaction)),
+          total: transactions.length,
+          flaggedEntities: entities
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getFailedAnchors:', error);
+      sendServiceError(res, error, 'Failed to retrieve failed anchors');
+    }
+  };
+
+  /**
+   * Retry a failed transaction now
+   * POST /api/blockchain/retry/:txId
+   */
+  retryTransaction = async (req, res) => {
+    try {
+      const transaction = await this.reconciliationService.retryNow(req.params.txId);
+
+      res.status(200).json({
+        success: true,
+        message: `Transaction retried: ${transaction.status}`,
+        data: this.formatTransaction(transaction)
+      });
+
+    } catch (error) {
+      logger.error('Error in retryTransaction:', error);
+      sendServiceError(res, error, 'Failed to retry transaction');
+    }
+  };
+
+  /**
+   * Response shape of a blockchain transaction
+   * @private
+   */
+  formatTransaction(transaction) {
+    return {
+      transactionId: transaction.transactionId,
+      solanaTxId: transaction.solanaTxId || null,
+      type: transaction.type,
+      entityType: transaction.entityType,
+      entityId: transaction.entityId,
+      dataHash: transaction.dataHash,
+      memo: transaction.memo || null,
+      status: transaction.status,
+      confirmationStatus: transaction.confirmationStatus,
+      slot: transaction.slot || null,
+      blockNumber: transaction.blockNumber || null,
+      blockHash: transaction.blockHash || null,
+      fee: transaction.fee === undefined ? null : transaction.fee,
+      retryCount: transaction.retryCount,
+      maxRetries: transaction.maxRetries,
+      errorMessage: transaction.errorMessage || null,
+      submittedAt: transaction.submittedAt,
+      confirmedAt: transaction.confirmedAt || null,
+      failedAt: transaction.failedAt || null
+    };
+  }
+}
+
+module.exports = BlockchainController;
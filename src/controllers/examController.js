@@ -0,0 +1,297 @@
+const User = require('../models/User');
+const { getExamSessionService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Exam Controller for exam session operations
+ * Following Single Responsibility Principle (SRP)
+ */
+class ExamController {
+  constructor() {
+    this.examSessionService = getExamSessionService();
+  }
+
+  /**
+   * Start the exam session
+   * POST /api/exam/start
+   */
+  startExam = async (req, res) => {
+    try {
+      const { paperId } = req.body;
+      const studentId = req.user._id;
+
+      const session = await this.examSessionService.startSession(studentId, paperId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Exam started successfully',
+        data: this.formatSession(session)
+      });
+
+    } catch (error) {
+      logger.error('Error in startExam:', error);
+      sendServiceError(res, error, 'Failed to start exam');
+    }
+  };
+
+  /**
+   * Get the questions of the running session in the candidate's variant order
+   * GET /api/exam/questions
+   */
+  getQuestions = async (req, res) => {
+    try {
+      const session = req.examSession;
+      const questions = await this.examSessionService.getSessionQuestions(session);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam questions retrieved successfully',
+        data: {
+          sessionId: session.sessionId,
+          paperId: session.paperId,
+          timeRemaining: session.timeRemaining,
+          questions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getQuestions:', error);
+      sendServiceError(res, error, 'Failed to get exam questions');
+    }
+  };
+
+  /**
+   * Get a session's paper variant, rebuilt from its seed for audit
+   * GET /api/exam/variant/:sessionId
+   */
+  getSessionVariant = async (req, res) => {
+    try {
+      const { session, variant, verification } = await this.examSessionService.getSessionVariant(req.params.sessionId);
+
+      res.status(200).json({
+        success: true,
+        message: verification.seedMatches && verification.valid
+          ? 'Session variant reproduced from its seed'
+          : 'Session variant could not be reproduced from its seed',
+        data: {
+          sessionId: session.sessionId,
+          paperId: session.paperId,
+          studentId: session.studentId,
+          variant: variant && variant.seed
+            ? {
+              seed: variant.seed,
+              algorithm: variant.algorithm,
+              questionOrder: variant.questionOrder,
+              optionOrders: variant.optionOrders.map(o => ({ questionId: o.questionId, order: o.order }))
+            }
+            : null,
+          verification
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getSessionVariant:', error);
+      sendServiceError(res, error, 'Failed to get session variant');
+    }
+  };
+
+  /**
+   * Get open sessions of a student with server-computed time remaining
+   * GET /api/exam/session/:studentId
+   */
+  getSessionInfo = async (req, res) => {
+    try {
+      const { studentId } = req.params;
+
+      const student = await User.findOne({ studentId: studentId.toUpperCase(), role: 'student' });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+
+      if (req.user.role !== 'admin' && !req.user._id.equals(student._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Students can only view their own sessions'
+        });
+      }
+
+      const sessions = await this.examSessionService.getOpenSessions(student._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session info retrieved successfully',
+        data: {
+          studentId: student.studentId,
+          serverTime: new Date().toISOString(),
+          sessions: sessions.map(session => this.formatSession(session))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getSessionInfo:', error);
+      sendServiceError(res, error, 'Failed to get session info');
+    }
+  };
+
+  /**
+   * Record a client heartbeat
+   * POST /api/exam/heartbeat
+   */
+  heartbeat = async (req, res) => {
+    try {
+      const { session, disconnection } = await this.examSessionService.recordHeartbeat(
+        req.body.sessionId,
+        req.user._id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Heartbeat recorded',
+        data: {
+          sessionId: session.sessionId,
+          status: session.status,
+          serverTime: new Date().toISOString(),
+          timeRemaining: session.timeRemaining,
+          expiresAt: session.expiresAt || null,
+          connectionQuality: session.connectionQuality,
+          disconnectionCount: session.disconnectionCount,
+          disconnectionDetected: Boolean(disconnection),
+          creditedTime: disconnection ? disconnection.creditedTime : 0,
+          timeCredited: session.timeCredited
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in heartbeat:', error);
+      sendServiceError(res, error, 'Failed to record heartbeat');
+    }
+  };
+
+  /**
+   * Pause exam session
+   * POST /api/exam/pause
+   */
+  pauseExam = async (req, res) => {
+    try {
+      const session = await this.examSessionService.pauseSession(req.body.sessionId, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam paused successfully',
+        data: {
+          ...this.formatSession(session),
+          pausedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in pauseExam:', error);
+      sendServiceError(res, error, 'Failed to pause exam');
+    }
+  };
+
+  /**
+   * Resume exam session
+   * POST /api/exam/resume
+   */
+  resumeExam = async (req, res) => {
+    try {
+      const session = await this.examSessionService.resumeSession(req.body.sessionId, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam resumed successfully',
+        data: {
+          ...this.formatSession(session),
+          resumedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in resumeExam:', error);
+      sendServiceError(res, error, 'Failed to resume exam');
+    }
+  };
+
+  /**
+   * Complete exam session
+   * POST /api/exam/complete
+   */
+  completeExam = async (req, res) => {
+    try {
+      const session = await this.examSessionService.completeSession(req.body.sessionId, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam completed successfully',
+        data: {
+          ...this.formatSession(session),
+          completedAt: session.endTime,
+          totalTimeSpent: Math.floor((session.endTime - session.startTime) / 1000)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in completeExam:', error);
+      sendServiceError(res, error, 'Failed to complete exam');
+    }
+  };
+
+  /**
+   * Terminate exam session
+   * POST /api/exam/terminate
+   */
+  terminateExam = async (req, res) => {
+    try {
+      const { sessionId, reason } = req.body;
+      const session = await this.examSessionService.terminateSession(sessionId, reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam terminated successfully',
+        data: {
+          ...this.formatSession(session),
+          terminatedAt: session.endTime,
+          terminatedBy: req.user._id
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in terminateExam:', error);
+      sendServiceError(res, error, 'Failed to terminate exam');
+    }
+  };
+
+  /**
+   * Shape a session for API responses
+   * @param {Object} session - Exam session
+   * @returns {Object} Session summary
+   * @private
+   */
+  formatSession(session) {
+    return {
+      sessionId: session.sessionId,
+      paperId: session.paperId,
+      status: session.status,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      expiresAt: session.expiresAt || null,
+      duration: session.duration,
+      timeRemaining: session.timeRemaining,
+      totalPausedTime: session.totalPausedTime,
+      timeCredited: session.timeCredited,
+      currentQuestion: session.currentQuestion,
+      totalQuestions: session.totalQuestions,
+      answeredQuestions: session.answeredQuestions
+    };
+  }
+}
+
+module.exports = ExamController;
@@ -0,0 +1,202 @@
+const { getNormalizationService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const versionedHash = require('../utils/versionedHash');
+const { logger } = require('../utils/logger');
+
+/**
+ * Exam Event Controller for multi-shift events and their normalised merit lists
+ * Following Single Responsibility Principle (SRP)
+ */
+class ExamEventController {
+  constructor() {
+    this.normalizationService = getNormalizationService();
+  }
+
+  /**
+   * Create an exam event
+   * POST /api/events
+   */
+  createEvent = async (req, res) => {
+    try {
+      const event = await this.normalizationService.createEvent(req.body, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Exam event created successfully',
+        data: this.formatEvent(event)
+      });
+
+    } catch (error) {
+      logger.error('Error in createEvent:', error);
+      sendServiceError(res, error, 'Failed to create exam event');
+    }
+  };
+
+  /**
+   * Get an exam event with its normalisation parameters
+   * GET /api/events/:eventId
+   */
+  getEvent = async (req, res) => {
+    try {
+      const event = await this.normalizationService.getEvent(req.params.eventId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam event retrieved successfully',
+        data: this.formatEvent(event)
+      });
+
+    } catch (error) {
+      logger.error('Error in getEvent:', error);
+      sendServiceError(res, error, 'Failed to retrieve exam event');
+    }
+  };
+
+  /**
+   * Add shift papers to an exam event
+   * POST /api/events/:eventId/papers
+   */
+  addPapers = async (req, res) => {
+    try {
+      const event = await this.normalizationService.addPapers(req.params.eventId, req.body.paperIds);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shifts added to exam event',
+        data: this.formatEvent(event)
+      });
+
+    } catch (error) {
+      logger.error('Error in addPapers:', error);
+      sendServiceError(res, error, 'Failed to add shifts to exam event');
+    }
+  };
+
+  /**
+   * Normalise the results of every shift of an event
+   * POST /api/events/:eventId/normalize
+   */
+  normalizeEvent = async (req, res) => {
+    try {
+      const event = await this.normalizationService.normalizeEvent(
+        req.params.eventId,
+        req.body.method,
+        req.user._id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Exam event normalised successfully',
+        data: this.formatEvent(event)
+      });
+
+    } catch (error) {
+      logger.error('Error in normalizeEvent:', error);
+      sendServiceError(res, error, 'Failed to normalise exam event');
+    }
+  };
+
+  /**
+   * Publish the merged merit list of an event
+   * POST /api/events/:eventId/publish
+   */
+  publishEvent = async (req, res) => {
+    try {
+      const event = await this.normalizationService.publishEvent(req.params.eventId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Merit list published successfully',
+        data: this.formatEvent(event)
+      });
+
+    } catch (error) {
+      logger.error('Error in publishEvent:', error);
+      sendServiceError(res, error, 'Failed to publish merit list');
+    }
+  };
+
+  /**
+   * Get the merged merit list of an event
+   * GET /api/events/:eventId/merit-list
+   */
+  getMeritList = async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      const { event, results } = await this.normalizationService.getMeritList(
+        req.params.eventId,
+        { limit, offset },
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Merit list retrieved successfully',
+        data: {
+          eventId: event.eventId,
+          method: event.normalization.method,
+          parametersHash: event.normalization.parametersHash,
+          hashVersion: versionedHash.versionOf(event.normalization.hashVersion),
+          meritList: results.map(result => ({
+            eventRank: result.normalization.eventRank,
+            student: result.studentId,
+            paperId: result.paperId,
+            rawMarks: result.normalization.rawMarks,
+            rawPercentage: result.normalization.rawPercentage,
+            shiftPercentile: result.normalization.shiftPercentile,
+            normalizedScore: result.normalization.normalizedScore
+          })),
+          total: event.normalization.totalCandidates,
+          limit,
+          offset
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getMeritList:', error);
+      sendServiceError(res, error, 'Failed to retrieve merit list');
+    }
+  };
+
+  /**
+   * Shape an exam event for API responses
+   * @param {Object} event - Exam event
+   * @returns {Object} Event summary
+   * @private
+   */
+  formatEvent(event) {
+    const normalization = event.normalization && event.normalization.method
+      ? {
+        method: event.normalization.method,
+        shifts: event.normalization.shifts.map(shift => ({
+          paperId: shift.paperId,
+          candidates: shift.candidates,
+          totalMarks: shift.totalMarks,
+          topMarks: shift.topMarks,
+          mean: shift.mean,
+          stdDev: shift.stdDev
+        })),
+        totalCandidates: event.normalization.totalCandidates,
+        eventMean: event.normalization.eventMean,
+        eventStdDev: event.normalization.eventStdDev,
+        parametersHash: event.normalization.parametersHash,
+        hashVersion: versionedHash.versionOf(event.normalization.hashVersion),
+        blockchainTxId: event.normalization.blockchainTxId || null,
+        normalizedAt: event.normalization.normalizedAt
+      }
+      : null;
+
+    return {
+      eventId: event.eventId,
+      name: event.name,
+      description: event.description || null,
+      paperIds: [...event.paperIds],
+      status: event.status,
+      normalization,
+      publishedAt: event.publishedAt || null
+    };
+  }
+}
+
+module.exports = ExamEventController;
@@ -0,0 +1,156 @@
+const { getGradingService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Grading Scheme Controller for grading scheme operations
+ * Following Single Responsibility Principle (SRP)
+ */
+class GradingSchemeController {
+  constructor() {
+    this.gradingService = getGradingService();
+  }
+
+  /**
+   * Create a grading scheme
+   * POST /api/grading-schemes
+   */
+  createScheme = async (req, res) => {
+    try {
+      const scheme = await this.gradingService.createScheme(req.body, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Grading scheme created successfully',
+        data: this.formatScheme(scheme)
+      });
+
+    } catch (error) {
+      logger.error('Error in createScheme:', error);
+      sendServiceError(res, error, 'Failed to create grading scheme');
+    }
+  };
+
+  /**
+   * List the latest version of every grading scheme
+   * GET /api/grading-schemes
+   */
+  listSchemes = async (req, res) => {
+    try {
+      const schemes = await this.gradingService.listSchemes();
+
+      res.status(200).json({
+        success: true,
+        message: 'Grading schemes retrieved successfully',
+        data: {
+          schemes: schemes.map(scheme => this.formatScheme(scheme)),
+          total: schemes.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in listSchemes:', error);
+      sendServiceError(res, error, 'Failed to retrieve grading schemes');
+    }
+  };
+
+  /**
+   * Get a grading scheme (latest version unless ?version is given)
+   * GET /api/grading-schemes/:schemeId
+   */
+  getScheme = async (req, res) => {
+    try {
+      const version = req.query.version ? parseInt(req.query.version) : null;
+      const scheme = await this.gradingService.getScheme(req.params.schemeId, version);
+
+      res.status(200).json({
+        success: true,
+        message: 'Grading scheme retrieved successfully',
+        data: this.formatScheme(scheme)
+      });
+
+    } catch (error) {
+      logger.error('Error in getScheme:', error);
+      sendServiceError(res, error, 'Failed to retrieve grading scheme');
+    }
+  };
+
+  /**
+   * Save a new version of a grading scheme
+   * PUT /api/grading-schemes/:schemeId
+   */
+  updateScheme = async (req, res) => {
+    try {
+      const scheme = await this.gradingService.updateScheme(req.params.schemeId, req.body, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: `Grading scheme updated to version ${scheme.version}`,
+        data: this.formatScheme(scheme)
+      });
+
+    } catch (error) {
+      logger.error('Error in updateScheme:', error);
+      sendServiceError(res, error, 'Failed to update grading scheme');
+    }
+  };
+
+  /**
+   * Attach a grading scheme version to a paper
+   * PUT /api/paper/:paperId/grading-scheme
+   */
+  attachToPaper = async (req, res) => {
+    try {
+      const { schemeId, version } = req.body;
+      const scheme = await this.gradingService.attachToPaper(
+        req.params.paperId,
+        schemeId,
+        version ? parseInt(version) : null
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Grading scheme attached to paper',
+        data: {
+          paperId: req.params.paperId.toUpperCase(),
+          gradingScheme: {
+            schemeId: scheme.schemeId,
+            version: scheme.version,
+            type: scheme.type
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in attachToPaper:', error);
+      sendServiceError(res, error, 'Failed to attach grading scheme');
+    }
+  };
+
+  /**
+   * Shape a grading scheme for API responses
+   * @param {Object} scheme - Grading scheme
+   * @returns {Object} Scheme summary
+   * @private
+   */
+  formatScheme(scheme) {
+    return {
+      schemeId: scheme.schemeId,
+      version: scheme.version,
+      name: scheme.name,
+      description: scheme.description || null,
+      type: scheme.type,
+      bands: scheme.bands.map(band => ({
+        grade: band.grade,
+        minScore: band.minScore,
+        performanceCategory: band.performanceCategory || null
+      })),
+      passLabel: scheme.passLabel,
+      failLabel: scheme.failLabel,
+      isActive: scheme.isActive,
+      createdAt: scheme.createdAt
+    };
+  }
+}
+
+module.exports = GradingSchemeController;
@@ -0,0 +1,387 @@
+const { getPaperService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Paper Controller for exam paper operations
+ * Following Single Responsibility Principle (SRP)
+ */
+class PaperController {
+  constructor() {
+    this.paperService = getPaperService();
+  }
+
+  /**
+   * Generate a unique paper from random questions
+   * POST /api/paper/generate
+   */
+  generatePaper = async (req, res) => {
+    try {
+      const paper = await this.paperService.generatePaper(req.body, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Paper generated successfully',
+        data: this.formatPaper(paper)
+      });
+
+    } catch (error) {
+      logger.error('Error in generatePaper:', error);
+      sendServiceError(res, error, 'Failed to generate paper');
+    }
+  };
+
+  /**
+   * Check a blueprint against the question pool without generating a paper
+   * POST /api/paper/blueprint/check
+   */
+  checkBlueprint = async (req, res) => {
+    try {
+      const check = await this.paperService.checkBlueprint(req.body.blueprint);
+
+      res.status(200).json({
+        success: true,
+        message: check.feasible
+          ? 'Question pool satisfies the blueprint'
+          : 'Question pool cannot satisfy the blueprint',
+        data: check
+      });
+
+    } catch (error) {
+      logger.error('Error in checkBlueprint:', error);
+      sendServiceError(res, error, 'Failed to check blueprint');
+    }
+  };
+
+  /**
+   * Distribute Shamir key parts
+   * GET /api/paper/distribute
+   */
+  distributeShamirKey = async (req, res) => {
+    try {
+      const { paperId } = req.query;
+      const holders = req.query.holders ? req.query.holders.split(',') : [];
+      const shares = await this.paperService.distributeShamirKey(paperId, holders);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shamir key parts distributed successfully',
+        data: {
+          paperId: paperId.toUpperCase(),
+          shares,
+          threshold: shares[0].threshold,
+          totalParts: shares[0].totalShares
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in distributeShamirKey:', error);
+      sendServiceError(res, error, 'Failed to distribute Shamir keys');
+    }
+  };
+
+  /**
+   * Submit Shamir parts; the paper is decrypted once the threshold is met
+   * POST /api/paper/decrypt
+   */
+  decryptPaper = async (req, res) => {
+    try {
+      const { paperId, shares } = req.body;
+      const { paper, decrypted, collectedShares, questions } = await this.paperService.decryptPaper(
+        paperId,
+        shares,
+        req.user,
+        { ipAddress: req.ip }
+      );
+
+      if (!decrypted) {
+        return res.status(202).json({
+          success: true,
+          message: 'Shares accepted; waiting for more shares',
+          data: {
+            paperId: paper.paperId,
+            decrypted: false,
+            collectedShares,
+            threshold: paper.threshold,
+            remainingShares: paper.threshold - collectedShares
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper decrypted successfully',
+        data: {
+          paperId: paper.paperId,
+          decrypted: true,
+          status: paper.status,
+          decryptedAt: paper.decryptedAt,
+          activatedAt: paper.activatedAt || null,
+          questions: req.user.role === 'internal' ? questions : undefined
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in decryptPaper:', error);
+      sendServiceError(res, error, 'Failed to decrypt paper');
+    }
+  };
+
+  /**
+   * Set the release window of a paper
+   * PUT /api/paper/:paperId/release-window
+   */
+  setReleaseWindow = async (req, res) => {
+    try {
+      const paper = await this.paperService.setReleaseWindow(req.params.paperId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Release window updated successfully',
+        data: this.formatPaper(paper)
+      });
+
+    } catch (error) {
+      logger.error('Error in setReleaseWindow:', error);
+      sendServiceError(res, error, 'Failed to set release window');
+    }
+  };
+
+  /**
+   * Get the share submission log of a paper
+   * GET /api/paper/:paperId/share-submissions
+   */
+  getShareSubmissions = async (req, res) => {
+    try {
+      const paper = await this.paperService.getPaperById(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Share submissions retrieved successfully',
+        data: {
+          paperId: paper.paperId,
+          status: paper.status,
+          threshold: paper.threshold,
+          collectedShares: paper.shamirShares.filter(s => s.submittedAt).length,
+          submissions: paper.shareSubmissions.map(entry => ({
+            shareId: entry.shareId,
+            holder: entry.holder || null,
+            submittedBy: entry.submittedBy,
+            outcome: entry.outcome,
+            reason: entry.reason || null,
+            ipAddress: entry.ipAddress || null,
+            submittedAt: entry.submittedAt
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getShareSubmissions:', error);
+      sendServiceError(res, error, 'Failed to get share submissions');
+    }
+  };
+
+  /**
+   * Get blockchain hash of generated paper
+   * GET /api/paper/hash
+   */
+  getPaperHash = async (req, res) => {
+    try {
+      const { paperId } = req.query;
+      const hash = await this.paperService.getPaperHash(paperId);
+      const paper = await this.paperService.getPaperById(paperId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper hash retrieved successfully',
+        data: {
+          paperId: paper.paperId,
+          hash,
+          blockchainTxId: paper.blockchainTxId
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getPaperHash:', error);
+      sendServiceError(res, error, 'Failed to get paper hash');
+    }
+  };
+
+  /**
+   * Get paper by ID
+   * GET /api/paper/:paperId
+   */
+  getPaper = async (req, res) => {
+    try {
+      const paper = await this.paperService.getPaperById(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper retrieved successfully',
+        data: this.formatPaper(paper, req.user.role === 'admin')
+      });
+
+    } catch (error) {
+      logger.error('Error in getPaper:', error);
+      sendServiceError(res, error, 'Failed to get paper');
+    }
+  };
+
+  /**
+   * Get list of active papers
+   * GET /api/paper/active/list
+   */
+  getActivePapers = async (req, res) => {
+    try {
+      const papers = await this.paperService.getActivePapers();
+
+      res.status(200).json({
+        success: true,
+        message: 'Active papers retrieved successfully',
+        data: {
+          papers: papers.map(paper => this.formatPaper(paper)),
+          total: papers.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getActivePapers:', error);
+      sendServiceError(res, error, 'Failed to get active papers');
+    }
+  };
+
+  /**
+   * Activate a decrypted paper
+   * POST /api/paper/:paperId/activate
+   */
+  activatePaper = async (req, res) => {
+    try {
+      const paper = await this.paperService.activatePaper(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper activated successfully',
+        data: this.formatPaper(paper)
+      });
+
+    } catch (error) {
+      logger.error('Error in activatePaper:', error);
+      sendServiceError(res, error, 'Failed to activate paper');
+    }
+  };
+
+  /**
+   * Complete an active paper
+   * POST /api/paper/:paperId/complete
+   */
+  completePaper = async (req, res) => {
+    try {
+      const paper = await this.paperService.completePaper(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper completed successfully',
+        data: this.formatPaper(paper)
+      });
+
+    } catch (error) {
+      logger.error('Error in completePaper:', error);
+      sendServiceError(res, error, 'Failed to complete paper');
+    }
+  };
+
+  /**
+   * Verify paper integrity
+   * GET /api/paper/:paperId/verify
+   */
+  verifyPaper = async (req, res) => {
+    try {
+      const isValid = await this.paperService.verifyPaperIntegrity(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: isValid ? 'Paper integrity verified' : 'Paper integrity check failed',
+        data: {
+          paperId: req.params.paperId.toUpperCase(),
+          isValid
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in verifyPaper:', error);
+      sendServiceError(res, error, 'Failed to verify paper');
+    }
+  };
+
+  /**
+   * Get paper statistics
+   * GET /api/paper/statistics
+   */
+  getStatistics = async (req, res) => {
+    try {
+      const statistics = await this.paperService.getStatistics();
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper statistics retrieved successfully',
+        data: statistics
+      });
+
+    } catch (error) {
+      logger.error('Error in getStatistics:', error);
+      sendServiceError(res, error, 'Failed to get paper statistics');
+    }
+  };
+
+  /**
+   * Shape a paper for API responses. Encrypted content and shares are never
+   * returned; the question list only to admins.
+   * @param {Object} paper - Exam paper
+   * @param {boolean} includeQuestions - Include the question list
+   * @returns {Object} Paper summary
+   * @private
+   */
+  formatPaper(paper, includeQuestions = false) {
+    return {
+      paperId: paper.paperId,
+      title: paper.title,
+      subject: paper.subject,
+      status: paper.status,
+      totalQuestions: paper.totalQuestions,
+      totalMarks: paper.totalMarks,
+      passingMarks: paper.passingMarks,
+      duration: paper.duration,
+      difficultyDistribution: paper.difficultyDistribution,
+      blueprint: paper.blueprint && paper.blueprint.sections.length > 0 ? paper.blueprint : null,
+      negativeMarking: paper.negativeMarking,
+      negativeMarkingRatio: paper.negativeMarkingRatio,
+      instructions: paper.instructions || null,
+      releaseWindow: paper.releaseWindow && paper.releaseWindow.opensAt
+        ? {
+          opensAt: paper.releaseWindow.opensAt,
+          activateAt: paper.releaseWindow.activateAt,
+          closesAt: paper.releaseWindow.closesAt || null
+        }
+        : null,
+      threshold: paper.threshold,
+      totalShares: paper.totalShares,
+      keyVersion: paper.keyVersion,
+      blockchainHash: paper.blockchainHash || null,
+      blockchainTxId: paper.blockchainTxId || null,
+      generatedAt: paper.generatedAt,
+      decryptedAt: paper.decryptedAt || null,
+      activatedAt: paper.activatedAt || null,
+      completedAt: paper.completedAt || null,
+      ...(includeQuestions && {
+        questions: paper.questions.map(q => ({
+          questionId: q.questionId,
+          order: q.order,
+          marks: q.marks,
+          timeLimit: q.timeLimit
+        }))
+      })
+    };
+  }
+}
+
+module.exports = PaperController;
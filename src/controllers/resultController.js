@@ -0,0 +1,259 @@
+const { getScoringService, getResultService, getResultBundleService, getMerkleAnchorService, getSignatureService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const versionedHash = require('../utils/versionedHash');
+const { logger } = require('../utils/logger');
+
+/**
+ * Result Controller for result operations
+ * Following Single Responsibility Principle (SRP)
+ */
+class ResultController {
+  constructor() {
+    this.scoringService = getScoringService();
+    this.resultService = getResultService();
+    this.resultBundleService = getResultBundleService();
+    this.merkleAnchorService = getMerkleAnchorService();
+    this.signatureService = getSignatureService();
+  }
+
+  /**
+   * Get all results of a student
+   * GET /api/result/:studentId
+   */
+  getStudentResults = async (req, res) => {
+    try {
+      const { student, results } = await this.resultService.getResultsByStudent(req.params.studentId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Student results retrieved successfully',
+        data: {
+          studentId: student.studentId,
+          results: results.map(result => this.formatResult(result)),
+          total: results.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getStudentResults:', error);
+      sendServiceError(res, error, 'Failed to retrieve student results');
+    }
+  };
+
+  /**
+   * Get the Merkle inclusion proof of a result's anchored hash
+   * GET /api/result/proof/:resultId
+   */
+  getResultProof = async (req, res) => {
+    try {
+      const proof = await this.merkleAnchorService.getInclusionProof('Result', req.params.resultId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Result inclusion proof retrieved successfully',
+        data: proof
+      });
+
+    } catch (error) {
+      logger.error('Error in getResultProof:', error);
+      sendServiceError(res, error, 'Failed to retrieve result inclusion proof');
+    }
+  };
+
+  /**
+   * Export the signed verification bundle of a result
+   * GET /api/result/bundle/:resultId
+   */
+  exportResultBundle = async (req, res) => {
+    try {
+      const bundle = await this.resultBundleService.exportResultBundle(req.params.resultId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Result bundle exported successfully',
+        data: bundle
+      });
+
+    } catch (error) {
+      logger.error('Error in exportResultBundle:', error);
+      sendServiceError(res, error, 'Failed to export result bundle');
+    }
+  };
+
+  /**
+   * Get the result of an exam session
+   * GET /api/result/session/:sessionId
+   */
+  getSessionResult = async (req, res) => {
+    try {
+      const result = await this.resultService.getSessionResult(req.params.sessionId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session result retrieved successfully',
+        data: this.formatResult(result)
+      });
+
+    } catch (error) {
+      logger.error('Error in getSessionResult:', error);
+      sendServiceError(res, error, 'Failed to retrieve session result');
+    }
+  };
+
+  /**
+   * Get the published rank list of a paper
+   * GET /api/result/ranklist
+   */
+  getRankList = async (req, res) => {
+    try {
+      const { paperId, limit = 100 } = req.query;
+      const results = await this.resultService.getRankList(paperId, parseInt(limit));
+
+      res.status(200).json({
+        success: true,
+        message: 'Rank list retrieved successfully',
+        data: {
+          paperId: paperId.toUpperCase(),
+          rankList: results.map(result => ({
+            rank: result.rank,
+            student: result.studentId,
+            obtainedMarks: result.obtainedMarks,
+            percentage: result.percentage,
+            percentile: result.percentile,
+            grade: result.grade
+          })),
+          total: results.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getRankList:', error);
+      sendServiceError(res, error, 'Failed to retrieve rank list');
+    }
+  };
+
+  /**
+   * (Re)calculate the result of a completed session
+   * POST /api/result/calculate/:sessionId
+   */
+  calculateResult = async (req, res) => {
+    try {
+      const result = await this.scoringService.scoreSession(req.params.sessionId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Result calculated successfully',
+        data: this.formatResult(result)
+      });
+
+    } catch (error) {
+      logger.error('Error in calculateResult:', error);
+      sendServiceError(res, error, 'Failed to calculate result');
+    }
+  };
+
+  /**
+   * Rank the results of a paper without publishing them
+   * POST /api/result/rank/:paperId
+   */
+  rankResults = async (req, res) => {
+    try {
+      const summary = await this.resultService.rankPaperResults(req.params.paperId);
+
+      res.status(200).json({
+        success: true,
+        message: `Ranked ${summary.ranked} results`,
+        data: summary
+      });
+
+    } catch (error) {
+      logger.error('Error in rankResults:', error);
+      sendServiceError(res, error, 'Failed to rank results');
+    }
+  };
+
+  /**
+   * Change how a paper's results are ranked
+   * PUT /api/paper/:paperId/ranking
+   */
+  updateRankingSettings = async (req, res) => {
+    try {
+      const { method, tieBreakers } = req.body;
+      const ranking = await this.resultService.updateRankingSettings(req.params.paperId, { method, tieBreakers });
+
+      res.status(200).json({
+        success: true,
+        message: 'Ranking settings updated successfully',
+        data: ranking
+      });
+
+    } catch (error) {
+      logger.error('Error in updateRankingSettings:', error);
+      sendServiceError(res, error, 'Failed to update ranking settings');
+    }
+  };
+
+  /**
+   * Rank and publish the results of a paper
+   * POST /api/result/publish/:paperId
+   */
+  publishResults = async (req, res) => {
+    try {
+      const summary = await this.resultService.publishPaperResults(req.params.paperId, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: `Published ${summary.published} results`,
+        data: summary
+      });
+
+    } catch (error) {
+      logger.error('Error in publishResults:', error);
+      sendServiceError(res, error, 'Failed to publish results');
+    }
+  };
+
+  /**
+   * Shape a result for API responses
+   * @param {Object} result - Result document
+   * @returns {Object} Result summary
+   * @private
+   */
+  formatResult(result) {
+    return {
+      resultId: result.resultId,
+      sessionId: result.sessionId,
+      paperId: result.paperId,
+      totalMarks: result.totalMarks,
+      obtainedMarks: result.obtainedMarks,
+      percentage: result.percentage,
+      grade: result.grade,
+      gradingScheme: result.gradingScheme && result.gradingScheme.schemeId ? result.gradingScheme : null,
+      isPassed: result.isPassed,
+      correctAnswers: result.correctAnswers,
+      incorrectAnswers: result.incorrectAnswers,
+      unansweredQuestions: result.unansweredQuestions,
+      totalQuestions: result.totalQuestions,
+      totalTimeSpent: result.totalTimeSpent,
+      averageTimePerQuestion: result.averageTimePerQuestion,
+      rank: result.rank || null,
+      totalParticipants: result.totalParticipants || null,
+      percentile: result.percentile === undefined ? null : result.percentile,
+      normalization: result.normalization && result.normalization.eventId ? result.normalization : null,
+      subjectPerformance: result.subjectPerformance,
+      difficultyPerformance: result.difficultyPerformance,
+      accuracy: result.accuracy,
+      efficiency: result.efficiency,
+      performanceCategory: result.performanceCategory,
+      status: result.status,
+      resultHash: result.resultHash,
+      hashVersion: versionedHash.versionOf(result.hashVersion),
+      signature: this.signatureService.getSignedResult(result),
+      blockchainTxId: result.blockchainTxId || null,
+      calculatedAt: result.calculatedAt,
+      publishedAt: result.publishedAt || null
+    };
+  }
+}
+
+module.exports = ResultController;
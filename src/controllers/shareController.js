@@ -0,0 +1,179 @@
+const { getPaperService, getShareCustodyService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Share Controller for Shamir share custody
+ * Following Single Responsibility Principle (SRP)
+ */
+class ShareController {
+  constructor() {
+    this.paperService = getPaperService();
+    this.shareCustodyService = getShareCustodyService();
+  }
+
+  /**
+   * Get the custody status of a paper's shares
+   * GET /api/paper/:paperId/shares
+   */
+  listShares = async (req, res) => {
+    try {
+      const { paper, shares, verification } = await this.shareCustodyService.listShares(req.params.paperId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shares retrieved successfully',
+        data: {
+          paperId: paper.paperId,
+          status: paper.status,
+          keyVersion: paper.keyVersion,
+          threshold: paper.threshold,
+          totalShares: paper.totalShares,
+          shares,
+          verification
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in listShares:', error);
+      sendServiceError(res, error, 'Failed to get shares');
+    }
+  };
+
+  /**
+   * Distribute a paper's shares to their holders
+   * POST /api/paper/:paperId/shares/distribute
+   */
+  distributeShares = async (req, res) => {
+    try {
+      const shares = await this.paperService.distributeShamirKey(req.params.paperId, req.body.holders);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shamir key parts distributed successfully',
+        data: {
+          paperId: req.params.paperId.toUpperCase(),
+          shares,
+          threshold: shares[0].threshold,
+          totalParts: shares[0].totalShares
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in distributeShares:', error);
+      sendServiceError(res, error, 'Failed to distribute Shamir keys');
+    }
+  };
+
+  /**
+   * Rotate a paper's key and re-share it to new holders
+   * POST /api/paper/:paperId/shares/reshare
+   */
+  reshareShares = async (req, res) => {
+    try {
+      const { shares, holders, threshold, reason } = req.body;
+      const { paper, rotation, shares: newShares } = await this.paperService.reshareShamirKey(
+        req.params.paperId,
+        { shares, holders, threshold, reason },
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper key rotated and shares redistributed successfully',
+        data: {
+          paperId: paper.paperId,
+          keyVersion: paper.keyVersion,
+          threshold: paper.threshold,
+          totalShares: paper.totalShares,
+          shares: newShares,
+          rotation
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in reshareShares:', error);
+      sendServiceError(res, error, 'Failed to rotate paper key');
+    }
+  };
+
+  /**
+   * Get the caller's share, encrypted to their public key
+   * GET /api/paper/:paperId/shares/:shareId
+   */
+  getShare = async (req, res) => {
+    try {
+      const share = await this.shareCustodyService.getHolderShare(req.params.paperId, req.params.shareId, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Share retrieved successfully',
+        data: share
+      });
+
+    } catch (error) {
+      logger.error('Error in getShare:', error);
+      sendServiceError(res, error, 'Failed to get share');
+    }
+  };
+
+  /**
+   * Acknowledge receipt of the caller's share
+   * POST /api/paper/:paperId/shares/:shareId/acknowledge
+   */
+  acknowledgeShare = async (req, res) => {
+    try {
+      const share = await this.shareCustodyService.acknowledgeShare(
+        req.params.paperId,
+        req.params.shareId,
+        req.user,
+        req.body.shareHash
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Share receipt acknowledged',
+        data: share
+      });
+
+    } catch (error) {
+      logger.error('Error in acknowledgeShare:', error);
+      sendServiceError(res, error, 'Failed to acknowledge share');
+    }
+  };
+
+  /**
+   * Submit the caller's share for reconstruction
+   * POST /api/paper/:paperId/shares/:shareId/submit
+   */
+  submitShare = async (req, res) => {
+    try {
+      const { paper, decrypted, collectedShares } = await this.shareCustodyService.submitShare(
+        req.params.paperId,
+        req.params.shareId,
+        req.body.share,
+        req.user,
+        { ipAddress: req.ip }
+      );
+
+      res.status(decrypted ? 200 : 202).json({
+        success: true,
+        message: decrypted ? 'Paper decrypted successfully' : 'Share accepted; waiting for more shares',
+        data: {
+          paperId: paper.paperId,
+          decrypted,
+          status: paper.status,
+          collectedShares,
+          threshold: paper.threshold,
+          remainingShares: Math.max(0, paper.threshold - collectedShares)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in submitShare:', error);
+      sendServiceError(res, error, 'Failed to submit share');
+    }
+  };
+}
+
+module.exports = ShareController;
@@ -0,0 +1,30 @@
+const { getSignatureService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Signature Controller for the public signing keys
+ * Following Single Responsibility Principle (SRP)
+ */
+class SignatureController {
+  constructor() {
+    this.signatureService = getSignatureService();
+  }
+
+  /**
+   * Get the keys that sign results and answers, as a JSON Web Key Set
+   * GET /.well-known/jwks.json
+   */
+  getJwks = async (req, res) => {
+    try {
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.status(200).json(this.signatureService.getJwks());
+
+    } catch (error) {
+      logger.error('Error in getJwks:', error);
+      sendServiceError(res, error, 'Failed to retrieve signing keys');
+    }
+  };
+}
+
+module.exports = SignatureController;
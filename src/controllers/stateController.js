@@ -1,5 +1,6 @@
 const QuestionService = require('../services/QuestionService');
 const BlockchainService = require('../services/BlockchainService');
+const versionedHash = require('../utils/versionedHash');
 const { logger } = require('../utils/logger');
 
 /**
@@ -197,6 +198,7 @@ class StateController {
         data: {
           stateId,
           hash,
+          hashVersion: versionedHash.currentVersion,
           timestamp: new Date().toISOString(),
           verificationUrl: `${req.protocol}://${req.get('host')}/api/blockchain/verify/${hash}`
         }
@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const { getMerkleAnchorService } = require('../services/container');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduled job that anchors queued answer and result hashes. Each window's
+ * records go into Merkle trees and only the roots are sent on chain.
+ */
+const startAnchorBatchJob = (schedule = process.env.ANCHOR_BATCH_CRON || '*/5 * * * *') => {
+  const merkleAnchorService = getMerkleAnchorService();
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip a tick rather than overlapping a slow batch
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const summary = await merkleAnchorService.anchorQueued();
+      Object.entries(summary).forEach(([entityType, counts]) => {
+        if (counts.batches + counts.failed > 0) {
+          logger.info(`Anchor batch window: ${counts.anchored} ${entityType} record(s) anchored in ${counts.batches} batch(es), ${counts.failed} still queued after a failure`);
+        }
+      });
+    } catch (error) {
+      logger.error('Anchor batch window failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`⏱️ Anchor batch job scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = { startAnchorBatchJob };
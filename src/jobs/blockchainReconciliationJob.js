@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { getBlockchainReconciliationService } = require('../services/container');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduled job that settles pending blockchain transactions by signature,
+ * records finalization and retries failed anchors with exponential backoff
+ */
+const startBlockchainReconciliationJob = (schedule = process.env.BLOCKCHAIN_RECONCILE_CRON || '* * * * *') => {
+  const reconciliationService = getBlockchainReconciliationService();
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip a tick rather than overlapping a slow pass
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const { pending, unfinalized, failed } = await reconciliationService.reconcile();
+      if (failed.recovered + failed.retried + failed.permanentlyFailed > 0) {
+        logger.info(`Blockchain reconciliation: ${failed.recovered} recovered, ${failed.retried} retried, ${failed.permanentlyFailed} failed permanently`);
+      }
+      if (Object.keys(pending).length + Object.keys(unfinalized).length > 0) {
+        logger.debug(`Blockchain reconciliation: pending ${JSON.stringify(pending)}, unfinalized ${JSON.stringify(unfinalized)}`);
+      }
+    } catch (error) {
+      logger.error('Blockchain reconciliation failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`⏱️ Blockchain reconciliation job scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = { startBlockchainReconciliationJob };
@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const { getKeyRotationService } = require('../services/container');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduled sweep that moves encrypted answers and sealed paper shares to the
+ * active master key. After a master key change, keep the previous key with the
+ * key provider until the sweep reports nothing left to migrate.
+ */
+const startKeyRotationJob = (schedule = process.env.KEY_ROTATION_CRON || '*/10 * * * *') => {
+  const keyRotationService = getKeyRotationService();
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip a tick rather than overlapping a slow sweep
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const { activeKeyId, answers, papers } = await keyRotationService.migrateToActiveKey();
+      if (answers.migrated + papers.migrated + answers.failed + papers.failed > 0) {
+        const { remaining } = await keyRotationService.getStatus();
+        logger.info(`Key rotation sweep to ${activeKeyId}: ${answers.migrated} answer(s) and ${papers.migrated} paper(s) migrated, ${answers.failed + papers.failed} failed; ${remaining.answers} answer(s) and ${remaining.papers} paper(s) remaining`);
+      }
+    } catch (error) {
+      logger.error('Key rotation sweep failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`⏱️ Key rotation job scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = { startKeyRotationJob };
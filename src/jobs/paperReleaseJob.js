@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { getPaperService } = require('../services/container');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduled sweep that activates decrypted papers at the start of their
+ * release window. Papers decrypted after their scheduled start are activated
+ * on decryption; the sweep covers papers decrypted ahead of time.
+ */
+const startPaperReleaseJob = (schedule = process.env.PAPER_RELEASE_CRON || '* * * * *') => {
+  const paperService = getPaperService();
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip a tick rather than overlapping a slow sweep
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const activatedCount = await paperService.activateScheduledPapers();
+      if (activatedCount > 0) {
+        logger.info(`Paper release sweep activated ${activatedCount} paper(s)`);
+      }
+    } catch (error) {
+      logger.error('Paper release sweep failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`⏱️ Paper release job scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = { startPaperReleaseJob };
@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { getExamSessionService } = require('../services/container');
+const { logger } = require('../utils/logger');
+
+/**
+ * Scheduled sweep that completes exam sessions whose time has run out.
+ * Sessions are also expired lazily on access; the sweep covers candidates
+ * who simply stop sending requests.
+ */
+const startSessionExpiryJob = (schedule = process.env.SESSION_EXPIRY_CRON || '* * * * *') => {
+  const examSessionService = getExamSessionService();
+  let isRunning = false;
+
+  const task = cron.schedule(schedule, async () => {
+    // Skip a tick rather than overlapping a slow sweep
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const expiredCount = await examSessionService.expireOverdueSessions();
+      if (expiredCount > 0) {
+        logger.info(`Session expiry sweep completed ${expiredCount} session(s)`);
+      }
+    } catch (error) {
+      logger.error('Session expiry sweep failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`⏱️ Session expiry job scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = { startSessionExpiryJob };
@@ -0,0 +1,34 @@
+const { body } = require('express-validator');
+
+/**
+ * Body rules for saving an answer. POST /api/answers/save and
+ * POST /api/exam/submit both save through AnswerController.saveAnswer, so
+ * they share these; each route adds its own validation error handler.
+ * timeSpent is optional and counts as 0 seconds when left out.
+ */
+const saveAnswerRules = [
+  body('sessionId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Session ID must be 1-50 characters'),
+  body('questionId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Question ID must be 1-50 characters'),
+  body('selectedOption')
+    .isIn(['A', 'B', 'C', 'D'])
+    .withMessage('Selected option must be A, B, C, or D'),
+  body('timeSpent')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Time spent must be a non-negative integer'),
+  body('isMarkedForReview')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isMarkedForReview must be a boolean')
+];
+
+module.exports = {
+  saveAnswerRules
+};
@@ -0,0 +1,22 @@
+const { getExamSessionService } = require('../services/container');
+const { sendServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Resolve the caller's running exam session and attach it to the request.
+ * Remaining time is computed on the server, so answers sent after the
+ * deadline are rejected no matter what the client claims.
+ */
+const requireRunningSession = async (req, res, next) => {
+  try {
+    req.examSession = await getExamSessionService().getRunningSession(req.user._id, req.body.sessionId || req.query.sessionId);
+    next();
+  } catch (error) {
+    logger.warn(`Rejected exam request from ${req.user._id}: ${error.message}`);
+    sendServiceError(res, error, 'Failed to load exam session');
+  }
+};
+
+module.exports = {
+  requireRunningSession
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * A Merkle tree of answer or result hashes whose root is anchored on
+ * blockchain in a single transaction. Each leaf record keeps its own
+ * inclusion proof, so the batch only stores the root.
+ */
+const anchorBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  // session: the answers of one session; window: records queued in a time window
+  scope: {
+    type: String,
+    enum: ['session', 'window'],
+    required: true
+  },
+  sessionId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Answer', 'Result'],
+    required: true
+  },
+  root: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  leafCount: {
+    type: Number,
+    required: true,
+    min: [1, 'A batch must have at least one leaf']
+  },
+  // Queue times of the oldest and newest leaf
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'anchored', 'failed'],
+    default: 'pending',
+    required: true
+  },
+  blockchainTxId: {
+    type: String,
+    trim: true
+  },
+  solanaTxId: {
+    type: String,
+    trim: true
+  },
+  errorMessage: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+anchorBatchSchema.index({ status: 1, createdAt: 1 });
+anchorBatchSchema.index({ sessionId: 1 });
+
+// Pre-validate middleware to generate batch ID (batchId is required, so it
+// must exist before validation runs)
+anchorBatchSchema.pre('validate', function(next) {
+  if (!this.batchId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.batchId = `AB${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('AnchorBatch', anchorBatchSchema);
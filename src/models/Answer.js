@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const versionedHash = require('../utils/versionedHash');
 
 const answerSchema = new mongoose.Schema({
   answerId: {
@@ -42,20 +43,35 @@ const answerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Version answerHash is computed with (see utils/versionedHash); unset on
+  // answers hashed before versions were tracked
+  hashVersion: {
+    type: Number
+  },
+  // Master key the encrypted answer's data key is wrapped with
+  encryptionKeyId: {
+    type: String,
+    trim: true
+  },
   // Answer metadata
   selectedOption: {
     type: String,
     enum: ['A', 'B', 'C', 'D'],
     required: true
   },
+  // selectedOption as displayed in the session's variant, mapped back to the
+  // question's own option order when the answer is scored
+  canonicalOption: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D']
+  },
   isCorrect: {
     type: Boolean,
     default: false
   },
   marks: {
-    type: Number,
-    default: 0,
-    min: [0, 'Marks cannot be negative']
+    type: Number, // negative when negative marking applies
+    default: 0
   },
   maxMarks: {
     type: Number,
@@ -123,6 +139,55 @@ const answerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set when anchoring on blockchain failed after every retry
+  anchorFailure: {
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    errorMessage: {
+      type: String,
+      trim: true
+    },
+    failedAt: {
+      type: Date
+    }
+  },
+  // Set while the hash waits to be anchored in a Merkle batch
+  anchorQueuedAt: {
+    type: Date
+  },
+  // Inclusion proof of the anchored hash in its Merkle batch
+  merkleProof: {
+    batchId: {
+      type: String,
+      trim: true
+    },
+    leafIndex: {
+      type: Number,
+      min: [0, 'Leaf index cannot be negative']
+    },
+    leaf: {
+      type: String,
+      trim: true
+    },
+    root: {
+      type: String,
+      trim: true
+    },
+    path: [{
+      _id: false,
+      position: {
+        type: String,
+        enum: ['left', 'right']
+      },
+      hash: String
+    }]
+  },
   // Answer metadata
   confidence: {
     type: Number,
@@ -149,15 +214,66 @@ const answerSchema = new mongoose.Schema({
     default: 1,
     min: [1, 'Attempts must be at least 1']
   },
+  // Append-only revision log; each entry hashes the previous one
+  revisions: [{
+    sequence: {
+      type: Number,
+      required: true,
+      min: [1, 'Revision sequence must be at least 1']
+    },
+    selectedOption: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D'],
+      required: true
+    },
+    answerHash: {
+      type: String,
+      required: true
+    },
+    timeSpent: {
+      type: Number, // in seconds
+      default: 0
+    },
+    timeRemaining: {
+      type: Number // in seconds, server-computed at submission
+    },
+    submittedAt: {
+      type: Date,
+      required: true
+    },
+    previousHash: {
+      type: String,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    },
+    // Version hash is computed with; unset on revisions made before versions
+    // were tracked, so one chain can mix versions
+    hashVersion: {
+      type: Number
+    }
+  }],
+  revisionHead: {
+    type: String,
+    trim: true
+  },
   // Security and integrity
   integrityHash: {
     type: String,
     trim: true
   },
+  // Ed25519 signature (base64) over the canonical signed fields, and the ID
+  // of the server key that made it (see SignatureService)
   signature: {
     type: String,
     trim: true
   },
+  signatureKeyId: {
+    type: String,
+    trim: true
+  },
   // Metadata
   metadata: {
     type: Map,
@@ -169,6 +285,23 @@ const answerSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Previous hash of the first revision in every chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hash of a revision entry, chained to the previous entry
+const hashRevision = (revision) => {
+  const revisionData = {
+    sequence: revision.sequence,
+    selectedOption: revision.selectedOption,
+    answerHash: revision.answerHash,
+    timeSpent: revision.timeSpent,
+    timeRemaining: revision.timeRemaining,
+    submittedAt: new Date(revision.submittedAt).toISOString(),
+    previousHash: revision.previousHash
+  };
+  return versionedHash.hash(revisionData, revision.hashVersion);
+};
+
 // Virtual for answer score percentage
 answerSchema.virtual('scorePercentage').get(function() {
   return Math.round((this.marks / this.maxMarks) * 100);
@@ -188,15 +321,20 @@ answerSchema.index({ questionId: 1 });
 answerSchema.index({ status: 1 });
 answerSchema.index({ submittedAt: 1 });
 answerSchema.index({ blockchainHash: 1 });
+answerSchema.index({ encryptionKeyId: 1 });
+answerSchema.index({ anchorQueuedAt: 1 }, { sparse: true });
 
 // Compound indexes
 answerSchema.index({ studentId: 1, paperId: 1 });
 answerSchema.index({ sessionId: 1, questionNumber: 1 });
+// One answer per question of a session, even when two submits race
+answerSchema.index({ sessionId: 1, questionId: 1 }, { unique: true });
 answerSchema.index({ paperId: 1, questionId: 1 });
 answerSchema.index({ studentId: 1, status: 1 });
 
-// Pre-save middleware to generate answer ID
-answerSchema.pre('save', function(next) {
+// Pre-validate middleware to generate answer ID (answerId is required, so it
+// must exist before validation runs)
+answerSchema.pre('validate', function(next) {
   if (!this.answerId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -205,6 +343,58 @@ answerSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to refuse saving a revision chain that does not verify
+answerSchema.pre('save', function(next) {
+  if (this.isModified('revisions')) {
+    const verification = this.verifyRevisionChain();
+    if (!verification.valid) {
+      return next(new Error(`Answer revision chain is broken at revision ${verification.brokenAt}`));
+    }
+  }
+  next();
+});
+
+// Instance method to append the current answer state to the revision log
+answerSchema.methods.appendRevision = function(timeRemaining = null) {
+  const previous = this.revisions[this.revisions.length - 1];
+  const revision = {
+    sequence: previous ? previous.sequence + 1 : 1,
+    selectedOption: this.selectedOption,
+    answerHash: this.answerHash,
+    timeSpent: this.timeSpent,
+    timeRemaining,
+    submittedAt: this.submittedAt,
+    previousHash: previous ? previous.hash : GENESIS_HASH,
+    hashVersion: versionedHash.currentVersion
+  };
+  revision.hash = hashRevision(revision);
+
+  this.revisions.push(revision);
+  this.revisionHead = revision.hash;
+  return this;
+};
+
+// Instance method to verify the revision hash chain
+answerSchema.methods.verifyRevisionChain = function() {
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < this.revisions.length; i++) {
+    const revision = this.revisions[i];
+    if (revision.sequence !== i + 1 ||
+        revision.previousHash !== previousHash ||
+        revision.hash !== hashRevision(revision)) {
+      return { valid: false, brokenAt: i + 1 };
+    }
+    previousHash = revision.hash;
+  }
+
+  if (this.revisions.length > 0 && this.revisionHead !== previousHash) {
+    return { valid: false, brokenAt: this.revisions.length };
+  }
+
+  return { valid: true, brokenAt: null, head: this.revisions.length > 0 ? previousHash : null };
+};
+
 // Instance method to evaluate answer
 answerSchema.methods.evaluate = function(evaluatedBy, isCorrect, marks, notes = null) {
   this.isCorrect = isCorrect;
@@ -7,20 +7,21 @@ const blockchainTransactionSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Transaction signature; unset until the transaction has been sent
   solanaTxId: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     trim: true
   },
   type: {
     type: String,
-    enum: ['question_hash', 'paper_hash', 'answer_hash', 'result_hash', 'rank_hash'],
+    enum: ['question_hash', 'paper_hash', 'answer_hash', 'result_hash', 'rank_hash', 'key_rotation', 'merkle_root'],
     required: true
   },
   entityType: {
     type: String,
-    enum: ['Question', 'ExamPaper', 'Answer', 'Result', 'ExamSession'],
+    enum: ['Question', 'ExamPaper', 'Answer', 'Result', 'ExamSession', 'ExamEvent', 'AnchorBatch'],
     required: true
   },
   entityId: {
@@ -39,6 +40,11 @@ const blockchainTransactionSchema = new mongoose.Schema({
     enum: ['hash', 'encrypted_data', 'metadata'],
     required: true
   },
+  // Memo carried by the transaction's instruction
+  memo: {
+    type: String,
+    trim: true
+  },
   // Transaction details
   status: {
     type: String,
@@ -63,6 +69,10 @@ const blockchainTransactionSchema = new mongoose.Schema({
   slot: {
     type: Number
   },
+  // The transaction cannot land once the chain passes this block height
+  lastValidBlockHeight: {
+    type: Number
+  },
   confirmationStatus: {
     type: String,
     enum: ['processed', 'confirmed', 'finalized'],
@@ -143,7 +153,6 @@ blockchainTransactionSchema.virtual('confirmationTime').get(function() {
 
 // Indexes
 blockchainTransactionSchema.index({ transactionId: 1 });
-blockchainTransactionSchema.index({ solanaTxId: 1 });
 blockchainTransactionSchema.index({ type: 1 });
 blockchainTransactionSchema.index({ entityType: 1 });
 blockchainTransactionSchema.index({ entityId: 1 });
@@ -155,9 +164,12 @@ blockchainTransactionSchema.index({ dataHash: 1 });
 blockchainTransactionSchema.index({ entityType: 1, entityId: 1 });
 blockchainTransactionSchema.index({ type: 1, status: 1 });
 blockchainTransactionSchema.index({ status: 1, submittedAt: 1 });
+blockchainTransactionSchema.index({ status: 1, failedAt: 1 });
+blockchainTransactionSchema.index({ status: 1, confirmationStatus: 1, confirmedAt: 1 });
 
-// Pre-save middleware to generate transaction ID
-blockchainTransactionSchema.pre('save', function(next) {
+// Pre-validate middleware to generate transaction ID (transactionId is
+// required, so it must exist before validation runs)
+blockchainTransactionSchema.pre('validate', function(next) {
   if (!this.transactionId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -220,6 +232,31 @@ blockchainTransactionSchema.statics.findFailed = function() {
   return this.find({ status: 'failed' }).sort({ failedAt: -1 });
 };
 
+// Static method to find failed transactions that still have retries left
+blockchainTransactionSchema.statics.findRetryable = function() {
+  return this.find({
+    status: 'failed',
+    $expr: { $lt: ['$retryCount', '$maxRetries'] }
+  }).sort({ failedAt: 1 });
+};
+
+// Static method to find confirmed transactions not yet finalized
+blockchainTransactionSchema.statics.findUnfinalized = function(confirmedSince) {
+  return this.find({
+    status: 'confirmed',
+    confirmationStatus: { $ne: 'finalized' },
+    confirmedAt: { $gte: confirmedSince }
+  }).sort({ confirmedAt: 1 });
+};
+
+// Static method to find transactions that ran out of retries
+blockchainTransactionSchema.statics.findPermanentlyFailed = function() {
+  return this.find({
+    status: 'failed',
+    $expr: { $gte: ['$retryCount', '$maxRetries'] }
+  }).sort({ failedAt: -1 });
+};
+
 // Static method to find transactions by entity
 blockchainTransactionSchema.statics.findByEntity = function(entityType, entityId) {
   return this.find({ entityType, entityId }).sort({ submittedAt: -1 });
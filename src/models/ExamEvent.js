@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+/**
+ * An exam event groups the shifts (papers) of one exam so their results can
+ * be normalised into a single merit list
+ */
+const examEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [200, 'Event name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // One paper per shift
+  paperIds: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+    ref: 'ExamPaper'
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'normalized', 'published'],
+    default: 'open',
+    required: true
+  },
+  // Parameters of the last normalisation run
+  normalization: {
+    // percentile: NTA percentile score within the shift
+    // z_score: marks rescaled to the event mean and standard deviation
+    method: {
+      type: String,
+      enum: ['percentile', 'z_score']
+    },
+    shifts: [{
+      paperId: {
+        type: String,
+        required: true
+      },
+      candidates: {
+        type: Number,
+        required: true
+      },
+      totalMarks: {
+        type: Number
+      },
+      topMarks: {
+        type: Number
+      },
+      mean: {
+        type: Number
+      },
+      stdDev: {
+        type: Number
+      }
+    }],
+    totalCandidates: {
+      type: Number
+    },
+    eventMean: {
+      type: Number
+    },
+    eventStdDev: {
+      type: Number
+    },
+    parametersHash: {
+      type: String,
+      trim: true
+    },
+    // Version parametersHash is computed with (see utils/versionedHash)
+    hashVersion: {
+      type: Number
+    },
+    blockchainHash: {
+      type: String,
+      trim: true
+    },
+    blockchainTxId: {
+      type: String,
+      trim: true
+    },
+    normalizedAt: {
+      type: Date
+    },
+    normalizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Set when anchoring on blockchain failed after every retry
+  anchorFailure: {
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    errorMessage: {
+      type: String,
+      trim: true
+    },
+    failedAt: {
+      type: Date
+    }
+  },
+  publishedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+examEventSchema.index({ paperIds: 1 });
+examEventSchema.index({ status: 1 });
+
+// Pre-validate middleware to generate event ID (eventId is required, so it
+// must exist before validation runs)
+examEventSchema.pre('validate', function(next) {
+  if (!this.eventId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.eventId = `EV${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Static method to find the event a paper belongs to
+examEventSchema.statics.findByPaper = function(paperId) {
+  return this.findOne({ paperIds: paperId });
+};
+
+module.exports = mongoose.model('ExamEvent', examEventSchema);
@@ -76,13 +76,97 @@ const examPaperSchema = new mongoose.Schema({
       min: [0, 'Hard questions count cannot be negative']
     }
   },
+  // Blueprint the paper was generated from (absent for papers drawn by
+  // count and difficulty only)
+  blueprint: {
+    sections: [{
+      subject: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      topic: {
+        type: String,
+        trim: true
+      },
+      count: {
+        type: Number,
+        required: true,
+        min: [1, 'Section count must be at least 1']
+      },
+      difficulty: {
+        easy: { type: Number, min: 0 },
+        medium: { type: Number, min: 0 },
+        hard: { type: Number, min: 0 }
+      }
+    }],
+    totalMarks: {
+      type: Number,
+      min: [1, 'Blueprint total marks must be at least 1']
+    },
+    includeTags: [{
+      type: String,
+      trim: true
+    }],
+    excludeTags: [{
+      type: String,
+      trim: true
+    }],
+    minPerState: {
+      type: Number,
+      min: [0, 'Minimum per state cannot be negative']
+    },
+    stateQuotas: [{
+      stateCode: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+      },
+      min: {
+        type: Number,
+        required: true,
+        min: [1, 'Quota minimum must be at least 1']
+      }
+    }]
+  },
+  // Secret salt for per-candidate variant seeds
+  variantSalt: {
+    type: String,
+    trim: true
+  },
+  // Paper content (questions with text and options) encrypted with the
+  // paper key; the key itself only exists as Shamir shares
+  encryptedContent: {
+    type: String
+  },
+  contentHash: {
+    type: String,
+    trim: true
+  },
+  // paperHash computed at generation, checked again once the paper is decrypted
+  sealedHash: {
+    type: String,
+    trim: true
+  },
+  // Version paperHash is computed with (see utils/versionedHash); unset on
+  // papers sealed before versions were tracked
+  hashVersion: {
+    type: Number
+  },
   // Shamir Secret Sharing for paper decryption
   shamirShares: [{
     shareId: {
       type: Number,
       required: true
     },
+    // Share sealed with the master key; cleared once released to its holder
     share: {
+      type: String
+    },
+    // SHA-256 of the share, used to check acknowledged receipts and shares
+    // submitted for decryption
+    shareHash: {
       type: String,
       required: true
     },
@@ -91,15 +175,146 @@ const examPaperSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Share encrypted to the holder's public key, kept until the holder
+    // acknowledges receipt
+    encryptedShare: {
+      type: String
+    },
+    holderKeyFingerprint: {
+      type: String,
+      trim: true
+    },
     distributedAt: {
-      type: Date,
-      default: Date.now
+      type: Date
+    },
+    acknowledgedAt: {
+      type: Date
+    },
+    // Share returned by its holder for reconstruction, sealed with the master
+    // key until the threshold is met
+    submittedShare: {
+      type: String
+    },
+    submittedAt: {
+      type: Date
     },
     isUsed: {
       type: Boolean,
       default: false
     }
   }],
+  // Master key the sealed shares' data keys are wrapped with
+  encryptionKeyId: {
+    type: String,
+    trim: true
+  },
+  // Feldman commitments to the sharing polynomial (g^a_j mod p, hex), published
+  // at split time so each share can be verified without the others
+  shareCommitments: [{
+    type: String
+  }],
+  // Incremented each time the paper key is rotated and re-shared
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  // Key rotations, each replacing every share with shares of a fresh key
+  keyRotations: [{
+    keyVersion: {
+      type: Number,
+      required: true
+    },
+    previousThreshold: {
+      type: Number,
+      required: true
+    },
+    previousTotalShares: {
+      type: Number,
+      required: true
+    },
+    threshold: {
+      type: Number,
+      required: true
+    },
+    totalShares: {
+      type: Number,
+      required: true
+    },
+    // IDs of the old shares that recovered the content
+    sharesUsed: [{
+      type: Number
+    }],
+    previousHolders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    holders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    reason: {
+      type: String,
+      trim: true
+    },
+    // Hash of the new content hash, commitments and holder keys, anchored on blockchain
+    rotationHash: {
+      type: String,
+      required: true
+    },
+    // Version rotationHash is computed with (see utils/versionedHash)
+    hashVersion: {
+      type: Number
+    },
+    blockchainTxId: {
+      type: String,
+      trim: true
+    },
+    rotatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    rotatedAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Every share submission, accepted or not, with the submitter's identity
+  shareSubmissions: [{
+    shareId: {
+      type: Number,
+      required: true
+    },
+    keyVersion: {
+      type: Number
+    },
+    holder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    outcome: {
+      type: String,
+      enum: ['accepted', 'duplicate', 'rejected'],
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    submittedAt: {
+      type: Date,
+      required: true
+    }
+  }],
   threshold: {
     type: Number,
     required: [true, 'Shamir threshold is required'],
@@ -128,6 +343,19 @@ const examPaperSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Time lock: shares are only accepted from opensAt (until closesAt, when
+  // set) and the decrypted paper activates itself at activateAt
+  releaseWindow: {
+    opensAt: {
+      type: Date
+    },
+    activateAt: {
+      type: Date
+    },
+    closesAt: {
+      type: Date
+    }
+  },
   decryptedAt: {
     type: Date
   },
@@ -146,6 +374,24 @@ const examPaperSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set when anchoring on blockchain failed after every retry
+  anchorFailure: {
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    errorMessage: {
+      type: String,
+      trim: true
+    },
+    failedAt: {
+      type: Date
+    }
+  },
   // Paper metadata
   instructions: {
     type: String,
@@ -168,6 +414,31 @@ const examPaperSchema = new mongoose.Schema({
     min: [0, 'Negative marking ratio cannot be negative'],
     max: [1, 'Negative marking ratio cannot exceed 1']
   },
+  // Grading scheme version used to grade results (default bands when unset)
+  gradingScheme: {
+    schemeId: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    version: {
+      type: Number,
+      min: [1, 'Version must be at least 1']
+    }
+  },
+  // How results are ranked: equal marks share a rank unless a tie-breaker
+  // (applied in order) separates them
+  ranking: {
+    method: {
+      type: String,
+      enum: ['competition', 'dense'],
+      default: 'competition'
+    },
+    tieBreakers: [{
+      type: String,
+      enum: ['fewer_incorrect', 'hard_accuracy', 'earlier_submission']
+    }]
+  },
   allowReview: {
     type: Boolean,
     default: true
@@ -207,18 +478,8 @@ const examPaperSchema = new mongoose.Schema({
 
 // Virtual for paper hash
 examPaperSchema.virtual('paperHash').get(function() {
-  const crypto = require('crypto');
-  const paperData = {
-    paperId: this.paperId,
-    title: this.title,
-    subject: this.subject,
-    totalQuestions: this.totalQuestions,
-    totalMarks: this.totalMarks,
-    questions: this.questions.map(q => ({ questionId: q.questionId, order: q.order, marks: q.marks })),
-    difficultyDistribution: this.difficultyDistribution,
-    generatedAt: this.generatedAt
-  };
-  return crypto.createHash('sha256').update(JSON.stringify(paperData)).digest('hex');
+  const versionedHash = require('../utils/versionedHash');
+  return versionedHash.hash(this.getHashData(), this.hashVersion);
 });
 
 // Virtual for paper status check
@@ -236,19 +497,25 @@ examPaperSchema.index({ subject: 1 });
 examPaperSchema.index({ status: 1 });
 examPaperSchema.index({ generatedBy: 1 });
 examPaperSchema.index({ blockchainHash: 1 });
+examPaperSchema.index({ encryptionKeyId: 1 });
 examPaperSchema.index({ 'questions.questionId': 1 });
+examPaperSchema.index({ status: 1, 'releaseWindow.activateAt': 1 });
 
 // Compound indexes
 examPaperSchema.index({ subject: 1, status: 1 });
 examPaperSchema.index({ generatedBy: 1, status: 1 });
 
-// Pre-save middleware to generate paper ID if not provided
-examPaperSchema.pre('save', function(next) {
+// Pre-validate middleware to generate paper ID (paperId is required, so it
+// must exist before validation runs)
+examPaperSchema.pre('validate', function(next) {
   if (!this.paperId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
     this.paperId = `P${timestamp}${random}`.toUpperCase();
   }
+  if (!this.variantSalt) {
+    this.variantSalt = require('crypto').randomBytes(32).toString('hex');
+  }
   next();
 });
 
@@ -267,12 +534,12 @@ examPaperSchema.methods.complete = function() {
 };
 
 // Instance method to add Shamir share
-examPaperSchema.methods.addShamirShare = function(shareId, share, holder) {
+examPaperSchema.methods.addShamirShare = function(shareId, share, holder, shareHash) {
   this.shamirShares.push({
     shareId,
     share,
-    holder,
-    distributedAt: new Date()
+    shareHash,
+    holder
   });
   return this.save();
 };
@@ -298,11 +565,30 @@ examPaperSchema.methods.hasEnoughShares = function() {
   return availableShares.length >= this.threshold;
 };
 
+// Instance method to get the fields covered by the paper hash
+examPaperSchema.methods.getHashData = function() {
+  return {
+    paperId: this.paperId,
+    title: this.title,
+    subject: this.subject,
+    totalQuestions: this.totalQuestions,
+    totalMarks: this.totalMarks,
+    questions: this.questions.map(q => ({ questionId: q.questionId, order: q.order, marks: q.marks })),
+    difficultyDistribution: this.difficultyDistribution,
+    generatedAt: this.generatedAt
+  };
+};
+
 // Static method to find active papers
 examPaperSchema.statics.findActive = function() {
   return this.find({ status: 'active' });
 };
 
+// Static method to find decrypted papers whose scheduled start has passed
+examPaperSchema.statics.findDueForActivation = function(now = new Date()) {
+  return this.find({ status: 'decrypted', 'releaseWindow.activateAt': { $lte: now } });
+};
+
 // Static method to find papers by subject
 examPaperSchema.statics.findBySubject = function(subject) {
   return this.find({ subject: new RegExp(subject, 'i') });
@@ -32,12 +32,34 @@ const examSessionSchema = new mongoose.Schema({
   endTime: {
     type: Date
   },
+  // Deadline while the session is running; cleared while paused
+  expiresAt: {
+    type: Date
+  },
+  completionReason: {
+    type: String,
+    enum: ['submitted', 'time_expired']
+  },
+  pauseIntervals: [{
+    pausedAt: {
+      type: Date,
+      required: true
+    },
+    resumedAt: {
+      type: Date
+    }
+  }],
+  totalPausedTime: {
+    type: Number, // in seconds, closed pause intervals only
+    default: 0,
+    min: [0, 'Total paused time cannot be negative']
+  },
   duration: {
     type: Number, // in minutes
     required: true
   },
   timeRemaining: {
-    type: Number, // in seconds
+    type: Number, // in seconds, snapshot refreshed by syncTimer()
     required: true
   },
   currentQuestion: {
@@ -151,6 +173,33 @@ const examSessionSchema = new mongoose.Schema({
       type: Date
     }
   }],
+  // Candidate's paper variant: question and option order derived from the
+  // seed, kept so answers map back to canonical options and the variant can
+  // be rebuilt for audits and disputes
+  variant: {
+    seed: {
+      type: String,
+      trim: true
+    },
+    algorithm: {
+      type: String,
+      trim: true
+    },
+    questionOrder: [{
+      type: String
+    }],
+    // order[i] is the canonical option shown at displayed position A-D
+    optionOrders: [{
+      questionId: {
+        type: String,
+        required: true
+      },
+      order: [{
+        type: String,
+        enum: ['A', 'B', 'C', 'D']
+      }]
+    }]
+  },
   // Session metadata
   sessionHash: {
     type: String,
@@ -173,6 +222,35 @@ const examSessionSchema = new mongoose.Schema({
   lastHeartbeat: {
     type: Date,
     default: Date.now
+  },
+  // Most recent gaps between heartbeats (in milliseconds)
+  heartbeatGaps: [{
+    type: Number,
+    min: [0, 'Heartbeat gap cannot be negative']
+  }],
+  disconnections: [{
+    disconnectedAt: {
+      type: Date,
+      required: true
+    },
+    reconnectedAt: {
+      type: Date,
+      required: true
+    },
+    duration: {
+      type: Number, // in seconds
+      required: true
+    },
+    creditedTime: {
+      type: Number, // in seconds
+      default: 0
+    }
+  }],
+  // Time given back for server-detected outages
+  timeCredited: {
+    type: Number, // in seconds
+    default: 0,
+    min: [0, 'Credited time cannot be negative']
   }
 }, {
   timestamps: true,
@@ -180,12 +258,9 @@ const examSessionSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for session duration in minutes
+// Virtual for session duration in minutes (time spent paused is excluded)
 examSessionSchema.virtual('elapsedTime').get(function() {
-  if (!this.endTime) {
-    return Math.floor((Date.now() - this.startTime.getTime()) / 60000);
-  }
-  return Math.floor((this.endTime.getTime() - this.startTime.getTime()) / 60000);
+  return Math.floor(this.getActiveTime() / 60);
 });
 
 // Virtual for completion percentage
@@ -198,8 +273,12 @@ examSessionSchema.virtual('timeRemainingMinutes').get(function() {
   return Math.floor(this.timeRemaining / 60);
 });
 
+// Statuses in which a session still counts as open for its student and paper
+const OPEN_STATUSES = ['started', 'in_progress', 'paused'];
+
 // Indexes
 examSessionSchema.index({ sessionId: 1 });
+examSessionSchema.index({ status: 1, expiresAt: 1 });
 examSessionSchema.index({ studentId: 1 });
 examSessionSchema.index({ paperId: 1 });
 examSessionSchema.index({ status: 1 });
@@ -209,10 +288,16 @@ examSessionSchema.index({ sessionHash: 1 });
 // Compound indexes
 examSessionSchema.index({ studentId: 1, status: 1 });
 examSessionSchema.index({ paperId: 1, status: 1 });
-examSessionSchema.index({ studentId: 1, paperId: 1 });
+// One open session per student and paper, even when two starts race
+// (a partial filter with $in needs MongoDB 6.0)
+examSessionSchema.index(
+  { studentId: 1, paperId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } }, name: 'studentId_1_paperId_1_open' }
+);
 
-// Pre-save middleware to generate session ID
-examSessionSchema.pre('save', function(next) {
+// Pre-validate middleware to generate session ID (sessionId is required, so it
+// must exist before validation runs)
+examSessionSchema.pre('validate', function(next) {
   if (!this.sessionId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -221,6 +306,83 @@ examSessionSchema.pre('save', function(next) {
   next();
 });
 
+// Statuses a session may move to from each status
+const STATUS_TRANSITIONS = {
+  started: ['in_progress', 'paused', 'completed', 'terminated'],
+  in_progress: ['paused', 'completed', 'terminated'],
+  paused: ['in_progress', 'completed', 'terminated'],
+  completed: [],
+  terminated: []
+};
+
+// Instance method to check whether the session may move to a status
+examSessionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to get time spent paused in milliseconds, including an open pause
+examSessionSchema.methods.getPausedTime = function(now = new Date()) {
+  const closedMs = this.totalPausedTime * 1000;
+  const openPause = this.pauseIntervals.find(interval => !interval.resumedAt);
+  const openMs = openPause ? Math.max(0, now.getTime() - openPause.pausedAt.getTime()) : 0;
+  return closedMs + openMs;
+};
+
+// Instance method to get active (unpaused) time in seconds
+examSessionSchema.methods.getActiveTime = function(now = new Date()) {
+  const until = this.endTime || now;
+  const activeMs = until.getTime() - this.startTime.getTime() - this.getPausedTime(until);
+  return Math.max(0, Math.floor(activeMs / 1000));
+};
+
+// Instance method to compute remaining time in seconds from the server clock
+examSessionSchema.methods.computeTimeRemaining = function(now = new Date()) {
+  return Math.max(0, this.duration * 60 + this.timeCredited - this.getActiveTime(now));
+};
+
+// Instance method to compute when a running session runs out of time
+examSessionSchema.methods.computeDeadline = function(now = new Date()) {
+  return new Date(now.getTime() + this.computeTimeRemaining(now) * 1000);
+};
+
+// Instance method to check whether the session has run out of time
+examSessionSchema.methods.isExpired = function(now = new Date()) {
+  return this.computeTimeRemaining(now) === 0;
+};
+
+// Instance method to refresh the timeRemaining snapshot and the deadline
+examSessionSchema.methods.syncTimer = function(now = new Date()) {
+  this.timeRemaining = this.computeTimeRemaining(now);
+  const isRunning = this.status === 'started' || this.status === 'in_progress';
+  this.expiresAt = isRunning ? this.computeDeadline(now) : null;
+  return this;
+};
+
+// Instance method to close an open pause interval
+examSessionSchema.methods.closePauseInterval = function(now = new Date()) {
+  const openPause = this.pauseIntervals.find(interval => !interval.resumedAt);
+  if (openPause) {
+    openPause.resumedAt = now;
+    this.totalPausedTime += Math.floor((now.getTime() - openPause.pausedAt.getTime()) / 1000);
+  }
+  return this;
+};
+
+// Instance method to map an option as displayed in the session's variant to
+// the canonical option of the question (sessions without a variant show the
+// canonical order)
+examSessionSchema.methods.toCanonicalOption = function(questionId, displayedOption) {
+  const optionOrder = this.variant && this.variant.optionOrders
+    ? this.variant.optionOrders.find(o => o.questionId === questionId)
+    : null;
+
+  if (!optionOrder || optionOrder.order.length === 0) {
+    return displayedOption;
+  }
+
+  return optionOrder.order[['A', 'B', 'C', 'D'].indexOf(displayedOption)];
+};
+
 // Instance method to add activity
 examSessionSchema.methods.addActivity = function(type, questionNumber = null, details = null, metadata = {}) {
   this.activities.push({
@@ -272,28 +434,44 @@ examSessionSchema.methods.updateQuestionProgress = function(questionNumber, ques
 };
 
 // Instance method to complete session
-examSessionSchema.methods.complete = function() {
+examSessionSchema.methods.complete = function(reason = 'submitted') {
+  const now = new Date();
+  this.closePauseInterval(now);
+  // An expired session ends at its deadline, not when the expiry was noticed
+  this.endTime = this.expiresAt && this.expiresAt < now ? this.expiresAt : now;
   this.status = 'completed';
-  this.endTime = new Date();
+  this.completionReason = reason;
+  this.syncTimer(now);
   return this.save();
 };
 
 // Instance method to pause session
 examSessionSchema.methods.pause = function() {
+  const now = new Date();
+  this.pauseIntervals.push({ pausedAt: now });
   this.status = 'paused';
+  this.syncTimer(now);
   return this.save();
 };
 
 // Instance method to resume session
 examSessionSchema.methods.resume = function() {
+  const now = new Date();
+  this.closePauseInterval(now);
+  // Silence while paused is not a disconnection
+  this.lastHeartbeat = now;
   this.status = 'in_progress';
+  this.syncTimer(now);
   return this.save();
 };
 
 // Instance method to terminate session
 examSessionSchema.methods.terminate = function(reason = null) {
+  const now = new Date();
+  this.closePauseInterval(now);
   this.status = 'terminated';
-  this.endTime = new Date();
+  this.endTime = now;
+  this.syncTimer(now);
   if (reason) {
     this.flagReason = reason;
     this.isFlagged = true;
@@ -301,17 +479,113 @@ examSessionSchema.methods.terminate = function(reason = null) {
   return this.save();
 };
 
-// Instance method to update heartbeat
-examSessionSchema.methods.updateHeartbeat = function() {
-  this.lastHeartbeat = new Date();
+// Latest time the client was heard from: its last heartbeat, or any answer or
+// activity it sent after that
+const lastContactOf = (session) => session.activities.reduce(
+  (latest, activity) => (activity.timestamp > latest ? activity.timestamp : latest),
+  session.lastHeartbeat
+);
+
+// Instance method to update heartbeat. Silence above the disconnect threshold on
+// a running session is recorded as a disconnection and, when enabled, the time
+// lost beyond the expected ping interval is credited back (up to maxCredit
+// seconds). Silence is measured from the last contact of any kind, so a client
+// that keeps answering while withholding heartbeats is never credited.
+examSessionSchema.methods.updateHeartbeat = function(options = {}) {
+  const {
+    expectedInterval = 15000,
+    disconnectThreshold = 45000,
+    creditLostTime = false,
+    maxCredit = 600
+  } = options;
+
+  const now = new Date();
+  const isRunning = this.status === 'started' || this.status === 'in_progress';
+  const gap = this.lastHeartbeat ? Math.max(0, now.getTime() - this.lastHeartbeat.getTime()) : 0;
+  const lastContact = this.lastHeartbeat ? lastContactOf(this) : null;
+  const silence = lastContact ? Math.max(0, now.getTime() - lastContact.getTime()) : 0;
+
+  if (isRunning && silence > disconnectThreshold) {
+    const lostSeconds = Math.floor((silence - expectedInterval) / 1000);
+    const creditedTime = creditLostTime
+      ? Math.max(0, Math.min(lostSeconds, maxCredit - this.timeCredited))
+      : 0;
+
+    this.disconnections.push({
+      disconnectedAt: lastContact,
+      reconnectedAt: now,
+      duration: Math.floor(silence / 1000),
+      creditedTime
+    });
+    this.disconnectionCount += 1;
+    this.timeCredited += creditedTime;
+    this.suspiciousActivities.push({
+      type: 'network_anomaly',
+      timestamp: now,
+      severity: 'low',
+      details: `No contact for ${Math.floor(silence / 1000)}s`
+    });
+  }
+
+  if (isRunning && this.lastHeartbeat) {
+    this.heartbeatGaps.push(gap);
+    if (this.heartbeatGaps.length > 20) {
+      this.heartbeatGaps.splice(0, this.heartbeatGaps.length - 20);
+    }
+  }
+
+  this.lastHeartbeat = now;
+  this.connectionQuality = this.deriveConnectionQuality(expectedInterval, now);
+  this.syncTimer(now);
+
   return this.save();
 };
 
+// Instance method to derive connection quality from heartbeat jitter and recent disconnections
+examSessionSchema.methods.deriveConnectionQuality = function(expectedInterval = 15000, now = new Date()) {
+  const recentWindow = 10 * 60 * 1000; // 10 minutes
+  const recentDisconnections = this.disconnections
+    .filter(d => now.getTime() - d.reconnectedAt.getTime() <= recentWindow).length;
+
+  const gaps = this.heartbeatGaps;
+  if (gaps.length === 0) {
+    return recentDisconnections > 0 ? 'fair' : this.connectionQuality;
+  }
+
+  const mean = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+  const jitter = Math.sqrt(gaps.reduce((sum, g) => sum + Math.pow(g - mean, 2), 0) / gaps.length);
+  const jitterRatio = jitter / expectedInterval;
+  const delayRatio = mean / expectedInterval;
+
+  if (recentDisconnections === 0 && jitterRatio <= 0.1 && delayRatio <= 1.2) return 'excellent';
+  if (recentDisconnections === 0 && jitterRatio <= 0.25 && delayRatio <= 1.5) return 'good';
+  if (recentDisconnections <= 1 && jitterRatio <= 0.5) return 'fair';
+  return 'poor';
+};
+
 // Static method to find active sessions
 examSessionSchema.statics.findActive = function() {
   return this.find({ status: { $in: ['started', 'in_progress'] } });
 };
 
+// Static method to find the open (not completed/terminated) sessions of a student
+examSessionSchema.statics.findOpenByStudent = function(studentId) {
+  return this.find({ studentId, status: { $in: OPEN_STATUSES } }).sort({ startTime: -1 });
+};
+
+// Static method to find the open (not completed/terminated) session of a student for a paper
+examSessionSchema.statics.findOpenByStudentAndPaper = function(studentId, paperId) {
+  return this.findOne({ studentId, paperId, status: { $in: OPEN_STATUSES } });
+};
+
+// Static method to find running sessions whose deadline has passed
+examSessionSchema.statics.findExpired = function(now = new Date()) {
+  return this.find({
+    status: { $in: ['started', 'in_progress'] },
+    expiresAt: { $lte: now }
+  });
+};
+
 // Static method to find sessions by student
 examSessionSchema.statics.findByStudent = function(studentId) {
   return this.find({ studentId }).sort({ startTime: -1 });
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+/**
+ * Grading scheme versions are immutable: editing a scheme saves a new
+ * document with the same schemeId and the next version number, so results
+ * can always be traced back to the exact bands that graded them.
+ */
+const gradingSchemeSchema = new mongoose.Schema({
+  schemeId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: [1, 'Version must be at least 1']
+  },
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    trim: true,
+    maxlength: [100, 'Scheme name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // absolute: bands on percentage; relative: bands on percentile within the
+  // paper's cohort; pass_fail: grade from the paper's passing marks only
+  type: {
+    type: String,
+    enum: ['absolute', 'relative', 'pass_fail'],
+    required: [true, 'Scheme type is required']
+  },
+  bands: [{
+    grade: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [20, 'Grade cannot exceed 20 characters']
+    },
+    minScore: {
+      type: Number,
+      required: true,
+      min: [0, 'Band minimum cannot be negative'],
+      max: [100, 'Band minimum cannot exceed 100']
+    },
+    performanceCategory: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Performance category cannot exceed 50 characters']
+    }
+  }],
+  passLabel: {
+    type: String,
+    trim: true,
+    default: 'PASS',
+    maxlength: [20, 'Pass label cannot exceed 20 characters']
+  },
+  failLabel: {
+    type: String,
+    trim: true,
+    default: 'FAIL',
+    maxlength: [20, 'Fail label cannot exceed 20 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+gradingSchemeSchema.index({ schemeId: 1, version: 1 }, { unique: true });
+gradingSchemeSchema.index({ isActive: 1 });
+
+// Validation error for a scheme definition problem, so callers can tell it
+// apart from database failures
+const invalidScheme = (path, message) => {
+  const error = new mongoose.Error.ValidationError();
+  error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+  return error;
+};
+
+// Pre-validate middleware to generate scheme ID and check the bands
+gradingSchemeSchema.pre('validate', function(next) {
+  if (!this.schemeId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.schemeId = `GS${timestamp}${random}`.toUpperCase();
+  }
+
+  if (this.type === 'pass_fail') {
+    if (this.bands.length > 0) {
+      return next(invalidScheme('bands', 'Pass/fail schemes do not take grade bands'));
+    }
+    return next();
+  }
+
+  if (this.bands.length === 0) {
+    return next(invalidScheme('bands', `A ${this.type} scheme needs at least one grade band`));
+  }
+
+  const grades = new Set(this.bands.map(band => band.grade));
+  const minimums = new Set(this.bands.map(band => band.minScore));
+  if (grades.size !== this.bands.length || minimums.size !== this.bands.length) {
+    return next(invalidScheme('bands', 'Grade bands must have distinct grades and distinct minimums'));
+  }
+
+  // Keep bands highest first so resolution takes the first match
+  this.bands.sort((a, b) => b.minScore - a.minScore);
+
+  if (this.bands[this.bands.length - 1].minScore !== 0) {
+    return next(invalidScheme('bands', 'The lowest grade band must start at 0 so every score gets a grade'));
+  }
+
+  next();
+});
+
+// Instance method to resolve the grade for a scored result
+gradingSchemeSchema.methods.resolveGrade = function({ percentage, percentile, isPassed }) {
+  if (this.type === 'pass_fail') {
+    const label = isPassed ? this.passLabel : this.failLabel;
+    return { grade: label, performanceCategory: label };
+  }
+
+  const score = this.type === 'relative' ? percentile : percentage;
+  const band = this.bands.find(b => score >= b.minScore) || this.bands[this.bands.length - 1];
+
+  return {
+    grade: band.grade,
+    performanceCategory: band.performanceCategory || band.grade
+  };
+};
+
+// Static method to find the latest version of a scheme
+gradingSchemeSchema.statics.findLatest = function(schemeId) {
+  return this.findOne({ schemeId }).sort({ version: -1 });
+};
+
+// Static method to find a specific version of a scheme
+gradingSchemeSchema.statics.findVersion = function(schemeId, version) {
+  return this.findOne({ schemeId, version });
+};
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
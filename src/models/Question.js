@@ -107,10 +107,33 @@ const questionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Version questionHash is computed with (see utils/versionedHash); unset on
+  // questions hashed before versions were tracked
+  hashVersion: {
+    type: Number
+  },
   blockchainTxId: {
     type: String,
     trim: true
   },
+  // Set when anchoring on blockchain failed after every retry
+  anchorFailure: {
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    errorMessage: {
+      type: String,
+      trim: true
+    },
+    failedAt: {
+      type: Date
+    }
+  },
   usageCount: {
     type: Number,
     default: 0
@@ -140,7 +163,7 @@ questionSchema.virtual('fullQuestionId').get(function() {
 
 // Virtual for question hash
 questionSchema.virtual('questionHash').get(function() {
-  const crypto = require('crypto');
+  const versionedHash = require('../utils/versionedHash');
   const questionData = {
     questionText: this.questionText,
     options: this.options,
@@ -148,7 +171,7 @@ questionSchema.virtual('questionHash').get(function() {
     subject: this.subject,
     topic: this.topic
   };
-  return crypto.createHash('sha256').update(JSON.stringify(questionData)).digest('hex');
+  return versionedHash.hash(questionData, this.hashVersion);
 });
 
 // Indexes
@@ -199,6 +222,7 @@ questionSchema.methods.getForExam = function() {
   delete questionData.explanation;
   delete questionData.blockchainHash;
   delete questionData.blockchainTxId;
+  delete questionData.anchorFailure;
   delete questionData.verifiedBy;
   delete questionData.verifiedAt;
   return questionData;
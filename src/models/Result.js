@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Tie-breakers that can separate equal marks when ranking, in the order configured
+const RANK_TIE_BREAKERS = {
+  fewer_incorrect: { path: 'incorrectAnswers', direction: 1 },
+  hard_accuracy: { path: 'difficultyPerformance.hard.percentage', direction: -1 },
+  earlier_submission: { path: 'submittedAt', direction: 1 }
+};
+
 const resultSchema = new mongoose.Schema({
   resultId: {
     type: String,
@@ -42,8 +49,28 @@ const resultSchema = new mongoose.Schema({
   },
   grade: {
     type: String,
-    enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D', 'F'],
-    required: true
+    required: true,
+    trim: true,
+    maxlength: [20, 'Grade cannot exceed 20 characters']
+  },
+  performanceCategory: {
+    type: String,
+    trim: true
+  },
+  // Grading scheme version the grade was resolved with
+  gradingScheme: {
+    schemeId: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    version: {
+      type: Number
+    },
+    type: {
+      type: String,
+      enum: ['absolute', 'relative', 'pass_fail']
+    }
   },
   isPassed: {
     type: Boolean,
@@ -81,6 +108,10 @@ const resultSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Average time per question cannot be negative']
   },
+  // When the exam session ended (used as a ranking tie-breaker)
+  submittedAt: {
+    type: Date
+  },
   // Ranking information
   rank: {
     type: Number,
@@ -95,6 +126,47 @@ const resultSchema = new mongoose.Schema({
     min: [0, 'Percentile cannot be negative'],
     max: [100, 'Percentile cannot exceed 100']
   },
+  // Normalisation across the shifts of an exam event (raw values are kept
+  // alongside the normalised ones)
+  normalization: {
+    eventId: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    method: {
+      type: String,
+      enum: ['percentile', 'z_score']
+    },
+    rawMarks: {
+      type: Number
+    },
+    rawPercentage: {
+      type: Number
+    },
+    shiftPercentile: {
+      type: Number,
+      min: [0, 'Shift percentile cannot be negative'],
+      max: [100, 'Shift percentile cannot exceed 100']
+    },
+    normalizedScore: {
+      type: Number
+    },
+    eventRank: {
+      type: Number,
+      min: [1, 'Event rank must be at least 1']
+    },
+    eventParticipants: {
+      type: Number
+    },
+    parametersHash: {
+      type: String,
+      trim: true
+    },
+    normalizedAt: {
+      type: Date
+    }
+  },
   // Subject-wise performance
   subjectPerformance: [{
     subject: {
@@ -181,16 +253,76 @@ const resultSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set when anchoring on blockchain failed after every retry
+  anchorFailure: {
+    transactionId: {
+      type: String,
+      trim: true
+    },
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    errorMessage: {
+      type: String,
+      trim: true
+    },
+    failedAt: {
+      type: Date
+    }
+  },
+  // Set while the hash waits to be anchored in a Merkle batch
+  anchorQueuedAt: {
+    type: Date
+  },
+  // Inclusion proof of the anchored hash in its Merkle batch
+  merkleProof: {
+    batchId: {
+      type: String,
+      trim: true
+    },
+    leafIndex: {
+      type: Number,
+      min: [0, 'Leaf index cannot be negative']
+    },
+    leaf: {
+      type: String,
+      trim: true
+    },
+    root: {
+      type: String,
+      trim: true
+    },
+    path: [{
+      _id: false,
+      position: {
+        type: String,
+        enum: ['left', 'right']
+      },
+      hash: String
+    }]
+  },
   // Security and integrity
   resultHash: {
     type: String,
     required: true,
     trim: true
   },
+  // Version resultHash is computed with (see utils/versionedHash); unset on
+  // results hashed before versions were tracked
+  hashVersion: {
+    type: Number
+  },
+  // Ed25519 signature (base64) over the canonical signed fields, and the ID
+  // of the server key that made it (see SignatureService)
   signature: {
     type: String,
     trim: true
   },
+  signatureKeyId: {
+    type: String,
+    trim: true
+  },
   // Analytics and insights
   accuracy: {
     type: Number,
@@ -222,16 +354,6 @@ const resultSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for performance category
-resultSchema.virtual('performanceCategory').get(function() {
-  if (this.percentage >= 90) return 'Excellent';
-  if (this.percentage >= 80) return 'Very Good';
-  if (this.percentage >= 70) return 'Good';
-  if (this.percentage >= 60) return 'Average';
-  if (this.percentage >= 50) return 'Below Average';
-  return 'Poor';
-});
-
 // Virtual for rank percentage
 resultSchema.virtual('rankPercentage').get(function() {
   if (!this.rank || !this.totalParticipants) return null;
@@ -248,15 +370,19 @@ resultSchema.index({ rank: 1 });
 resultSchema.index({ percentage: 1 });
 resultSchema.index({ blockchainHash: 1 });
 resultSchema.index({ resultHash: 1 });
+resultSchema.index({ anchorQueuedAt: 1 }, { sparse: true });
 
 // Compound indexes
 resultSchema.index({ paperId: 1, rank: 1 });
 resultSchema.index({ studentId: 1, paperId: 1 });
 resultSchema.index({ paperId: 1, percentage: -1 });
+resultSchema.index({ paperId: 1, obtainedMarks: -1 });
+resultSchema.index({ 'normalization.eventId': 1, 'normalization.eventRank': 1 });
 resultSchema.index({ paperId: 1, status: 1 });
 
-// Pre-save middleware to generate result ID
-resultSchema.pre('save', function(next) {
+// Pre-validate middleware to generate result ID (resultId is required, so it
+// must exist before validation runs)
+resultSchema.pre('validate', function(next) {
   if (!this.resultId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -358,16 +484,102 @@ resultSchema.statics.getStatistics = function(paperId = null) {
   ]);
 };
 
-// Static method to calculate ranks for a paper
-resultSchema.statics.calculateRanks = async function(paperId) {
-  const results = await this.find({ paperId }).sort({ obtainedMarks: -1, totalTimeSpent: 1 });
-  
-  for (let i = 0; i < results.length; i++) {
-    const result = results[i];
-    await result.updateRank(i + 1, results.length);
+// Static method to calculate ranks and percentiles for a paper.
+// Equal marks share a rank unless a configured tie-breaker separates them:
+// 'competition' ranks 1,2,2,4 and 'dense' ranks 1,2,2,3. Percentile is
+// NTA-style, 100 x (candidates with marks <= own) / total, so tie-breakers
+// never change it. Results are streamed in sorted order and written in batches.
+resultSchema.statics.calculateRanks = async function(paperId, options = {}) {
+  const { method = 'competition', tieBreakers = [], batchSize = 1000 } = options;
+
+  const keys = [
+    { path: 'obtainedMarks', direction: -1 },
+    ...tieBreakers.map(name => {
+      const key = RANK_TIE_BREAKERS[name];
+      if (!key) {
+        throw new Error(`Unknown tie-breaker: ${name}`);
+      }
+      return key;
+    })
+  ];
+
+  const sort = {};
+  keys.forEach(key => {
+    sort[key.path] = key.direction;
+  });
+  sort._id = 1;
+
+  const totalParticipants = await this.countDocuments({ paperId });
+  if (totalParticipants === 0) {
+    return 0;
   }
-  
-  return results.length;
+
+  const projection = { _id: 1 };
+  keys.forEach(key => {
+    projection[key.path] = 1;
+  });
+
+  const cursor = this.find({ paperId }, projection)
+    .sort(sort)
+    .allowDiskUse(true)
+    .lean()
+    .cursor({ batchSize });
+
+  const readKey = (doc, path) => {
+    const value = path.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), doc);
+    return value instanceof Date ? value.getTime() : (value === undefined ? null : value);
+  };
+
+  let operations = [];
+  let position = 0;
+  let rank = 0;
+  let denseRank = 0;
+  let previousKeys = null;
+  let marksGroupStart = 0;
+  let previousMarks = null;
+
+  for await (const doc of cursor) {
+    const docKeys = keys.map(key => readKey(doc, key.path));
+
+    if (!previousKeys || docKeys.some((value, i) => value !== previousKeys[i])) {
+      rank = position + 1;
+      denseRank++;
+    }
+    if (doc.obtainedMarks !== previousMarks) {
+      marksGroupStart = position;
+    }
+
+    // Everyone from this marks group onwards scored <= this candidate
+    const atOrBelow = Math.max(0, totalParticipants - marksGroupStart);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            rank: method === 'dense' ? denseRank : rank,
+            totalParticipants,
+            percentile: Math.round((atOrBelow / totalParticipants) * 100 * 1e7) / 1e7
+          }
+        }
+      }
+    });
+
+    if (operations.length >= batchSize) {
+      await this.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+
+    previousKeys = docKeys;
+    previousMarks = doc.obtainedMarks;
+    position++;
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+  }
+
+  return position;
 };
 
 // Static method to get performance analytics
@@ -76,6 +76,20 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
+  // Public key that Shamir key shares are encrypted to when this user holds one
+  shareKey: {
+    publicKey: {
+      type: String,
+      trim: true
+    },
+    fingerprint: {
+      type: String,
+      trim: true
+    },
+    registeredAt: {
+      type: Date
+    }
+  },
   emailVerified: {
     type: Boolean,
     default: false
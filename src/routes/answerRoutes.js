@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
-const { authenticateToken, authorizeStudent } = require('../middleware/auth');
+const { authenticateToken, authorizeStudent, authorizeAdmin } = require('../middleware/auth');
+const { requireRunningSession } = require('../middleware/examSession');
+const { saveAnswerRules } = require('../middleware/answerValidation');
+const AnswerController = require('../controllers/answerController');
 
 const router = express.Router();
+const answerController = new AnswerController();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -18,19 +22,7 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // Save answer validation
-const saveAnswerValidation = [
-  body('questionId')
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Question ID must be 1-50 characters'),
-  body('selectedOption')
-    .isIn(['A', 'B', 'C', 'D'])
-    .withMessage('Selected option must be A, B, C, or D'),
-  body('timeSpent')
-    .isInt({ min: 0 })
-    .withMessage('Time spent must be a non-negative integer'),
-  handleValidationErrors
-];
+const saveAnswerValidation = [...saveAnswerRules, handleValidationErrors];
 
 // Student ID validation
 const studentIdValidation = [
@@ -60,33 +52,8 @@ router.post(
   authenticateToken,
   authorizeStudent,
   saveAnswerValidation,
-  async (req, res) => {
-    try {
-      const { questionId, selectedOption, timeSpent } = req.body;
-      const studentId = req.user._id;
-
-      // TODO: Implement answer saving logic with encryption
-      res.status(200).json({
-        success: true,
-        message: 'Answer saved successfully',
-        data: {
-          answerId: 'A' + Date.now(),
-          questionId,
-          selectedOption,
-          timeSpent,
-          encryptedAnswer: 'encrypted_data_' + Date.now(),
-          answerHash: 'hash_' + Date.now(),
-          submittedAt: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to save answer',
-        error: error.message
-      });
-    }
-  }
+  requireRunningSession,
+  answerController.saveAnswer
 );
 
 /**
@@ -211,6 +178,42 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/answers/:answerId/history
+ * @desc    Get the tamper-evident revision history of an answer
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:answerId/history',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('answerId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Answer ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  answerController.getAnswerHistory
+);
+
+/**
+ * @route   GET /api/answers/:answerId/proof
+ * @desc    Get the Merkle inclusion proof of an answer's anchored chain head
+ * @access  Public
+ */
+router.get(
+  '/:answerId/proof',
+  [
+    param('answerId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Answer ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  answerController.getAnswerProof
+);
+
 /**
  * @route   POST /api/answers/evaluate/:answerId
  * @desc    Evaluate a specific answer
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authRateLimiter } = require('../middleware/auth');
+const { authenticateToken, authorize, authRateLimiter } = require('../middleware/auth');
 const AuthController = require('../controllers/authController');
 
 const router = express.Router();
@@ -85,6 +85,17 @@ const changePasswordValidation = [
   handleValidationErrors
 ];
 
+// Share key validation
+const shareKeyValidation = [
+  body('publicKey')
+    .isString()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Public key must be a PEM-encoded key')
+    .contains('-----BEGIN PUBLIC KEY-----')
+    .withMessage('Public key must be a PEM-encoded SubjectPublicKeyInfo key'),
+  handleValidationErrors
+];
+
 // Refresh token validation
 const refreshTokenValidation = [
   body('refreshToken')
@@ -162,4 +173,17 @@ router.post(
   authController.changePassword
 );
 
+/**
+ * @route   PUT /api/auth/share-key
+ * @desc    Register the public key that Shamir key shares are encrypted to
+ * @access  Private (Admin, State, Internal)
+ */
+router.put(
+  '/share-key',
+  authenticateToken,
+  authorize('admin', 'state', 'internal'),
+  shareKeyValidation,
+  authController.setShareKey
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,96 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const BlockchainController = require('../controllers/blockchainController');
+
+const router = express.Router();
+const blockchainController = new BlockchainController();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Transaction ID validation (transaction ID or Solana signature)
+const txIdValidation = [
+  param('txId')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Transaction ID must be 1-100 characters'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/blockchain/get/:txId
+ * @desc    Get a blockchain transaction by transaction ID or Solana signature
+ * @access  Private
+ */
+router.get(
+  '/get/:txId',
+  authenticateToken,
+  txIdValidation,
+  blockchainController.getTransaction
+);
+
+/**
+ * @route   GET /api/blockchain/verify/:entityType/:entityId
+ * @desc    Verify an answer, result, paper or exam event rank list against its
+ *          blockchain anchor
+ * @access  Public
+ */
+router.get(
+  '/verify/:entityType/:entityId',
+  [
+    param('entityType')
+      .isIn(['answer', 'result', 'paper', 'ranklist'])
+      .withMessage('Entity type must be answer, result, paper or ranklist'),
+    param('entityId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Entity ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  blockchainController.verifyEntity
+);
+
+/**
+ * @route   GET /api/blockchain/failed
+ * @desc    List anchors that failed after every retry
+ * @access  Private (Admin)
+ */
+router.get(
+  '/failed',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be between 1 and 1000'),
+    handleValidationErrors
+  ],
+  blockchainController.getFailedAnchors
+);
+
+/**
+ * @route   POST /api/blockchain/retry/:txId
+ * @desc    Retry a failed transaction now, with a fresh retry budget
+ * @access  Private (Admin)
+ */
+router.post(
+  '/retry/:txId',
+  authenticateToken,
+  authorizeAdmin,
+  txIdValidation,
+  blockchainController.retryTransaction
+);
+
+module.exports = router;
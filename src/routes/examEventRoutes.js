@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { authenticateToken, authorizeAdmin, optionalAuth } = require('../middleware/auth');
+const ExamEventController = require('../controllers/examEventController');
+
+const router = express.Router();
+const examEventController = new ExamEventController();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Event ID validation
+const eventIdValidation = param('eventId')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Event ID must be 1-50 characters');
+
+// Shift paper IDs validation
+const paperIdsValidation = [
+  body('paperIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Paper IDs must be an array of 1-50 entries'),
+  body('paperIds.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Paper ID must be 1-50 characters')
+];
+
+/**
+ * @route   POST /api/events
+ * @desc    Create an exam event from the papers of its shifts
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be 1-200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must not exceed 1000 characters'),
+    ...paperIdsValidation,
+    handleValidationErrors
+  ],
+  examEventController.createEvent
+);
+
+/**
+ * @route   GET /api/events/:eventId
+ * @desc    Get an exam event with its normalisation parameters
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:eventId',
+  authenticateToken,
+  authorizeAdmin,
+  [eventIdValidation, handleValidationErrors],
+  examEventController.getEvent
+);
+
+/**
+ * @route   POST /api/events/:eventId/papers
+ * @desc    Add shift papers to an exam event
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:eventId/papers',
+  authenticateToken,
+  authorizeAdmin,
+  [eventIdValidation, ...paperIdsValidation, handleValidationErrors],
+  examEventController.addPapers
+);
+
+/**
+ * @route   POST /api/events/:eventId/normalize
+ * @desc    Normalise shift results into a merged merit list
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:eventId/normalize',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    eventIdValidation,
+    body('method')
+      .optional()
+      .isIn(['percentile', 'z_score'])
+      .withMessage('Method must be percentile or z_score'),
+    handleValidationErrors
+  ],
+  examEventController.normalizeEvent
+);
+
+/**
+ * @route   POST /api/events/:eventId/publish
+ * @desc    Publish the merged merit list of an exam event
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:eventId/publish',
+  authenticateToken,
+  authorizeAdmin,
+  [eventIdValidation, handleValidationErrors],
+  examEventController.publishEvent
+);
+
+/**
+ * @route   GET /api/events/:eventId/merit-list
+ * @desc    Get the merged merit list (admins can preview it before publication)
+ * @access  Public
+ */
+router.get(
+  '/:eventId/merit-list',
+  optionalAuth,
+  [
+    eventIdValidation,
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be between 1 and 1000'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be non-negative'),
+    handleValidationErrors
+  ],
+  examEventController.getMeritList
+);
+
+module.exports = router;
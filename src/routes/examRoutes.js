@@ -1,8 +1,14 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const { authenticateToken, authorizeStudent, examRateLimiter } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, authorizeStudent, authorizeAdmin, examRateLimiter } = require('../middleware/auth');
+const { requireRunningSession } = require('../middleware/examSession');
+const { saveAnswerRules } = require('../middleware/answerValidation');
+const ExamController = require('../controllers/examController');
+const AnswerController = require('../controllers/answerController');
 
 const router = express.Router();
+const examController = new ExamController();
+const answerController = new AnswerController();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -26,22 +32,32 @@ const startExamValidation = [
   handleValidationErrors
 ];
 
-// Submit answer validation
-const submitAnswerValidation = [
-  body('questionId')
+// Session ID validation
+const sessionIdValidation = [
+  body('sessionId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Session ID must be 1-50 characters'),
+  handleValidationErrors
+];
+
+// Terminate exam validation
+const terminateExamValidation = [
+  body('sessionId')
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Question ID must be 1-50 characters'),
-  body('selectedOption')
-    .isIn(['A', 'B', 'C', 'D'])
-    .withMessage('Selected option must be A, B, C, or D'),
-  body('timeSpent')
+    .withMessage('Session ID must be 1-50 characters'),
+  body('reason')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Time spent must be a non-negative integer'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
   handleValidationErrors
 ];
 
+// Submit answer validation
+const submitAnswerValidation = [...saveAnswerRules, handleValidationErrors];
+
 // Log activity validation
 const logActivityValidation = [
   body('activityType')
@@ -59,6 +75,15 @@ const logActivityValidation = [
   handleValidationErrors
 ];
 
+// Session ID (path) validation
+const sessionIdParamValidation = [
+  param('sessionId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Session ID must be 1-50 characters'),
+  handleValidationErrors
+];
+
 // Student ID validation
 const studentIdValidation = [
   param('studentId')
@@ -79,31 +104,7 @@ router.post(
   authorizeStudent,
   examRateLimiter,
   startExamValidation,
-  async (req, res) => {
-    try {
-      const { paperId } = req.body;
-      const studentId = req.user._id;
-
-      // TODO: Implement exam start logic
-      res.status(200).json({
-        success: true,
-        message: 'Exam started successfully',
-        data: {
-          sessionId: 'S' + Date.now(),
-          paperId,
-          startTime: new Date().toISOString(),
-          status: 'started',
-          timeRemaining: 180 * 60 // 3 hours in seconds
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to start exam',
-        error: error.message
-      });
-    }
-  }
+  examController.startExam
 );
 
 /**
@@ -117,31 +118,42 @@ router.post(
   authorizeStudent,
   examRateLimiter,
   submitAnswerValidation,
-  async (req, res) => {
-    try {
-      const { questionId, selectedOption, timeSpent } = req.body;
-      const studentId = req.user._id;
+  requireRunningSession,
+  answerController.saveAnswer
+);
 
-      // TODO: Implement answer submission logic
-      res.status(200).json({
-        success: true,
-        message: 'Answer submitted successfully',
-        data: {
-          answerId: 'A' + Date.now(),
-          questionId,
-          selectedOption,
-          timeSpent: timeSpent || 0,
-          submittedAt: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to submit answer',
-        error: error.message
-      });
-    }
-  }
+/**
+ * @route   GET /api/exam/questions
+ * @desc    Get the running session's questions in the candidate's variant order
+ * @access  Private (Student)
+ */
+router.get(
+  '/questions',
+  authenticateToken,
+  authorizeStudent,
+  [
+    query('sessionId')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Session ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  requireRunningSession,
+  examController.getQuestions
+);
+
+/**
+ * @route   GET /api/exam/variant/:sessionId
+ * @desc    Get a session's paper variant and rebuild it from its seed
+ * @access  Private (Admin)
+ */
+router.get(
+  '/variant/:sessionId',
+  authenticateToken,
+  authorizeAdmin,
+  sessionIdParamValidation,
+  examController.getSessionVariant
 );
 
 /**
@@ -190,34 +202,20 @@ router.get(
   '/session/:studentId',
   authenticateToken,
   studentIdValidation,
-  async (req, res) => {
-    try {
-      const { studentId } = req.params;
+  examController.getSessionInfo
+);
 
-      // TODO: Implement session info retrieval logic
-      res.status(200).json({
-        success: true,
-        message: 'Session info retrieved successfully',
-        data: {
-          sessionId: 'S' + Date.now(),
-          studentId,
-          paperId: 'P123456',
-          startTime: new Date().toISOString(),
-          status: 'in_progress',
-          timeRemaining: 120 * 60, // 2 hours remaining
-          currentQuestion: 15,
-          totalQuestions: 50,
-          answeredQuestions: 12
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get session info',
-        error: error.message
-      });
-    }
-  }
+/**
+ * @route   POST /api/exam/heartbeat
+ * @desc    Record a client heartbeat for an exam session
+ * @access  Private (Student)
+ */
+router.post(
+  '/heartbeat',
+  authenticateToken,
+  authorizeStudent,
+  sessionIdValidation,
+  examController.heartbeat
 );
 
 /**
@@ -229,25 +227,8 @@ router.post(
   '/pause',
   authenticateToken,
   authorizeStudent,
-  async (req, res) => {
-    try {
-      // TODO: Implement exam pause logic
-      res.status(200).json({
-        success: true,
-        message: 'Exam paused successfully',
-        data: {
-          status: 'paused',
-          pausedAt: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to pause exam',
-        error: error.message
-      });
-    }
-  }
+  sessionIdValidation,
+  examController.pauseExam
 );
 
 /**
@@ -259,25 +240,8 @@ router.post(
   '/resume',
   authenticateToken,
   authorizeStudent,
-  async (req, res) => {
-    try {
-      // TODO: Implement exam resume logic
-      res.status(200).json({
-        success: true,
-        message: 'Exam resumed successfully',
-        data: {
-          status: 'in_progress',
-          resumedAt: new Date().toISOString()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to resume exam',
-        error: error.message
-      });
-    }
-  }
+  sessionIdValidation,
+  examController.resumeExam
 );
 
 /**
@@ -289,28 +253,21 @@ router.post(
   '/complete',
   authenticateToken,
   authorizeStudent,
-  async (req, res) => {
-    try {
-      // TODO: Implement exam completion logic
-      res.status(200).json({
-        success: true,
-        message: 'Exam completed successfully',
-        data: {
-          status: 'completed',
-          completedAt: new Date().toISOString(),
-          totalTimeSpent: 150 * 60, // 2.5 hours
-          totalQuestions: 50,
-          answeredQuestions: 45
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to complete exam',
-        error: error.message
-      });
-    }
-  }
+  sessionIdValidation,
+  examController.completeExam
+);
+
+/**
+ * @route   POST /api/exam/terminate
+ * @desc    Terminate an exam session
+ * @access  Private (Admin)
+ */
+router.post(
+  '/terminate',
+  authenticateToken,
+  authorizeAdmin,
+  terminateExamValidation,
+  examController.terminateExam
 );
 
 module.exports = router; 
\ No newline at end of file
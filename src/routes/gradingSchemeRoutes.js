@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const GradingSchemeController = require('../controllers/gradingSchemeController');
+
+const router = express.Router();
+const gradingSchemeController = new GradingSchemeController();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Scheme definition fields (required on create, optional on update)
+const schemeFieldValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(['absolute', 'relative', 'pass_fail'])
+    .withMessage('Type must be absolute, relative or pass_fail'),
+  body('bands')
+    .optional()
+    .isArray({ max: 26 })
+    .withMessage('Bands must be an array of at most 26 entries'),
+  body('bands.*.grade')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Band grade must be 1-20 characters'),
+  body('bands.*.minScore')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Band minimum must be between 0 and 100'),
+  body('bands.*.performanceCategory')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Performance category must not exceed 50 characters'),
+  body('passLabel')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Pass label must be 1-20 characters'),
+  body('failLabel')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Fail label must be 1-20 characters')
+];
+
+// Scheme ID validation
+const schemeIdValidation = param('schemeId')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Scheme ID must be 1-50 characters');
+
+/**
+ * @route   POST /api/grading-schemes
+ * @desc    Create a grading scheme
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  authenticateToken,
+  authorizeAdmin,
+  [...schemeFieldValidation(false), handleValidationErrors],
+  gradingSchemeController.createScheme
+);
+
+/**
+ * @route   GET /api/grading-schemes
+ * @desc    List the latest version of every grading scheme
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  authenticateToken,
+  authorizeAdmin,
+  gradingSchemeController.listSchemes
+);
+
+/**
+ * @route   GET /api/grading-schemes/:schemeId
+ * @desc    Get a grading scheme (latest version unless ?version is given)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:schemeId',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    schemeIdValidation,
+    query('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    handleValidationErrors
+  ],
+  gradingSchemeController.getScheme
+);
+
+/**
+ * @route   PUT /api/grading-schemes/:schemeId
+ * @desc    Save a new version of a grading scheme
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:schemeId',
+  authenticateToken,
+  authorizeAdmin,
+  [schemeIdValidation, ...schemeFieldValidation(true), handleValidationErrors],
+  gradingSchemeController.updateScheme
+);
+
+module.exports = router;
@@ -1,8 +1,16 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
-const { authenticateToken, authorizeAdmin, authorizeInternal } = require('../middleware/auth');
+const { authenticateToken, authorize, authorizeAdmin } = require('../middleware/auth');
+const PaperController = require('../controllers/paperController');
+const GradingSchemeController = require('../controllers/gradingSchemeController');
+const ResultController = require('../controllers/resultController');
+const ShareController = require('../controllers/shareController');
 
 const router = express.Router();
+const paperController = new PaperController();
+const gradingSchemeController = new GradingSchemeController();
+const resultController = new ResultController();
+const shareController = new ShareController();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +25,83 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Blueprint validation (shared by generation and the dry-run check)
+const blueprintRules = [
+  body('blueprint.sections')
+    .if(body('blueprint').exists())
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Blueprint sections must be an array of 1-50 sections'),
+  body('blueprint.sections.*.subject')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Section subject must be 1-100 characters'),
+  body('blueprint.sections.*.topic')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Section topic must be 1-100 characters'),
+  body('blueprint.sections.*.count')
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Section count must be between 1 and 200')
+    .toInt(),
+  body('blueprint.sections.*.difficulty.*')
+    .isInt({ min: 0, max: 200 })
+    .withMessage('Section difficulty counts must be non-negative')
+    .toInt(),
+  body('blueprint.totalMarks')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Blueprint total marks must be between 1 and 1000')
+    .toInt(),
+  body(['blueprint.includeTags', 'blueprint.excludeTags'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Blueprint tags must be an array'),
+  body(['blueprint.includeTags.*', 'blueprint.excludeTags.*'])
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tags must be 1-50 characters'),
+  body('blueprint.minPerState')
+    .optional()
+    .isInt({ min: 0, max: 200 })
+    .withMessage('Minimum questions per state must be non-negative')
+    .toInt(),
+  body('blueprint.stateQuotas')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('State quotas must be an array'),
+  body('blueprint.stateQuotas.*.stateCode')
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Quota state code must be 1-10 characters'),
+  body('blueprint.stateQuotas.*.min')
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Quota minimum must be between 1 and 200')
+    .toInt()
+];
+
+// Release window validation (shared by generation, where the window is
+// optional, and the window update)
+const releaseWindowRules = (prefix = '') => {
+  const field = name => (prefix
+    ? body(`${prefix}${name}`).if(body(prefix.slice(0, -1)).exists())
+    : body(name));
+
+  return [
+    field('opensAt')
+      .isISO8601()
+      .withMessage('opensAt must be an ISO 8601 date'),
+    field('activateAt')
+      .isISO8601()
+      .withMessage('activateAt must be an ISO 8601 date'),
+    field('closesAt')
+      .optional()
+      .isISO8601()
+      .withMessage('closesAt must be an ISO 8601 date')
+  ];
+};
+
 // Paper generation validation
 const generatePaperValidation = [
   body('title')
@@ -28,6 +113,7 @@ const generatePaperValidation = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Subject must be 1-100 characters'),
   body('totalQuestions')
+    .if(body('blueprint').not().exists())
     .isInt({ min: 1, max: 200 })
     .withMessage('Total questions must be between 1 and 200'),
   body('duration')
@@ -49,11 +135,25 @@ const generatePaperValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Passing marks must be at least 1'),
+  body('marksPerQuestion')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Marks per question must be between 1 and 5'),
+  body('negativeMarking')
+    .optional()
+    .isBoolean()
+    .withMessage('Negative marking must be a boolean'),
+  body('negativeMarkingRatio')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Negative marking ratio must be between 0 and 1'),
   body('instructions')
     .optional()
     .trim()
     .isLength({ max: 2000 })
     .withMessage('Instructions must not exceed 2000 characters'),
+  ...blueprintRules,
+  ...releaseWindowRules('releaseWindow.'),
   handleValidationErrors
 ];
 
@@ -73,7 +173,12 @@ const shamirSharesValidation = [
     .withMessage('Shares must be a non-empty array'),
   body('shares.*.shareId')
     .isInt({ min: 1 })
-    .withMessage('Share ID must be a positive integer'),
+    .withMessage('Share ID must be a positive integer')
+    .toInt(),
+  body('paperId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Paper ID must be 1-50 characters'),
   body('shares.*.share')
     .notEmpty()
     .withMessage('Share data is required'),
@@ -90,30 +195,31 @@ router.post(
   authenticateToken,
   authorizeAdmin,
   generatePaperValidation,
-  async (req, res) => {
-    try {
-      // TODO: Implement paper generation logic
-      res.status(200).json({
-        success: true,
-        message: 'Paper generation endpoint - implementation pending',
-        data: {
-          paperId: 'P' + Date.now(),
-          status: 'generated'
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate paper',
-        error: error.message
-      });
-    }
-  }
+  paperController.generatePaper
+);
+
+/**
+ * @route   POST /api/paper/blueprint/check
+ * @desc    Check whether the question pool can satisfy a blueprint
+ * @access  Private (Admin)
+ */
+router.post(
+  '/blueprint/check',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    body('blueprint')
+      .isObject()
+      .withMessage('Blueprint is required'),
+    ...blueprintRules,
+    handleValidationErrors
+  ],
+  paperController.checkBlueprint
 );
 
 /**
  * @route   GET /api/paper/distribute
- * @desc    Distribute Shamir key parts
+ * @desc    Distribute Shamir key parts, encrypted to each holder's share key
  * @access  Private (Admin)
  */
 router.get(
@@ -125,65 +231,25 @@ router.get(
       .trim()
       .isLength({ min: 1, max: 50 })
       .withMessage('Paper ID must be 1-50 characters'),
+    query('holders')
+      .matches(/^[a-f\d]{24}(,[a-f\d]{24})*$/i)
+      .withMessage('Holders must be a comma-separated list of user IDs'),
     handleValidationErrors
   ],
-  async (req, res) => {
-    try {
-      const { paperId } = req.query;
-      
-      // TODO: Implement Shamir key distribution logic
-      res.status(200).json({
-        success: true,
-        message: 'Shamir key distribution endpoint - implementation pending',
-        data: {
-          paperId,
-          shares: [],
-          threshold: 3,
-          totalParts: 5
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to distribute Shamir keys',
-        error: error.message
-      });
-    }
-  }
+  paperController.distributeShamirKey
 );
 
 /**
  * @route   POST /api/paper/decrypt
- * @desc    Submit all Shamir parts and decrypt
- * @access  Private (System Trigger)
+ * @desc    Submit Shamir parts during the release window; decrypts once the threshold is met
+ * @access  Private (Share holders, System Trigger)
  */
 router.post(
   '/decrypt',
   authenticateToken,
-  authorizeInternal,
+  authorize('internal', 'admin', 'state'),
   shamirSharesValidation,
-  async (req, res) => {
-    try {
-      const { paperId, shares } = req.body;
-      
-      // TODO: Implement paper decryption logic
-      res.status(200).json({
-        success: true,
-        message: 'Paper decryption endpoint - implementation pending',
-        data: {
-          paperId,
-          decrypted: true,
-          questions: []
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to decrypt paper',
-        error: error.message
-      });
-    }
-  }
+  paperController.decryptPaper
 );
 
 /**
@@ -200,28 +266,19 @@ router.get(
       .withMessage('Paper ID must be 1-50 characters'),
     handleValidationErrors
   ],
-  async (req, res) => {
-    try {
-      const { paperId } = req.query;
-      
-      // TODO: Implement paper hash retrieval logic
-      res.status(200).json({
-        success: true,
-        message: 'Paper hash retrieval endpoint - implementation pending',
-        data: {
-          paperId,
-          hash: 'sample_hash_' + Date.now(),
-          blockchainTxId: 'tx_' + Date.now()
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get paper hash',
-        error: error.message
-      });
-    }
-  }
+  paperController.getPaperHash
+);
+
+/**
+ * @route   GET /api/paper/statistics
+ * @desc    Get paper statistics
+ * @access  Private (Admin)
+ */
+router.get(
+  '/statistics',
+  authenticateToken,
+  authorizeAdmin,
+  paperController.getStatistics
 );
 
 /**
@@ -233,28 +290,282 @@ router.get(
   '/:paperId',
   authenticateToken,
   paperIdValidation,
-  async (req, res) => {
-    try {
-      const { paperId } = req.params;
-      
-      // TODO: Implement paper retrieval logic
-      res.status(200).json({
-        success: true,
-        message: 'Paper retrieval endpoint - implementation pending',
-        data: {
-          paperId,
-          title: 'Sample Paper',
-          status: 'active'
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get paper',
-        error: error.message
-      });
-    }
-  }
+  paperController.getPaper
+);
+
+/**
+ * @route   POST /api/paper/:paperId/activate
+ * @desc    Activate a decrypted paper for exams
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:paperId/activate',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  paperController.activatePaper
+);
+
+/**
+ * @route   POST /api/paper/:paperId/complete
+ * @desc    Complete an active paper
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:paperId/complete',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  paperController.completePaper
+);
+
+/**
+ * @route   GET /api/paper/:paperId/verify
+ * @desc    Verify paper integrity against its generation and blockchain hashes
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:paperId/verify',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  paperController.verifyPaper
+);
+
+/**
+ * @route   PUT /api/paper/:paperId/release-window
+ * @desc    Set when shares are accepted and when the paper activates
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:paperId/release-window',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('paperId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Paper ID must be 1-50 characters'),
+    ...releaseWindowRules(),
+    handleValidationErrors
+  ],
+  paperController.setReleaseWindow
+);
+
+/**
+ * @route   GET /api/paper/:paperId/share-submissions
+ * @desc    Get the log of share submissions for a paper
+ * @access  Private (Admin)
+ */
+router.get(
+  '/:paperId/share-submissions',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  paperController.getShareSubmissions
+);
+
+// Share ID (path) validation
+const shareIdValidation = [
+  param('paperId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Paper ID must be 1-50 characters'),
+  param('shareId')
+    .isInt({ min: 1 })
+    .withMessage('Share ID must be a positive integer')
+    .toInt()
+];
+
+/**
+ * @route   GET /api/paper/:paperId/shares
+ * @desc    Get share custody status (admins: all shares; holders: their own)
+ * @access  Private (Share holders, Admin)
+ */
+router.get(
+  '/:paperId/shares',
+  authenticateToken,
+  authorize('admin', 'state', 'internal'),
+  paperIdValidation,
+  shareController.listShares
+);
+
+/**
+ * @route   POST /api/paper/:paperId/shares/distribute
+ * @desc    Distribute shares, encrypted to each holder's share key
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:paperId/shares/distribute',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('paperId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Paper ID must be 1-50 characters'),
+    body('holders')
+      .isArray({ min: 2, max: 20 })
+      .withMessage('Holders must be an array of 2-20 user IDs'),
+    body('holders.*')
+      .isMongoId()
+      .withMessage('Each holder must be a user ID'),
+    handleValidationErrors
+  ],
+  shareController.distributeShares
+);
+
+/**
+ * @route   POST /api/paper/:paperId/shares/reshare
+ * @desc    Rotate the paper key from threshold current shares and re-share it to new holders
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:paperId/shares/reshare',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('paperId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Paper ID must be 1-50 characters'),
+    body('shares')
+      .isArray({ min: 2 })
+      .withMessage('Shares must be an array of at least 2 current shares'),
+    body('shares.*.shareId')
+      .isInt({ min: 1 })
+      .withMessage('Share ID must be a positive integer')
+      .toInt(),
+    body('shares.*.share')
+      .notEmpty()
+      .withMessage('Share data is required'),
+    body('holders')
+      .isArray({ min: 2, max: 20 })
+      .withMessage('Holders must be an array of 2-20 user IDs'),
+    body('holders.*')
+      .isMongoId()
+      .withMessage('Each holder must be a user ID'),
+    body('threshold')
+      .optional()
+      .isInt({ min: 2, max: 10 })
+      .withMessage('Threshold must be between 2 and 10')
+      .toInt(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    handleValidationErrors
+  ],
+  shareController.reshareShares
+);
+
+/**
+ * @route   GET /api/paper/:paperId/shares/:shareId
+ * @desc    Get the caller's share, encrypted to their share key
+ * @access  Private (Share holder)
+ */
+router.get(
+  '/:paperId/shares/:shareId',
+  authenticateToken,
+  authorize('admin', 'state', 'internal'),
+  [...shareIdValidation, handleValidationErrors],
+  shareController.getShare
+);
+
+/**
+ * @route   POST /api/paper/:paperId/shares/:shareId/acknowledge
+ * @desc    Acknowledge receipt of a share; the encrypted copy is then deleted
+ * @access  Private (Share holder)
+ */
+router.post(
+  '/:paperId/shares/:shareId/acknowledge',
+  authenticateToken,
+  authorize('admin', 'state', 'internal'),
+  [
+    ...shareIdValidation,
+    body('shareHash')
+      .isHash('sha256')
+      .withMessage('Share hash must be a SHA-256 hex digest'),
+    handleValidationErrors
+  ],
+  shareController.acknowledgeShare
+);
+
+/**
+ * @route   POST /api/paper/:paperId/shares/:shareId/submit
+ * @desc    Submit a share for reconstruction during the release window
+ * @access  Private (Share holder)
+ */
+router.post(
+  '/:paperId/shares/:shareId/submit',
+  authenticateToken,
+  authorize('admin', 'state', 'internal'),
+  [
+    ...shareIdValidation,
+    body('share')
+      .notEmpty()
+      .withMessage('Share data is required'),
+    handleValidationErrors
+  ],
+  shareController.submitShare
+);
+
+/**
+ * @route   PUT /api/paper/:paperId/grading-scheme
+ * @desc    Attach a grading scheme version to a paper (latest version unless given)
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:paperId/grading-scheme',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('paperId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Paper ID must be 1-50 characters'),
+    body('schemeId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Scheme ID must be 1-50 characters'),
+    body('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    handleValidationErrors
+  ],
+  gradingSchemeController.attachToPaper
+);
+
+/**
+ * @route   PUT /api/paper/:paperId/ranking
+ * @desc    Set the ranking method and tie-breakers of a paper
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:paperId/ranking',
+  authenticateToken,
+  authorizeAdmin,
+  [
+    param('paperId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Paper ID must be 1-50 characters'),
+    body('method')
+      .optional()
+      .isIn(['competition', 'dense'])
+      .withMessage('Method must be competition or dense'),
+    body('tieBreakers')
+      .optional()
+      .isArray({ max: 3 })
+      .withMessage('Tie-breakers must be an array of at most 3 entries'),
+    body('tieBreakers.*')
+      .isIn(['fewer_incorrect', 'hard_accuracy', 'earlier_submission'])
+      .withMessage('Tie-breaker must be fewer_incorrect, hard_accuracy or earlier_submission'),
+    handleValidationErrors
+  ],
+  resultController.updateRankingSettings
 );
 
 /**
@@ -265,25 +576,7 @@ router.get(
 router.get(
   '/active/list',
   authenticateToken,
-  async (req, res) => {
-    try {
-      // TODO: Implement active papers retrieval logic
-      res.status(200).json({
-        success: true,
-        message: 'Active papers retrieval endpoint - implementation pending',
-        data: {
-          papers: [],
-          total: 0
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get active papers',
-        error: error.message
-      });
-    }
-  }
+  paperController.getActivePapers
 );
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,171 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const ResultController = require('../controllers/resultController');
+
+const router = express.Router();
+const resultController = new ResultController();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Rank list validation
+const rankListValidation = [
+  query('paperId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Paper ID must be 1-50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000'),
+  handleValidationErrors
+];
+
+// Session ID validation
+const sessionIdValidation = [
+  param('sessionId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Session ID must be 1-50 characters'),
+  handleValidationErrors
+];
+
+// Paper ID validation
+const paperIdValidation = [
+  param('paperId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Paper ID must be 1-50 characters'),
+  handleValidationErrors
+];
+
+// Student ID validation
+const studentIdValidation = [
+  param('studentId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Student ID must be 1-50 characters'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/result/ranklist
+ * @desc    Get the published rank list of a paper
+ * @access  Public
+ */
+router.get(
+  '/ranklist',
+  rankListValidation,
+  resultController.getRankList
+);
+
+/**
+ * @route   GET /api/result/session/:sessionId
+ * @desc    Get the result of an exam session
+ * @access  Private (Student/Admin)
+ */
+router.get(
+  '/session/:sessionId',
+  authenticateToken,
+  sessionIdValidation,
+  resultController.getSessionResult
+);
+
+/**
+ * @route   POST /api/result/calculate/:sessionId
+ * @desc    (Re)calculate the result of a completed session
+ * @access  Private (Admin)
+ */
+router.post(
+  '/calculate/:sessionId',
+  authenticateToken,
+  authorizeAdmin,
+  sessionIdValidation,
+  resultController.calculateResult
+);
+
+/**
+ * @route   POST /api/result/rank/:paperId
+ * @desc    Rank the results of a paper without publishing them
+ * @access  Private (Admin)
+ */
+router.post(
+  '/rank/:paperId',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  resultController.rankResults
+);
+
+/**
+ * @route   POST /api/result/publish/:paperId
+ * @desc    Rank and publish the results of a paper
+ * @access  Private (Admin)
+ */
+router.post(
+  '/publish/:paperId',
+  authenticateToken,
+  authorizeAdmin,
+  paperIdValidation,
+  resultController.publishResults
+);
+
+/**
+ * @route   GET /api/result/proof/:resultId
+ * @desc    Get the Merkle inclusion proof of a result's anchored hash
+ * @access  Public
+ */
+router.get(
+  '/proof/:resultId',
+  [
+    param('resultId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Result ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  resultController.getResultProof
+);
+
+/**
+ * @route   GET /api/result/bundle/:resultId
+ * @desc    Export a result as a signed bundle that can be verified offline
+ * @access  Private (Student/Admin)
+ */
+router.get(
+  '/bundle/:resultId',
+  authenticateToken,
+  [
+    param('resultId')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Result ID must be 1-50 characters'),
+    handleValidationErrors
+  ],
+  resultController.exportResultBundle
+);
+
+/**
+ * @route   GET /api/result/:studentId
+ * @desc    Get all results of a student
+ * @access  Private (Student/Admin)
+ */
+router.get(
+  '/:studentId',
+  authenticateToken,
+  studentIdValidation,
+  resultController.getStudentResults
+);
+
+module.exports = router;
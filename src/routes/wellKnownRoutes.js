@@ -0,0 +1,14 @@
+const express = require('express');
+const SignatureController = require('../controllers/signatureController');
+
+const router = express.Router();
+const signatureController = new SignatureController();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Get the public keys that sign results and answers (JWKS)
+ * @access  Public
+ */
+router.get('/jwks.json', signatureController.getJwks);
+
+module.exports = router;
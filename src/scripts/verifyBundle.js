@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Verify a signed result bundle offline, without database or API access.
+ *
+ * Usage: node src/scripts/verifyBundle.js <bundle.json> [public-key.pem|jwks.json]
+ *
+ * The bundle may be the raw bundle or the API response that wraps it. The
+ * public key (PEM, or the JWKS from /.well-known/jwks.json) pins the signer:
+ * without it anyone could have signed the bundle, so it is at best pending.
+ * Prints the report as JSON and exits with 0 on pass, 1 on fail and 2 while
+ * pending. The anchors are not looked up on chain.
+ */
+const fs = require('fs');
+const bundleVerifier = require('../utils/bundleVerifier');
+
+const EXIT_CODES = { pass: 0, fail: 1, pending: 2 };
+
+const [bundlePath, publicKeyPath] = process.argv.slice(2);
+if (!bundlePath) {
+  console.error('Usage: node src/scripts/verifyBundle.js <bundle.json> [public-key.pem|jwks.json]');
+  process.exit(64);
+}
+
+/**
+ * Read a PEM key, or pick the bundle's signing key out of a JWKS by key ID
+ */
+const readPublicKey = (path, bundle) => {
+  const content = fs.readFileSync(path, 'utf8');
+  if (!content.trim().startsWith('{')) {
+    return content;
+  }
+
+  const { keys } = JSON.parse(content);
+  const keyId = bundle.signature && bundle.signature.keyId;
+  return keys.find(key => key.kid === keyId) || keys[0];
+};
+
+try {
+  const document = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  const bundle = document.success !== undefined && document.data ? document.data : document;
+  const publicKey = publicKeyPath ? readPublicKey(publicKeyPath, bundle) : null;
+
+  const report = bundleVerifier.verify(bundle, { publicKey });
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(EXIT_CODES[report.verdict]);
+} catch (error) {
+  console.error(`Could not verify ${bundlePath}: ${error.message}`);
+  process.exit(1);
+}
@@ -10,6 +10,11 @@ const { connectDatabase } = require('./config/database');
 const { logger } = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const notFoundHandler = require('./middleware/notFoundHandler');
+const { startSessionExpiryJob } = require('./jobs/sessionExpiryJob');
+const { startPaperReleaseJob } = require('./jobs/paperReleaseJob');
+const { startKeyRotationJob } = require('./jobs/keyRotationJob');
+const { startAnchorBatchJob } = require('./jobs/anchorBatchJob');
+const { startBlockchainReconciliationJob } = require('./jobs/blockchainReconciliationJob');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -18,7 +23,10 @@ const paperRoutes = require('./routes/paperRoutes');
 const examRoutes = require('./routes/examRoutes');
 const answerRoutes = require('./routes/answerRoutes');
 const resultRoutes = require('./routes/resultRoutes');
+const gradingSchemeRoutes = require('./routes/gradingSchemeRoutes');
+const examEventRoutes = require('./routes/examEventRoutes');
 const blockchainRoutes = require('./routes/blockchainRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -64,6 +72,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public signing keys
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/state', stateRoutes);
@@ -71,6 +82,8 @@ app.use('/api/paper', paperRoutes);
 app.use('/api/exam', examRoutes);
 app.use('/api/answers', answerRoutes);
 app.use('/api/result', resultRoutes);
+app.use('/api/grading-schemes', gradingSchemeRoutes);
+app.use('/api/events', examEventRoutes);
 app.use('/api/blockchain', blockchainRoutes);
 
 // Error handling middleware
@@ -93,6 +106,13 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDatabase();
+
+    // Start background jobs
+    startSessionExpiryJob();
+    startPaperReleaseJob();
+    startKeyRotationJob();
+    startAnchorBatchJob();
+    startBlockchainReconciliationJob();
     
     app.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
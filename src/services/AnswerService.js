@@ -0,0 +1,259 @@
+const Answer = require('../models/Answer');
+const ExamPaper = require('../models/ExamPaper');
+const EncryptionService = require('../utils/encryption');
+const versionedHash = require('../utils/versionedHash');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Answer Service for persisting student answers
+ * Following Single Responsibility Principle (SRP)
+ */
+class AnswerService {
+  constructor(merkleAnchorService = null, signatureService = null) {
+    this.merkleAnchorService = merkleAnchorService;
+    this.signatureService = signatureService;
+    this.encryptionService = EncryptionService;
+  }
+
+  /**
+   * Save (create or update) an answer in a running exam session
+   * @param {Object} session - Running exam session
+   * @param {Object} answerData - Answer data (questionId, selectedOption, timeSpent, isMarkedForReview)
+   * @returns {Promise<Object>} Saved answer
+   */
+  async saveAnswer(session, answerData) {
+    try {
+      const { selectedOption, timeSpent = 0, isMarkedForReview = false } = answerData;
+      const questionId = answerData.questionId.toUpperCase();
+
+      const paper = await ExamPaper.findOne({ paperId: session.paperId });
+      if (!paper) {
+        throw new ServiceError('Exam paper not found for session', 404);
+      }
+
+      const paperQuestion = paper.questions.find(q => q.questionId === questionId);
+      const progress = session.questionProgress.find(p => p.questionId === questionId);
+      if (!paperQuestion || !progress) {
+        throw new ServiceError('Question is not part of this exam paper', 400, { questionId });
+      }
+
+      const submittedAt = new Date();
+      const totalTimeSpent = progress.timeSpent + timeSpent;
+
+      const { answer: savedAnswer, isReanswer } = await this.recordAnswer(session, questionId, {
+        questionNumber: progress.questionNumber,
+        maxMarks: paperQuestion.marks,
+        selectedOption,
+        timeSpent: totalTimeSpent,
+        submittedAt,
+        isMarkedForReview
+      });
+
+      // Update session progress
+      progress.timeSpent = totalTimeSpent;
+      session.currentQuestion = progress.questionNumber;
+      if (session.status === 'started') {
+        session.status = 'in_progress';
+      }
+      session.activities.push({
+        type: 'answer_submit',
+        timestamp: submittedAt,
+        questionNumber: progress.questionNumber
+      });
+      progress.isAnswered = true;
+      session.answeredQuestions = session.questionProgress.filter(p => p.isAnswered).length;
+      await session.updateQuestionProgress(progress.questionNumber, questionId, true, isMarkedForReview);
+
+      logger.info(`Answer ${isReanswer ? 'updated' : 'saved'}: ${savedAnswer.answerId} (session ${session.sessionId}, question ${questionId})`);
+      return savedAnswer;
+    } catch (error) {
+      logger.error('Error saving answer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the answer to a question and append the submission to its
+   * revision log. Two submits racing to create the same answer collide on the
+   * unique { sessionId, questionId } index; the one that loses is applied
+   * again as a re-answer of the other.
+   * @param {Object} session - Running exam session
+   * @param {string} questionId - Question ID
+   * @param {Object} submission - questionNumber, maxMarks, selectedOption,
+   * timeSpent (total), submittedAt, isMarkedForReview
+   * @param {boolean} retried - Whether this is the retry after a collision
+   * @returns {Promise<Object>} Saved answer and whether it was a re-answer
+   * @private
+   */
+  async recordAnswer(session, questionId, submission, retried = false) {
+    const existing = await Answer.findOne({ sessionId: session.sessionId, questionId });
+    const answer = existing || new Answer({
+      studentId: session.studentId,
+      sessionId: session.sessionId,
+      paperId: session.paperId,
+      questionId,
+      questionNumber: submission.questionNumber,
+      maxMarks: submission.maxMarks
+    });
+
+    answer.selectedOption = submission.selectedOption;
+    answer.timeSpent = submission.timeSpent;
+    answer.submittedAt = submission.submittedAt;
+    answer.isMarkedForReview = submission.isMarkedForReview;
+    this.sealAnswer(answer);
+    answer.appendRevision(session.timeRemaining);
+    if (this.signatureService) {
+      await this.signatureService.signAnswer(answer);
+    }
+
+    try {
+      const savedAnswer = existing ? await answer.incrementAttempts() : await answer.save();
+      return { answer: savedAnswer, isReanswer: Boolean(existing) };
+    } catch (error) {
+      if (!existing && !retried && error.code === 11000) {
+        return this.recordAnswer(session, questionId, submission, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the revision history of an answer with its chain verification
+   * @param {string} answerId - Answer ID
+   * @returns {Promise<Object>} Answer and verification result
+   */
+  async getAnswerHistory(answerId) {
+    try {
+      const answer = await Answer.findOne({ answerId: answerId.toUpperCase() });
+      if (!answer) {
+        throw new ServiceError('Answer not found', 404);
+      }
+
+      const verification = answer.verifyRevisionChain();
+      const anchoredHead = answer.blockchainHash || null;
+
+      return {
+        answer,
+        verification: {
+          ...verification,
+          encryptedAnswerMatches: this.verifyEncryptedAnswer(answer),
+          anchoredHead,
+          anchorMatches: anchoredHead ? anchoredHead === answer.revisionHead : null
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting answer history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Anchor the final revision chain heads of a session's answers as one
+   * Merkle batch; each answer keeps its inclusion proof
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number>} Number of answers anchored
+   */
+  async anchorSessionAnswers(sessionId) {
+    if (!this.merkleAnchorService) {
+      return 0;
+    }
+
+    const batch = await this.merkleAnchorService.anchorSession(sessionId);
+    if (!batch) {
+      return 0;
+    }
+
+    logger.info(`Anchored ${batch.anchored}/${batch.leafCount} answer chains for session ${sessionId} in batch ${batch.batchId}`);
+    return batch.anchored;
+  }
+
+  /**
+   * Move an answer's encrypted option under the active master key
+   * @param {Object} answer - Answer (encryptedAnswer, answerHash, timeSpent and its context)
+   * @returns {Object|null} Fields to update, or null if the answer is already current
+   */
+  resealAnswer(answer) {
+    const encryptionKeyId = this.encryptionService.getActiveKeyId();
+    const resealed = this.encryptionService.reseal(JSON.parse(answer.encryptedAnswer), this.getAnswerContext(answer));
+
+    if (!resealed) {
+      return answer.encryptionKeyId === encryptionKeyId ? null : { encryptionKeyId };
+    }
+
+    const encryptedAnswer = JSON.stringify(resealed);
+    return {
+      encryptedAnswer,
+      encryptionKeyId,
+      integrityHash: this.computeIntegrityHash(answer.answerHash, encryptedAnswer, answer.timeSpent)
+    };
+  }
+
+  /**
+   * Encrypt the selected option and compute the answer and integrity hashes
+   * @param {Object} answer - Answer document
+   * @private
+   */
+  sealAnswer(answer) {
+    answer.encryptedAnswer = JSON.stringify(
+      this.encryptionService.encrypt(answer.selectedOption, null, this.getAnswerContext(answer))
+    );
+    answer.encryptionKeyId = this.encryptionService.getActiveKeyId();
+
+    answer.hashVersion = versionedHash.currentVersion;
+    answer.answerHash = versionedHash.hash({
+      studentId: answer.studentId.toString(),
+      sessionId: answer.sessionId,
+      paperId: answer.paperId,
+      questionId: answer.questionId,
+      selectedOption: answer.selectedOption,
+      submittedAt: answer.submittedAt.toISOString()
+    }, answer.hashVersion);
+
+    answer.integrityHash = this.computeIntegrityHash(answer.answerHash, answer.encryptedAnswer, answer.timeSpent);
+  }
+
+  /**
+   * HMAC over the answer hash, encrypted answer and time spent
+   * @param {string} answerHash - Answer hash
+   * @param {string} encryptedAnswer - Encrypted answer envelope (JSON)
+   * @param {number} timeSpent - Time spent (seconds)
+   * @returns {string} Integrity hash
+   * @private
+   */
+  computeIntegrityHash(answerHash, encryptedAnswer, timeSpent) {
+    return this.encryptionService.generateHMAC(JSON.stringify({ answerHash, encryptedAnswer, timeSpent }));
+  }
+
+  /**
+   * Check that the encrypted answer decrypts, bound to this answer's student,
+   * session and question, to the selected option
+   * @param {Object} answer - Answer document
+   * @returns {boolean} True if the encrypted answer belongs to this answer
+   * @private
+   */
+  verifyEncryptedAnswer(answer) {
+    try {
+      const decrypted = this.encryptionService.decrypt(
+        JSON.parse(answer.encryptedAnswer),
+        null,
+        this.getAnswerContext(answer)
+      );
+      return decrypted === answer.selectedOption;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Associated data binding an encrypted answer to its student, session and question
+   * @param {Object} answer - Answer document
+   * @returns {string} Associated data
+   * @private
+   */
+  getAnswerContext(answer) {
+    return `answer:${answer.studentId.toString()}:${answer.sessionId}:${answer.questionId}`;
+  }
+}
+
+module.exports = AnswerService;
@@ -0,0 +1,322 @@
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const AnchorBatch = require('../models/AnchorBatch');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const Answer = require('../models/Answer');
+const Result = require('../models/Result');
+const ExamEvent = require('../models/ExamEvent');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_OPTIONS = {
+  batchSize: 100,
+  // Retry n waits baseDelayMs * 2^n after the last failure, up to maxDelayMs
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  // Pending records younger than this may still be awaiting confirmation in storeData
+  pendingGraceMs: 60 * 1000,
+  // Records without a blockhash height count as expired after this long
+  expiryMs: 5 * 60 * 1000,
+  // Confirmed records are checked for finalization for this long
+  finalizationWindowMs: 60 * 60 * 1000
+};
+
+// Entities anchored directly (not through a Merkle batch) and their ID field
+const ANCHORED_ENTITIES = {
+  Question: { model: Question, idField: 'questionId' },
+  ExamPaper: { model: ExamPaper, idField: 'paperId' },
+  Answer: { model: Answer, idField: 'answerId' },
+  Result: { model: Result, idField: 'resultId' },
+  ExamEvent: { model: ExamEvent, idField: 'eventId' }
+};
+
+/**
+ * Blockchain Reconciliation Service: settles pending transactions by their
+ * on-chain status, retries failed ones with exponential backoff, and flags
+ * the entities whose anchoring failed after every retry.
+ * Following Single Responsibility Principle (SRP)
+ */
+class BlockchainReconciliationService {
+  constructor(blockchainService, merkleAnchorService = null, options = {}) {
+    this.blockchainService = blockchainService;
+    this.merkleAnchorService = merkleAnchorService;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * One reconciliation pass over pending, unfinalized and failed transactions
+   * @returns {Promise<Object>} Outcome counts per group
+   */
+  async reconcile() {
+    try {
+      const now = Date.now();
+      const { batchSize, pendingGraceMs, finalizationWindowMs } = this.options;
+
+      const pending = await BlockchainTransaction.findPending()
+        .where('submittedAt').lte(new Date(now - pendingGraceMs))
+        .limit(batchSize);
+      const unfinalized = await BlockchainTransaction.findUnfinalized(new Date(now - finalizationWindowMs))
+        .limit(batchSize);
+      const failed = await BlockchainTransaction.findRetryable().limit(batchSize);
+
+      return {
+        pending: await this.settleAll(pending),
+        unfinalized: await this.settleAll(unfinalized),
+        failed: await this.retryAll(failed, now)
+      };
+    } catch (error) {
+      logger.error('Error reconciling blockchain transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transactions that ran out of retries, and the number of entities flagged
+   * per type
+   * @param {number} limit - Maximum transactions to return
+   * @returns {Promise<Object>} Transactions and flagged entity counts
+   */
+  async getFailedAnchors(limit = 100) {
+    try {
+      const transactions = await BlockchainTransaction.findPermanentlyFailed().limit(limit);
+
+      const entities = {};
+      for (const [entityType, { model }] of Object.entries(ANCHORED_ENTITIES)) {
+        entities[entityType] = await model.countDocuments({ 'anchorFailure.transactionId': { $exists: true } });
+      }
+
+      return { transactions, entities };
+    } catch (error) {
+      logger.error('Error getting failed anchors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retry a failed transaction now, with a fresh retry budget
+   * @param {string} txId - Transaction ID or Solana signature
+   * @returns {Promise<Object>} Transaction after the attempt
+   */
+  async retryNow(txId) {
+    try {
+      const transaction = await BlockchainTransaction.findOne({
+        $or: [{ transactionId: txId.toUpperCase() }, { solanaTxId: txId }]
+      });
+      if (!transaction) {
+        throw new ServiceError('Transaction not found', 404);
+      }
+      if (transaction.status !== 'failed') {
+        throw new ServiceError(`Cannot retry a transaction that is ${transaction.status}`, 409);
+      }
+      if (transaction.type === 'merkle_root' && await this.isBatchAbandoned(transaction)) {
+        throw new ServiceError('The records of this anchor batch have been queued again', 409);
+      }
+
+      transaction.retryCount = 0;
+      await this.blockchainService.retryTransaction(transaction);
+      if (transaction.status === 'confirmed') {
+        await this.recordAnchor(transaction);
+      }
+
+      return transaction;
+    } catch (error) {
+      logger.error('Error retrying blockchain transaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile sent transactions with their on-chain status
+   * @param {Array} transactions - Pending or unfinalized transactions
+   * @returns {Promise<Object>} Counts per outcome
+   * @private
+   */
+  async settleAll(transactions) {
+    const counts = {};
+
+    for (const transaction of transactions) {
+      try {
+        const wasConfirmed = transaction.status === 'confirmed';
+        const outcome = await this.blockchainService.reconcileTransaction(transaction, this.options.expiryMs);
+        if (!wasConfirmed && transaction.status === 'confirmed') {
+          await this.recordAnchor(transaction);
+        }
+        counts[outcome] = (counts[outcome] || 0) + 1;
+      } catch (error) {
+        counts.errors = (counts.errors || 0) + 1;
+        logger.warn(`Could not reconcile ${transaction.transactionId}: ${error.message}`);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Retry failed transactions whose backoff has elapsed. A transaction whose
+   * earlier attempt landed after all is recorded instead of being resent, and
+   * one that is still in flight is left alone.
+   * @param {Array} transactions - Failed transactions with retries left
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Counts per outcome
+   * @private
+   */
+  async retryAll(transactions, now) {
+    const counts = { waiting: 0, recovered: 0, retried: 0, permanentlyFailed: 0, errors: 0 };
+
+    for (const transaction of transactions) {
+      try {
+        if (now < this.getNextRetryAt(transaction)) {
+          counts.waiting++;
+          continue;
+        }
+
+        if (transaction.solanaTxId) {
+          const outcome = await this.blockchainService.reconcileTransaction(transaction, this.options.expiryMs);
+          if (transaction.status === 'confirmed') {
+            await this.recordAnchor(transaction);
+            counts.recovered++;
+            continue;
+          }
+          if (outcome === 'pending') {
+            counts.waiting++;
+            continue;
+          }
+        }
+
+        if (transaction.type === 'merkle_root' && await this.isBatchAbandoned(transaction)) {
+          // Its records went into a new batch; resending would anchor an orphan root
+          transaction.retryCount = transaction.maxRetries;
+          transaction.errorMessage = 'Anchor batch records were queued again';
+          await transaction.save();
+          continue;
+        }
+
+        const lastError = transaction.errorMessage;
+        await transaction.incrementRetry();
+        if (transaction.retryCount >= transaction.maxRetries) {
+          await this.markPermanentFailure(transaction, lastError);
+          counts.permanentlyFailed++;
+          continue;
+        }
+
+        await this.blockchainService.retryTransaction(transaction);
+        if (transaction.status === 'confirmed') {
+          await this.recordAnchor(transaction);
+        }
+        counts.retried++;
+      } catch (error) {
+        counts.errors++;
+        logger.warn(`Retry of ${transaction.transactionId} failed: ${error.message}`);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Time of the next retry: exponential backoff from the last failure
+   * @param {Object} transaction - Failed transaction
+   * @returns {number} Time (ms)
+   * @private
+   */
+  getNextRetryAt(transaction) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const delay = Math.min(baseDelayMs * 2 ** transaction.retryCount, maxDelayMs);
+    return (transaction.failedAt || transaction.submittedAt).getTime() + delay;
+  }
+
+  /**
+   * Whether a Merkle root's batch was given up and its records queued again
+   * @param {Object} transaction - merkle_root transaction
+   * @returns {Promise<boolean>} True if the batch failed
+   * @private
+   */
+  async isBatchAbandoned(transaction) {
+    const batch = await AnchorBatch.findOne({ batchId: transaction.entityId }).select('status');
+    return !batch || batch.status === 'failed';
+  }
+
+  /**
+   * Record a transaction confirmed by reconciliation or a retry on its entity,
+   * which never learned of it if the first attempt failed
+   * @param {Object} transaction - Confirmed transaction
+   * @private
+   */
+  async recordAnchor(transaction) {
+    const { transactionId, type, entityType, entityId, dataHash } = transaction;
+
+    if (type === 'merkle_root') {
+      await AnchorBatch.updateOne(
+        { batchId: entityId, status: { $ne: 'failed' } },
+        { $set: { status: 'anchored', blockchainTxId: transactionId, solanaTxId: transaction.solanaTxId } }
+      );
+      return;
+    }
+
+    const entity = ANCHORED_ENTITIES[entityType];
+    if (!entity) {
+      return;
+    }
+
+    const filter = { [entity.idField]: entityId };
+    const update = { $unset: { anchorFailure: '' } };
+
+    if (type === 'key_rotation') {
+      filter.keyRotations = { $elemMatch: { rotationHash: dataHash } };
+      update.$set = { 'keyRotations.$.blockchainTxId': transactionId };
+    } else if (type === 'rank_hash' && entityType === 'ExamEvent') {
+      filter['normalization.parametersHash'] = dataHash;
+      update.$set = { 'normalization.blockchainHash': dataHash, 'normalization.blockchainTxId': transactionId };
+    } else if (type !== 'rank_hash') {
+      // Only fill in an anchor the entity is missing or already points at
+      filter.$or = [
+        { blockchainTxId: null },
+        { blockchainTxId: transactionId },
+        { 'anchorFailure.transactionId': transactionId }
+      ];
+      update.$set = { blockchainHash: dataHash, blockchainTxId: transactionId };
+    }
+
+    await entity.model.updateOne(filter, update);
+  }
+
+  /**
+   * Flag the entity of a transaction that failed after every retry; a failed
+   * Merkle root instead puts its batch's records back in the queue
+   * @param {Object} transaction - Transaction out of retries
+   * @param {string} errorMessage - Last error before giving up
+   * @private
+   */
+  async markPermanentFailure(transaction, errorMessage) {
+    const { transactionId, type, entityType, entityId } = transaction;
+    logger.error(`Anchoring ${type} for ${entityType} ${entityId} failed permanently (${transactionId}): ${errorMessage}`);
+
+    if (type === 'merkle_root') {
+      if (this.merkleAnchorService) {
+        await this.merkleAnchorService.requeueBatch(entityId, errorMessage);
+      }
+      return;
+    }
+
+    const entity = ANCHORED_ENTITIES[entityType];
+    if (!entity) {
+      return;
+    }
+
+    await entity.model.updateOne(
+      { [entity.idField]: entityId },
+      {
+        $set: {
+          anchorFailure: {
+            transactionId,
+            transactionType: type,
+            errorMessage,
+            failedAt: new Date()
+          }
+        }
+      }
+    );
+  }
+}
+
+module.exports = BlockchainReconciliationService;
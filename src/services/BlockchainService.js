@@ -1,7 +1,14 @@
+const { Transaction, TransactionInstruction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58');
 const solanaConfig = require('../config/solana');
 const BlockchainTransaction = require('../models/BlockchainTransaction');
+const { ServiceError } = require('../utils/errors');
 const { logger } = require('../utils/logger');
 
+const MEMO_APP = 'nta';
+// Largest memo the SPL Memo program accepts in a single-signer transaction
+const MAX_MEMO_BYTES = 566;
+
 /**
  * Blockchain Service for Solana operations
  * Following Single Responsibility Principle (SRP)
@@ -125,11 +132,12 @@ class BlockchainService {
 
   /**
    * Store rank hash on blockchain
-   * @param {string} paperId - Paper ID
+   * @param {string} paperId - Paper ID (or exam event ID)
    * @param {string} hash - Rank hash
+   * @param {string} entityType - Ranked entity type (ExamPaper or ExamEvent)
    * @returns {Promise<Object>} Transaction result
    */
-  async storeRankHash(paperId, hash) {
+  async storeRankHash(paperId, hash, entityType = 'ExamPaper') {
     try {
       const data = {
         type: 'rank_hash',
@@ -138,7 +146,7 @@ class BlockchainService {
         timestamp: new Date().toISOString()
       };
 
-      return await this.storeData(data, 'rank_hash', 'ExamPaper', paperId);
+      return await this.storeData(data, 'rank_hash', entityType, paperId);
     } catch (error) {
       logger.error('Error storing rank hash:', error);
       throw error;
@@ -146,7 +154,58 @@ class BlockchainService {
   }
 
   /**
-   * Generic method to store data on blockchain
+   * Store a paper key rotation on blockchain
+   * @param {string} paperId - Paper ID
+   * @param {number} keyVersion - Key version the rotation produced
+   * @param {string} hash - Rotation hash
+   * @returns {Promise<Object>} Transaction result
+   */
+  async storeKeyRotation(paperId, keyVersion, hash) {
+    try {
+      const data = {
+        type: 'key_rotation',
+        paperId,
+        keyVersion,
+        hash,
+        timestamp: new Date().toISOString()
+      };
+
+      return await this.storeData(data, 'key_rotation', 'ExamPaper', paperId);
+    } catch (error) {
+      logger.error('Error storing key rotation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the Merkle root of an anchor batch on blockchain
+   * @param {string} batchId - Anchor batch ID
+   * @param {string} root - Merkle root
+   * @param {number} leafCount - Number of leaves under the root
+   * @returns {Promise<Object>} Transaction result
+   */
+  async storeMerkleRoot(batchId, root, leafCount) {
+    try {
+      const data = {
+        type: 'merkle_root',
+        batchId,
+        hash: root,
+        leafCount,
+        timestamp: new Date().toISOString()
+      };
+
+      return await this.storeData(data, 'merkle_root', 'AnchorBatch', batchId);
+    } catch (error) {
+      logger.error('Error storing Merkle root:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generic method to store data on blockchain: records the transaction as
+   * pending, sends it as a memo, and marks it confirmed once the cluster
+   * confirms it. Finalization is tracked in the background; failed and
+   * unconfirmed records are picked up by the reconciliation job.
    * @param {Object} data - Data to store
    * @param {string} type - Transaction type
    * @param {string} entityType - Entity type
@@ -156,6 +215,12 @@ class BlockchainService {
    */
   async storeData(data, type, entityType, entityId) {
     try {
+      if (!this.connection) {
+        throw new Error('Blockchain service is not initialized');
+      }
+
+      const memo = this.buildMemo(data.hash || JSON.stringify(data), type, entityType, entityId);
+
       // Create transaction record
       const transaction = new BlockchainTransaction({
         type,
@@ -163,28 +228,22 @@ class BlockchainService {
         entityId,
         dataHash: data.hash || JSON.stringify(data),
         dataType: 'hash',
+        memo,
         programId: this.programId.toString(),
         accountAddress: this.keypair.publicKey.toString()
       });
-
-      // Simulate Solana transaction (in real implementation, this would be actual Solana transaction)
-      const solanaTxId = await this.simulateSolanaTransaction(data);
-      
-      transaction.solanaTxId = solanaTxId;
-      transaction.status = 'confirmed';
-      transaction.confirmedAt = new Date();
-      transaction.confirmationStatus = 'confirmed';
-
-      // Save transaction record
       await transaction.save();
 
-      logger.info(`Data stored on blockchain: ${type} for ${entityType} ${entityId}`);
+      const latestBlockhash = await this.submit(transaction);
+      await this.awaitConfirmation(transaction, latestBlockhash);
+
+      logger.info(`Data stored on blockchain: ${type} for ${entityType} ${entityId} (${transaction.status})`);
 
       return {
         transactionId: transaction.transactionId,
-        solanaTxId: solanaTxId,
-        hash: data.hash || JSON.stringify(data),
-        status: 'confirmed'
+        solanaTxId: transaction.solanaTxId,
+        hash: transaction.dataHash,
+        status: transaction.status
       };
     } catch (error) {
       logger.error('Error storing data on blockchain:', error);
@@ -193,17 +252,226 @@ class BlockchainService {
   }
 
   /**
-   * Simulate Solana transaction (placeholder for actual implementation)
-   * @param {Object} data - Data to store
-   * @returns {Promise<string>} Transaction ID
+   * Build the memo anchoring a hash. Only identifiers and the hash go on chain.
+   * @param {string} hash - Anchored hash
+   * @param {string} type - Transaction type
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @returns {string} Memo
    * @private
    */
-  async simulateSolanaTransaction(data) {
-    // In a real implementation, this would create and send an actual Solana transaction
-    // For now, we'll simulate it
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 10);
-    return `solana_tx_${timestamp}${random}`;
+  buildMemo(hash, type, entityType, entityId) {
+    const memo = JSON.stringify({ app: MEMO_APP, type, entityType, entityId, hash });
+    if (Buffer.byteLength(memo, 'utf8') > MAX_MEMO_BYTES) {
+      throw new Error(`Memo exceeds ${MAX_MEMO_BYTES} bytes`);
+    }
+    return memo;
+  }
+
+  /**
+   * Resend a failed transaction's memo with a fresh blockhash and wait for
+   * confirmation. The record keeps its ID; the signature is replaced.
+   * @param {Object} transaction - Failed blockchain transaction record
+   * @returns {Promise<string>} Record status after the attempt
+   */
+  async retryTransaction(transaction) {
+    try {
+      if (!this.connection) {
+        throw new Error('Blockchain service is not initialized');
+      }
+
+      await transaction.resetForRetry();
+      const latestBlockhash = await this.submit(transaction);
+      await this.awaitConfirmation(transaction, latestBlockhash);
+
+      logger.info(`Retried ${transaction.transactionId} (attempt ${transaction.retryCount + 1}): ${transaction.status}`);
+      return transaction.status;
+    } catch (error) {
+      logger.error(`Error retrying transaction ${transaction.transactionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look a sent transaction up on chain by signature and bring its record in
+   * line: confirmed, finalized, failed with the on-chain error, or failed
+   * because its blockhash expired before it landed
+   * @param {Object} transaction - Blockchain transaction record
+   * @param {number} expiryMs - Age after which a record without a signature or
+   * blockhash height is treated as expired
+   * @returns {Promise<string>} confirmed, finalized, failed, expired or pending
+   */
+  async reconcileTransaction(transaction, expiryMs) {
+    try {
+      if (!this.connection) {
+        throw new Error('Blockchain service is not initialized');
+      }
+
+      const status = transaction.solanaTxId ? await this.getSignatureStatus(transaction.solanaTxId) : null;
+
+      if (status && status.err) {
+        if (transaction.status !== 'failed') {
+          await transaction.markFailed(`Transaction failed: ${JSON.stringify(status.err)}`);
+        }
+        return 'failed';
+      }
+
+      if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+        if (transaction.status !== 'confirmed') {
+          // A send error does not mean the transaction never landed
+          transaction.errorMessage = null;
+          transaction.failedAt = null;
+          await this.recordConfirmation(transaction);
+        }
+        if (status.confirmationStatus === 'finalized' && transaction.confirmationStatus !== 'finalized') {
+          await transaction.markFinalized();
+        }
+        return transaction.confirmationStatus;
+      }
+
+      if (await this.isExpired(transaction, expiryMs)) {
+        if (transaction.status !== 'failed') {
+          await transaction.markFailed(transaction.solanaTxId ? 'Transaction expired before confirmation' : 'Transaction was never sent');
+        }
+        return 'expired';
+      }
+
+      return 'pending';
+    } catch (error) {
+      logger.error(`Error reconciling transaction ${transaction.transactionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign the record's memo transaction, store its signature and send it. The
+   * signature is saved before sending so a send error can still be reconciled.
+   * @param {Object} transaction - Blockchain transaction record
+   * @returns {Promise<Object>} Blockhash the transaction was built on
+   * @private
+   */
+  async submit(transaction) {
+    try {
+      const latestBlockhash = await this.connection.getLatestBlockhash('confirmed');
+
+      const solanaTransaction = new Transaction({ feePayer: this.keypair.publicKey, ...latestBlockhash }).add(
+        new TransactionInstruction({
+          keys: [{ pubkey: this.keypair.publicKey, isSigner: true, isWritable: false }],
+          programId: this.programId,
+          data: Buffer.from(transaction.memo, 'utf8')
+        })
+      );
+      solanaTransaction.sign(this.keypair);
+
+      transaction.solanaTxId = bs58.encode(solanaTransaction.signature);
+      transaction.lastValidBlockHeight = latestBlockhash.lastValidBlockHeight;
+      transaction.programId = this.programId.toString();
+      transaction.submittedAt = new Date();
+      await transaction.save();
+
+      await this.connection.sendRawTransaction(solanaTransaction.serialize());
+      return latestBlockhash;
+    } catch (sendError) {
+      await transaction.markFailed(sendError.message);
+      throw sendError;
+    }
+  }
+
+  /**
+   * Wait for confirmation and record it. A timeout leaves the record pending
+   * with its signature for the reconciliation job; finalization is tracked in
+   * the background.
+   * @param {Object} transaction - Blockchain transaction record
+   * @param {Object} latestBlockhash - Blockhash the transaction was built on
+   * @private
+   */
+  async awaitConfirmation(transaction, latestBlockhash) {
+    try {
+      const confirmation = await this.connection.confirmTransaction(
+        { signature: transaction.solanaTxId, ...latestBlockhash },
+        'confirmed'
+      );
+
+      if (confirmation.value.err) {
+        await transaction.markFailed(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+      } else {
+        await this.recordConfirmation(transaction);
+        this.trackFinalization(transaction, latestBlockhash);
+      }
+    } catch (confirmError) {
+      // The transaction may still land; it stays pending with its signature
+      logger.warn(`Transaction ${transaction.solanaTxId} not confirmed yet: ${confirmError.message}`);
+    }
+  }
+
+  /**
+   * On-chain status of a signature, searching past the recent status cache
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} Signature status, or null if unknown
+   * @private
+   */
+  async getSignatureStatus(signature) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    return value[0] || null;
+  }
+
+  /**
+   * Whether an unconfirmed transaction can no longer land: its blockhash is
+   * past its last valid block height. Records without one fall back to age.
+   * @param {Object} transaction - Blockchain transaction record
+   * @param {number} expiryMs - Fallback age limit
+   * @returns {Promise<boolean>} True if the transaction has expired
+   * @private
+   */
+  async isExpired(transaction, expiryMs) {
+    if (transaction.solanaTxId && transaction.lastValidBlockHeight) {
+      const blockHeight = await this.connection.getBlockHeight('confirmed');
+      return blockHeight > transaction.lastValidBlockHeight;
+    }
+    return Date.now() - transaction.submittedAt.getTime() > expiryMs;
+  }
+
+  /**
+   * Mark a transaction confirmed with its slot, block and fee
+   * @param {Object} transaction - Blockchain transaction record
+   * @private
+   */
+  async recordConfirmation(transaction) {
+    const confirmed = await this.connection.getTransaction(transaction.solanaTxId, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+
+    let block = null;
+    if (confirmed) {
+      transaction.fee = confirmed.meta.fee / LAMPORTS_PER_SOL;
+      block = await this.connection.getBlock(confirmed.slot, {
+        commitment: 'confirmed',
+        transactionDetails: 'none',
+        rewards: false,
+        maxSupportedTransactionVersion: 0
+      });
+    }
+
+    await transaction.markConfirmed(
+      block ? block.blockHeight : null,
+      block ? block.blockhash : null,
+      confirmed ? confirmed.slot : null
+    );
+  }
+
+  /**
+   * Mark a confirmed transaction finalized once the cluster finalizes it
+   * @param {Object} transaction - Blockchain transaction record
+   * @param {Object} latestBlockhash - Blockhash the transaction was built on
+   * @private
+   */
+  trackFinalization(transaction, latestBlockhash) {
+    this.connection.confirmTransaction({ signature: transaction.solanaTxId, ...latestBlockhash }, 'finalized')
+      .then(finalization => (finalization.value.err ? null : transaction.markFinalized()))
+      .catch(error => {
+        logger.warn(`Finalization of ${transaction.solanaTxId} not observed: ${error.message}`);
+      });
   }
 
   /**
@@ -317,7 +585,7 @@ class BlockchainService {
       });
 
       if (!transaction) {
-        throw new Error('Transaction not found');
+        throw new ServiceError('Transaction not found', 404);
       }
 
       return transaction;
@@ -327,6 +595,54 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Read the anchor memo of a transaction back from the chain
+   * @param {string} signature - Transaction signature
+   * @param {string} programId - Program the memo instruction was sent to
+   * @returns {Promise<Object|null>} Memo with the transaction's slot and block
+   * time, or null if the transaction or its memo is not on chain
+   */
+  async getAnchoredMemo(signature, programId) {
+    try {
+      if (!this.connection) {
+        throw new Error('Blockchain service is not initialized');
+      }
+
+      const onChain = await this.connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      if (!onChain || onChain.meta.err) {
+        return null;
+      }
+
+      const message = onChain.transaction.message;
+      const accountKeys = message.staticAccountKeys || message.accountKeys;
+      const instructions = message.compiledInstructions || message.instructions;
+
+      for (const instruction of instructions) {
+        if (accountKeys[instruction.programIdIndex].toBase58() !== programId) {
+          continue;
+        }
+
+        const data = typeof instruction.data === 'string' ? bs58.decode(instruction.data) : instruction.data;
+        try {
+          const memo = JSON.parse(Buffer.from(data).toString('utf8'));
+          if (memo.app === MEMO_APP) {
+            return { ...memo, slot: onChain.slot, blockTime: onChain.blockTime };
+          }
+        } catch (parseError) {
+          // Not one of our memos
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error(`Error reading memo of ${signature} from chain:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get blockchain statistics
    * @returns {Promise<Object>} Statistics
@@ -346,13 +662,16 @@ class BlockchainService {
    * @param {string} entityId - Entity ID
    * @param {string} entityType - Entity type
    * @param {string} localHash - Local hash to verify
+   * @param {string} type - Transaction type of the entity's own anchor (a paper
+   * is also anchored by its key rotations)
    * @returns {Promise<boolean>} Verification result
    */
-  async verifyDataIntegrity(entityId, entityType, localHash) {
+  async verifyDataIntegrity(entityId, entityType, localHash, type) {
     try {
       const transaction = await BlockchainTransaction.findOne({
         entityId,
         entityType,
+        type,
         status: 'confirmed'
       });
 
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+
+const DEFAULT_ATTEMPTS = 20;
+
+/**
+ * Blueprint Solver: picks questions from a pool so that every blueprint
+ * constraint holds (section/topic/difficulty counts, per-state quotas and a
+ * target total of marks), or explains which constraints cannot be met
+ * Following Single Responsibility Principle (SRP)
+ */
+class BlueprintSolver {
+  constructor(options = {}) {
+    this.attempts = options.attempts || DEFAULT_ATTEMPTS;
+  }
+
+  /**
+   * Solve a blueprint against a question pool
+   * @param {Object} blueprint - Blueprint (sections, totalMarks, stateQuotas, minPerState)
+   * @param {Array} pool - Candidate questions (questionId, subject, topic, difficulty, stateCode, marks)
+   * @returns {Object} { feasible, questions, totalMarks } or { feasible: false, diagnostics }
+   */
+  solve(blueprint, pool) {
+    const groups = this.buildGroups(blueprint.sections, pool);
+    const quotas = this.resolveQuotas(blueprint, groups);
+    const targetMarks = blueprint.totalMarks || null;
+
+    const diagnostics = this.diagnose(groups, quotas, targetMarks);
+    if (diagnostics.length > 0) {
+      return { feasible: false, diagnostics };
+    }
+
+    let closest = null;
+    for (let attempt = 0; attempt < this.attempts; attempt++) {
+      const selection = this.fill(groups, quotas);
+      if (!selection) continue;
+
+      const totalMarks = targetMarks === null ? this.sumMarks(selection) : this.adjustMarks(groups, selection, quotas, targetMarks);
+
+      if (targetMarks === null || totalMarks === targetMarks) {
+        const questions = [];
+        selection.forEach(picked => questions.push(...picked));
+        return { feasible: true, questions, totalMarks };
+      }
+
+      if (closest === null || Math.abs(targetMarks - totalMarks) < Math.abs(targetMarks - closest)) {
+        closest = totalMarks;
+      }
+    }
+
+    return {
+      feasible: false,
+      diagnostics: [closest === null
+        ? {
+          constraint: 'overlap',
+          message: 'Sections and state quotas compete for the same questions and could not all be filled'
+        }
+        : {
+          constraint: 'total_marks',
+          message: `No selection reached ${targetMarks} marks`,
+          target: targetMarks,
+          closest
+        }]
+    };
+  }
+
+  /**
+   * Split sections into groups of one difficulty each and attach their pools
+   * @private
+   */
+  buildGroups(sections, pool) {
+    const groups = [];
+
+    sections.forEach((section, sectionIndex) => {
+      const subject = section.subject.toLowerCase();
+      const topic = section.topic ? section.topic.toLowerCase() : null;
+      const matchesSection = q => q.subject.toLowerCase() === subject &&
+        (!topic || q.topic.toLowerCase() === topic);
+
+      const split = section.difficulty && Object.keys(section.difficulty).some(level => section.difficulty[level] > 0)
+        ? Object.keys(section.difficulty).filter(level => section.difficulty[level] > 0)
+          .map(level => ({ difficulty: level, count: section.difficulty[level] }))
+        : [{ difficulty: null, count: section.count }];
+
+      split.forEach(({ difficulty, count }) => {
+        groups.push({
+          sectionIndex,
+          subject: section.subject,
+          topic: section.topic || null,
+          difficulty,
+          count,
+          pool: pool.filter(q => matchesSection(q) && (!difficulty || q.difficulty === difficulty))
+        });
+      });
+    });
+
+    return groups;
+  }
+
+  /**
+   * Turn explicit quotas and minPerState into one list of state minimums
+   * @private
+   */
+  resolveQuotas(blueprint, groups) {
+    const quotas = new Map();
+
+    if (blueprint.minPerState) {
+      groups.forEach(group => group.pool.forEach(q => quotas.set(q.stateCode, blueprint.minPerState)));
+    }
+
+    (blueprint.stateQuotas || []).forEach(quota => {
+      const stateCode = quota.stateCode.toUpperCase();
+      quotas.set(stateCode, Math.max(quotas.get(stateCode) || 0, quota.min));
+    });
+
+    return [...quotas.entries()].map(([stateCode, min]) => ({ stateCode, min }));
+  }
+
+  /**
+   * Check the constraints that can be judged without searching
+   * @private
+   */
+  diagnose(groups, quotas, targetMarks) {
+    const diagnostics = [];
+
+    groups.forEach(group => {
+      if (group.pool.length < group.count) {
+        diagnostics.push({
+          constraint: 'section',
+          message: `Section ${group.sectionIndex + 1} needs ${group.count} questions but the pool has ${group.pool.length}`,
+          section: this.describeGroup(group),
+          required: group.count,
+          available: group.pool.length
+        });
+      }
+    });
+
+    const totalSlots = groups.reduce((sum, g) => sum + g.count, 0);
+    const quotaSlots = quotas.reduce((sum, q) => sum + q.min, 0);
+    if (quotaSlots > totalSlots) {
+      diagnostics.push({
+        constraint: 'state_quota',
+        message: `State quotas need ${quotaSlots} questions but the blueprint has ${totalSlots}`,
+        required: quotaSlots,
+        available: totalSlots
+      });
+    }
+
+    quotas.forEach(quota => {
+      const available = new Set();
+      groups.forEach(group => group.pool.forEach(q => {
+        if (q.stateCode === quota.stateCode) available.add(q.questionId);
+      }));
+
+      if (available.size < quota.min) {
+        diagnostics.push({
+          constraint: 'state_quota',
+          message: `State ${quota.stateCode} needs ${quota.min} questions but contributed ${available.size} that fit the blueprint`,
+          stateCode: quota.stateCode,
+          required: quota.min,
+          available: available.size
+        });
+      }
+    });
+
+    if (targetMarks !== null && diagnostics.length === 0) {
+      const range = groups.reduce((acc, group) => {
+        const marks = group.pool.map(q => q.marks).sort((a, b) => a - b);
+        acc.min += marks.slice(0, group.count).reduce((sum, m) => sum + m, 0);
+        acc.max += marks.slice(-group.count).reduce((sum, m) => sum + m, 0);
+        return acc;
+      }, { min: 0, max: 0 });
+
+      if (targetMarks < range.min || targetMarks > range.max) {
+        diagnostics.push({
+          constraint: 'total_marks',
+          message: `Target of ${targetMarks} marks is outside the achievable range ${range.min}-${range.max}`,
+          target: targetMarks,
+          achievableRange: range
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Randomly fill every group, meeting state quotas first
+   * @returns {Array<Array>|null} Questions per group, or null when the fill got stuck
+   * @private
+   */
+  fill(groups, quotas) {
+    const used = new Set();
+    const selection = groups.map(() => []);
+    const pools = groups.map(group => this.shuffle([...group.pool]));
+
+    const take = (groupIndex, question) => {
+      used.add(question.questionId);
+      selection[groupIndex].push(question);
+    };
+
+    // Scarcest states first, from the groups with the most room
+    const orderedQuotas = [...quotas].sort((a, b) => this.countState(groups, a.stateCode) - this.countState(groups, b.stateCode));
+    for (const quota of orderedQuotas) {
+      let needed = quota.min - selection.flat().filter(q => q.stateCode === quota.stateCode).length;
+      const groupOrder = groups.map((g, i) => i)
+        .sort((a, b) => (groups[b].pool.length - groups[b].count) - (groups[a].pool.length - groups[a].count));
+
+      for (const groupIndex of groupOrder) {
+        for (const question of pools[groupIndex]) {
+          if (needed <= 0 || selection[groupIndex].length >= groups[groupIndex].count) break;
+          if (question.stateCode === quota.stateCode && !used.has(question.questionId)) {
+            take(groupIndex, question);
+            needed--;
+          }
+        }
+      }
+
+      if (needed > 0) return null;
+    }
+
+    // Then fill the remaining places, tightest groups first
+    const fillOrder = groups.map((g, i) => i)
+      .sort((a, b) => (groups[a].pool.length - groups[a].count) - (groups[b].pool.length - groups[b].count));
+    for (const groupIndex of fillOrder) {
+      for (const question of pools[groupIndex]) {
+        if (selection[groupIndex].length >= groups[groupIndex].count) break;
+        if (!used.has(question.questionId)) {
+          take(groupIndex, question);
+        }
+      }
+
+      if (selection[groupIndex].length < groups[groupIndex].count) return null;
+    }
+
+    return selection;
+  }
+
+  /**
+   * Swap questions within their groups to move the total towards the target
+   * without breaking a state quota
+   * @returns {number} Total marks reached
+   * @private
+   */
+  adjustMarks(groups, selection, quotas, targetMarks) {
+    const minimums = new Map(quotas.map(q => [q.stateCode, q.min]));
+    const used = new Set(selection.flat().map(q => q.questionId));
+    const stateCounts = new Map();
+    selection.flat().forEach(q => stateCounts.set(q.stateCode, (stateCounts.get(q.stateCode) || 0) + 1));
+
+    let total = this.sumMarks(selection);
+
+    while (total !== targetMarks) {
+      const gap = targetMarks - total;
+      let best = null;
+
+      groups.forEach((group, groupIndex) => {
+        selection[groupIndex].forEach((current, position) => {
+          const canRemove = (stateCounts.get(current.stateCode) || 0) > (minimums.get(current.stateCode) || 0);
+
+          group.pool.forEach(candidate => {
+            if (used.has(candidate.questionId)) return;
+            if (!canRemove && candidate.stateCode !== current.stateCode) return;
+
+            const remaining = Math.abs(gap - (candidate.marks - current.marks));
+            if (remaining < Math.abs(gap) && (!best || remaining < best.remaining)) {
+              best = { groupIndex, position, current, candidate, remaining };
+            }
+          });
+        });
+      });
+
+      if (!best) break;
+
+      selection[best.groupIndex][best.position] = best.candidate;
+      used.delete(best.current.questionId);
+      used.add(best.candidate.questionId);
+      stateCounts.set(best.current.stateCode, stateCounts.get(best.current.stateCode) - 1);
+      stateCounts.set(best.candidate.stateCode, (stateCounts.get(best.candidate.stateCode) || 0) + 1);
+      total += best.candidate.marks - best.current.marks;
+    }
+
+    return total;
+  }
+
+  /**
+   * Count the pool questions of a state across all groups
+   * @private
+   */
+  countState(groups, stateCode) {
+    const ids = new Set();
+    groups.forEach(group => group.pool.forEach(q => {
+      if (q.stateCode === stateCode) ids.add(q.questionId);
+    }));
+    return ids.size;
+  }
+
+  /**
+   * Sum the marks of a selection
+   * @private
+   */
+  sumMarks(selection) {
+    return selection.flat().reduce((sum, q) => sum + q.marks, 0);
+  }
+
+  /**
+   * Describe a group for diagnostics
+   * @private
+   */
+  describeGroup(group) {
+    return {
+      subject: group.subject,
+      topic: group.topic,
+      difficulty: group.difficulty
+    };
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates with a CSPRNG)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} The shuffled array
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+module.exports = BlueprintSolver;
@@ -0,0 +1,538 @@
+const crypto = require('crypto');
+const ExamSession = require('../models/ExamSession');
+const ExamPaper = require('../models/ExamPaper');
+const Question = require('../models/Question');
+const PaperVariantService = require('./PaperVariantService');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Exam Session Service for the session lifecycle
+ * (start -> pause/resume -> complete/terminate)
+ * Following Single Responsibility Principle (SRP)
+ */
+class ExamSessionService {
+  constructor(answerService = null, scoringService = null, variantService = new PaperVariantService()) {
+    this.answerService = answerService;
+    this.scoringService = scoringService;
+    this.variantService = variantService;
+    this.heartbeatOptions = {
+      expectedInterval: parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 15000,
+      disconnectThreshold: parseInt(process.env.HEARTBEAT_DISCONNECT_THRESHOLD_MS) || 45000,
+      creditLostTime: process.env.HEARTBEAT_CREDIT_LOST_TIME === 'true',
+      maxCredit: parseInt(process.env.HEARTBEAT_MAX_CREDIT_SECONDS) || 600
+    };
+  }
+
+  /**
+   * Start a new exam session for a student
+   * @param {string} studentId - Student user ID
+   * @param {string} paperId - Paper ID
+   * @param {Object} clientInfo - Client details (ipAddress, userAgent)
+   * @returns {Promise<Object>} Created session
+   */
+  async startSession(studentId, paperId, clientInfo = {}) {
+    try {
+      const normalizedPaperId = paperId.toUpperCase();
+
+      const paper = await ExamPaper.findOne({ paperId: normalizedPaperId });
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      if (!paper.isActive) {
+        throw new ServiceError(`Paper is not active (status: ${paper.status})`, 409);
+      }
+
+      const openSession = await ExamSession.findOpenByStudentAndPaper(studentId, normalizedPaperId);
+      if (openSession) {
+        throw this.openSessionConflict(openSession);
+      }
+
+      // Each candidate gets their own question and option order
+      const variantSalt = await this.ensureVariantSalt(paper);
+      const seed = this.variantService.deriveSeed(normalizedPaperId, studentId, variantSalt);
+      const variant = this.variantService.buildVariant(paper.questions, seed);
+      const startTime = new Date();
+
+      const session = new ExamSession({
+        studentId,
+        paperId: normalizedPaperId,
+        status: 'started',
+        startTime,
+        duration: paper.duration,
+        timeRemaining: paper.duration * 60,
+        totalQuestions: variant.questionOrder.length || paper.totalQuestions,
+        questionProgress: variant.questionOrder.map((questionId, index) => ({
+          questionNumber: index + 1,
+          questionId
+        })),
+        variant,
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent
+      });
+      session.syncTimer(startTime);
+
+      let savedSession;
+      try {
+        savedSession = await session.save();
+      } catch (saveError) {
+        // A concurrent start saved its open session first (unique partial index)
+        if (saveError.code === 11000) {
+          throw this.openSessionConflict(await ExamSession.findOpenByStudentAndPaper(studentId, normalizedPaperId));
+        }
+        throw saveError;
+      }
+
+      await ExamPaper.updateOne({ paperId: normalizedPaperId }, { $inc: { totalAttempts: 1 } });
+
+      logger.info(`Exam session started: ${savedSession.sessionId} (paper ${normalizedPaperId})`);
+      return savedSession;
+    } catch (error) {
+      logger.error('Error starting exam session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a session that belongs to a student
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Session
+   */
+  async getStudentSession(sessionId, studentId) {
+    const session = await ExamSession.findOne({
+      sessionId: sessionId.toUpperCase(),
+      studentId
+    });
+
+    if (!session) {
+      throw new ServiceError('Exam session not found', 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Get the questions of a running session in the candidate's variant order,
+   * with options relabelled as the variant displays them
+   * @param {Object} session - Running exam session
+   * @returns {Promise<Array>} Questions as displayed to the candidate
+   */
+  async getSessionQuestions(session) {
+    try {
+      const paper = await ExamPaper.findOne({ paperId: session.paperId });
+      if (!paper) {
+        throw new ServiceError('Exam paper not found for session', 404);
+      }
+
+      const paperQuestions = new Map(paper.questions.map(q => [q.questionId, q]));
+      const questions = await Question.find(
+        { questionId: { $in: session.questionProgress.map(p => p.questionId) } },
+        { questionId: 1, subject: 1, questionText: 1, options: 1 }
+      ).lean();
+      const questionsById = new Map(questions.map(q => [q.questionId, q]));
+
+      return [...session.questionProgress]
+        .sort((a, b) => a.questionNumber - b.questionNumber)
+        .map(progress => {
+          const question = questionsById.get(progress.questionId);
+          const paperQuestion = paperQuestions.get(progress.questionId);
+          if (!question || !paperQuestion) {
+            throw new ServiceError(`Question ${progress.questionId} of session ${session.sessionId} not found`, 500);
+          }
+
+          const optionOrder = session.variant && session.variant.optionOrders
+            ? session.variant.optionOrders.find(o => o.questionId === progress.questionId)
+            : null;
+
+          return {
+            questionNumber: progress.questionNumber,
+            questionId: progress.questionId,
+            subject: question.subject,
+            questionText: question.questionText,
+            options: optionOrder
+              ? this.variantService.displayOptions(question.options, optionOrder.order)
+              : question.options,
+            marks: paperQuestion.marks,
+            timeLimit: paperQuestion.timeLimit,
+            isAnswered: progress.isAnswered,
+            isMarkedForReview: progress.isMarkedForReview
+          };
+        });
+    } catch (error) {
+      logger.error('Error getting session questions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a session's variant and rebuild it from its seed for audits and disputes
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session, variant and verification result
+   */
+  async getSessionVariant(sessionId) {
+    try {
+      const session = await ExamSession.findOne({ sessionId: sessionId.toUpperCase() });
+      if (!session) {
+        throw new ServiceError('Exam session not found', 404);
+      }
+
+      const paper = await ExamPaper.findOne({ paperId: session.paperId });
+      if (!paper) {
+        throw new ServiceError('Exam paper not found for session', 404);
+      }
+
+      // The seed must still derive from the paper salt and the candidate
+      const seedMatches = Boolean(session.variant && session.variant.seed) && Boolean(paper.variantSalt) &&
+        this.variantService.deriveSeed(paper.paperId, session.studentId, paper.variantSalt) === session.variant.seed;
+
+      return {
+        session,
+        variant: session.variant,
+        verification: {
+          seedMatches,
+          ...this.variantService.verifyVariant(session, paper.questions)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting session variant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a running session
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async pauseSession(sessionId, studentId) {
+    try {
+      const session = await this.getStudentSession(sessionId, studentId);
+      await this.assertNotExpired(session);
+      this.assertTransition(session, 'paused');
+
+      session.activities.push({ type: 'session_pause', timestamp: new Date() });
+      const updatedSession = await session.pause();
+
+      logger.info(`Exam session paused: ${updatedSession.sessionId}`);
+      return updatedSession;
+    } catch (error) {
+      logger.error('Error pausing exam session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused session
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async resumeSession(sessionId, studentId) {
+    try {
+      const session = await this.getStudentSession(sessionId, studentId);
+      this.assertTransition(session, 'in_progress');
+
+      if (session.status !== 'paused') {
+        throw new ServiceError(`Cannot resume a session that is ${session.status}`, 409);
+      }
+
+      session.activities.push({ type: 'session_resume', timestamp: new Date() });
+      const updatedSession = await session.resume();
+
+      logger.info(`Exam session resumed: ${updatedSession.sessionId}`);
+      return updatedSession;
+    } catch (error) {
+      logger.error('Error resuming exam session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a session on behalf of its student
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async completeSession(sessionId, studentId) {
+    try {
+      const session = await this.getStudentSession(sessionId, studentId);
+      this.assertTransition(session, 'completed');
+
+      const reason = session.isExpired() ? 'time_expired' : 'submitted';
+      const updatedSession = await session.complete(reason);
+      await this.finalizeSession(updatedSession);
+
+      logger.info(`Exam session completed: ${updatedSession.sessionId}`);
+      return updatedSession;
+    } catch (error) {
+      logger.error('Error completing exam session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a client heartbeat, detecting disconnections from gaps between pings
+   * @param {string} sessionId - Session ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Session and the disconnection detected by this ping (if any)
+   */
+  async recordHeartbeat(sessionId, studentId) {
+    try {
+      const session = await this.getStudentSession(sessionId, studentId);
+
+      if (!session.canTransitionTo('completed')) {
+        throw new ServiceError(`Exam session is ${session.status}`, 409, { sessionId: session.sessionId });
+      }
+
+      const previousDisconnections = session.disconnectionCount;
+
+      // Judge the deadline before recording the gap, so a late ping cannot
+      // credit time to a session that has already run out
+      await this.assertNotExpired(session);
+      await session.updateHeartbeat(this.heartbeatOptions);
+
+      const disconnection = session.disconnectionCount > previousDisconnections
+        ? session.disconnections[session.disconnections.length - 1]
+        : null;
+
+      if (disconnection) {
+        logger.warn(`Disconnection detected for session ${session.sessionId}: ${disconnection.duration}s (credited ${disconnection.creditedTime}s)`);
+      }
+
+      return { session, disconnection };
+    } catch (error) {
+      logger.error('Error recording heartbeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the running session a student is answering in. Expired sessions are
+   * completed on the spot and rejected, whatever time the client reports.
+   * @param {string} studentId - Student user ID
+   * @param {string} sessionId - Session ID (optional when only one session is open)
+   * @returns {Promise<Object>} Running session
+   */
+  async getRunningSession(studentId, sessionId = null) {
+    let session;
+
+    if (sessionId) {
+      session = await this.getStudentSession(sessionId, studentId);
+    } else {
+      const openSessions = await ExamSession.findOpenByStudent(studentId);
+
+      if (openSessions.length === 0) {
+        throw new ServiceError('No exam session in progress', 404);
+      }
+
+      if (openSessions.length > 1) {
+        throw new ServiceError('Multiple exam sessions are open; sessionId is required', 400);
+      }
+
+      session = openSessions[0];
+    }
+
+    if (session.status === 'paused') {
+      throw new ServiceError('Exam session is paused', 409, { sessionId: session.sessionId });
+    }
+
+    if (!session.canTransitionTo('completed')) {
+      throw new ServiceError(`Exam session is ${session.status}`, 409, { sessionId: session.sessionId });
+    }
+
+    await this.assertNotExpired(session);
+
+    session.syncTimer();
+    return session;
+  }
+
+  /**
+   * Get the open sessions of a student with server-computed timers
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Open sessions
+   */
+  async getOpenSessions(studentId) {
+    const sessions = await ExamSession.findOpenByStudent(studentId);
+
+    const openSessions = [];
+    for (const session of sessions) {
+      if (session.status !== 'paused' && session.isExpired()) {
+        await this.expireSession(session);
+        continue;
+      }
+      openSessions.push(session.syncTimer());
+    }
+
+    return openSessions;
+  }
+
+  /**
+   * Complete a session that ran out of time
+   * @param {Object} session - Exam session
+   * @returns {Promise<Object>} Completed session
+   */
+  async expireSession(session) {
+    try {
+      session.activities.push({
+        type: 'time_warning',
+        timestamp: new Date(),
+        details: 'Time expired; session completed automatically'
+      });
+
+      const updatedSession = await session.complete('time_expired');
+      await this.finalizeSession(updatedSession);
+
+      logger.info(`Exam session expired: ${updatedSession.sessionId}`);
+      return updatedSession;
+    } catch (error) {
+      logger.error(`Error expiring exam session ${session.sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete every running session whose deadline has passed
+   * @returns {Promise<number>} Number of sessions completed
+   */
+  async expireOverdueSessions() {
+    const overdueSessions = await ExamSession.findExpired(new Date());
+    let expiredCount = 0;
+
+    for (const session of overdueSessions) {
+      // The deadline snapshot can be stale (e.g. after credited time); recheck from the clock
+      if (!session.isExpired()) {
+        await session.syncTimer().save();
+        continue;
+      }
+
+      try {
+        await this.expireSession(session);
+        expiredCount++;
+      } catch (error) {
+        // Keep sweeping; the session is picked up again on the next run
+      }
+    }
+
+    return expiredCount;
+  }
+
+  /**
+   * Terminate a session (administrative action)
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Termination reason
+   * @returns {Promise<Object>} Updated session
+   */
+  async terminateSession(sessionId, reason = null) {
+    try {
+      const session = await ExamSession.findOne({ sessionId: sessionId.toUpperCase() });
+      if (!session) {
+        throw new ServiceError('Exam session not found', 404);
+      }
+
+      this.assertTransition(session, 'terminated');
+
+      const updatedSession = await session.terminate(reason);
+      await this.finalizeSession(updatedSession);
+
+      logger.warn(`Exam session terminated: ${updatedSession.sessionId}${reason ? ` (${reason})` : ''}`);
+      return updatedSession;
+    } catch (error) {
+      logger.error('Error terminating exam session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post-completion work for a closed session. Failures are logged and never
+   * undo the completion itself.
+   * @param {Object} session - Completed or terminated session
+   * @private
+   */
+  async finalizeSession(session) {
+    if (this.answerService) {
+      try {
+        await this.answerService.anchorSessionAnswers(session.sessionId);
+      } catch (error) {
+        logger.error(`Failed to anchor answers for session ${session.sessionId}:`, error);
+      }
+    }
+
+    // Terminated sessions are not scored
+    if (this.scoringService && session.status === 'completed') {
+      try {
+        await this.scoringService.scoreSession(session);
+      } catch (error) {
+        logger.error(`Failed to score session ${session.sessionId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Error for a start while the student already has an open session
+   * @param {Object|null} openSession - The open session, if it still exists
+   * @returns {ServiceError} Conflict error
+   * @private
+   */
+  openSessionConflict(openSession) {
+    return new ServiceError(
+      'An exam session for this paper is already in progress',
+      409,
+      openSession ? { sessionId: openSession.sessionId, status: openSession.status } : null
+    );
+  }
+
+  /**
+   * Give a paper a variant salt if it predates variants
+   * @param {Object} paper - Exam paper
+   * @returns {Promise<string>} Variant salt
+   * @private
+   */
+  async ensureVariantSalt(paper) {
+    if (paper.variantSalt) {
+      return paper.variantSalt;
+    }
+
+    // Only the first writer's salt sticks when sessions start concurrently
+    await ExamPaper.updateOne(
+      { paperId: paper.paperId, variantSalt: { $exists: false } },
+      { $set: { variantSalt: crypto.randomBytes(32).toString('hex') } }
+    );
+    const updated = await ExamPaper.findOne({ paperId: paper.paperId }, { variantSalt: 1 });
+    return updated.variantSalt;
+  }
+
+  /**
+   * Reject (and complete) a running session that has run out of time
+   * @param {Object} session - Exam session
+   * @private
+   */
+  async assertNotExpired(session) {
+    const isRunning = session.status === 'started' || session.status === 'in_progress';
+
+    if (isRunning && session.isExpired()) {
+      await this.expireSession(session);
+      throw new ServiceError('Exam time has expired', 409, { sessionId: session.sessionId });
+    }
+  }
+
+  /**
+   * Ensure a session may move to the target status
+   * @param {Object} session - Exam session
+   * @param {string} status - Target status
+   * @private
+   */
+  assertTransition(session, status) {
+    if (!session.canTransitionTo(status)) {
+      throw new ServiceError(
+        `Illegal session transition: ${session.status} -> ${status}`,
+        409,
+        { sessionId: session.sessionId, status: session.status }
+      );
+    }
+  }
+}
+
+module.exports = ExamSessionService;
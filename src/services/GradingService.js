@@ -0,0 +1,333 @@
+const GradingScheme = require('../models/GradingScheme');
+const ExamPaper = require('../models/ExamPaper');
+const Result = require('../models/Result');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Scheme applied to papers without one attached (the historical letter grades)
+const DEFAULT_SCHEME = new GradingScheme({
+  schemeId: 'DEFAULT',
+  version: 1,
+  name: 'Default absolute grading',
+  type: 'absolute',
+  bands: [
+    { grade: 'A+', minScore: 90, performanceCategory: 'Excellent' },
+    { grade: 'A', minScore: 80, performanceCategory: 'Very Good' },
+    { grade: 'B+', minScore: 70, performanceCategory: 'Good' },
+    { grade: 'B', minScore: 60, performanceCategory: 'Average' },
+    { grade: 'C+', minScore: 50, performanceCategory: 'Below Average' },
+    { grade: 'C', minScore: 40, performanceCategory: 'Poor' },
+    { grade: 'D', minScore: 33, performanceCategory: 'Poor' },
+    { grade: 'F', minScore: 0, performanceCategory: 'Poor' }
+  ]
+});
+
+const REGRADE_BATCH_SIZE = 1000;
+
+const SCHEME_FIELDS = ['name', 'description', 'type', 'bands', 'passLabel', 'failLabel'];
+
+/**
+ * Grading Service for grading schemes and grade resolution
+ * Following Single Responsibility Principle (SRP)
+ */
+class GradingService {
+  /**
+   * Create a grading scheme (version 1)
+   * @param {Object} schemeData - Scheme definition
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} Created scheme
+   */
+  async createScheme(schemeData, createdBy) {
+    try {
+      const scheme = new GradingScheme({
+        ...this.pickSchemeFields(schemeData),
+        version: 1,
+        createdBy
+      });
+
+      const savedScheme = await this.saveScheme(scheme);
+      logger.info(`Grading scheme created: ${savedScheme.schemeId} v${savedScheme.version}`);
+      return savedScheme;
+    } catch (error) {
+      logger.error('Error creating grading scheme:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a changed definition as the next version of a scheme
+   * @param {string} schemeId - Scheme ID
+   * @param {Object} schemeData - Fields to change
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} New scheme version
+   */
+  async updateScheme(schemeId, schemeData, createdBy) {
+    try {
+      const latest = await this.getScheme(schemeId);
+
+      const definition = {};
+      SCHEME_FIELDS.forEach(field => {
+        definition[field] = latest[field];
+      });
+      Object.assign(definition, this.pickSchemeFields(schemeData));
+
+      // Switching to pass/fail drops the bands of the previous version
+      if (definition.type === 'pass_fail' && schemeData.bands === undefined) {
+        definition.bands = [];
+      }
+
+      const scheme = new GradingScheme({
+        ...definition,
+        bands: definition.bands.map(band => ({
+          grade: band.grade,
+          minScore: band.minScore,
+          performanceCategory: band.performanceCategory
+        })),
+        schemeId: latest.schemeId,
+        version: latest.version + 1,
+        createdBy
+      });
+
+      const savedScheme = await this.saveScheme(scheme);
+      logger.info(`Grading scheme updated: ${savedScheme.schemeId} v${savedScheme.version}`);
+      return savedScheme;
+    } catch (error) {
+      logger.error('Error updating grading scheme:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a scheme version (the latest when no version is given)
+   * @param {string} schemeId - Scheme ID
+   * @param {number} version - Scheme version (optional)
+   * @returns {Promise<Object>} Scheme
+   */
+  async getScheme(schemeId, version = null) {
+    const normalizedSchemeId = schemeId.toUpperCase();
+
+    const scheme = version
+      ? await GradingScheme.findVersion(normalizedSchemeId, version)
+      : await GradingScheme.findLatest(normalizedSchemeId);
+
+    if (!scheme) {
+      throw new ServiceError(
+        version ? `Grading scheme ${normalizedSchemeId} v${version} not found` : 'Grading scheme not found',
+        404
+      );
+    }
+
+    return scheme;
+  }
+
+  /**
+   * List the latest version of every scheme
+   * @returns {Promise<Array>} Schemes
+   */
+  async listSchemes() {
+    const schemes = await GradingScheme.find().sort({ schemeId: 1, version: -1 });
+
+    const latest = new Map();
+    schemes.forEach(scheme => {
+      if (!latest.has(scheme.schemeId)) {
+        latest.set(scheme.schemeId, scheme);
+      }
+    });
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Attach a scheme version to a paper, pinning the latest version when none is given
+   * @param {string} paperId - Paper ID
+   * @param {string} schemeId - Scheme ID
+   * @param {number} version - Scheme version (optional)
+   * @returns {Promise<Object>} Attached scheme
+   */
+  async attachToPaper(paperId, schemeId, version = null) {
+    try {
+      const scheme = await this.getScheme(schemeId, version);
+
+      if (!scheme.isActive) {
+        throw new ServiceError('Grading scheme is inactive', 409);
+      }
+
+      const { matchedCount } = await ExamPaper.updateOne(
+        { paperId: paperId.toUpperCase() },
+        { $set: { gradingScheme: { schemeId: scheme.schemeId, version: scheme.version } } }
+      );
+
+      if (matchedCount === 0) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      logger.info(`Grading scheme ${scheme.schemeId} v${scheme.version} attached to paper ${paperId.toUpperCase()}`);
+      return scheme;
+    } catch (error) {
+      logger.error('Error attaching grading scheme:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the scheme version that grades a paper
+   * @param {Object} paper - Exam paper
+   * @returns {Promise<Object>} Scheme
+   */
+  async getSchemeForPaper(paper) {
+    const attached = paper.gradingScheme;
+    if (!attached || !attached.schemeId) {
+      return DEFAULT_SCHEME;
+    }
+
+    return this.getScheme(attached.schemeId, attached.version);
+  }
+
+  /**
+   * Resolve the grade of a result from its paper's scheme. Relative schemes
+   * grade on the percentile among the paper's results scored so far; the
+   * grades are settled by regradePaper once the paper has been ranked.
+   * @param {Object} paper - Exam paper
+   * @param {Object} score - Scored result (sessionId, obtainedMarks, percentage, isPassed)
+   * @returns {Promise<Object>} Grade, performance category and scheme reference
+   */
+  async gradeResult(paper, score) {
+    const scheme = await this.getSchemeForPaper(paper);
+
+    let percentile = null;
+    if (scheme.type === 'relative') {
+      const others = { paperId: paper.paperId, sessionId: { $ne: score.sessionId } };
+      const [total, atOrBelow] = await Promise.all([
+        Result.countDocuments(others),
+        Result.countDocuments({ ...others, obtainedMarks: { $lte: score.obtainedMarks } })
+      ]);
+      percentile = this.computePercentile(atOrBelow + 1, total + 1);
+    }
+
+    return {
+      ...scheme.resolveGrade({ percentage: score.percentage, percentile, isPassed: score.isPassed }),
+      gradingScheme: this.schemeReference(scheme)
+    };
+  }
+
+  /**
+   * Re-resolve the grades of every result of a paper graded on a relative
+   * scheme, from the percentiles stored by Result.calculateRanks
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<number>} Number of results regraded
+   */
+  async regradePaper(paperId) {
+    try {
+      const paper = await ExamPaper.findOne({ paperId: paperId.toUpperCase() });
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      const scheme = await this.getSchemeForPaper(paper);
+      if (scheme.type !== 'relative') {
+        return 0;
+      }
+
+      const gradingScheme = this.schemeReference(scheme);
+      const cursor = Result.find({ paperId: paper.paperId }, { percentage: 1, percentile: 1, isPassed: 1 })
+        .lean()
+        .cursor({ batchSize: REGRADE_BATCH_SIZE });
+
+      let operations = [];
+      let regradedCount = 0;
+
+      for await (const result of cursor) {
+        const { grade, performanceCategory } = scheme.resolveGrade({
+          percentage: result.percentage,
+          percentile: result.percentile || 0,
+          isPassed: result.isPassed
+        });
+
+        operations.push({
+          updateOne: {
+            filter: { _id: result._id },
+            update: { $set: { grade, performanceCategory, gradingScheme } }
+          }
+        });
+        regradedCount++;
+
+        if (operations.length >= REGRADE_BATCH_SIZE) {
+          await Result.bulkWrite(operations, { ordered: false });
+          operations = [];
+        }
+      }
+
+      if (operations.length > 0) {
+        await Result.bulkWrite(operations, { ordered: false });
+      }
+
+      logger.info(`Regraded ${regradedCount} results for paper ${paper.paperId} with ${scheme.schemeId} v${scheme.version}`);
+      return regradedCount;
+    } catch (error) {
+      logger.error('Error regrading paper results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * NTA-style percentile: 100 x (candidates with marks <= own) / total
+   * @param {number} atOrBelow - Candidates scoring at or below the candidate
+   * @param {number} total - Total candidates
+   * @returns {number} Percentile (0-100)
+   * @private
+   */
+  computePercentile(atOrBelow, total) {
+    if (total === 0) return 100;
+    return Math.round((atOrBelow / total) * 100 * 1e7) / 1e7;
+  }
+
+  /**
+   * Reference to a scheme version as recorded on results
+   * @param {Object} scheme - Scheme
+   * @returns {Object} Scheme reference
+   * @private
+   */
+  schemeReference(scheme) {
+    return { schemeId: scheme.schemeId, version: scheme.version, type: scheme.type };
+  }
+
+  /**
+   * Keep only the definition fields of a scheme payload
+   * @param {Object} schemeData - Scheme payload
+   * @returns {Object} Scheme fields
+   * @private
+   */
+  pickSchemeFields(schemeData) {
+    const fields = {};
+    SCHEME_FIELDS.forEach(field => {
+      if (schemeData[field] !== undefined) {
+        fields[field] = schemeData[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Save a scheme, reporting definition problems as client errors
+   * @param {Object} scheme - Scheme document
+   * @returns {Promise<Object>} Saved scheme
+   * @private
+   */
+  async saveScheme(scheme) {
+    try {
+      return await scheme.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError('Grading scheme version already exists', 409);
+      }
+      // Schema validators and the band checks in the pre-validate hook both
+      // fail with a ValidationError
+      if (error.name === 'ValidationError') {
+        throw new ServiceError(Object.values(error.errors).map(e => e.message).join(', '), 400);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = GradingService;
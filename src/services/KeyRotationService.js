@@ -0,0 +1,124 @@
+const Answer = require('../models/Answer');
+const ExamPaper = require('../models/ExamPaper');
+const EncryptionService = require('../utils/encryption');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Key Rotation Service: migrates encrypted answers and sealed paper shares to
+ * the active master key. Previous keys stay with the key provider until the
+ * migration is done, so records remain readable throughout.
+ * Following Single Responsibility Principle (SRP)
+ */
+class KeyRotationService {
+  constructor(answerService, paperService, batchSize = DEFAULT_BATCH_SIZE) {
+    this.answerService = answerService;
+    this.paperService = paperService;
+    this.encryptionService = EncryptionService;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Migrate every answer and paper not yet under the active master key
+   * @returns {Promise<Object>} Active key ID and per-collection counts
+   */
+  async migrateToActiveKey() {
+    try {
+      const activeKeyId = this.encryptionService.getActiveKeyId();
+
+      const answers = await this.migrateCollection(
+        Answer,
+        'studentId sessionId questionId encryptedAnswer answerHash timeSpent encryptionKeyId updatedAt',
+        answer => this.answerService.resealAnswer(answer),
+        activeKeyId
+      );
+      const papers = await this.migrateCollection(
+        ExamPaper,
+        'paperId shamirShares encryptionKeyId updatedAt',
+        paper => this.paperService.resealShares(paper),
+        activeKeyId
+      );
+
+      return { activeKeyId, answers, papers };
+    } catch (error) {
+      logger.error('Error migrating records to the active key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the records still waiting for migration
+   * @returns {Promise<Object>} Active key ID and remaining counts
+   */
+  async getStatus() {
+    try {
+      const activeKeyId = this.encryptionService.getActiveKeyId();
+      const filter = { encryptionKeyId: { $ne: activeKeyId } };
+
+      const [answers, papers] = await Promise.all([
+        Answer.countDocuments(filter),
+        ExamPaper.countDocuments(filter)
+      ]);
+
+      return { activeKeyId, remaining: { answers, papers } };
+    } catch (error) {
+      logger.error('Error getting key rotation status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Walk a collection in _id order and reseal every record under an older key.
+   * Each update is conditional on the record being unchanged since it was read,
+   * so a concurrent write wins and the record is picked up on the next run.
+   * @param {Object} Model - Mongoose model
+   * @param {string} fields - Fields the reseal needs
+   * @param {Function} reseal - (record) => fields to update, or null
+   * @param {string} activeKeyId - Active master key ID
+   * @returns {Promise<Object>} Migrated, skipped and failed counts
+   * @private
+   */
+  async migrateCollection(Model, fields, reseal, activeKeyId) {
+    const counts = { migrated: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const filter = { encryptionKeyId: { $ne: activeKeyId } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+
+      const batch = await Model.find(filter).sort({ _id: 1 }).limit(this.batchSize).select(fields);
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const record of batch) {
+        try {
+          const update = reseal(record);
+          if (!update) {
+            continue;
+          }
+
+          const result = await Model.updateOne({ _id: record._id, updatedAt: record.updatedAt }, { $set: update });
+          if (result.modifiedCount === 1) {
+            counts.migrated++;
+          } else {
+            counts.skipped++;
+          }
+        } catch (error) {
+          counts.failed++;
+          logger.error(`Failed to migrate ${Model.modelName} ${record._id} to key ${activeKeyId}:`, error);
+          // Keep going; the record is retried on the next run
+        }
+      }
+
+      lastId = batch[batch.length - 1]._id;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = KeyRotationService;
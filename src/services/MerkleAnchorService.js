@@ -0,0 +1,376 @@
+const Answer = require('../models/Answer');
+const Result = require('../models/Result');
+const AnchorBatch = require('../models/AnchorBatch');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const merkleTree = require('../utils/merkle');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_MAX_LEAVES = 10000;
+
+// Batched record types: their ID field and the hash field that is anchored
+const LEAF_SOURCES = {
+  Answer: { model: Answer, idField: 'answerId', hashField: 'revisionHead' },
+  Result: { model: Result, idField: 'resultId', hashField: 'resultHash' }
+};
+
+/**
+ * Merkle Anchor Service: collects answer and result hashes into Merkle trees
+ * and anchors only each tree's root on blockchain. Every record keeps its own
+ * inclusion proof, so it can still be verified against the chain on its own.
+ * Following Single Responsibility Principle (SRP)
+ */
+class MerkleAnchorService {
+  constructor(blockchainService = null, maxLeaves = DEFAULT_MAX_LEAVES) {
+    this.blockchainService = blockchainService;
+    this.maxLeaves = maxLeaves;
+  }
+
+  /**
+   * Queue a record whose hash changed since it was last anchored; the next
+   * window batch picks it up
+   * @param {Object} record - Answer or Result document
+   * @returns {Promise<boolean>} True if the record was queued
+   */
+  async queue(record) {
+    try {
+      const source = this.getSource(record.constructor.modelName);
+      const hash = record[source.hashField];
+      if (!hash || record.blockchainHash === hash) {
+        return false;
+      }
+
+      if (!record.anchorQueuedAt) {
+        record.anchorQueuedAt = new Date();
+        await record.save();
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error queueing record for anchoring:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Anchor the answers of a session in one batch. Answers stay queued if the
+   * anchor fails, so the window batch retries them.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Batch summary, or null if nothing needed anchoring
+   */
+  async anchorSession(sessionId) {
+    try {
+      if (!this.blockchainService) {
+        return null;
+      }
+
+      const answers = await Answer.find({ sessionId, revisionHead: { $ne: null } })
+        .sort({ _id: 1 })
+        .select('answerId revisionHead blockchainHash anchorQueuedAt');
+      const pending = answers.filter(answer => answer.blockchainHash !== answer.revisionHead);
+      if (pending.length === 0) {
+        return null;
+      }
+
+      const queuedAt = new Date();
+      await Answer.updateMany(
+        { _id: { $in: pending.map(answer => answer._id) }, anchorQueuedAt: null },
+        { $set: { anchorQueuedAt: queuedAt } }
+      );
+      pending.forEach(answer => {
+        answer.anchorQueuedAt = answer.anchorQueuedAt || queuedAt;
+      });
+
+      return await this.anchorBatch('Answer', pending, { scope: 'session', sessionId });
+    } catch (error) {
+      logger.error(`Error anchoring answers of session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Anchor every queued answer and result, in batches of up to maxLeaves.
+   * A type stops at its first failed batch; the rest stays queued.
+   * @returns {Promise<Object>} Per-type batch, anchored and failed counts
+   */
+  async anchorQueued() {
+    try {
+      const summary = {};
+      for (const entityType of Object.keys(LEAF_SOURCES)) {
+        summary[entityType] = await this.anchorQueuedOf(entityType);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Error anchoring queued records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up on a batch whose root could not be anchored: mark it failed and
+   * put its records back in the queue for the next window
+   * @param {string} batchId - Anchor batch ID
+   * @param {string} errorMessage - Why anchoring failed
+   * @returns {Promise<number>} Number of records queued again
+   */
+  async requeueBatch(batchId, errorMessage) {
+    try {
+      const batch = await AnchorBatch.findOneAndUpdate(
+        { batchId, status: { $ne: 'failed' } },
+        { $set: { status: 'failed', errorMessage } },
+        { new: true }
+      );
+      if (!batch) {
+        return 0;
+      }
+
+      const source = this.getSource(batch.entityType);
+      const { modifiedCount } = await source.model.updateMany(
+        { 'merkleProof.batchId': batchId },
+        {
+          $set: { anchorQueuedAt: new Date() },
+          $unset: { merkleProof: '', blockchainHash: '', blockchainTxId: '' }
+        }
+      );
+
+      logger.warn(`Anchor batch ${batchId} failed (${errorMessage}); ${modifiedCount} ${batch.entityType} record(s) queued again`);
+      return modifiedCount;
+    } catch (error) {
+      logger.error(`Error re-queueing anchor batch ${batchId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a record's inclusion proof and check it against the anchored root
+   * @param {string} entityType - Answer or Result
+   * @param {string} entityId - Answer ID or result ID
+   * @returns {Promise<Object>} Leaf, proof path, root, batch, transaction and verification
+   */
+  async getInclusionProof(entityType, entityId) {
+    try {
+      const source = this.getSource(entityType);
+      const record = await source.model.findOne({ [source.idField]: entityId.toUpperCase() })
+        .select(`${source.idField} ${source.hashField} merkleProof`);
+      if (!record) {
+        throw new ServiceError(`${entityType} not found`, 404);
+      }
+
+      const merkleProof = record.merkleProof;
+      if (!merkleProof || !merkleProof.root) {
+        throw new ServiceError(`${entityType} has not been anchored in a Merkle batch`, 404);
+      }
+
+      return {
+        entityType,
+        entityId: record[source.idField],
+        hash: record[source.hashField],
+        ...await this.verifyInclusion(entityType, record[source.idField], record[source.hashField], merkleProof)
+      };
+    } catch (error) {
+      logger.error('Error getting inclusion proof:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a hash against a stored inclusion proof and the anchored root
+   * @param {string} entityType - Answer or Result
+   * @param {string} entityId - Answer ID or result ID
+   * @param {string} hash - Hash the leaf should commit to
+   * @param {Object} merkleProof - Stored proof (batchId, leafIndex, leaf, root, path)
+   * @returns {Promise<Object>} Leaf, proof path, root, batch, transaction and verification
+   */
+  async verifyInclusion(entityType, entityId, hash, merkleProof) {
+    try {
+      const [batch, transaction] = await Promise.all([
+        AnchorBatch.findOne({ batchId: merkleProof.batchId }),
+        BlockchainTransaction.findOne({ type: 'merkle_root', entityId: merkleProof.batchId })
+      ]);
+
+      const leaf = merkleTree.hashLeaf(entityType, entityId, hash);
+      const path = merkleProof.path.map(({ position, hash: sibling }) => ({ position, hash: sibling }));
+      const verification = {
+        // False if the record changed after it was anchored
+        leafMatches: leaf === merkleProof.leaf,
+        proofValid: merkleTree.verify(leaf, path, merkleProof.root),
+        rootAnchored: Boolean(transaction && transaction.status === 'confirmed' && transaction.dataHash === merkleProof.root)
+      };
+      verification.verified = verification.leafMatches && verification.proofValid && verification.rootAnchored;
+
+      return {
+        leaf,
+        leafIndex: merkleProof.leafIndex,
+        path,
+        root: merkleProof.root,
+        batch: batch ? {
+          batchId: batch.batchId,
+          scope: batch.scope,
+          sessionId: batch.sessionId || null,
+          leafCount: batch.leafCount,
+          windowStart: batch.windowStart,
+          windowEnd: batch.windowEnd
+        } : null,
+        transaction: transaction ? {
+          transactionId: transaction.transactionId,
+          solanaTxId: transaction.solanaTxId || null,
+          status: transaction.status,
+          confirmationStatus: transaction.confirmationStatus,
+          slot: transaction.slot || null,
+          memo: transaction.memo || null,
+          programId: transaction.programId,
+          dataHash: transaction.dataHash
+        } : null,
+        verification
+      };
+    } catch (error) {
+      logger.error('Error verifying inclusion proof:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Walk the queued records of one type in _id order and anchor them in batches
+   * @param {string} entityType - Answer or Result
+   * @returns {Promise<Object>} Batch, anchored and failed counts
+   * @private
+   */
+  async anchorQueuedOf(entityType) {
+    const counts = { batches: 0, anchored: 0, failed: 0 };
+    if (!this.blockchainService) {
+      return counts;
+    }
+
+    const source = this.getSource(entityType);
+    let lastId = null;
+
+    for (;;) {
+      const filter = { anchorQueuedAt: { $ne: null } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+
+      const records = await source.model.find(filter)
+        .sort({ _id: 1 })
+        .limit(this.maxLeaves)
+        .select(`${source.idField} ${source.hashField} blockchainHash anchorQueuedAt`);
+      if (records.length === 0) {
+        break;
+      }
+      lastId = records[records.length - 1]._id;
+
+      // Records whose current hash is already anchored just leave the queue
+      const alreadyAnchored = records.filter(record => !record[source.hashField] || record.blockchainHash === record[source.hashField]);
+      if (alreadyAnchored.length > 0) {
+        await source.model.updateMany({ _id: { $in: alreadyAnchored.map(record => record._id) } }, { $unset: { anchorQueuedAt: '' } });
+      }
+
+      const pending = records.filter(record => !alreadyAnchored.includes(record));
+      if (pending.length === 0) {
+        continue;
+      }
+
+      try {
+        const batch = await this.anchorBatch(entityType, pending, { scope: 'window' });
+        counts.batches++;
+        counts.anchored += batch.anchored;
+      } catch (error) {
+        counts.failed += pending.length;
+        logger.error(`Failed to anchor a batch of ${pending.length} ${entityType} record(s):`, error);
+        break;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Build a Merkle tree over the records, anchor its root and store each
+   * record's inclusion proof. A record whose hash changed in the meantime
+   * keeps its place in the queue and is anchored again later.
+   * @param {string} entityType - Answer or Result
+   * @param {Array} records - Records with their ID, hash and queue time
+   * @param {Object} options - { scope, sessionId }
+   * @returns {Promise<Object>} Batch summary
+   * @private
+   */
+  async anchorBatch(entityType, records, { scope, sessionId = null }) {
+    const source = this.getSource(entityType);
+    const leaves = records.map(record => merkleTree.hashLeaf(entityType, record[source.idField], record[source.hashField]));
+    const { root, proofs } = merkleTree.build(leaves);
+    const queueTimes = records.map(record => record.anchorQueuedAt.getTime());
+
+    const batch = await AnchorBatch.create({
+      scope,
+      sessionId,
+      entityType,
+      root,
+      leafCount: leaves.length,
+      windowStart: new Date(Math.min(...queueTimes)),
+      windowEnd: new Date(Math.max(...queueTimes))
+    });
+
+    let blockchainData;
+    try {
+      blockchainData = await this.blockchainService.storeMerkleRoot(batch.batchId, root, leaves.length);
+      if (blockchainData.status === 'failed') {
+        throw new Error('Merkle root transaction failed');
+      }
+    } catch (anchorError) {
+      batch.status = 'failed';
+      batch.errorMessage = anchorError.message;
+      await batch.save();
+      throw anchorError;
+    }
+
+    batch.status = 'anchored';
+    batch.blockchainTxId = blockchainData.transactionId;
+    batch.solanaTxId = blockchainData.solanaTxId;
+    await batch.save();
+
+    const writeResult = await source.model.bulkWrite(records.map((record, leafIndex) => ({
+      updateOne: {
+        filter: { _id: record._id, [source.hashField]: record[source.hashField] },
+        update: {
+          $set: {
+            blockchainHash: record[source.hashField],
+            blockchainTxId: blockchainData.transactionId,
+            merkleProof: {
+              batchId: batch.batchId,
+              leafIndex,
+              leaf: leaves[leafIndex],
+              root,
+              path: proofs[leafIndex]
+            }
+          },
+          $unset: { anchorQueuedAt: '' }
+        }
+      }
+    })), { ordered: false });
+
+    logger.info(`Anchored ${entityType} batch ${batch.batchId}: ${leaves.length} leaves, root ${root}`);
+
+    return {
+      batchId: batch.batchId,
+      root,
+      leafCount: leaves.length,
+      anchored: writeResult.modifiedCount,
+      blockchainTxId: blockchainData.transactionId
+    };
+  }
+
+  /**
+   * Leaf source of a batched record type
+   * @param {string} entityType - Answer or Result
+   * @returns {Object} Model, ID field and hash field
+   * @private
+   */
+  getSource(entityType) {
+    const source = LEAF_SOURCES[entityType];
+    if (!source) {
+      throw new ServiceError(`Records of type ${entityType} are not batch-anchored`, 400);
+    }
+    return source;
+  }
+}
+
+module.exports = MerkleAnchorService;
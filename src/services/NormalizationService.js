@@ -0,0 +1,426 @@
+const ExamEvent = require('../models/ExamEvent');
+const ExamPaper = require('../models/ExamPaper');
+const Result = require('../models/Result');
+const versionedHash = require('../utils/versionedHash');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const WRITE_BATCH_SIZE = 1000;
+
+const round = (value, decimals = 4) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const meanOf = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDevOf = (values, mean) => Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+
+/**
+ * Normalisation Service for exam events: groups the shifts of an exam and
+ * merges their results into one normalised merit list
+ * Following Single Responsibility Principle (SRP)
+ */
+class NormalizationService {
+  constructor(blockchainService = null, signatureService = null) {
+    this.blockchainService = blockchainService;
+    this.signatureService = signatureService;
+  }
+
+  /**
+   * Create an exam event from its shift papers
+   * @param {Object} eventData - Event data (name, description, paperIds)
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} Created event
+   */
+  async createEvent(eventData, createdBy) {
+    try {
+      const paperIds = await this.checkPapers(eventData.paperIds || []);
+
+      const event = new ExamEvent({
+        name: eventData.name,
+        description: eventData.description,
+        paperIds,
+        createdBy
+      });
+
+      const savedEvent = await event.save();
+      logger.info(`Exam event created: ${savedEvent.eventId} (${paperIds.length} shifts)`);
+      return savedEvent;
+    } catch (error) {
+      logger.error('Error creating exam event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an exam event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Event
+   */
+  async getEvent(eventId) {
+    const event = await ExamEvent.findOne({ eventId: eventId.toUpperCase() });
+    if (!event) {
+      throw new ServiceError('Exam event not found', 404);
+    }
+    return event;
+  }
+
+  /**
+   * Add shift papers to an event. A normalised event goes back to open,
+   * since its merit list no longer covers every shift.
+   * @param {string} eventId - Event ID
+   * @param {Array<string>} paperIds - Paper IDs
+   * @returns {Promise<Object>} Updated event
+   */
+  async addPapers(eventId, paperIds) {
+    try {
+      const event = await this.getEvent(eventId);
+
+      if (event.status === 'published') {
+        throw new ServiceError('Cannot change the shifts of a published event', 409);
+      }
+
+      const newPaperIds = await this.checkPapers(paperIds, event.eventId);
+      newPaperIds.forEach(paperId => {
+        if (!event.paperIds.includes(paperId)) {
+          event.paperIds.push(paperId);
+        }
+      });
+      event.status = 'open';
+
+      const updatedEvent = await event.save();
+      logger.info(`Shifts added to exam event ${updatedEvent.eventId}: ${newPaperIds.join(', ')}`);
+      return updatedEvent;
+    } catch (error) {
+      logger.error('Error adding papers to exam event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalise the results of every shift of an event and build the merged
+   * merit list. Each Result keeps its raw marks next to the normalised score.
+   * @param {string} eventId - Event ID
+   * @param {string} method - 'percentile' or 'z_score'
+   * @param {string} normalizedBy - Admin user ID
+   * @returns {Promise<Object>} Updated event
+   */
+  async normalizeEvent(eventId, method = 'percentile', normalizedBy = null) {
+    try {
+      const event = await this.getEvent(eventId);
+
+      if (event.status === 'published') {
+        throw new ServiceError('Cannot renormalise a published event', 409);
+      }
+
+      if (event.paperIds.length === 0) {
+        throw new ServiceError('Exam event has no shifts', 409);
+      }
+
+      const papers = await ExamPaper.find({ paperId: { $in: event.paperIds } }, { paperId: 1, totalMarks: 1 });
+      const totalMarksByPaper = new Map(papers.map(p => [p.paperId, p.totalMarks]));
+
+      // Per-shift statistics and percentiles
+      const shifts = [];
+      const entries = [];
+      for (const paperId of event.paperIds) {
+        const results = await Result.find({ paperId }, { obtainedMarks: 1, percentage: 1 }).lean();
+        if (results.length === 0) {
+          continue;
+        }
+
+        const marks = results.map(r => r.obtainedMarks);
+        const mean = meanOf(marks);
+        const shift = {
+          paperId,
+          candidates: results.length,
+          totalMarks: totalMarksByPaper.get(paperId),
+          topMarks: marks.reduce((top, m) => Math.max(top, m), -Infinity),
+          mean: round(mean),
+          stdDev: round(stdDevOf(marks, mean))
+        };
+        shifts.push(shift);
+
+        const percentiles = this.computeShiftPercentiles(marks);
+        results.forEach(result => {
+          entries.push({
+            _id: result._id,
+            shift,
+            rawMarks: result.obtainedMarks,
+            rawPercentage: result.percentage,
+            shiftPercentile: percentiles.get(result.obtainedMarks)
+          });
+        });
+      }
+
+      if (entries.length === 0) {
+        throw new ServiceError('No results found for the shifts of this event', 404);
+      }
+
+      const allMarks = entries.map(e => e.rawMarks);
+      const eventMean = meanOf(allMarks);
+      const eventStdDev = stdDevOf(allMarks, eventMean);
+
+      entries.forEach(entry => {
+        entry.normalizedScore = method === 'z_score'
+          ? this.rescale(entry.rawMarks, entry.shift, eventMean, eventStdDev)
+          : entry.shiftPercentile;
+      });
+
+      const normalizedAt = new Date();
+      const parameters = {
+        eventId: event.eventId,
+        method,
+        shifts,
+        totalCandidates: entries.length,
+        eventMean: round(eventMean),
+        eventStdDev: round(eventStdDev),
+        normalizedAt: normalizedAt.toISOString()
+      };
+      const hashVersion = versionedHash.currentVersion;
+      const parametersHash = this.computeParametersHash(parameters, hashVersion);
+
+      await this.writeMeritList(event.eventId, method, entries, parametersHash, normalizedAt);
+
+      event.normalization = {
+        method,
+        shifts,
+        totalCandidates: parameters.totalCandidates,
+        eventMean: parameters.eventMean,
+        eventStdDev: parameters.eventStdDev,
+        parametersHash,
+        hashVersion,
+        normalizedAt,
+        normalizedBy
+      };
+      event.status = 'normalized';
+      await this.anchorParameters(event);
+
+      const updatedEvent = await event.save();
+      logger.info(`Exam event normalised: ${updatedEvent.eventId} (${method}, ${entries.length} candidates)`);
+      return updatedEvent;
+    } catch (error) {
+      logger.error('Error normalising exam event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the merged merit list of a normalised event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Updated event
+   */
+  async publishEvent(eventId) {
+    try {
+      const event = await this.getEvent(eventId);
+
+      if (event.status !== 'normalized') {
+        throw new ServiceError(`Cannot publish an event that is ${event.status}`, 409);
+      }
+
+      event.status = 'published';
+      event.publishedAt = new Date();
+
+      const updatedEvent = await event.save();
+      logger.info(`Exam event merit list published: ${updatedEvent.eventId}`);
+      return updatedEvent;
+    } catch (error) {
+      logger.error('Error publishing exam event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the merged merit list of an event. Only admins see it before publication.
+   * @param {string} eventId - Event ID
+   * @param {Object} options - Pagination (limit, offset)
+   * @param {Object} requester - Authenticated user (optional)
+   * @returns {Promise<Object>} Event and merit list entries
+   */
+  async getMeritList(eventId, { limit = 100, offset = 0 } = {}, requester = null) {
+    try {
+      const event = await this.getEvent(eventId);
+      const isAdmin = requester && requester.role === 'admin';
+
+      if (event.status !== 'published' && !(isAdmin && event.status === 'normalized')) {
+        throw new ServiceError('Merit list has not been published yet', 404);
+      }
+
+      const results = await Result.find({ 'normalization.eventId': event.eventId })
+        .sort({ 'normalization.eventRank': 1, _id: 1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('studentId', 'firstName lastName studentId');
+
+      return { event, results };
+    } catch (error) {
+      logger.error('Error getting merit list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that papers exist and belong to no other event
+   * @param {Array<string>} paperIds - Paper IDs
+   * @param {string} eventId - Event the papers are added to (optional)
+   * @returns {Promise<Array<string>>} Normalised paper IDs
+   * @private
+   */
+  async checkPapers(paperIds, eventId = null) {
+    const normalizedPaperIds = [...new Set(paperIds.map(id => id.toUpperCase()))];
+
+    const papers = await ExamPaper.find({ paperId: { $in: normalizedPaperIds } }, { paperId: 1 });
+    const found = new Set(papers.map(p => p.paperId));
+    const missing = normalizedPaperIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new ServiceError('Papers not found', 404, { paperIds: missing });
+    }
+
+    const taken = await ExamEvent.find({
+      paperIds: { $in: normalizedPaperIds },
+      ...(eventId && { eventId: { $ne: eventId } })
+    }, { eventId: 1, paperIds: 1 });
+    if (taken.length > 0) {
+      throw new ServiceError('Papers already belong to another exam event', 409, {
+        events: taken.map(e => e.eventId)
+      });
+    }
+
+    return normalizedPaperIds;
+  }
+
+  /**
+   * NTA percentile of every distinct mark in a shift:
+   * 100 x (candidates with marks <= own) / candidates
+   * @param {Array<number>} marks - Shift marks
+   * @returns {Map<number, number>} Percentile by mark
+   * @private
+   */
+  computeShiftPercentiles(marks) {
+    const sorted = [...marks].sort((a, b) => a - b);
+    const percentiles = new Map();
+
+    sorted.forEach((mark, index) => {
+      // The last occurrence of a mark sees every candidate at or below it
+      percentiles.set(mark, round(((index + 1) / sorted.length) * 100, 7));
+    });
+
+    return percentiles;
+  }
+
+  /**
+   * Rescale shift marks onto the event's mean and standard deviation
+   * @param {number} marks - Raw marks
+   * @param {Object} shift - Shift statistics
+   * @param {number} eventMean - Event mean
+   * @param {number} eventStdDev - Event standard deviation
+   * @returns {number} Normalised marks
+   * @private
+   */
+  rescale(marks, shift, eventMean, eventStdDev) {
+    const deviation = shift.stdDev > 0 ? (marks - shift.mean) / shift.stdDev : 0;
+    return round(eventMean + deviation * eventStdDev);
+  }
+
+  /**
+   * Rank entries by normalised score (equal scores share a rank) and store
+   * raw and normalised values on each Result
+   * @private
+   */
+  async writeMeritList(eventId, method, entries, parametersHash, normalizedAt) {
+    entries.sort((a, b) => b.normalizedScore - a.normalizedScore);
+
+    // Drop results left over from shifts removed since the last run
+    const previousIds = await Result.find({ 'normalization.eventId': eventId }).distinct('_id');
+    await Result.updateMany(
+      { 'normalization.eventId': eventId },
+      { $unset: { normalization: '' } }
+    );
+
+    let operations = [];
+    let rank = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (i === 0 || entry.normalizedScore !== entries[i - 1].normalizedScore) {
+        rank = i + 1;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: {
+            $set: {
+              normalization: {
+                eventId,
+                method,
+                rawMarks: entry.rawMarks,
+                rawPercentage: entry.rawPercentage,
+                shiftPercentile: entry.shiftPercentile,
+                normalizedScore: entry.normalizedScore,
+                eventRank: rank,
+                eventParticipants: entries.length,
+                parametersHash,
+                normalizedAt
+              }
+            }
+          }
+        }
+      });
+
+      if (operations.length >= WRITE_BATCH_SIZE) {
+        await Result.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Result.bulkWrite(operations, { ordered: false });
+    }
+
+    if (this.signatureService) {
+      await this.signatureService.signResults({
+        $or: [{ _id: { $in: previousIds } }, { 'normalization.eventId': eventId }]
+      });
+    }
+  }
+
+  /**
+   * Hash the normalisation parameters
+   * @param {Object} parameters - Normalisation parameters
+   * @param {number|null} hashVersion - Hash version (none for events
+   * normalised before versions were tracked)
+   * @returns {string} Parameters hash
+   */
+  computeParametersHash(parameters, hashVersion) {
+    return versionedHash.hash(parameters, hashVersion);
+  }
+
+  /**
+   * Store the normalisation parameters hash on blockchain
+   * @param {Object} event - Exam event
+   * @private
+   */
+  async anchorParameters(event) {
+    if (!this.blockchainService) {
+      return;
+    }
+
+    try {
+      const blockchainData = await this.blockchainService.storeRankHash(
+        event.eventId,
+        event.normalization.parametersHash,
+        'ExamEvent'
+      );
+
+      event.normalization.blockchainHash = blockchainData.hash;
+      event.normalization.blockchainTxId = blockchainData.transactionId;
+    } catch (blockchainError) {
+      logger.error('Failed to store normalisation hash on blockchain:', blockchainError);
+      // Continue without blockchain storage
+    }
+  }
+}
+
+module.exports = NormalizationService;
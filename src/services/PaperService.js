@@ -0,0 +1,1155 @@
+const crypto = require('crypto');
+const IPaperService = require('./interfaces/IPaperService');
+const BlueprintSolver = require('./BlueprintSolver');
+const ExamPaper = require('../models/ExamPaper');
+const Question = require('../models/Question');
+const Result = require('../models/Result');
+const User = require('../models/User');
+const EncryptionService = require('../utils/encryption');
+const versionedHash = require('../utils/versionedHash');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_MARKS_PER_QUESTION = 4;
+const MIN_QUESTION_TIME_LIMIT = 30;
+const MAX_PAPER_QUESTIONS = 200;
+const SHARE_HOLDER_ROLES = ['admin', 'state', 'internal'];
+const MAX_SHARE_HOLDERS = 20;
+const INVALID_SHARE_REASONS = {
+  unknown_share: 'Share ID is not part of this paper',
+  commitment_mismatch: 'Share does not match the published commitments',
+  hash_mismatch: 'Share does not match its recorded hash'
+};
+
+/**
+ * Concrete implementation of Paper Service
+ * Following Single Responsibility Principle (SRP) and Dependency Inversion Principle (DIP)
+ */
+class PaperService extends IPaperService {
+  constructor(questionService, blockchainService = null, blueprintSolver = new BlueprintSolver()) {
+    super();
+    this.questionService = questionService;
+    this.blockchainService = blockchainService;
+    this.blueprintSolver = blueprintSolver;
+    this.encryptionService = EncryptionService;
+  }
+
+  /**
+   * Generate a unique paper from random questions, either from a blueprint
+   * or from a question count and difficulty split. The paper content is
+   * encrypted with a fresh key that is only kept as sealed Shamir shares.
+   * @param {Object} paperConfig - Paper configuration
+   * @param {string} generatedBy - User ID who generated
+   * @returns {Promise<Object>} Generated paper
+   */
+  async generatePaper(paperConfig, generatedBy) {
+    try {
+      const {
+        title,
+        subject,
+        duration,
+        instructions,
+        blueprint,
+        releaseWindow,
+        marksPerQuestion = DEFAULT_MARKS_PER_QUESTION,
+        negativeMarking = false,
+        negativeMarkingRatio = 0
+      } = paperConfig;
+
+      const validatedWindow = releaseWindow ? this.validateReleaseWindow(releaseWindow) : undefined;
+
+      let questions;
+      let marksOf;
+      let timeLimitOf;
+
+      if (blueprint) {
+        // Blueprint papers keep each question's own marks and time limit
+        questions = await this.solveBlueprint(blueprint);
+        marksOf = question => question.marks;
+        timeLimitOf = question => Math.max(MIN_QUESTION_TIME_LIMIT, question.timeLimit || MIN_QUESTION_TIME_LIMIT);
+      } else {
+        const perQuestionTime = Math.max(MIN_QUESTION_TIME_LIMIT, Math.floor((duration * 60) / paperConfig.totalQuestions));
+        questions = await this.drawQuestions(subject, paperConfig.totalQuestions, paperConfig.difficultyDistribution);
+        marksOf = () => marksPerQuestion;
+        timeLimitOf = () => perQuestionTime;
+      }
+      this.shuffle(questions);
+
+      const totalQuestions = questions.length;
+      const paperQuestions = questions.map((question, index) => ({
+        questionId: question.questionId,
+        order: index + 1,
+        marks: marksOf(question),
+        timeLimit: timeLimitOf(question)
+      }));
+      const totalMarks = paperQuestions.reduce((sum, q) => sum + q.marks, 0);
+
+      // Encrypt the paper content with a per-paper key
+      const content = questions.map((question, index) => ({
+        ...paperQuestions[index],
+        subject: question.subject,
+        topic: question.topic,
+        difficulty: question.difficulty,
+        questionText: question.questionText,
+        options: question.options
+      }));
+      const paperKey = this.encryptionService.generateRandomKey(32).toString('hex');
+      const encryptedContent = JSON.stringify(this.encryptionService.encrypt(JSON.stringify(content), paperKey));
+
+      // Split the key; shares stay sealed with the master key until distributed
+      const { shares, commitments } = this.encryptionService.splitSecret(paperKey);
+
+      const paper = new ExamPaper({
+        title,
+        subject,
+        totalQuestions,
+        totalMarks,
+        duration,
+        questions: paperQuestions,
+        difficultyDistribution: this.countDifficulties(questions),
+        blueprint: blueprint || undefined,
+        releaseWindow: validatedWindow,
+        encryptedContent,
+        contentHash: this.encryptionService.generateHash(encryptedContent),
+        hashVersion: versionedHash.currentVersion,
+        encryptionKeyId: this.encryptionService.getActiveKeyId(),
+        shamirShares: shares.map(share => ({
+          shareId: share.id,
+          share: JSON.stringify(this.encryptionService.encrypt(share.share)),
+          shareHash: this.encryptionService.generateHash(share.share),
+          holder: generatedBy
+        })),
+        shareCommitments: commitments,
+        threshold: shares[0].threshold,
+        totalShares: shares[0].totalParts,
+        generatedBy,
+        instructions,
+        passingMarks: paperConfig.passingMarks || Math.max(1, Math.ceil(totalMarks * 0.33)),
+        negativeMarking,
+        negativeMarkingRatio: negativeMarking ? negativeMarkingRatio : 0
+      });
+
+      // Validation assigns the paper ID, which the paper hash covers
+      await paper.validate();
+      paper.sealedHash = paper.paperHash;
+
+      // The question list is part of the sealed content until decryption
+      paper.questions = [];
+
+      const savedPaper = await paper.save();
+
+      await Question.updateMany(
+        { questionId: { $in: paperQuestions.map(q => q.questionId) } },
+        { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } }
+      );
+
+      await this.anchorPaper(savedPaper);
+
+      logger.info(`Paper generated: ${savedPaper.paperId} (${totalQuestions} questions, ${savedPaper.threshold}/${savedPaper.totalShares} shares)`);
+      return savedPaper;
+    } catch (error) {
+      logger.error('Error generating paper:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the question pool can satisfy a blueprint without
+   * generating a paper
+   * @param {Object} blueprint - Paper blueprint
+   * @returns {Promise<Object>} Feasibility, diagnostics and a sample selection summary
+   */
+  async checkBlueprint(blueprint) {
+    try {
+      this.validateBlueprint(blueprint);
+
+      const pool = await this.getBlueprintPool(blueprint);
+      const solution = this.blueprintSolver.solve(blueprint, pool);
+
+      if (!solution.feasible) {
+        return { feasible: false, poolSize: pool.length, diagnostics: solution.diagnostics };
+      }
+
+      return {
+        feasible: true,
+        poolSize: pool.length,
+        totalQuestions: solution.questions.length,
+        totalMarks: solution.totalMarks,
+        difficultyDistribution: this.countDifficulties(solution.questions),
+        stateDistribution: solution.questions.reduce((counts, q) => {
+          counts[q.stateCode] = (counts[q.stateCode] || 0) + 1;
+          return counts;
+        }, {})
+      };
+    } catch (error) {
+      logger.error('Error checking blueprint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Distribute Shamir key parts: unseal every share and encrypt it to its
+   * holder's registered public key. Shares are never returned in the clear;
+   * each holder fetches and acknowledges their own share.
+   * @param {string} paperId - Paper ID
+   * @param {Array<string>} holders - User IDs of the share holders, one per share
+   * @returns {Promise<Array>} Custody summary of the distributed shares
+   */
+  async distributeShamirKey(paperId, holders = []) {
+    try {
+      const paper = await this.getPaperById(paperId);
+
+      if (paper.status !== 'generated') {
+        throw new ServiceError(`Shares of a ${paper.status} paper cannot be distributed`, 409);
+      }
+
+      if (holders.length !== paper.shamirShares.length || new Set(holders).size !== holders.length) {
+        throw new ServiceError(`Exactly ${paper.shamirShares.length} distinct share holders are required`, 400);
+      }
+
+      const holderUsers = await this.getShareHolders(holders);
+
+      // Holders can check their share against the commitments, so never hand out one that fails
+      const shares = paper.shamirShares.map(shamirShare => this.encryptionService.decrypt(JSON.parse(shamirShare.share)));
+      const corruptedShares = paper.shamirShares
+        .filter((shamirShare, index) => !this.encryptionService.verifyShare(
+          { id: shamirShare.shareId, share: shares[index] },
+          paper.shareCommitments
+        ))
+        .map(shamirShare => shamirShare.shareId);
+      if (corruptedShares.length > 0) {
+        throw new ServiceError('Stored shares do not match the published commitments', 409, { shareIds: corruptedShares });
+      }
+
+      const distributedAt = new Date();
+      paper.shamirShares.forEach((shamirShare, index) => {
+        const holder = holderUsers[index];
+        const share = shares[index];
+
+        shamirShare.holder = holder._id;
+        shamirShare.encryptedShare = JSON.stringify(
+          this.encryptionService.encryptForRecipient(share, holder.shareKey.publicKey)
+        );
+        shamirShare.holderKeyFingerprint = holder.shareKey.fingerprint;
+        shamirShare.share = undefined;
+        shamirShare.distributedAt = distributedAt;
+      });
+
+      paper.status = 'distributed';
+      await paper.save();
+
+      logger.info(`Shamir shares distributed for paper ${paper.paperId} to ${holders.length} holders`);
+      return this.summarizeShares(paper);
+    } catch (error) {
+      logger.error('Error distributing Shamir key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate the key of a distributed paper and share the new key with a new set
+   * of holders. Threshold shares of the current key recover the content, which
+   * is re-encrypted under a fresh key, so the old shares (and any submissions
+   * still pending) can no longer decrypt the paper.
+   * @param {string} paperId - Paper ID
+   * @param {Object} rotation - Current shares ({ shareId, share }), new holders, optional threshold and reason
+   * @param {Object} rotatedBy - User performing the rotation
+   * @returns {Promise<Object>} Updated paper, the rotation record and the new share summaries
+   */
+  async reshareShamirKey(paperId, rotation, rotatedBy) {
+    try {
+      const { shares = [], holders = [], reason } = rotation;
+      const paper = await this.getPaperById(paperId);
+
+      if (paper.status !== 'distributed') {
+        throw new ServiceError(`The key of a ${paper.status} paper cannot be rotated`, 409);
+      }
+
+      const threshold = rotation.threshold || paper.threshold;
+      if (holders.length < 2 || holders.length > MAX_SHARE_HOLDERS || new Set(holders).size !== holders.length) {
+        throw new ServiceError(`Between 2 and ${MAX_SHARE_HOLDERS} distinct share holders are required`, 400);
+      }
+      if (threshold < 2 || threshold > Math.min(10, holders.length)) {
+        throw new ServiceError('Threshold must be at least 2 and at most the number of holders (10 at most)', 400);
+      }
+
+      // Every current share must be valid, and there must be enough of them
+      const invalidShares = [];
+      const currentShares = new Map();
+      for (const submitted of shares) {
+        const shamirShare = paper.shamirShares.find(s => s.shareId === submitted.shareId);
+        const invalidReason = this.checkSubmittedShare(paper, shamirShare, submitted.share);
+
+        if (invalidReason) {
+          invalidShares.push({ shareId: submitted.shareId, holder: shamirShare ? shamirShare.holder : null, reason: invalidReason });
+        } else {
+          currentShares.set(submitted.shareId, { id: submitted.shareId, share: submitted.share });
+        }
+      }
+
+      if (invalidShares.length > 0) {
+        throw await this.invalidSharesError(invalidShares);
+      }
+
+      if (currentShares.size < paper.threshold) {
+        throw new ServiceError(`At least ${paper.threshold} distinct shares of the current key are required`, 400, {
+          provided: currentShares.size
+        });
+      }
+
+      const holderUsers = await this.getShareHolders(holders);
+
+      if (this.encryptionService.generateHash(paper.encryptedContent) !== paper.contentHash) {
+        throw new ServiceError('Encrypted paper content failed its integrity check', 409);
+      }
+
+      let content;
+      try {
+        const currentKey = this.encryptionService.reconstructSecret([...currentShares.values()], paper.threshold);
+        content = this.encryptionService.decrypt(JSON.parse(paper.encryptedContent), currentKey);
+      } catch (error) {
+        throw new ServiceError('Shares do not reconstruct the paper key', 400);
+      }
+
+      // Re-encrypt under a fresh key and share it with the new holders directly
+      const paperKey = this.encryptionService.generateRandomKey(32).toString('hex');
+      const encryptedContent = JSON.stringify(this.encryptionService.encrypt(content, paperKey));
+      const contentHash = this.encryptionService.generateHash(encryptedContent);
+      const { shares: newShares, commitments } = this.encryptionService.splitSecret(paperKey, holders.length, threshold);
+
+      const now = new Date();
+      const shamirShares = newShares.map((share, index) => {
+        const holder = holderUsers[index];
+        return {
+          shareId: share.id,
+          shareHash: this.encryptionService.generateHash(share.share),
+          holder: holder._id,
+          encryptedShare: JSON.stringify(this.encryptionService.encryptForRecipient(share.share, holder.shareKey.publicKey)),
+          holderKeyFingerprint: holder.shareKey.fingerprint,
+          distributedAt: now
+        };
+      });
+
+      const keyVersion = (paper.keyVersion || 1) + 1;
+      const keyRotation = {
+        keyVersion,
+        previousThreshold: paper.threshold,
+        previousTotalShares: paper.totalShares,
+        threshold,
+        totalShares: holders.length,
+        sharesUsed: [...currentShares.keys()],
+        previousHolders: paper.shamirShares.map(s => s.holder),
+        holders: holderUsers.map(user => user._id),
+        reason,
+        // Binds the new ciphertext, commitments and holder keys for the on-chain record
+        rotationHash: versionedHash.hash({
+          paperId: paper.paperId,
+          keyVersion,
+          contentHash,
+          threshold,
+          commitments,
+          holderKeyFingerprints: shamirShares.map(s => s.holderKeyFingerprint)
+        }, versionedHash.currentVersion),
+        hashVersion: versionedHash.currentVersion,
+        rotatedBy: rotatedBy._id,
+        rotatedAt: now
+      };
+
+      // The content hash guards against a concurrent rotation or decryption
+      const rotatedPaper = await ExamPaper.findOneAndUpdate(
+        { paperId: paper.paperId, status: 'distributed', contentHash: paper.contentHash },
+        {
+          $set: {
+            encryptedContent,
+            contentHash,
+            shamirShares,
+            shareCommitments: commitments,
+            threshold,
+            totalShares: holders.length,
+            keyVersion
+          },
+          $push: { keyRotations: keyRotation }
+        },
+        { new: true }
+      );
+      if (!rotatedPaper) {
+        throw new ServiceError('Paper was decrypted or rotated while its key was being rotated', 409);
+      }
+
+      await this.anchorKeyRotation(rotatedPaper, keyVersion);
+
+      logger.info(`Key of paper ${rotatedPaper.paperId} rotated to version ${keyVersion} by ${rotatedBy._id} (${threshold}/${holders.length} shares)`);
+      return {
+        paper: rotatedPaper,
+        rotation: rotatedPaper.keyRotations.find(r => r.keyVersion === keyVersion),
+        shares: this.summarizeShares(rotatedPaper)
+      };
+    } catch (error) {
+      logger.error('Error rotating paper key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit Shamir shares for reconstruction. Holders may submit their shares
+   * separately while the release window is open; every submission is logged,
+   * and the paper is decrypted once the threshold of shares is collected.
+   * @param {string} paperId - Paper ID
+   * @param {Array} shares - Shamir shares ({ shareId, share })
+   * @param {Object} submitter - Submitting user (a share holder, or the internal trigger)
+   * @param {Object} clientInfo - Client details (ipAddress)
+   * @returns {Promise<Object>} Paper, collection progress and, once decrypted, its questions
+   */
+  async decryptPaper(paperId, shares, submitter, clientInfo = {}) {
+    try {
+      const paper = await this.getPaperById(paperId);
+      const now = new Date();
+      const logEntry = (shamirShare, shareId, outcome, reason = null) => ({
+        shareId,
+        keyVersion: paper.keyVersion,
+        holder: shamirShare ? shamirShare.holder : undefined,
+        submittedBy: submitter._id,
+        outcome,
+        reason,
+        ipAddress: clientInfo.ipAddress,
+        submittedAt: now
+      });
+      const rejectAll = async (reason) => {
+        await this.logShareSubmissions(paper.paperId, shares.map(submitted => logEntry(
+          paper.shamirShares.find(s => s.shareId === submitted.shareId), submitted.shareId, 'rejected', reason
+        )));
+      };
+
+      if (paper.status !== 'distributed') {
+        await rejectAll(`Paper is ${paper.status}`);
+        throw new ServiceError(`A ${paper.status} paper cannot be decrypted`, 409);
+      }
+
+      const { opensAt, closesAt } = paper.releaseWindow || {};
+      if (opensAt && now < opensAt) {
+        await rejectAll('Release window not open');
+        throw new ServiceError(`Share submissions open at ${opensAt.toISOString()}`, 409, { opensAt });
+      }
+      if (closesAt && now > closesAt) {
+        await rejectAll('Release window closed');
+        throw new ServiceError(`Share submissions closed at ${closesAt.toISOString()}`, 409, { closesAt });
+      }
+
+      // Verify every share against the commitments before storing any of them
+      const entries = [];
+      const accepted = [];
+      const invalidShares = [];
+      let failure = null;
+      for (const submitted of shares) {
+        const shamirShare = paper.shamirShares.find(s => s.shareId === submitted.shareId);
+        const invalidReason = this.checkSubmittedShare(paper, shamirShare, submitted.share);
+        let reason = null;
+
+        if (invalidReason) {
+          reason = INVALID_SHARE_REASONS[invalidReason];
+          invalidShares.push({
+            shareId: submitted.shareId,
+            holder: shamirShare ? shamirShare.holder : null,
+            reason: invalidReason
+          });
+        } else if (submitter.role !== 'internal' && !shamirShare.holder.equals(submitter._id)) {
+          reason = 'Submitter is not the share holder';
+          failure = failure || new ServiceError('Only the holder of a share can submit it', 403, { shareId: submitted.shareId });
+        }
+
+        if (reason) {
+          entries.push(logEntry(shamirShare, submitted.shareId, 'rejected', reason));
+        } else if (shamirShare.submittedAt || accepted.some(a => a.shareId === submitted.shareId)) {
+          entries.push(logEntry(shamirShare, submitted.shareId, 'duplicate'));
+        } else {
+          entries.push(logEntry(shamirShare, submitted.shareId, 'accepted'));
+          accepted.push(submitted);
+        }
+      }
+
+      if (invalidShares.length > 0) {
+        failure = await this.invalidSharesError(invalidShares);
+      }
+
+      if (failure) {
+        entries.forEach(entry => {
+          if (entry.outcome !== 'rejected') {
+            entry.outcome = 'rejected';
+            entry.reason = 'Submitted with an invalid share';
+          }
+        });
+        await this.logShareSubmissions(paper.paperId, entries);
+        throw failure;
+      }
+
+      // Store the accepted shares sealed; concurrent holders each add their own
+      const update = { $push: { shareSubmissions: { $each: entries } } };
+      const arrayFilters = [];
+      if (accepted.length > 0) {
+        update.$set = {};
+        accepted.forEach((submitted, index) => {
+          update.$set[`shamirShares.$[s${index}].submittedShare`] = JSON.stringify(this.encryptionService.encrypt(submitted.share));
+          update.$set[`shamirShares.$[s${index}].submittedAt`] = now;
+          arrayFilters.push({ [`s${index}.shareId`]: submitted.shareId, [`s${index}.submittedAt`]: null });
+        });
+      }
+
+      const collectingPaper = await ExamPaper.findOneAndUpdate(
+        { paperId: paper.paperId, status: 'distributed' },
+        update,
+        { new: true, arrayFilters }
+      );
+      if (!collectingPaper) {
+        throw new ServiceError('Paper was decrypted or changed while shares were submitted', 409);
+      }
+
+      const collectedShares = collectingPaper.shamirShares.filter(s => s.submittedAt).length;
+      logger.info(`Shares submitted for paper ${paper.paperId} by ${submitter._id}: ${accepted.length} accepted (${collectedShares}/${collectingPaper.threshold} collected)`);
+
+      if (collectedShares < collectingPaper.threshold) {
+        return { paper: collectingPaper, decrypted: false, collectedShares, questions: null };
+      }
+
+      const { paper: decryptedPaper, questions } = await this.reconstructPaper(collectingPaper);
+      return { paper: decryptedPaper, decrypted: true, collectedShares, questions };
+    } catch (error) {
+      logger.error('Error decrypting paper:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or change the release window of a paper that has not been decrypted
+   * @param {string} paperId - Paper ID
+   * @param {Object} releaseWindow - Release window (opensAt, activateAt, closesAt)
+   * @returns {Promise<Object>} Updated paper
+   */
+  async setReleaseWindow(paperId, releaseWindow) {
+    try {
+      const paper = await this.getPaperById(paperId);
+
+      if (!['generated', 'distributed'].includes(paper.status)) {
+        throw new ServiceError(`The release window of a ${paper.status} paper cannot be changed`, 409);
+      }
+
+      paper.releaseWindow = this.validateReleaseWindow(releaseWindow);
+      const updatedPaper = await paper.save();
+
+      logger.info(`Release window set for paper ${updatedPaper.paperId}: opens ${updatedPaper.releaseWindow.opensAt.toISOString()}`);
+      return updatedPaper;
+    } catch (error) {
+      logger.error('Error setting release window:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate every decrypted paper whose scheduled start has passed
+   * @returns {Promise<number>} Number of papers activated
+   */
+  async activateScheduledPapers() {
+    const duePapers = await ExamPaper.findDueForActivation(new Date());
+    let activatedCount = 0;
+
+    for (const paper of duePapers) {
+      try {
+        await paper.activate();
+        activatedCount++;
+        logger.info(`Paper activated on schedule: ${paper.paperId}`);
+      } catch (error) {
+        logger.error(`Failed to activate paper ${paper.paperId} on schedule:`, error);
+        // Keep going; the paper is picked up again on the next run
+      }
+    }
+
+    return activatedCount;
+  }
+
+  /**
+   * Move a paper's sealed and submitted shares under the active master key
+   * @param {Object} paper - Paper (shamirShares and encryptionKeyId)
+   * @returns {Object|null} Fields to update, or null if the paper is already current
+   */
+  resealShares(paper) {
+    const encryptionKeyId = this.encryptionService.getActiveKeyId();
+    const update = {};
+
+    paper.shamirShares.forEach((shamirShare, index) => {
+      ['share', 'submittedShare'].forEach(field => {
+        if (!shamirShare[field]) return;
+
+        const resealed = this.encryptionService.reseal(JSON.parse(shamirShare[field]));
+        if (resealed) {
+          update[`shamirShares.${index}.${field}`] = JSON.stringify(resealed);
+        }
+      });
+    });
+
+    if (Object.keys(update).length === 0 && paper.encryptionKeyId === encryptionKeyId) {
+      return null;
+    }
+
+    return { ...update, encryptionKeyId };
+  }
+
+  /**
+   * Get blockchain hash of generated paper
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<string>} Paper hash
+   */
+  async getPaperHash(paperId) {
+    const paper = await this.getPaperById(paperId);
+
+    if (!paper.blockchainHash) {
+      throw new ServiceError('Paper hash has not been anchored on blockchain', 404);
+    }
+
+    return paper.blockchainHash;
+  }
+
+  /**
+   * Activate paper for exam
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Object>} Activated paper
+   */
+  async activatePaper(paperId) {
+    try {
+      const paper = await this.getPaperById(paperId);
+
+      if (paper.status !== 'decrypted') {
+        throw new ServiceError(`Only decrypted papers can be activated (status: ${paper.status})`, 409);
+      }
+
+      const activateAt = paper.releaseWindow && paper.releaseWindow.activateAt;
+      if (activateAt && activateAt > new Date()) {
+        throw new ServiceError(`Paper is scheduled to activate at ${activateAt.toISOString()}`, 409, { activateAt });
+      }
+
+      const activatedPaper = await paper.activate();
+      logger.info(`Paper activated: ${activatedPaper.paperId}`);
+      return activatedPaper;
+    } catch (error) {
+      logger.error('Error activating paper:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete paper and record its result statistics
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Object>} Completed paper
+   */
+  async completePaper(paperId) {
+    try {
+      const paper = await this.getPaperById(paperId);
+
+      if (paper.status !== 'active') {
+        throw new ServiceError(`Only active papers can be completed (status: ${paper.status})`, 409);
+      }
+
+      const [stats] = await Result.getStatistics(paper.paperId);
+      if (stats && stats.totalResults > 0) {
+        paper.averageScore = Math.round(stats.avgMarks * 100) / 100;
+        paper.passRate = Math.round((stats.passedResults / stats.totalResults) * 10000) / 100;
+      }
+
+      const completedPaper = await paper.complete();
+      logger.info(`Paper completed: ${completedPaper.paperId}`);
+      return completedPaper;
+    } catch (error) {
+      logger.error('Error completing paper:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper by ID
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Object>} Paper object
+   */
+  async getPaperById(paperId) {
+    const paper = await ExamPaper.findOne({ paperId: paperId.toUpperCase() });
+    if (!paper) {
+      throw new ServiceError('Paper not found', 404);
+    }
+    return paper;
+  }
+
+  /**
+   * Get active papers
+   * @returns {Promise<Array>} Active papers array
+   */
+  async getActivePapers() {
+    try {
+      return await ExamPaper.findActive()
+        .select('-encryptedContent -shamirShares -shareSubmissions -keyRotations')
+        .sort({ activatedAt: -1 });
+    } catch (error) {
+      logger.error('Error getting active papers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper statistics
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getStatistics() {
+    try {
+      const stats = await ExamPaper.getStatistics();
+      return stats[0] || {};
+    } catch (error) {
+      logger.error('Error getting paper statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify paper integrity: the sealed content is untouched, the decrypted
+   * questions (if any) match the generation hash, and that hash matches the
+   * one anchored on blockchain
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<boolean>} Verification result
+   */
+  async verifyPaperIntegrity(paperId) {
+    try {
+      const paper = await this.getPaperById(paperId);
+
+      if (paper.encryptedContent &&
+          this.encryptionService.generateHash(paper.encryptedContent) !== paper.contentHash) {
+        logger.warn(`Paper ${paper.paperId}: encrypted content hash mismatch`);
+        return false;
+      }
+
+      if (paper.questions.length > 0 && paper.sealedHash && paper.paperHash !== paper.sealedHash) {
+        logger.warn(`Paper ${paper.paperId}: questions do not match the generation hash`);
+        return false;
+      }
+
+      if (paper.blockchainHash) {
+        if (paper.blockchainHash !== paper.sealedHash) {
+          logger.warn(`Paper ${paper.paperId}: anchored hash differs from the generation hash`);
+          return false;
+        }
+
+        if (this.blockchainService) {
+          return await this.blockchainService.verifyDataIntegrity(paper.paperId, 'ExamPaper', paper.blockchainHash, 'paper_hash');
+        }
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error verifying paper integrity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconstruct the paper key from the collected shares, decrypt the content
+   * and restore the question list. A paper past its scheduled start is
+   * activated straight away.
+   * @param {Object} paper - Paper with at least threshold collected shares
+   * @returns {Promise<Object>} Decrypted paper and its questions
+   * @private
+   */
+  async reconstructPaper(paper) {
+    if (this.encryptionService.generateHash(paper.encryptedContent) !== paper.contentHash) {
+      throw new ServiceError('Encrypted paper content failed its integrity check', 409);
+    }
+
+    const collected = paper.shamirShares.filter(s => s.submittedAt);
+
+    const collectedShares = collected.map(s => ({
+      id: s.shareId,
+      share: this.encryptionService.decrypt(JSON.parse(s.submittedShare))
+    }));
+
+    // Shares were verified on submission; a failure here means a stored share was altered
+    const corruptedShares = collected.filter((s, index) => (
+      !this.encryptionService.verifyShare(collectedShares[index], paper.shareCommitments)
+    ));
+    if (corruptedShares.length > 0) {
+      throw await this.invalidSharesError(corruptedShares.map(s => ({
+        shareId: s.shareId,
+        holder: s.holder,
+        reason: 'commitment_mismatch'
+      })), 409);
+    }
+
+    let content;
+    try {
+      const paperKey = this.encryptionService.reconstructSecret(collectedShares, paper.threshold);
+      content = JSON.parse(this.encryptionService.decrypt(JSON.parse(paper.encryptedContent), paperKey));
+    } catch (error) {
+      throw new ServiceError('Shares do not reconstruct the paper key', 400);
+    }
+
+    paper.questions = content.map(q => ({
+      questionId: q.questionId,
+      order: q.order,
+      marks: q.marks,
+      timeLimit: q.timeLimit
+    }));
+
+    if (paper.sealedHash && paper.paperHash !== paper.sealedHash) {
+      throw new ServiceError('Decrypted paper does not match the hash recorded at generation', 409);
+    }
+
+    // The collected shares are spent; only their hashes stay on record
+    collected.forEach(s => {
+      s.isUsed = true;
+      s.submittedShare = undefined;
+    });
+
+    const now = new Date();
+    paper.status = 'decrypted';
+    paper.decryptedAt = now;
+
+    const activateAt = paper.releaseWindow && paper.releaseWindow.activateAt;
+    if (activateAt && activateAt <= now) {
+      paper.status = 'active';
+      paper.activatedAt = now;
+    }
+
+    const updatedPaper = await paper.save();
+    logger.info(`Paper decrypted: ${updatedPaper.paperId} (${collected.length} shares, status ${updatedPaper.status})`);
+    return { paper: updatedPaper, questions: content };
+  }
+
+  /**
+   * Load share holders in the given order; each needs an active account with
+   * a share holder role and a registered share key
+   * @param {Array<string>} holders - Holder user IDs
+   * @returns {Promise<Array>} Holder users
+   * @private
+   */
+  async getShareHolders(holders) {
+    const holderUsers = await User.find({
+      _id: { $in: holders },
+      isActive: true,
+      role: { $in: SHARE_HOLDER_ROLES }
+    }).select('shareKey');
+    const usersById = new Map(holderUsers.map(user => [user._id.toString(), user]));
+
+    const missingKeys = holders.filter(holder => {
+      const user = usersById.get(holder);
+      return !user || !user.shareKey || !user.shareKey.publicKey;
+    });
+    if (missingKeys.length > 0) {
+      throw new ServiceError('Every share holder needs an active account with a registered share key', 400, {
+        holders: missingKeys
+      });
+    }
+
+    return holders.map(holder => usersById.get(holder));
+  }
+
+  /**
+   * Summarise a paper's shares without any share material
+   * @param {Object} paper - Exam paper
+   * @returns {Array} Share summaries
+   * @private
+   */
+  summarizeShares(paper) {
+    return paper.shamirShares.map(shamirShare => ({
+      shareId: shamirShare.shareId,
+      holder: shamirShare.holder,
+      holderKeyFingerprint: shamirShare.holderKeyFingerprint,
+      shareHash: shamirShare.shareHash,
+      threshold: paper.threshold,
+      totalShares: paper.totalShares
+    }));
+  }
+
+  /**
+   * Check a submitted share against the paper's Feldman commitments and the
+   * hash recorded for it
+   * @param {Object} paper - Exam paper
+   * @param {Object} shamirShare - Share entry the submission claims to be (if any)
+   * @param {string} share - Submitted share (hex)
+   * @returns {string|null} Reason code (see INVALID_SHARE_REASONS), or null if valid
+   * @private
+   */
+  checkSubmittedShare(paper, shamirShare, share) {
+    if (!shamirShare) {
+      return 'unknown_share';
+    }
+
+    if (!this.encryptionService.verifyShare({ id: shamirShare.shareId, share }, paper.shareCommitments)) {
+      return 'commitment_mismatch';
+    }
+
+    if (shamirShare.shareHash !== this.encryptionService.generateHash(share)) {
+      return 'hash_mismatch';
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the error for invalid shares, naming the holder of each
+   * @param {Array} invalidShares - Invalid shares ({ shareId, holder, reason })
+   * @param {number} statusCode - HTTP status code
+   * @returns {Promise<ServiceError>} Error listing every invalid share
+   * @private
+   */
+  async invalidSharesError(invalidShares, statusCode = 400) {
+    const holderIds = invalidShares.filter(s => s.holder).map(s => s.holder);
+    const holders = await User.find({ _id: { $in: holderIds } }).select('username');
+    const usernames = new Map(holders.map(user => [user._id.toString(), user.username]));
+
+    const details = invalidShares.map(s => ({
+      shareId: s.shareId,
+      holder: s.holder,
+      holderUsername: s.holder ? usernames.get(s.holder.toString()) || null : null,
+      reason: s.reason
+    }));
+    const culprits = details.map(s => (
+      s.holderUsername ? `share ${s.shareId} (holder ${s.holderUsername})` : `share ${s.shareId}`
+    ));
+
+    return new ServiceError(`Invalid Shamir share: ${culprits.join(', ')}`, statusCode, { invalidShares: details });
+  }
+
+  /**
+   * Append entries to a paper's share submission log
+   * @param {string} paperId - Paper ID
+   * @param {Array} entries - Submission log entries
+   * @private
+   */
+  async logShareSubmissions(paperId, entries) {
+    if (entries.length === 0) return;
+    await ExamPaper.updateOne({ paperId }, { $push: { shareSubmissions: { $each: entries } } });
+  }
+
+  /**
+   * Check a release window and normalise its dates
+   * @param {Object} releaseWindow - Release window (opensAt, activateAt, closesAt)
+   * @returns {Object} Release window with Date values
+   * @private
+   */
+  validateReleaseWindow(releaseWindow) {
+    const opensAt = new Date(releaseWindow.opensAt);
+    const activateAt = new Date(releaseWindow.activateAt);
+    const closesAt = releaseWindow.closesAt ? new Date(releaseWindow.closesAt) : undefined;
+
+    if (isNaN(opensAt) || isNaN(activateAt) || (closesAt && isNaN(closesAt))) {
+      throw new ServiceError('Release window dates are invalid', 400);
+    }
+
+    if (activateAt <= new Date()) {
+      throw new ServiceError('The scheduled start must be in the future', 400);
+    }
+
+    if (opensAt > activateAt) {
+      throw new ServiceError('Share submissions must open before the scheduled start', 400);
+    }
+
+    if (closesAt && closesAt <= opensAt) {
+      throw new ServiceError('The release window must close after it opens', 400);
+    }
+
+    return { opensAt, activateAt, closesAt };
+  }
+
+  /**
+   * Select questions that satisfy a blueprint, failing with the solver's
+   * diagnostics when the pool cannot
+   * @param {Object} blueprint - Paper blueprint
+   * @returns {Promise<Array>} Full question documents
+   * @private
+   */
+  async solveBlueprint(blueprint) {
+    this.validateBlueprint(blueprint);
+
+    const pool = await this.getBlueprintPool(blueprint);
+    const solution = this.blueprintSolver.solve(blueprint, pool);
+
+    if (!solution.feasible) {
+      throw new ServiceError('Question pool cannot satisfy the blueprint', 409, {
+        poolSize: pool.length,
+        diagnostics: solution.diagnostics
+      });
+    }
+
+    const selectedIds = solution.questions.map(q => q.questionId);
+    const questions = await Question.find({ questionId: { $in: selectedIds } }).lean();
+    if (questions.length !== selectedIds.length) {
+      throw new ServiceError('Selected questions changed during generation; retry', 409);
+    }
+
+    return questions;
+  }
+
+  /**
+   * Load the candidate questions for a blueprint
+   * @param {Object} blueprint - Paper blueprint
+   * @returns {Promise<Array>} Question pool
+   * @private
+   */
+  async getBlueprintPool(blueprint) {
+    return this.questionService.getQuestionPool({
+      subjects: [...new Set(blueprint.sections.map(section => section.subject))],
+      includeTags: blueprint.includeTags || [],
+      excludeTags: blueprint.excludeTags || []
+    });
+  }
+
+  /**
+   * Check that a blueprint is internally consistent
+   * @param {Object} blueprint - Paper blueprint
+   * @private
+   */
+  validateBlueprint(blueprint) {
+    blueprint.sections.forEach((section, index) => {
+      if (!section.difficulty) return;
+
+      const split = DIFFICULTIES.reduce((sum, level) => sum + (parseInt(section.difficulty[level]) || 0), 0);
+      if (split > 0 && split !== section.count) {
+        throw new ServiceError(
+          `Section ${index + 1} difficulty split adds up to ${split}, not ${section.count} questions`,
+          400
+        );
+      }
+    });
+
+    const totalQuestions = blueprint.sections.reduce((sum, section) => sum + section.count, 0);
+    if (totalQuestions > MAX_PAPER_QUESTIONS) {
+      throw new ServiceError(`Blueprint asks for ${totalQuestions} questions; a paper holds at most ${MAX_PAPER_QUESTIONS}`, 400);
+    }
+
+    const overlap = (blueprint.includeTags || []).filter(tag => (blueprint.excludeTags || []).includes(tag));
+    if (overlap.length > 0) {
+      throw new ServiceError('Tags cannot be both included and excluded', 400, { tags: overlap });
+    }
+  }
+
+  /**
+   * Draw questions for each difficulty level of the distribution
+   * @param {string} subject - Subject
+   * @param {number} totalQuestions - Total questions
+   * @param {Object} distribution - Questions per difficulty (optional)
+   * @returns {Promise<Array>} Questions
+   * @private
+   */
+  async drawQuestions(subject, totalQuestions, distribution = null) {
+    const hasDistribution = distribution && DIFFICULTIES.some(level => distribution[level]);
+
+    if (!hasDistribution) {
+      const questions = await this.questionService.getQuestionsForPaper({ subject, count: totalQuestions });
+      if (questions.length < totalQuestions) {
+        throw new ServiceError('Not enough verified questions for this paper', 409, {
+          requested: totalQuestions,
+          available: questions.length
+        });
+      }
+      return questions;
+    }
+
+    const requested = DIFFICULTIES.reduce((sum, level) => sum + (parseInt(distribution[level]) || 0), 0);
+    if (requested !== totalQuestions) {
+      throw new ServiceError(`Difficulty distribution adds up to ${requested}, not ${totalQuestions} questions`, 400);
+    }
+
+    const questions = [];
+    const shortfall = {};
+    for (const difficulty of DIFFICULTIES) {
+      const count = parseInt(distribution[difficulty]) || 0;
+      if (count === 0) continue;
+
+      const drawn = await this.questionService.getQuestionsForPaper({
+        subject,
+        difficulty,
+        count,
+        excludeIds: questions.map(q => q.questionId)
+      });
+
+      if (drawn.length < count) {
+        shortfall[difficulty] = { requested: count, available: drawn.length };
+      }
+      questions.push(...drawn);
+    }
+
+    if (Object.keys(shortfall).length > 0) {
+      throw new ServiceError('Not enough verified questions for the difficulty distribution', 409, shortfall);
+    }
+
+    return questions;
+  }
+
+  /**
+   * Count questions per difficulty
+   * @param {Array} questions - Questions
+   * @returns {Object} Difficulty distribution
+   * @private
+   */
+  countDifficulties(questions) {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    questions.forEach(question => {
+      if (counts[question.difficulty] !== undefined) {
+        counts[question.difficulty]++;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates with a CSPRNG)
+   * @param {Array} items - Items to shuffle
+   * @private
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+  }
+
+  /**
+   * Store the paper hash on blockchain
+   * @param {Object} paper - Exam paper
+   * @private
+   */
+  async anchorPaper(paper) {
+    if (!this.blockchainService) {
+      return;
+    }
+
+    try {
+      const blockchainData = await this.blockchainService.storePaperHash(paper.paperId, paper.sealedHash);
+
+      paper.blockchainHash = blockchainData.hash;
+      paper.blockchainTxId = blockchainData.transactionId;
+      await paper.save();
+    } catch (blockchainError) {
+      logger.error('Failed to store paper hash on blockchain:', blockchainError);
+      // Continue without blockchain storage
+    }
+  }
+
+  /**
+   * Record a key rotation on blockchain
+   * @param {Object} paper - Exam paper
+   * @param {number} keyVersion - Key version the rotation produced
+   * @private
+   */
+  async anchorKeyRotation(paper, keyVersion) {
+    if (!this.blockchainService) {
+      return;
+    }
+
+    const keyRotation = paper.keyRotations.find(r => r.keyVersion === keyVersion);
+    try {
+      const blockchainData = await this.blockchainService.storeKeyRotation(paper.paperId, keyVersion, keyRotation.rotationHash);
+
+      keyRotation.blockchainTxId = blockchainData.transactionId;
+      await paper.save();
+    } catch (blockchainError) {
+      logger.error('Failed to store key rotation on blockchain:', blockchainError);
+      // Continue without blockchain storage
+    }
+  }
+}
+
+module.exports = PaperService;
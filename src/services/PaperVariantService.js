@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+const OPTIONS = ['A', 'B', 'C', 'D'];
+const VARIANT_ALGORITHM = 'hmac-sha256-fisher-yates-v1';
+
+/**
+ * Paper Variant Service: derives each candidate's question order and option
+ * order from a seed, so every variant can be rebuilt later from the seed alone
+ * Following Single Responsibility Principle (SRP)
+ */
+class PaperVariantService {
+  /**
+   * Derive the variant seed of a candidate. The paper's secret salt keeps
+   * candidates from computing each other's variants.
+   * @param {string} paperId - Paper ID
+   * @param {string} studentId - Student user ID
+   * @param {string} variantSalt - Paper variant salt (hex)
+   * @returns {string} Seed (hex)
+   */
+  deriveSeed(paperId, studentId, variantSalt) {
+    return crypto.createHmac('sha256', Buffer.from(variantSalt, 'hex'))
+      .update(`${paperId.toUpperCase()}:${studentId.toString()}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the variant of a paper for a seed
+   * @param {Array} paperQuestions - Paper questions in canonical order
+   * @param {string} seed - Variant seed (hex)
+   * @returns {Object} Variant (seed, algorithm, questionOrder, optionOrders)
+   */
+  buildVariant(paperQuestions, seed) {
+    const canonical = [...paperQuestions].sort((a, b) => a.order - b.order).map(q => q.questionId);
+    const questionOrder = this.shuffle(canonical, this.createRandom(seed, 'questions'));
+
+    return {
+      seed,
+      algorithm: VARIANT_ALGORITHM,
+      questionOrder,
+      optionOrders: questionOrder.map(questionId => ({
+        questionId,
+        order: this.shuffle(OPTIONS, this.createRandom(seed, `options:${questionId}`))
+      }))
+    };
+  }
+
+  /**
+   * Rebuild a session's variant from its seed and compare it with the stored one
+   * @param {Object} session - Exam session
+   * @param {Array} paperQuestions - Paper questions in canonical order
+   * @returns {Object} Verification result
+   */
+  verifyVariant(session, paperQuestions) {
+    const stored = session.variant;
+    if (!stored || !stored.seed) {
+      return { valid: false, reason: 'Session has no variant' };
+    }
+
+    if (stored.algorithm !== VARIANT_ALGORITHM) {
+      return { valid: false, reason: `Unknown variant algorithm: ${stored.algorithm}` };
+    }
+
+    const rebuilt = this.buildVariant(paperQuestions, stored.seed);
+    const sameQuestions = rebuilt.questionOrder.join(',') === stored.questionOrder.join(',');
+    const mismatchedOptions = rebuilt.optionOrders
+      .filter(rebuiltOrder => {
+        const storedOrder = stored.optionOrders.find(o => o.questionId === rebuiltOrder.questionId);
+        return !storedOrder || storedOrder.order.join('') !== rebuiltOrder.order.join('');
+      })
+      .map(o => o.questionId);
+
+    return {
+      valid: sameQuestions && mismatchedOptions.length === 0,
+      questionOrderMatches: sameQuestions,
+      mismatchedOptions
+    };
+  }
+
+  /**
+   * Relabel a question's options in the order a variant displays them
+   * @param {Object} options - Canonical options (A-D)
+   * @param {Array<string>} order - Canonical option shown at each displayed position
+   * @returns {Object} Displayed options (A-D)
+   */
+  displayOptions(options, order) {
+    return OPTIONS.reduce((displayed, label, index) => {
+      displayed[label] = options[order[index]];
+      return displayed;
+    }, {});
+  }
+
+  /**
+   * Deterministic random integer source seeded by a seed and a label:
+   * HMAC-SHA256 in counter mode, 32 bits per draw
+   * @param {string} seed - Seed (hex)
+   * @param {string} label - Stream label
+   * @returns {Function} (max) => integer in [0, max)
+   * @private
+   */
+  createRandom(seed, label) {
+    const key = Buffer.from(seed, 'hex');
+    let counter = 0;
+    let block = Buffer.alloc(0);
+    let offset = 0;
+
+    const nextUint32 = () => {
+      if (offset + 4 > block.length) {
+        block = crypto.createHmac('sha256', key).update(`${label}:${counter++}`).digest();
+        offset = 0;
+      }
+      const value = block.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    };
+
+    return (max) => {
+      // Rejection sampling keeps the draw unbiased
+      const limit = Math.floor(0x100000000 / max) * max;
+      let value;
+      do {
+        value = nextUint32();
+      } while (value >= limit);
+      return value % max;
+    };
+  }
+
+  /**
+   * Fisher-Yates shuffle of a copy of the items
+   * @param {Array} items - Items to shuffle
+   * @param {Function} random - (max) => integer in [0, max)
+   * @returns {Array} Shuffled copy
+   * @private
+   */
+  shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = random(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = PaperVariantService;
@@ -2,6 +2,7 @@ const IQuestionService = require('./interfaces/IQuestionService');
 const Question = require('../models/Question');
 const BlockchainService = require('./BlockchainService');
 const EncryptionService = require('../utils/encryption');
+const versionedHash = require('../utils/versionedHash');
 const { logger } = require('../utils/logger');
 
 /**
@@ -29,7 +30,8 @@ class QuestionService extends IQuestionService {
       // Create question object
       const question = new Question({
         ...questionData,
-        stateCode: stateCode.toUpperCase()
+        stateCode: stateCode.toUpperCase(),
+        hashVersion: versionedHash.currentVersion
       });
 
       // Generate question hash
@@ -52,7 +54,8 @@ class QuestionService extends IQuestionService {
         await savedQuestion.save();
       } catch (blockchainError) {
         logger.error('Failed to store question hash on blockchain:', blockchainError);
-        // Continue without blockchain storage
+        // A transaction that was recorded is retried by the reconciliation job,
+        // which fills in blockchainTxId or flags the question's anchorFailure
       }
 
       logger.info(`Question uploaded successfully: ${savedQuestion.questionId}`);
@@ -99,7 +102,7 @@ class QuestionService extends IQuestionService {
         correctAnswer: q.correctAnswer
       }));
 
-      const hash = this.encryptionService.generateHash(JSON.stringify(combinedData));
+      const hash = versionedHash.hash(combinedData, versionedHash.currentVersion);
       logger.info(`Generated question hash for state ${stateId}: ${hash}`);
       return hash;
     } catch (error) {
@@ -158,7 +161,7 @@ class QuestionService extends IQuestionService {
       };
 
       if (subject) {
-        query.subject = new RegExp(subject, 'i');
+        query.subject = this.exactMatch(subject);
       }
 
       if (difficulty) {
@@ -180,6 +183,46 @@ class QuestionService extends IQuestionService {
     }
   }
 
+  /**
+   * Get every verified, active question that may appear in a blueprint paper
+   * @param {Object} criteria - Pool criteria (subjects, includeTags, excludeTags)
+   * @returns {Promise<Array>} Candidate questions (selection fields only)
+   */
+  async getQuestionPool(criteria) {
+    try {
+      const { subjects = [], includeTags = [], excludeTags = [] } = criteria;
+
+      const query = {
+        isVerified: true,
+        isActive: true,
+        subject: { $in: subjects.map(subject => this.exactMatch(subject)) }
+      };
+
+      if (includeTags.length > 0 || excludeTags.length > 0) {
+        query.tags = {
+          ...(includeTags.length > 0 && { $in: includeTags }),
+          ...(excludeTags.length > 0 && { $nin: excludeTags })
+        };
+      }
+
+      const pool = await Question.find(query, {
+        questionId: 1,
+        stateCode: 1,
+        subject: 1,
+        topic: 1,
+        difficulty: 1,
+        marks: 1,
+        timeLimit: 1
+      }).lean();
+
+      logger.info(`Question pool of ${pool.length} for subjects ${subjects.join(', ')}`);
+      return pool;
+    } catch (error) {
+      logger.error('Error getting question pool:', error);
+      throw error;
+    }
+  }
+
   /**
    * Mark question as verified
    * @param {string} questionId - Question ID
@@ -217,6 +260,16 @@ class QuestionService extends IQuestionService {
     }
   }
 
+  /**
+   * Case-insensitive exact match for a user-supplied value
+   * @param {string} value - Value to match
+   * @returns {RegExp} Anchored, escaped pattern
+   * @private
+   */
+  exactMatch(value) {
+    return new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  }
+
   /**
    * Validate question data
    * @param {Object} questionData - Question data to validate
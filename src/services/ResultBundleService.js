@@ -0,0 +1,178 @@
+const Answer = require('../models/Answer');
+const ExamPaper = require('../models/ExamPaper');
+const Question = require('../models/Question');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const bundleVerifier = require('../utils/bundleVerifier');
+const signer = require('../utils/signing');
+const versionedHash = require('../utils/versionedHash');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Result Bundle Service: exports a result as a self-contained JSON bundle,
+ * signed with the server key, that auditors can check with
+ * src/utils/bundleVerifier.js without trusting the API. The bundle carries the
+ * result, the answer chain heads, the paper and question hashes, and every
+ * anchor with its Merkle proof.
+ * Following Single Responsibility Principle (SRP)
+ */
+class ResultBundleService {
+  constructor(resultService) {
+    this.resultService = resultService;
+    this.signer = signer;
+  }
+
+  /**
+   * Export the signed bundle of a result
+   * @param {string} resultId - Result ID
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Signed bundle
+   */
+  async exportResultBundle(resultId, requester) {
+    try {
+      const result = await this.resultService.getResult(resultId, requester);
+
+      const paper = await ExamPaper.findOne({ paperId: result.paperId });
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      const answers = await Answer.findBySession(result.sessionId)
+        .select('answerId questionId revisionHead answerHash merkleProof blockchainTxId');
+      // A sealed paper has no question list yet; fall back to the answered questions
+      const questionIds = paper.questions.length > 0
+        ? paper.questions.map(q => q.questionId)
+        : answers.map(a => a.questionId);
+      const questions = await Question.find({ questionId: { $in: questionIds } })
+        .select('questionId questionText options correctAnswer subject topic hashVersion blockchainTxId');
+
+      const anchors = await this.loadAnchors([result, paper, ...answers, ...questions]);
+      const isSealed = paper.questions.length === 0;
+
+      const bundle = JSON.parse(JSON.stringify({
+        format: bundleVerifier.format,
+        version: bundleVerifier.version,
+        exportedAt: new Date(),
+        result: {
+          resultId: result.resultId,
+          studentId: result.studentId,
+          sessionId: result.sessionId,
+          paperId: result.paperId,
+          totalMarks: result.totalMarks,
+          obtainedMarks: result.obtainedMarks,
+          percentage: result.percentage,
+          grade: result.grade,
+          gradingScheme: result.gradingScheme,
+          isPassed: result.isPassed,
+          correctAnswers: result.correctAnswers,
+          incorrectAnswers: result.incorrectAnswers,
+          unansweredQuestions: result.unansweredQuestions,
+          totalQuestions: result.totalQuestions,
+          rank: result.rank || null,
+          totalParticipants: result.totalParticipants || null,
+          percentile: result.percentile === undefined ? null : result.percentile,
+          normalization: result.normalization && result.normalization.eventId ? result.normalization : null,
+          status: result.status,
+          publishedAt: result.publishedAt || null,
+          resultHash: result.resultHash,
+          hashVersion: versionedHash.versionOf(result.hashVersion),
+          merkleProof: this.formatProof(result.merkleProof),
+          anchor: anchors.get(result) || null
+        },
+        answers: answers.map(answer => ({
+          answerId: answer.answerId,
+          questionId: answer.questionId,
+          hash: answer.revisionHead || answer.answerHash,
+          merkleProof: this.formatProof(answer.merkleProof),
+          anchor: anchors.get(answer) || null
+        })),
+        paper: {
+          paperId: paper.paperId,
+          hashData: isSealed ? null : paper.getHashData(),
+          sealedHash: paper.sealedHash || null,
+          hashVersion: versionedHash.versionOf(paper.hashVersion),
+          anchor: anchors.get(paper) || null
+        },
+        questions: questions.map(question => ({
+          questionId: question.questionId,
+          hash: question.questionHash,
+          anchor: anchors.get(question) || null
+        }))
+      }));
+
+      bundle.signature = {
+        algorithm: 'Ed25519',
+        keyId: this.signer.getKeyId(),
+        publicKey: this.signer.getPublicKey(),
+        value: this.signer.sign(bundleVerifier.serialize(bundle))
+      };
+
+      return bundle;
+    } catch (error) {
+      logger.error('Error exporting result bundle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the anchoring transaction of each record: the Merkle root of its
+   * batch if it has an inclusion proof, else its own transaction
+   * @param {Array} records - Result, paper, answer and question documents
+   * @returns {Promise<Map>} Anchor per record
+   * @private
+   */
+  async loadAnchors(records) {
+    const batchIds = records.filter(r => r.merkleProof && r.merkleProof.root).map(r => r.merkleProof.batchId);
+    const transactionIds = records.filter(r => !(r.merkleProof && r.merkleProof.root) && r.blockchainTxId).map(r => r.blockchainTxId);
+
+    const transactions = await BlockchainTransaction.find({
+      $or: [
+        { type: 'merkle_root', entityId: { $in: batchIds } },
+        { transactionId: { $in: transactionIds } }
+      ]
+    });
+    const byBatch = new Map(transactions.filter(t => t.type === 'merkle_root').map(t => [t.entityId, t]));
+    const byId = new Map(transactions.map(t => [t.transactionId, t]));
+
+    const anchors = new Map();
+    for (const record of records) {
+      const transaction = record.merkleProof && record.merkleProof.root
+        ? byBatch.get(record.merkleProof.batchId)
+        : byId.get(record.blockchainTxId);
+      if (transaction) {
+        anchors.set(record, {
+          transactionId: transaction.transactionId,
+          solanaTxId: transaction.solanaTxId || null,
+          programId: transaction.programId,
+          status: transaction.status,
+          confirmationStatus: transaction.confirmationStatus || null,
+          slot: transaction.slot || null,
+          dataHash: transaction.dataHash,
+          memo: transaction.memo
+        });
+      }
+    }
+
+    return anchors;
+  }
+
+  /**
+   * Stored inclusion proof without Mongoose internals, or null
+   * @private
+   */
+  formatProof(merkleProof) {
+    if (!merkleProof || !merkleProof.root) {
+      return null;
+    }
+
+    return {
+      batchId: merkleProof.batchId,
+      leafIndex: merkleProof.leafIndex,
+      leaf: merkleProof.leaf,
+      root: merkleProof.root,
+      path: merkleProof.path.map(({ position, hash }) => ({ position, hash }))
+    };
+  }
+}
+
+module.exports = ResultBundleService;
@@ -0,0 +1,244 @@
+const Result = require('../models/Result');
+const ExamPaper = require('../models/ExamPaper');
+const User = require('../models/User');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Result statuses visible to students
+const STUDENT_VISIBLE_STATUSES = ['published', 'revised'];
+
+/**
+ * Result Service for result retrieval, ranking and publication
+ * Following Single Responsibility Principle (SRP)
+ */
+class ResultService {
+  constructor(gradingService = null, signatureService = null) {
+    this.gradingService = gradingService;
+    this.signatureService = signatureService;
+  }
+
+  /**
+   * Resolve a student by their student ID and check the caller may view them
+   * @param {string} studentCode - Student ID (e.g. STU123456)
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Student user
+   */
+  async resolveStudent(studentCode, requester) {
+    const student = await User.findOne({ studentId: studentCode.toUpperCase(), role: 'student' });
+    if (!student) {
+      throw new ServiceError('Student not found', 404);
+    }
+
+    this.assertCanView(student._id, requester);
+    return student;
+  }
+
+  /**
+   * Get all results of a student
+   * @param {string} studentCode - Student ID
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Student and results
+   */
+  async getResultsByStudent(studentCode, requester) {
+    try {
+      const student = await this.resolveStudent(studentCode, requester);
+
+      const query = { studentId: student._id };
+      if (requester.role !== 'admin') {
+        query.status = { $in: STUDENT_VISIBLE_STATUSES };
+      }
+
+      const results = await Result.find(query).sort({ calculatedAt: -1 });
+      return { student, results };
+    } catch (error) {
+      logger.error('Error getting results by student:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the result of a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Result
+   */
+  async getSessionResult(sessionId, requester) {
+    try {
+      const result = await Result.findOne({ sessionId: sessionId.toUpperCase() });
+      if (!result) {
+        throw new ServiceError('Result not found', 404);
+      }
+
+      this.assertCanView(result.studentId, requester);
+
+      if (requester.role !== 'admin' && !STUDENT_VISIBLE_STATUSES.includes(result.status)) {
+        throw new ServiceError('Result has not been published yet', 404);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error getting session result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a result by its ID
+   * @param {string} resultId - Result ID
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Result
+   */
+  async getResult(resultId, requester) {
+    try {
+      const result = await Result.findOne({ resultId: resultId.toUpperCase() });
+      if (!result) {
+        throw new ServiceError('Result not found', 404);
+      }
+
+      this.assertCanView(result.studentId, requester);
+
+      if (requester.role !== 'admin' && !STUDENT_VISIBLE_STATUSES.includes(result.status)) {
+        throw new ServiceError('Result has not been published yet', 404);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error getting result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the published rank list of a paper
+   * @param {string} paperId - Paper ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Ranked results
+   */
+  async getRankList(paperId, limit = 100) {
+    try {
+      return await Result.getRankList(paperId.toUpperCase(), limit);
+    } catch (error) {
+      logger.error('Error getting rank list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank every result of a paper using the paper's ranking settings
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Object>} Ranking summary
+   */
+  async rankPaperResults(paperId) {
+    try {
+      const paper = await ExamPaper.findOne({ paperId: paperId.toUpperCase() });
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      const method = (paper.ranking && paper.ranking.method) || 'competition';
+      const tieBreakers = (paper.ranking && paper.ranking.tieBreakers) || [];
+
+      const rankedCount = await Result.calculateRanks(paper.paperId, { method, tieBreakers: [...tieBreakers] });
+      if (rankedCount === 0) {
+        throw new ServiceError('No results found for paper', 404);
+      }
+      await this.signPaperResults(paper.paperId);
+
+      logger.info(`Ranked ${rankedCount} results for paper ${paper.paperId} (${method})`);
+      return { paperId: paper.paperId, ranked: rankedCount, method, tieBreakers: [...tieBreakers] };
+    } catch (error) {
+      logger.error('Error ranking paper results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change how a paper's results are ranked
+   * @param {string} paperId - Paper ID
+   * @param {Object} ranking - Ranking settings (method, tieBreakers)
+   * @returns {Promise<Object>} Ranking settings
+   */
+  async updateRankingSettings(paperId, { method, tieBreakers }) {
+    try {
+      const update = {};
+      if (method !== undefined) update['ranking.method'] = method;
+      if (tieBreakers !== undefined) update['ranking.tieBreakers'] = [...new Set(tieBreakers)];
+
+      const paper = await ExamPaper.findOneAndUpdate(
+        { paperId: paperId.toUpperCase() },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      return {
+        paperId: paper.paperId,
+        method: paper.ranking.method,
+        tieBreakers: [...paper.ranking.tieBreakers]
+      };
+    } catch (error) {
+      logger.error('Error updating ranking settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank and publish every calculated result of a paper
+   * @param {string} paperId - Paper ID
+   * @param {string} publishedBy - Admin user ID
+   * @returns {Promise<Object>} Publication summary
+   */
+  async publishPaperResults(paperId, publishedBy) {
+    try {
+      const normalizedPaperId = paperId.toUpperCase();
+
+      const { ranked: rankedCount } = await this.rankPaperResults(normalizedPaperId);
+
+      // Relative grades depend on the whole cohort, so settle them before publishing
+      if (this.gradingService) {
+        await this.gradingService.regradePaper(normalizedPaperId);
+      }
+
+      const { modifiedCount } = await Result.updateMany(
+        { paperId: normalizedPaperId, status: { $in: ['calculated', 'revised'] } },
+        { $set: { status: 'published', publishedAt: new Date(), publishedBy } }
+      );
+      // Ranking signed the new ranks; sign again for the grades and publication
+      await this.signPaperResults(normalizedPaperId);
+
+      logger.info(`Published ${modifiedCount} results for paper ${normalizedPaperId}`);
+      return { paperId: normalizedPaperId, ranked: rankedCount, published: modifiedCount };
+    } catch (error) {
+      logger.error('Error publishing paper results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign the results of a paper again after a bulk update
+   * @param {string} paperId - Paper ID
+   * @private
+   */
+  async signPaperResults(paperId) {
+    if (this.signatureService) {
+      await this.signatureService.signResults({ paperId });
+    }
+  }
+
+  /**
+   * Ensure the requester may view a student's results
+   * @param {Object} studentObjectId - Student user ID
+   * @param {Object} requester - Authenticated user
+   * @private
+   */
+  assertCanView(studentObjectId, requester) {
+    if (requester.role !== 'admin' && !requester._id.equals(studentObjectId)) {
+      throw new ServiceError('Access denied. Students can only view their own results', 403);
+    }
+  }
+}
+
+module.exports = ResultService;
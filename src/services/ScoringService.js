@@ -0,0 +1,315 @@
+const Result = require('../models/Result');
+const Answer = require('../models/Answer');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const ExamSession = require('../models/ExamSession');
+const versionedHash = require('../utils/versionedHash');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const percentageOf = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+/**
+ * Scoring Service that evaluates answers and produces results
+ * Following Single Responsibility Principle (SRP)
+ */
+class ScoringService {
+  constructor(merkleAnchorService = null, gradingService = null, signatureService = null) {
+    this.merkleAnchorService = merkleAnchorService;
+    this.gradingService = gradingService;
+    this.signatureService = signatureService;
+  }
+
+  /**
+   * Score a completed session and persist its Result (re-scoring updates it)
+   * @param {Object|string} sessionOrId - Exam session or session ID
+   * @returns {Promise<Object>} Result
+   */
+  async scoreSession(sessionOrId) {
+    try {
+      const session = typeof sessionOrId === 'string'
+        ? await ExamSession.findOne({ sessionId: sessionOrId.toUpperCase() })
+        : sessionOrId;
+
+      if (!session) {
+        throw new ServiceError('Exam session not found', 404);
+      }
+
+      if (session.status !== 'completed') {
+        throw new ServiceError(`Cannot score a session that is ${session.status}`, 409);
+      }
+
+      const paper = await ExamPaper.findOne({ paperId: session.paperId });
+      if (!paper) {
+        throw new ServiceError('Exam paper not found for session', 404);
+      }
+
+      const paperQuestions = [...paper.questions].sort((a, b) => a.order - b.order);
+      const questionIds = paperQuestions.map(q => q.questionId);
+
+      const [questions, answers] = await Promise.all([
+        Question.find({ questionId: { $in: questionIds } }),
+        Answer.findBySession(session.sessionId)
+      ]);
+
+      const questionsById = new Map(questions.map(q => [q.questionId, q]));
+      const answersByQuestion = new Map(answers.map(a => [a.questionId, a]));
+
+      const evaluation = this.evaluate(session, paper, paperQuestions, questionsById, answersByQuestion);
+
+      await this.recordAnswerEvaluations(evaluation.answerUpdates);
+
+      const result = await this.saveResult(session, paper, answers, evaluation);
+      await this.anchorResult(result);
+
+      logger.info(`Session scored: ${session.sessionId} -> ${result.resultId} (${result.obtainedMarks}/${result.totalMarks})`);
+      return result;
+    } catch (error) {
+      logger.error('Error scoring session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate every paper question against the session's answers. Answers
+   * hold the option as displayed in the session's variant and are mapped back
+   * to the canonical option first.
+   * @param {Object} session - Completed session
+   * @param {Object} paper - Exam paper
+   * @param {Array} paperQuestions - Paper questions in order
+   * @param {Map} questionsById - Question documents by question ID
+   * @param {Map} answersByQuestion - Answer documents by question ID
+   * @returns {Object} Evaluation breakdown
+   * @private
+   */
+  evaluate(session, paper, paperQuestions, questionsById, answersByQuestion) {
+    const penaltyRatio = paper.negativeMarking ? paper.negativeMarkingRatio : 0;
+    const subjects = new Map();
+    const difficulty = {};
+    DIFFICULTIES.forEach(level => {
+      difficulty[level] = { correct: 0, total: 0, percentage: 0 };
+    });
+
+    const evaluation = {
+      rawMarks: 0,
+      totalMarks: 0,
+      correctAnswers: 0,
+      incorrectAnswers: 0,
+      unansweredQuestions: 0,
+      answerUpdates: []
+    };
+
+    for (const paperQuestion of paperQuestions) {
+      const question = questionsById.get(paperQuestion.questionId);
+      if (!question) {
+        throw new ServiceError(`Question ${paperQuestion.questionId} referenced by paper ${paper.paperId} not found`, 500);
+      }
+
+      const answer = answersByQuestion.get(paperQuestion.questionId);
+      const maxMarks = paperQuestion.marks;
+      const canonicalOption = answer ? session.toCanonicalOption(answer.questionId, answer.selectedOption) : null;
+      const isCorrect = Boolean(answer) && canonicalOption === question.correctAnswer;
+      let marks = 0;
+
+      evaluation.totalMarks += maxMarks;
+
+      if (!answer) {
+        evaluation.unansweredQuestions++;
+      } else if (isCorrect) {
+        marks = maxMarks;
+        evaluation.correctAnswers++;
+      } else {
+        marks = -round(maxMarks * penaltyRatio);
+        evaluation.incorrectAnswers++;
+      }
+
+      if (answer) {
+        evaluation.answerUpdates.push({ answerId: answer.answerId, canonicalOption, isCorrect, marks });
+      }
+
+      evaluation.rawMarks += marks;
+
+      // Subject breakdown
+      const subject = subjects.get(question.subject) || { subject: question.subject, totalMarks: 0, obtainedMarks: 0 };
+      subject.totalMarks += maxMarks;
+      subject.obtainedMarks += marks;
+      subjects.set(question.subject, subject);
+
+      // Difficulty breakdown
+      const level = difficulty[question.difficulty];
+      if (level) {
+        level.total++;
+        if (isCorrect) level.correct++;
+      }
+    }
+
+    DIFFICULTIES.forEach(level => {
+      difficulty[level].percentage = percentageOf(difficulty[level].correct, difficulty[level].total);
+    });
+
+    evaluation.rawMarks = round(evaluation.rawMarks);
+    evaluation.obtainedMarks = Math.max(0, evaluation.rawMarks);
+    evaluation.subjectPerformance = [...subjects.values()].map(subject => {
+      const obtainedMarks = Math.max(0, round(subject.obtainedMarks));
+      return {
+        subject: subject.subject,
+        totalMarks: subject.totalMarks,
+        obtainedMarks,
+        percentage: percentageOf(obtainedMarks, subject.totalMarks)
+      };
+    });
+    evaluation.difficultyPerformance = difficulty;
+
+    return evaluation;
+  }
+
+  /**
+   * Write evaluation outcomes back to the answers
+   * @param {Array} answerUpdates - Per-answer outcomes
+   * @private
+   */
+  async recordAnswerEvaluations(answerUpdates) {
+    if (answerUpdates.length === 0) return;
+
+    const evaluatedAt = new Date();
+    await Answer.bulkWrite(answerUpdates.map(update => ({
+      updateOne: {
+        filter: { answerId: update.answerId },
+        update: {
+          $set: {
+            canonicalOption: update.canonicalOption,
+            isCorrect: update.isCorrect,
+            marks: update.marks,
+            status: 'evaluated',
+            evaluatedAt
+          }
+        }
+      }
+    })));
+  }
+
+  /**
+   * Create or update the Result for a session
+   * @param {Object} session - Completed session
+   * @param {Object} paper - Exam paper
+   * @param {Array} answers - Session answers
+   * @param {Object} evaluation - Evaluation breakdown
+   * @returns {Promise<Object>} Saved result
+   * @private
+   */
+  async saveResult(session, paper, answers, evaluation) {
+    const totalMarks = paper.totalMarks || evaluation.totalMarks;
+    const totalQuestions = evaluation.correctAnswers + evaluation.incorrectAnswers + evaluation.unansweredQuestions;
+    const attempted = evaluation.correctAnswers + evaluation.incorrectAnswers;
+    const activeSeconds = session.getActiveTime();
+    const percentage = Math.min(100, percentageOf(evaluation.obtainedMarks, totalMarks));
+    const timeUsedFraction = activeSeconds / Math.max(1, session.duration * 60 + session.timeCredited);
+    const isPassed = evaluation.obtainedMarks >= paper.passingMarks;
+    const grading = await this.gradingService.gradeResult(paper, {
+      sessionId: session.sessionId,
+      obtainedMarks: evaluation.obtainedMarks,
+      percentage,
+      isPassed
+    });
+
+    let result = await Result.findOne({ sessionId: session.sessionId });
+    if (!result) {
+      result = new Result({
+        studentId: session.studentId,
+        sessionId: session.sessionId,
+        paperId: session.paperId
+      });
+    }
+
+    result.set({
+      totalMarks,
+      obtainedMarks: evaluation.obtainedMarks,
+      percentage,
+      grade: grading.grade,
+      performanceCategory: grading.performanceCategory,
+      gradingScheme: grading.gradingScheme,
+      isPassed,
+      correctAnswers: evaluation.correctAnswers,
+      incorrectAnswers: evaluation.incorrectAnswers,
+      unansweredQuestions: evaluation.unansweredQuestions,
+      totalQuestions,
+      totalTimeSpent: round(activeSeconds / 60),
+      submittedAt: session.endTime,
+      averageTimePerQuestion: totalQuestions > 0 ? round(activeSeconds / totalQuestions) : 0,
+      subjectPerformance: evaluation.subjectPerformance,
+      difficultyPerformance: evaluation.difficultyPerformance,
+      accuracy: attempted > 0 ? round(evaluation.correctAnswers / attempted, 4) : 0,
+      efficiency: timeUsedFraction > 0 ? round(Math.min(1, (percentage / 100) / timeUsedFraction), 4) : 0,
+      confidence: answers.length > 0
+        ? round(answers.reduce((sum, a) => sum + (a.confidence || 0), 0) / answers.length, 4)
+        : 0,
+      calculatedAt: new Date()
+    });
+
+    if (result.status === 'published' || result.status === 'disputed') {
+      result.status = 'revised';
+    }
+
+    result.hashVersion = versionedHash.currentVersion;
+    result.resultHash = this.computeResultHash(result, answers);
+    if (this.signatureService) {
+      await this.signatureService.signResult(result);
+    }
+
+    return result.save();
+  }
+
+  /**
+   * Hash the scored fields of a result together with the answer chain heads.
+   * The grade is left out: relative schemes regrade results as the cohort
+   * grows, and the grade can be re-derived from the marks and scheme version.
+   * Computed with the result's hash version.
+   * @param {Object} result - Result document
+   * @param {Array} answers - Session answers
+   * @returns {string} Result hash
+   */
+  computeResultHash(result, answers) {
+    return versionedHash.hash({
+      studentId: result.studentId.toString(),
+      sessionId: result.sessionId,
+      paperId: result.paperId,
+      totalMarks: result.totalMarks,
+      obtainedMarks: result.obtainedMarks,
+      percentage: result.percentage,
+      isPassed: result.isPassed,
+      correctAnswers: result.correctAnswers,
+      incorrectAnswers: result.incorrectAnswers,
+      unansweredQuestions: result.unansweredQuestions,
+      answers: answers
+        .map(a => ({ answerId: a.answerId, head: a.revisionHead || a.answerHash }))
+        .sort((a, b) => a.answerId.localeCompare(b.answerId))
+    }, result.hashVersion);
+  }
+
+  /**
+   * Queue the result hash for the next Merkle batch anchored on blockchain
+   * @param {Object} result - Result document
+   * @private
+   */
+  async anchorResult(result) {
+    if (!this.merkleAnchorService) {
+      return;
+    }
+
+    try {
+      await this.merkleAnchorService.queue(result);
+    } catch (anchorError) {
+      logger.error('Failed to queue result hash for anchoring:', anchorError);
+      // Continue without blockchain storage
+    }
+  }
+}
+
+module.exports = ScoringService;
@@ -0,0 +1,193 @@
+const ExamPaper = require('../models/ExamPaper');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Share Custody Service for Shamir share holders: fetching a share encrypted
+ * to their key, acknowledging receipt and submitting it for reconstruction.
+ * After acknowledgement the server keeps only the share's hash.
+ * Following Single Responsibility Principle (SRP)
+ */
+class ShareCustodyService {
+  constructor(paperService) {
+    this.paperService = paperService;
+  }
+
+  /**
+   * Get the custody status of a paper's shares. Admins see every share,
+   * holders only their own.
+   * @param {string} paperId - Paper ID
+   * @param {Object} requester - Authenticated user
+   * @returns {Promise<Object>} Paper summary, share custody entries and share commitments
+   */
+  async listShares(paperId, requester) {
+    try {
+      const paper = await this.paperService.getPaperById(paperId);
+
+      const shares = requester.role === 'admin'
+        ? paper.shamirShares
+        : paper.shamirShares.filter(s => s.holder && s.holder.equals(requester._id));
+
+      if (requester.role !== 'admin' && shares.length === 0) {
+        throw new ServiceError('You do not hold a share of this paper', 403);
+      }
+
+      return {
+        paper,
+        shares: shares.map(s => this.describeShare(s)),
+        verification: this.getVerificationInfo(paper)
+      };
+    } catch (error) {
+      logger.error('Error listing paper shares:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a holder's share, encrypted to their registered public key
+   * @param {string} paperId - Paper ID
+   * @param {number} shareId - Share ID
+   * @param {Object} holder - Authenticated share holder
+   * @returns {Promise<Object>} Encrypted share, its hash and the paper's share commitments
+   */
+  async getHolderShare(paperId, shareId, holder) {
+    try {
+      const paper = await this.paperService.getPaperById(paperId);
+      const shamirShare = this.findHeldShare(paper, shareId, holder);
+
+      if (!shamirShare.distributedAt) {
+        throw new ServiceError('Share has not been distributed yet', 409);
+      }
+
+      if (!shamirShare.encryptedShare) {
+        throw new ServiceError('Share was already acknowledged and is no longer stored', 410, {
+          acknowledgedAt: shamirShare.acknowledgedAt
+        });
+      }
+
+      return {
+        paperId: paper.paperId,
+        shareId: shamirShare.shareId,
+        encryptedShare: JSON.parse(shamirShare.encryptedShare),
+        holderKeyFingerprint: shamirShare.holderKeyFingerprint,
+        shareHash: shamirShare.shareHash,
+        keyVersion: paper.keyVersion,
+        threshold: paper.threshold,
+        totalShares: paper.totalShares,
+        verification: this.getVerificationInfo(paper)
+      };
+    } catch (error) {
+      logger.error('Error getting holder share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge receipt of a share. The holder proves they decrypted it by
+   * sending its hash; the encrypted copy is then deleted.
+   * @param {string} paperId - Paper ID
+   * @param {number} shareId - Share ID
+   * @param {Object} holder - Authenticated share holder
+   * @param {string} shareHash - SHA-256 of the decrypted share
+   * @returns {Promise<Object>} Custody entry of the share
+   */
+  async acknowledgeShare(paperId, shareId, holder, shareHash) {
+    try {
+      const paper = await this.paperService.getPaperById(paperId);
+      const shamirShare = this.findHeldShare(paper, shareId, holder);
+
+      if (shamirShare.acknowledgedAt) {
+        return this.describeShare(shamirShare);
+      }
+
+      if (!shamirShare.encryptedShare) {
+        throw new ServiceError('Share has not been distributed yet', 409);
+      }
+
+      if (shareHash.toLowerCase() !== shamirShare.shareHash) {
+        throw new ServiceError('Share hash does not match the recorded share hash', 400, { shareId });
+      }
+
+      const updatedPaper = await ExamPaper.findOneAndUpdate(
+        { paperId: paper.paperId },
+        {
+          $set: { 'shamirShares.$[held].acknowledgedAt': new Date() },
+          $unset: { 'shamirShares.$[held].encryptedShare': 1 }
+        },
+        { new: true, arrayFilters: [{ 'held.shareId': shamirShare.shareId, 'held.holder': holder._id }] }
+      );
+
+      logger.info(`Share ${shamirShare.shareId} of paper ${paper.paperId} acknowledged by ${holder._id}`);
+      return this.describeShare(updatedPaper.shamirShares.find(s => s.shareId === shamirShare.shareId));
+    } catch (error) {
+      logger.error('Error acknowledging share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a held share for reconstruction
+   * @param {string} paperId - Paper ID
+   * @param {number} shareId - Share ID
+   * @param {string} share - Decrypted share
+   * @param {Object} holder - Authenticated share holder
+   * @param {Object} clientInfo - Client details (ipAddress)
+   * @returns {Promise<Object>} Collection progress (see PaperService.decryptPaper)
+   */
+  async submitShare(paperId, shareId, share, holder, clientInfo = {}) {
+    return this.paperService.decryptPaper(paperId, [{ shareId, share }], holder, clientInfo);
+  }
+
+  /**
+   * Find a share of a paper and check the requester holds it
+   * @param {Object} paper - Exam paper
+   * @param {number} shareId - Share ID
+   * @param {Object} holder - Authenticated user
+   * @returns {Object} Share entry
+   * @private
+   */
+  findHeldShare(paper, shareId, holder) {
+    const shamirShare = paper.shamirShares.find(s => s.shareId === shareId);
+    if (!shamirShare) {
+      throw new ServiceError('Share not found', 404);
+    }
+
+    if (!shamirShare.holder || !shamirShare.holder.equals(holder._id)) {
+      throw new ServiceError('You do not hold this share', 403);
+    }
+
+    return shamirShare;
+  }
+
+  /**
+   * Feldman commitments of a paper's shares, with the group they live in
+   * @param {Object} paper - Exam paper
+   * @returns {Object} Verification parameters and commitments
+   * @private
+   */
+  getVerificationInfo(paper) {
+    return this.paperService.encryptionService.getShareVerificationInfo(paper.shareCommitments);
+  }
+
+  /**
+   * Describe a share's custody without any share material
+   * @param {Object} shamirShare - Share entry
+   * @returns {Object} Custody entry
+   * @private
+   */
+  describeShare(shamirShare) {
+    return {
+      shareId: shamirShare.shareId,
+      holder: shamirShare.holder,
+      holderKeyFingerprint: shamirShare.holderKeyFingerprint || null,
+      shareHash: shamirShare.shareHash,
+      distributedAt: shamirShare.distributedAt || null,
+      awaitingPickup: Boolean(shamirShare.encryptedShare),
+      acknowledgedAt: shamirShare.acknowledgedAt || null,
+      submittedAt: shamirShare.submittedAt || null,
+      isUsed: shamirShare.isUsed
+    };
+  }
+}
+
+module.exports = ShareCustodyService;
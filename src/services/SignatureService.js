@@ -0,0 +1,236 @@
+const Result = require('../models/Result');
+const canonicalJson = require('../utils/canonicalJson');
+const signer = require('../utils/signing');
+const { logger } = require('../utils/logger');
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+const SIGN_BATCH_SIZE = 500;
+
+/**
+ * Signature Service: signs results and answers with the server's Ed25519 key
+ * over the canonical JSON of their signed fields, so downstream systems can
+ * verify a scorecard or answer receipt against the key published at
+ * /.well-known/jwks.json. A result is signed again whenever a signed field
+ * changes (scoring, ranking, grading, publication, normalisation).
+ * Following Single Responsibility Principle (SRP)
+ */
+class SignatureService {
+  constructor() {
+    this.signer = signer;
+  }
+
+  /**
+   * Public signing keys as a JSON Web Key Set
+   * @returns {Object} JWKS
+   */
+  getJwks() {
+    return { keys: [this.signer.getPublicJwk()] };
+  }
+
+  /**
+   * Sign a result document (not saved). A new result gets its ID when it is
+   * first validated, so it is validated before signing.
+   * @param {Object} result - Result document
+   * @returns {Promise<Object>} Result
+   */
+  async signResult(result) {
+    if (!result.resultId) {
+      await result.validate();
+    }
+
+    result.signature = this.sign(this.getResultPayload(result));
+    result.signatureKeyId = this.signer.getKeyId();
+    return result;
+  }
+
+  /**
+   * Sign again every result matching a filter, after a bulk update
+   * @param {Object} filter - Result filter
+   * @returns {Promise<number>} Number of results signed
+   */
+  async signResults(filter) {
+    try {
+      const keyId = this.signer.getKeyId();
+      const cursor = Result.find(filter).cursor({ batchSize: SIGN_BATCH_SIZE });
+
+      let operations = [];
+      let signedCount = 0;
+
+      for await (const result of cursor) {
+        operations.push({
+          updateOne: {
+            filter: { _id: result._id },
+            update: { $set: { signature: this.sign(this.getResultPayload(result)), signatureKeyId: keyId } }
+          }
+        });
+        signedCount++;
+
+        if (operations.length >= SIGN_BATCH_SIZE) {
+          await Result.bulkWrite(operations, { ordered: false });
+          operations = [];
+        }
+      }
+
+      if (operations.length > 0) {
+        await Result.bulkWrite(operations, { ordered: false });
+      }
+
+      return signedCount;
+    } catch (error) {
+      logger.error('Error signing results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign an answer document at submission (not saved); validated first for
+   * the same reason as results
+   * @param {Object} answer - Answer document
+   * @returns {Promise<Object>} Answer
+   */
+  async signAnswer(answer) {
+    if (!answer.answerId) {
+      await answer.validate();
+    }
+
+    answer.signature = this.sign(this.getAnswerPayload(answer));
+    answer.signatureKeyId = this.signer.getKeyId();
+    return answer;
+  }
+
+  /**
+   * Signed scorecard of a result: the payload, its signature and key ID
+   * @param {Object} result - Result document
+   * @returns {Object|null} Signed payload, or null if the result is unsigned
+   */
+  getSignedResult(result) {
+    return result.signature ? this.describe(this.getResultPayload(result), result) : null;
+  }
+
+  /**
+   * Signed receipt of an answer: the payload, its signature and key ID
+   * @param {Object} answer - Answer document
+   * @returns {Object|null} Signed payload, or null if the answer is unsigned
+   */
+  getSignedAnswer(answer) {
+    return answer.signature ? this.describe(this.getAnswerPayload(answer), answer) : null;
+  }
+
+  /**
+   * Check a result's signature
+   * @param {Object} result - Result document
+   * @returns {boolean|null} Validity, or null if unsigned or signed with another key
+   */
+  verifyResult(result) {
+    return this.verify(this.getResultPayload(result), result);
+  }
+
+  /**
+   * Check an answer's signature
+   * @param {Object} answer - Answer document
+   * @returns {boolean|null} Validity, or null if unsigned or signed with another key
+   */
+  verifyAnswer(answer) {
+    return this.verify(this.getAnswerPayload(answer), answer);
+  }
+
+  /**
+   * Signed fields of a result: the scorecard as published
+   * @param {Object} result - Result document
+   * @returns {Object} Payload
+   */
+  getResultPayload(result) {
+    const { gradingScheme, normalization } = result;
+
+    return {
+      type: 'result',
+      resultId: result.resultId,
+      studentId: result.studentId.toString(),
+      sessionId: result.sessionId,
+      paperId: result.paperId,
+      totalMarks: result.totalMarks,
+      obtainedMarks: result.obtainedMarks,
+      percentage: result.percentage,
+      grade: result.grade,
+      gradingScheme: gradingScheme && gradingScheme.schemeId
+        ? { schemeId: gradingScheme.schemeId, version: gradingScheme.version, type: gradingScheme.type }
+        : null,
+      isPassed: result.isPassed,
+      correctAnswers: result.correctAnswers,
+      incorrectAnswers: result.incorrectAnswers,
+      unansweredQuestions: result.unansweredQuestions,
+      totalQuestions: result.totalQuestions,
+      rank: result.rank || null,
+      totalParticipants: result.totalParticipants || null,
+      percentile: result.percentile === undefined || result.percentile === null ? null : result.percentile,
+      normalization: normalization && normalization.eventId
+        ? {
+          eventId: normalization.eventId,
+          method: normalization.method,
+          rawMarks: normalization.rawMarks,
+          normalizedScore: normalization.normalizedScore,
+          eventRank: normalization.eventRank,
+          eventParticipants: normalization.eventParticipants,
+          parametersHash: normalization.parametersHash
+        }
+        : null,
+      status: result.status,
+      publishedAt: result.publishedAt ? result.publishedAt.toISOString() : null,
+      resultHash: result.resultHash
+    };
+  }
+
+  /**
+   * Signed fields of an answer: what was received, and the revision chain head
+   * @param {Object} answer - Answer document
+   * @returns {Object} Payload
+   */
+  getAnswerPayload(answer) {
+    return {
+      type: 'answer',
+      answerId: answer.answerId,
+      studentId: answer.studentId.toString(),
+      sessionId: answer.sessionId,
+      paperId: answer.paperId,
+      questionId: answer.questionId,
+      answerHash: answer.answerHash,
+      revisionHead: answer.revisionHead || null,
+      revisionCount: answer.revisions.length,
+      submittedAt: answer.submittedAt ? answer.submittedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Sign a payload
+   * @private
+   */
+  sign(payload) {
+    return this.signer.sign(canonicalJson.serialize(payload));
+  }
+
+  /**
+   * Check a record's signature over a payload with the current key
+   * @private
+   */
+  verify(payload, record) {
+    if (!record.signature || record.signatureKeyId !== this.signer.getKeyId()) {
+      return null;
+    }
+    return this.signer.verify(canonicalJson.serialize(payload), record.signature);
+  }
+
+  /**
+   * Payload with its signature, for downstream verification
+   * @private
+   */
+  describe(payload, record) {
+    return {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: record.signatureKeyId || null,
+      value: record.signature,
+      payload
+    };
+  }
+}
+
+module.exports = SignatureService;
@@ -0,0 +1,335 @@
+const Answer = require('../models/Answer');
+const Result = require('../models/Result');
+const ExamPaper = require('../models/ExamPaper');
+const ExamEvent = require('../models/ExamEvent');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const EncryptionService = require('../utils/encryption');
+const { ServiceError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// What a failed check means
+const FAILED_CHECKS = {
+  chainValid: 'The answer revision chain is broken',
+  hashMatches: 'The recomputed hash differs from the stored hash',
+  contentIntact: 'The encrypted paper content was altered',
+  meritListConsistent: 'Some merit list entries carry a different parameters hash',
+  signatureValid: 'The server signature does not match the record',
+  anchorCommitsToHash: 'The anchor does not commit to the recomputed hash',
+  onChainMatches: 'The memo on chain differs from the recorded anchor'
+};
+
+/**
+ * Verification Service: recomputes the hash of an answer, result, paper or
+ * rank list from its stored data and checks it against the anchor on
+ * blockchain, reading the anchor memo back from the chain
+ * Following Single Responsibility Principle (SRP)
+ */
+class VerificationService {
+  constructor(blockchainService, merkleAnchorService, scoringService, normalizationService, signatureService = null) {
+    this.blockchainService = blockchainService;
+    this.merkleAnchorService = merkleAnchorService;
+    this.scoringService = scoringService;
+    this.normalizationService = normalizationService;
+    this.signatureService = signatureService;
+    this.encryptionService = EncryptionService;
+  }
+
+  /**
+   * Verify an answer's revision chain and its anchored head
+   * @param {string} answerId - Answer ID
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyAnswer(answerId) {
+    try {
+      const answer = await Answer.findOne({ answerId: answerId.toUpperCase() })
+        .select('answerId studentId sessionId paperId questionId answerHash submittedAt revisions revisionHead merkleProof anchorQueuedAt signature signatureKeyId');
+      if (!answer) {
+        throw new ServiceError('Answer not found', 404);
+      }
+
+      const chain = answer.verifyRevisionChain();
+      const report = {
+        entityType: 'Answer',
+        entityId: answer.answerId,
+        // A valid chain means every revision hash, the head included, was recomputed
+        recomputedHash: chain.valid ? answer.revisionHead : null,
+        storedHash: answer.revisionHead || null,
+        checks: { chainValid: chain.valid },
+        pending: []
+      };
+      this.checkSignature(report, answer);
+
+      await this.resolveAnchor(report, answer.merkleProof, { type: 'answer_hash' });
+      if (!report.anchor && answer.anchorQueuedAt) {
+        report.pending.push('The answer is queued for the next anchor batch');
+      }
+
+      return await this.finish(report);
+    } catch (error) {
+      logger.error('Error verifying answer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a result's hash, recomputed from its scores and answer chain heads
+   * @param {string} resultId - Result ID
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyResult(resultId) {
+    try {
+      const result = await Result.findOne({ resultId: resultId.toUpperCase() });
+      if (!result) {
+        throw new ServiceError('Result not found', 404);
+      }
+
+      const answers = await Answer.findBySession(result.sessionId);
+      const recomputedHash = this.scoringService.computeResultHash(result, answers);
+
+      const report = {
+        entityType: 'Result',
+        entityId: result.resultId,
+        recomputedHash,
+        storedHash: result.resultHash,
+        checks: { hashMatches: recomputedHash === result.resultHash },
+        pending: []
+      };
+      this.checkSignature(report, result);
+
+      await this.resolveAnchor(report, result.merkleProof, { type: 'result_hash' });
+      if (!report.anchor && result.anchorQueuedAt) {
+        report.pending.push('The result is queued for the next anchor batch');
+      }
+
+      return await this.finish(report);
+    } catch (error) {
+      logger.error('Error verifying result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a paper's sealed content and, once decrypted, its question list
+   * against the generation hash anchored on blockchain
+   * @param {string} paperId - Paper ID
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyPaper(paperId) {
+    try {
+      const paper = await ExamPaper.findOne({ paperId: paperId.toUpperCase() });
+      if (!paper) {
+        throw new ServiceError('Paper not found', 404);
+      }
+
+      const isSealed = paper.questions.length === 0;
+      const recomputedHash = isSealed ? null : paper.paperHash;
+
+      const report = {
+        entityType: 'ExamPaper',
+        entityId: paper.paperId,
+        recomputedHash,
+        storedHash: paper.sealedHash || null,
+        checks: {
+          hashMatches: isSealed ? null : recomputedHash === paper.sealedHash
+        },
+        pending: []
+      };
+      if (paper.encryptedContent) {
+        report.checks.contentIntact = this.encryptionService.generateHash(paper.encryptedContent) === paper.contentHash;
+      }
+      if (isSealed) {
+        report.pending.push('The paper is still sealed; its questions can be hashed once it is decrypted');
+      }
+
+      await this.resolveAnchor(report, null, { type: 'paper_hash', transactionId: paper.blockchainTxId });
+      return await this.finish(report);
+    } catch (error) {
+      logger.error('Error verifying paper:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the normalised merit list of an exam event: the parameters hash is
+   * recomputed from the stored parameters, and every ranked result must carry it
+   * @param {string} eventId - Exam event ID
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyRankList(eventId) {
+    try {
+      const event = await ExamEvent.findOne({ eventId: eventId.toUpperCase() });
+      if (!event) {
+        throw new ServiceError('Exam event not found', 404);
+      }
+
+      const normalization = event.normalization;
+      if (!normalization || !normalization.parametersHash) {
+        throw new ServiceError('Exam event has not been normalised', 404);
+      }
+
+      const recomputedHash = this.normalizationService.computeParametersHash({
+        eventId: event.eventId,
+        method: normalization.method,
+        shifts: normalization.shifts.map(shift => ({
+          paperId: shift.paperId,
+          candidates: shift.candidates,
+          totalMarks: shift.totalMarks,
+          topMarks: shift.topMarks,
+          mean: shift.mean,
+          stdDev: shift.stdDev
+        })),
+        totalCandidates: normalization.totalCandidates,
+        eventMean: normalization.eventMean,
+        eventStdDev: normalization.eventStdDev,
+        normalizedAt: normalization.normalizedAt.toISOString()
+      }, normalization.hashVersion);
+
+      const inconsistentEntries = await Result.countDocuments({
+        'normalization.eventId': event.eventId,
+        'normalization.parametersHash': { $ne: normalization.parametersHash }
+      });
+
+      const report = {
+        entityType: 'ExamEvent',
+        entityId: event.eventId,
+        recomputedHash,
+        storedHash: normalization.parametersHash,
+        checks: {
+          hashMatches: recomputedHash === normalization.parametersHash,
+          meritListConsistent: inconsistentEntries === 0
+        },
+        pending: []
+      };
+
+      await this.resolveAnchor(report, null, { type: 'rank_hash', transactionId: normalization.blockchainTxId });
+      return await this.finish(report);
+    } catch (error) {
+      logger.error('Error verifying rank list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the server signature of a signed answer or result. Records signed
+   * before signing was introduced, or with a retired key, are not checked.
+   * @param {Object} report - Report being built
+   * @param {Object} record - Answer or Result document
+   * @private
+   */
+  checkSignature(report, record) {
+    if (!this.signatureService) {
+      return;
+    }
+
+    const valid = report.entityType === 'Answer'
+      ? this.signatureService.verifyAnswer(record)
+      : this.signatureService.verifyResult(record);
+    if (valid !== null) {
+      report.checks.signatureValid = valid;
+    }
+  }
+
+  /**
+   * Find the anchor of a record, through its Merkle proof if it has one or
+   * else a direct transaction, and check that it commits to the hash
+   * @param {Object} report - Report being built
+   * @param {Object|null} merkleProof - Stored inclusion proof
+   * @param {Object} direct - Direct anchor: transaction type and the
+   * transaction ID recorded on the entity, if any
+   * @private
+   */
+  async resolveAnchor(report, merkleProof, { type, transactionId = null }) {
+    const hash = report.recomputedHash || report.storedHash;
+    report.anchoredHash = null;
+    report.anchor = null;
+    report.merkleProof = null;
+
+    if (merkleProof && merkleProof.root) {
+      const inclusion = await this.merkleAnchorService.verifyInclusion(report.entityType, report.entityId, hash, merkleProof);
+      report.merkleProof = {
+        batchId: merkleProof.batchId,
+        leaf: inclusion.leaf,
+        leafIndex: inclusion.leafIndex,
+        path: inclusion.path,
+        root: inclusion.root
+      };
+      report.anchor = inclusion.transaction;
+      report.anchoredHash = inclusion.transaction ? inclusion.transaction.dataHash : null;
+      report.checks.anchorCommitsToHash = Boolean(
+        inclusion.verification.proofValid && report.anchoredHash === inclusion.root
+      );
+    } else {
+      const filter = transactionId
+        ? { transactionId }
+        : { type, entityType: report.entityType, entityId: report.entityId };
+      const transaction = await BlockchainTransaction.findOne(filter).sort({ submittedAt: -1 });
+
+      if (transaction) {
+        report.anchor = {
+          transactionId: transaction.transactionId,
+          solanaTxId: transaction.solanaTxId || null,
+          status: transaction.status,
+          confirmationStatus: transaction.confirmationStatus,
+          slot: transaction.slot || null,
+          programId: transaction.programId,
+          dataHash: transaction.dataHash
+        };
+        report.anchoredHash = transaction.dataHash;
+        report.checks.anchorCommitsToHash = transaction.dataHash === hash;
+      }
+    }
+
+    if (!report.anchor) {
+      report.checks.anchorCommitsToHash = null;
+      report.pending.push('No anchor has been recorded yet');
+    } else if (report.anchor.status !== 'confirmed') {
+      report.pending.push(`The anchoring transaction is ${report.anchor.status}`);
+    }
+  }
+
+  /**
+   * Read the anchor memo back from the chain and reach a verdict: fail if any
+   * check failed, pending if something could not be checked yet, else pass
+   * @param {Object} report - Report being built
+   * @returns {Promise<Object>} Verification report
+   * @private
+   */
+  async finish(report) {
+    const { pending, ...rest } = report;
+    let onChainMemo = null;
+    rest.checks.onChainMatches = null;
+
+    if (report.anchor && report.anchor.status === 'confirmed' && report.anchor.solanaTxId) {
+      try {
+        onChainMemo = await this.blockchainService.getAnchoredMemo(report.anchor.solanaTxId, report.anchor.programId);
+        rest.checks.onChainMatches = Boolean(onChainMemo && onChainMemo.hash === report.anchoredHash);
+      } catch (chainError) {
+        pending.push('The chain could not be reached to read the anchor memo');
+      }
+    }
+
+    const failed = Object.keys(rest.checks).filter(check => rest.checks[check] === false);
+    let verdict = 'pass';
+    let reasons = [];
+    if (failed.length > 0) {
+      verdict = 'fail';
+      reasons = failed.map(check => FAILED_CHECKS[check]);
+    } else if (pending.length > 0 || Object.values(rest.checks).includes(null)) {
+      verdict = 'pending';
+      reasons = pending.length > 0
+        ? pending
+        : Object.keys(rest.checks).filter(check => rest.checks[check] === null).map(check => `${check} could not be checked`);
+    }
+
+    return {
+      ...rest,
+      solanaTxId: report.anchor ? report.anchor.solanaTxId : null,
+      onChainMemo,
+      verdict,
+      reasons,
+      verifiedAt: new Date()
+    };
+  }
+}
+
+module.exports = VerificationService;
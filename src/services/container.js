@@ -0,0 +1,174 @@
+const BlockchainService = require('./BlockchainService');
+const QuestionService = require('./QuestionService');
+const PaperService = require('./PaperService');
+const ShareCustodyService = require('./ShareCustodyService');
+const KeyRotationService = require('./KeyRotationService');
+const MerkleAnchorService = require('./MerkleAnchorService');
+const BlockchainReconciliationService = require('./BlockchainReconciliationService');
+const AnswerService = require('./AnswerService');
+const ExamSessionService = require('./ExamSessionService');
+const PaperVariantService = require('./PaperVariantService');
+const GradingService = require('./GradingService');
+const ScoringService = require('./ScoringService');
+const ResultService = require('./ResultService');
+const ResultBundleService = require('./ResultBundleService');
+const NormalizationService = require('./NormalizationService');
+const VerificationService = require('./VerificationService');
+const SignatureService = require('./SignatureService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Shared service instances, created on first use
+ * Following Dependency Inversion Principle (DIP): services receive their
+ * collaborators here instead of constructing them
+ */
+const instances = {};
+
+const getBlockchainService = () => {
+  if (!instances.blockchainService) {
+    const blockchainService = new BlockchainService();
+    blockchainService.initialize().catch(error => {
+      logger.warn(`Blockchain anchoring unavailable: ${error.message}`);
+    });
+    instances.blockchainService = blockchainService;
+  }
+  return instances.blockchainService;
+};
+
+const getSignatureService = () => {
+  if (!instances.signatureService) {
+    instances.signatureService = new SignatureService();
+  }
+  return instances.signatureService;
+};
+
+const getMerkleAnchorService = () => {
+  if (!instances.merkleAnchorService) {
+    instances.merkleAnchorService = new MerkleAnchorService(getBlockchainService());
+  }
+  return instances.merkleAnchorService;
+};
+
+const getBlockchainReconciliationService = () => {
+  if (!instances.blockchainReconciliationService) {
+    instances.blockchainReconciliationService = new BlockchainReconciliationService(getBlockchainService(), getMerkleAnchorService());
+  }
+  return instances.blockchainReconciliationService;
+};
+
+const getQuestionService = () => {
+  if (!instances.questionService) {
+    instances.questionService = new QuestionService(getBlockchainService());
+  }
+  return instances.questionService;
+};
+
+const getPaperService = () => {
+  if (!instances.paperService) {
+    instances.paperService = new PaperService(getQuestionService(), getBlockchainService());
+  }
+  return instances.paperService;
+};
+
+const getShareCustodyService = () => {
+  if (!instances.shareCustodyService) {
+    instances.shareCustodyService = new ShareCustodyService(getPaperService());
+  }
+  return instances.shareCustodyService;
+};
+
+const getAnswerService = () => {
+  if (!instances.answerService) {
+    instances.answerService = new AnswerService(getMerkleAnchorService(), getSignatureService());
+  }
+  return instances.answerService;
+};
+
+const getKeyRotationService = () => {
+  if (!instances.keyRotationService) {
+    instances.keyRotationService = new KeyRotationService(getAnswerService(), getPaperService());
+  }
+  return instances.keyRotationService;
+};
+
+const getGradingService = () => {
+  if (!instances.gradingService) {
+    instances.gradingService = new GradingService();
+  }
+  return instances.gradingService;
+};
+
+const getScoringService = () => {
+  if (!instances.scoringService) {
+    instances.scoringService = new ScoringService(getMerkleAnchorService(), getGradingService(), getSignatureService());
+  }
+  return instances.scoringService;
+};
+
+const getResultService = () => {
+  if (!instances.resultService) {
+    instances.resultService = new ResultService(getGradingService(), getSignatureService());
+  }
+  return instances.resultService;
+};
+
+const getResultBundleService = () => {
+  if (!instances.resultBundleService) {
+    instances.resultBundleService = new ResultBundleService(getResultService());
+  }
+  return instances.resultBundleService;
+};
+
+const getNormalizationService = () => {
+  if (!instances.normalizationService) {
+    instances.normalizationService = new NormalizationService(getBlockchainService(), getSignatureService());
+  }
+  return instances.normalizationService;
+};
+
+const getPaperVariantService = () => {
+  if (!instances.paperVariantService) {
+    instances.paperVariantService = new PaperVariantService();
+  }
+  return instances.paperVariantService;
+};
+
+const getExamSessionService = () => {
+  if (!instances.examSessionService) {
+    instances.examSessionService = new ExamSessionService(getAnswerService(), getScoringService(), getPaperVariantService());
+  }
+  return instances.examSessionService;
+};
+
+const getVerificationService = () => {
+  if (!instances.verificationService) {
+    instances.verificationService = new VerificationService(
+      getBlockchainService(),
+      getMerkleAnchorService(),
+      getScoringService(),
+      getNormalizationService(),
+      getSignatureService()
+    );
+  }
+  return instances.verificationService;
+};
+
+module.exports = {
+  getBlockchainService,
+  getMerkleAnchorService,
+  getSignatureService,
+  getBlockchainReconciliationService,
+  getQuestionService,
+  getPaperService,
+  getShareCustodyService,
+  getAnswerService,
+  getKeyRotationService,
+  getGradingService,
+  getScoringService,
+  getResultService,
+  getResultBundleService,
+  getNormalizationService,
+  getPaperVariantService,
+  getExamSessionService,
+  getVerificationService
+};
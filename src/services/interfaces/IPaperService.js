@@ -13,22 +13,45 @@ class IPaperService {
     throw new Error('Method generatePaper must be implemented');
   }
 
+  /**
+   * Check whether the question pool can satisfy a blueprint
+   * @param {Object} blueprint - Paper blueprint
+   * @returns {Promise<Object>} Feasibility and diagnostics
+   */
+  async checkBlueprint(blueprint) {
+    throw new Error('Method checkBlueprint must be implemented');
+  }
+
   /**
    * Distribute Shamir key parts
    * @param {string} paperId - Paper ID
+   * @param {Array<string>} holders - Holder user IDs, one per share
    * @returns {Promise<Array>} Distributed shares
    */
-  async distributeShamirKey(paperId) {
+  async distributeShamirKey(paperId, holders) {
     throw new Error('Method distributeShamirKey must be implemented');
   }
 
   /**
-   * Submit all Shamir parts and decrypt
+   * Rotate the paper key and re-share it to new holders
+   * @param {string} paperId - Paper ID
+   * @param {Object} rotation - Current shares, new holders, optional threshold and reason
+   * @param {Object} rotatedBy - User performing the rotation
+   * @returns {Promise<Object>} Updated paper and the rotation record
+   */
+  async reshareShamirKey(paperId, rotation, rotatedBy) {
+    throw new Error('Method reshareShamirKey must be implemented');
+  }
+
+  /**
+   * Submit Shamir parts; decrypts once the threshold is collected
    * @param {string} paperId - Paper ID
    * @param {Array} shares - Shamir shares
-   * @returns {Promise<Object>} Decrypted paper
+   * @param {Object} submitter - Submitting user
+   * @param {Object} clientInfo - Client details
+   * @returns {Promise<Object>} Collection progress and, once decrypted, the paper
    */
-  async decryptPaper(paperId, shares) {
+  async decryptPaper(paperId, shares, submitter, clientInfo) {
     throw new Error('Method decryptPaper must be implemented');
   }
 
@@ -49,6 +49,15 @@ class IQuestionService {
     throw new Error('Method getQuestionsForPaper must be implemented');
   }
 
+  /**
+   * Get the candidate pool for blueprint-driven paper generation
+   * @param {Object} criteria - Pool criteria (subjects, includeTags, excludeTags)
+   * @returns {Promise<Array>} Lean question summaries
+   */
+  async getQuestionPool(criteria) {
+    throw new Error('Method getQuestionPool must be implemented');
+  }
+
   /**
    * Mark question as verified
    * @param {string} questionId - Question ID
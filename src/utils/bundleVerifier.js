@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const merkleTree = require('./merkle');
+const canonicalJson = require('./canonicalJson');
+const versionedHash = require('./versionedHash');
+
+const BUNDLE_FORMAT = 'nta-result-bundle';
+const BUNDLE_VERSION = 1;
+const MEMO_APP = 'nta';
+
+// What a failed check means (failed proofs and anchors are reported per record)
+const FAILED_CHECKS = {
+  formatSupported: `Not a version ${BUNDLE_VERSION} ${BUNDLE_FORMAT}`,
+  signatureValid: 'The bundle signature does not verify',
+  signerTrusted: 'The bundle was signed with a different key than the one trusted',
+  resultHashMatches: 'The recomputed result hash differs from the stored hash',
+  paperHashMatches: 'The recomputed paper hash differs from the sealed hash',
+  paperConsistent: 'The result, answers and questions do not belong to the paper'
+};
+
+/**
+ * Offline verifier for signed result bundles. It needs no database, API or
+ * network access: every hash is recomputed from the data in the bundle, and
+ * the Solana signatures to look up on chain are listed in the report.
+ *
+ * Only depends on crypto, the Merkle tree, canonical JSON and versioned
+ * hashing, so auditors can run it on its own (see src/scripts/verifyBundle.js).
+ */
+class BundleVerifier {
+  constructor() {
+    this.format = BUNDLE_FORMAT;
+    this.version = BUNDLE_VERSION;
+  }
+
+  /**
+   * Serialisation the bundle signature covers
+   * @param {Object} bundle - Bundle without its signature
+   * @returns {string} Canonical JSON
+   */
+  serialize(bundle) {
+    return canonicalJson.serialize(bundle);
+  }
+
+  /**
+   * Recompute a result hash from its scored fields and answer chain heads,
+   * as ScoringService.computeResultHash does, with the result's hash version
+   * @param {Object} result - Bundled result
+   * @param {Array} answers - Bundled answers
+   * @returns {string} Result hash
+   */
+  hashResult(result, answers) {
+    return versionedHash.hash({
+      studentId: result.studentId,
+      sessionId: result.sessionId,
+      paperId: result.paperId,
+      totalMarks: result.totalMarks,
+      obtainedMarks: result.obtainedMarks,
+      percentage: result.percentage,
+      isPassed: result.isPassed,
+      correctAnswers: result.correctAnswers,
+      incorrectAnswers: result.incorrectAnswers,
+      unansweredQuestions: result.unansweredQuestions,
+      answers: answers
+        .map(a => ({ answerId: a.answerId, head: a.hash }))
+        .sort((a, b) => a.answerId.localeCompare(b.answerId))
+    }, result.hashVersion);
+  }
+
+  /**
+   * Recompute a paper hash from the fields it covers, as the ExamPaper
+   * paperHash virtual does
+   * @param {Object} hashData - Bundled paper hash data
+   * @param {number|null} hashVersion - Paper hash version
+   * @returns {string} Paper hash
+   */
+  hashPaper(hashData, hashVersion) {
+    return versionedHash.hash(hashData, hashVersion);
+  }
+
+  /**
+   * Verify a bundle: its signature, the result and paper hashes, the Merkle
+   * proofs, and that every anchor commits to the hash of its record
+   * @param {Object} bundle - Result bundle
+   * @param {Object} options - { publicKey }: key the signer must match, as PEM
+   * or a JWK (from /.well-known/jwks.json). Without it the verdict is at best
+   * pending.
+   * @returns {Object} Verification report
+   */
+  verify(bundle, { publicKey = null } = {}) {
+    const checks = { formatSupported: Boolean(bundle) && bundle.format === BUNDLE_FORMAT && bundle.version === BUNDLE_VERSION };
+    const failures = [];
+    const pending = [];
+    const solanaTransactions = new Map();
+
+    if (!checks.formatSupported) {
+      return this.finish(bundle, checks, [FAILED_CHECKS.formatSupported], pending, solanaTransactions);
+    }
+
+    const { result, answers, paper, questions } = bundle;
+
+    checks.signatureValid = this.verifySignature(bundle);
+    checks.signerTrusted = publicKey ? this.isSameKey(bundle.signature && bundle.signature.publicKey, publicKey) : null;
+    if (!publicKey) {
+      // The signature is checked against the key the bundle carries, so on its
+      // own it shows the bundle is intact, not that the server signed it
+      pending.push('No trusted public key was given, so the signer could not be checked');
+    }
+
+    checks.resultHashMatches = this.hashResult(result, answers) === result.resultHash;
+
+    if (paper.hashData) {
+      const questionIds = new Set(paper.hashData.questions.map(q => q.questionId));
+      checks.paperHashMatches = this.hashPaper(paper.hashData, paper.hashVersion) === paper.sealedHash;
+      checks.paperConsistent = result.paperId === paper.paperId &&
+        paper.hashData.paperId === paper.paperId &&
+        answers.every(answer => questionIds.has(answer.questionId)) &&
+        questions.every(question => questionIds.has(question.questionId));
+    } else {
+      checks.paperHashMatches = null;
+      checks.paperConsistent = null;
+      pending.push('The paper is still sealed; its hash can be recomputed once it is decrypted');
+    }
+
+    checks.proofsValid = true;
+    checks.anchorsCommit = true;
+    const records = [
+      { entityType: 'Result', entityId: result.resultId, hash: result.resultHash, merkleProof: result.merkleProof, anchor: result.anchor },
+      ...answers.map(answer => ({ entityType: 'Answer', entityId: answer.answerId, ...answer })),
+      { entityType: 'ExamPaper', entityId: paper.paperId, hash: paper.sealedHash, anchor: paper.anchor },
+      ...questions.map(question => ({ entityType: 'Question', entityId: question.questionId, ...question }))
+    ];
+
+    for (const record of records) {
+      const label = `${record.entityType} ${record.entityId}`;
+      let committedHash = record.hash;
+
+      if (record.merkleProof) {
+        const { leaf, path, root } = record.merkleProof;
+        const expectedLeaf = merkleTree.hashLeaf(record.entityType, record.entityId, record.hash);
+        if (leaf !== expectedLeaf || !merkleTree.verify(leaf, path, root)) {
+          checks.proofsValid = false;
+          failures.push(`${label}: the Merkle proof does not lead to root ${root}`);
+        }
+        committedHash = root;
+      }
+
+      if (!record.anchor) {
+        pending.push(`${label} has not been anchored yet`);
+        continue;
+      }
+
+      const { solanaTxId, programId, dataHash, memo, status } = record.anchor;
+      const memoData = this.parseMemo(memo);
+      if (dataHash !== committedHash || !memoData || memoData.hash !== dataHash) {
+        checks.anchorsCommit = false;
+        failures.push(`${label}: anchor ${record.anchor.transactionId} does not commit to ${committedHash}`);
+      }
+      if (status !== 'confirmed') {
+        pending.push(`${label}: the anchoring transaction is ${status}`);
+      }
+      if (solanaTxId) {
+        solanaTransactions.set(solanaTxId, { solanaTxId, programId, memo });
+      }
+    }
+
+    const reasons = Object.keys(checks)
+      .filter(check => checks[check] === false && FAILED_CHECKS[check])
+      .map(check => FAILED_CHECKS[check])
+      .concat(failures);
+
+    return this.finish(bundle, checks, reasons, pending, solanaTransactions);
+  }
+
+  /**
+   * Reach a verdict: fail if any check failed, pending if something could not
+   * be checked yet, else pass
+   * @private
+   */
+  finish(bundle, checks, reasons, pending, solanaTransactions) {
+    let verdict = 'pass';
+    if (reasons.length > 0) {
+      verdict = 'fail';
+    } else if (pending.length > 0 || Object.values(checks).includes(null)) {
+      verdict = 'pending';
+      reasons = pending.length > 0
+        ? pending
+        : Object.keys(checks).filter(check => checks[check] === null).map(check => `${check} could not be checked`);
+    }
+
+    return {
+      resultId: bundle && bundle.result ? bundle.result.resultId : null,
+      signer: bundle && bundle.signature ? bundle.signature.keyId : null,
+      checks,
+      // Look these up on chain: each memo must be in a confirmed transaction
+      solanaTransactions: [...solanaTransactions.values()],
+      onChainChecked: false,
+      notice: 'Anchors were checked against the bundle only. Look up each Solana transaction on chain to confirm it is confirmed and carries its memo.',
+      verdict,
+      reasons
+    };
+  }
+
+  /**
+   * Check the signature over the canonical bundle without its signature
+   * @private
+   */
+  verifySignature(bundle) {
+    const { signature, ...signed } = bundle;
+    if (!signature || signature.algorithm !== 'Ed25519') {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        null,
+        Buffer.from(this.serialize(signed)),
+        signature.publicKey,
+        Buffer.from(signature.value, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether two public keys (PEM or JWK) are the same key
+   * @private
+   */
+  isSameKey(first, second) {
+    try {
+      const der = key => crypto.createPublicKey(typeof key === 'string' ? key : { key, format: 'jwk' })
+        .export({ type: 'spki', format: 'der' });
+      return der(first).equals(der(second));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse an anchor memo, or null if it is not one of ours
+   * @private
+   */
+  parseMemo(memo) {
+    try {
+      const data = JSON.parse(memo);
+      return data && data.app === MEMO_APP ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const bundleVerifier = new BundleVerifier();
+
+module.exports = bundleVerifier;
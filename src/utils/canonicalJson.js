@@ -0,0 +1,50 @@
+/**
+ * Canonical JSON: object keys sorted, undefined members dropped, Maps written
+ * as objects, Dates as ISO 8601 UTC strings and other values with a toJSON
+ * method (ObjectIds) serialised through it. Numbers use their shortest
+ * round-trip form, so -0 is written as 0; NaN and Infinity have no JSON form
+ * and are rejected rather than written as null. The same value always
+ * serialises to the same string, whatever order its keys were set in, so it
+ * can be signed or hashed.
+ */
+class CanonicalJson {
+  /**
+   * Serialise a value
+   * @param {*} value - JSON value
+   * @returns {string} Canonical JSON
+   */
+  serialize(value) {
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) {
+        throw new TypeError('Cannot serialise an invalid date');
+      }
+      return JSON.stringify(value.toISOString());
+    }
+    if (value instanceof Map) {
+      return this.serialize(Object.fromEntries(value));
+    }
+    if (value && typeof value.toJSON === 'function') {
+      return this.serialize(value.toJSON());
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new TypeError(`Cannot serialise the number ${value}`);
+    }
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (item === undefined ? 'null' : this.serialize(item))).join(',')}]`;
+    }
+
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${this.serialize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+}
+
+// Create singleton instance
+const canonicalJson = new CanonicalJson();
+
+module.exports = canonicalJson;
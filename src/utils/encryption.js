@@ -1,17 +1,34 @@
 const crypto = require('crypto');
-const shamir = require('shamir-secret-sharing');
 const aesjs = require('aes-js');
+const feldmanVSS = require('./feldman');
+const { createKeyProvider } = require('./keyProviders');
 const { logger } = require('./logger');
 
+// Current ciphertext envelope. Version 1 envelopes were encrypted directly
+// with a key; records without a version predate envelopes.
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+const GCM_IV_LENGTH = 12;
+
 class EncryptionService {
   constructor() {
-    this.encryptionKey = process.env.ENCRYPTION_KEY;
+    this.keyProvider = createKeyProvider();
     this.threshold = parseInt(process.env.SHAMIR_THRESHOLD) || 3;
     this.totalParts = parseInt(process.env.SHAMIR_TOTAL_PARTS) || 5;
-    
-    if (!this.encryptionKey) {
-      throw new Error('ENCRYPTION_KEY is not defined in environment variables');
-    }
+  }
+
+  /**
+   * Replace the key provider (e.g. with a LocalHsmKeyProvider in tests)
+   */
+  setKeyProvider(keyProvider) {
+    this.keyProvider = keyProvider;
+  }
+
+  /**
+   * ID of the master key new records are encrypted under
+   */
+  getActiveKeyId() {
+    return this.keyProvider.getActiveKeyId();
   }
 
   /**
@@ -22,23 +39,37 @@ class EncryptionService {
   }
 
   /**
-   * Encrypt data using AES-256-GCM
+   * Encrypt data using AES-256-GCM. Without a hex key, a fresh data key
+   * encrypts the data and is wrapped by the key provider's active master key.
+   * Associated data is authenticated but not encrypted: the envelope only
+   * decrypts when the same associated data is given again.
    */
-  encrypt(data) {
+  encrypt(data, encryptionKey = null, associatedData = null) {
     try {
-      const key = Buffer.from(this.encryptionKey, 'hex');
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher('aes-256-gcm', key);
-      
+      const key = encryptionKey ? Buffer.from(encryptionKey, 'hex') : this.generateRandomKey(32);
+      const { keyId, wrappedKey } = encryptionKey
+        ? { keyId: this.getKeyId(key), wrappedKey: undefined }
+        : this.keyProvider.wrapKey(key);
+
+      const iv = crypto.randomBytes(GCM_IV_LENGTH);
+      const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, key, iv);
+
+      if (associatedData) {
+        cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+      }
+
       let encrypted = cipher.update(data, 'utf8', 'hex');
       encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
+
       return {
-        encrypted,
+        version: ENVELOPE_VERSION,
+        algorithm: ENVELOPE_ALGORITHM,
+        keyId,
+        wrappedKey,
         iv: iv.toString('hex'),
-        authTag: authTag.toString('hex')
+        authTag: cipher.getAuthTag().toString('hex'),
+        aad: associatedData || undefined,
+        encrypted
       };
     } catch (error) {
       logger.error('Encryption error:', error);
@@ -47,20 +78,31 @@ class EncryptionService {
   }
 
   /**
-   * Decrypt data using AES-256-GCM
+   * Decrypt an envelope (through the key provider unless a hex key is given).
+   * The associated data must match what it was encrypted with; envelopes
+   * without a version were written by createCipher and carry none.
    */
-  decrypt(encryptedData) {
+  decrypt(encryptedData, encryptionKey = null, associatedData = null) {
     try {
-      const key = Buffer.from(this.encryptionKey, 'hex');
-      const iv = Buffer.from(encryptedData.iv, 'hex');
-      const authTag = Buffer.from(encryptedData.authTag, 'hex');
-      
-      const decipher = crypto.createDecipher('aes-256-gcm', key);
-      decipher.setAuthTag(authTag);
-      
+      if (encryptedData.version === undefined) {
+        return this.decryptLegacy(encryptedData, encryptionKey);
+      }
+
+      if (![1, ENVELOPE_VERSION].includes(encryptedData.version) || encryptedData.algorithm !== ENVELOPE_ALGORITHM) {
+        throw new Error(`Unsupported envelope: version ${encryptedData.version}, ${encryptedData.algorithm}`);
+      }
+
+      const key = this.getEnvelopeKey(encryptedData, encryptionKey);
+      const decipher = crypto.createDecipheriv(ENVELOPE_ALGORITHM, key, Buffer.from(encryptedData.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+
+      if (associatedData) {
+        decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+      }
+
       let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
-      
+
       return decrypted;
     } catch (error) {
       logger.error('Decryption error:', error);
@@ -69,19 +111,114 @@ class EncryptionService {
   }
 
   /**
-   * Split a secret using Shamir's Secret Sharing
+   * Move an envelope under the active master key. A wrapped data key is
+   * simply rewrapped; older envelopes are decrypted and encrypted again.
+   * Returns null if the envelope is already under the active key.
+   */
+  reseal(encryptedData, associatedData = null) {
+    const activeKeyId = this.getActiveKeyId();
+
+    if (encryptedData.version === ENVELOPE_VERSION && encryptedData.wrappedKey) {
+      if (encryptedData.keyId === activeKeyId) {
+        return null;
+      }
+
+      const dataKey = this.keyProvider.unwrapKey(encryptedData.wrappedKey, encryptedData.keyId);
+      return { ...encryptedData, ...this.keyProvider.wrapKey(dataKey) };
+    }
+
+    return this.encrypt(this.decrypt(encryptedData, null, associatedData), null, associatedData);
+  }
+
+  /**
+   * Identify a key without revealing it (first 16 hex characters of its SHA-256)
+   */
+  getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Resolve the key that decrypts an envelope: the given hex key, the
+   * unwrapped data key, or (for version 1) the master key it names
+   */
+  getEnvelopeKey(encryptedData, encryptionKey) {
+    if (encryptionKey) {
+      const key = Buffer.from(encryptionKey, 'hex');
+      if (encryptedData.keyId !== this.getKeyId(key)) {
+        throw new Error(`Envelope was encrypted with key ${encryptedData.keyId}`);
+      }
+      return key;
+    }
+
+    if (encryptedData.wrappedKey) {
+      return this.keyProvider.unwrapKey(encryptedData.wrappedKey, encryptedData.keyId);
+    }
+
+    return this.keyProvider.exportKey(encryptedData.keyId);
+  }
+
+  /**
+   * Decrypt a pre-envelope record, trying each master key unless a hex key
+   * is given (the auth tag rejects the wrong ones)
+   */
+  decryptLegacy(encryptedData, encryptionKey) {
+    const candidates = encryptionKey
+      ? [Buffer.from(encryptionKey, 'hex')]
+      : this.keyProvider.listLegacyKeys();
+
+    for (const password of candidates) {
+      try {
+        return this.decryptWithDerivedKey(encryptedData, password);
+      } catch (error) {
+        // Wrong key; try the next one
+      }
+    }
+
+    throw new Error('No key decrypts the legacy record');
+  }
+
+  /**
+   * createCipher ignored the stored IV and derived the key and IV from the key
+   * bytes with EVP_BytesToKey (MD5, one round, no salt), which is reproduced
+   * here for createDecipheriv
+   */
+  decryptWithDerivedKey(encryptedData, password) {
+    let block = Buffer.alloc(0);
+    let derived = Buffer.alloc(0);
+    while (derived.length < 32 + GCM_IV_LENGTH) {
+      block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+      derived = Buffer.concat([derived, block]);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ENVELOPE_ALGORITHM,
+      derived.subarray(0, 32),
+      derived.subarray(32, 32 + GCM_IV_LENGTH)
+    );
+    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+
+    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+
+  /**
+   * Split a secret (hex) using Shamir's Secret Sharing with Feldman commitments,
+   * so every share can be verified on its own
    */
-  splitSecret(secret) {
+  splitSecret(secret, totalParts = this.totalParts, threshold = this.threshold) {
     try {
-      const secretBuffer = Buffer.from(secret, 'utf8');
-      const shares = shamir.share(secretBuffer, this.totalParts, this.threshold);
-      
-      return shares.map((share, index) => ({
-        id: index + 1,
-        share: share.toString('hex'),
-        threshold: this.threshold,
-        totalParts: this.totalParts
-      }));
+      const { shares, commitments } = feldmanVSS.split(secret, totalParts, threshold);
+
+      return {
+        shares: shares.map(share => ({
+          ...share,
+          threshold,
+          totalParts
+        })),
+        commitments
+      };
     } catch (error) {
       logger.error('Secret splitting error:', error);
       throw new Error('Failed to split secret');
@@ -89,18 +226,32 @@ class EncryptionService {
   }
 
   /**
-   * Reconstruct a secret from Shamir shares
+   * Verify a Shamir share against the commitments published at split time
+   */
+  verifyShare(share, commitments) {
+    return feldmanVSS.verifyShare(share.id, share.share, commitments);
+  }
+
+  /**
+   * Describe how shares are committed, so holders can verify their shares
+   */
+  getShareVerificationInfo(commitments) {
+    return {
+      ...feldmanVSS.getParameters(),
+      commitments
+    };
+  }
+
+  /**
+   * Reconstruct a secret (hex) from Shamir shares
    */
-  reconstructSecret(shares) {
+  reconstructSecret(shares, threshold = this.threshold) {
     try {
-      if (shares.length < this.threshold) {
-        throw new Error(`Need at least ${this.threshold} shares to reconstruct secret`);
+      if (shares.length < threshold) {
+        throw new Error(`Need at least ${threshold} shares to reconstruct secret`);
       }
-      
-      const shareBuffers = shares.map(share => Buffer.from(share.share, 'hex'));
-      const reconstructed = shamir.combine(shareBuffers);
-      
-      return reconstructed.toString('utf8');
+
+      return feldmanVSS.combine(shares);
     } catch (error) {
       logger.error('Secret reconstruction error:', error);
       throw new Error('Failed to reconstruct secret');
@@ -120,11 +271,13 @@ class EncryptionService {
   }
 
   /**
-   * Generate HMAC for data integrity
+   * Generate HMAC for data integrity (with the key provider's MAC key unless a key is given)
    */
-  generateHMAC(data, key = this.encryptionKey) {
+  generateHMAC(data, key = null) {
     try {
-      return crypto.createHmac('sha256', key).update(data).digest('hex');
+      return key
+        ? crypto.createHmac('sha256', key).update(data).digest('hex')
+        : this.keyProvider.hmac(data);
     } catch (error) {
       logger.error('HMAC generation error:', error);
       throw new Error('Failed to generate HMAC');
@@ -134,7 +287,7 @@ class EncryptionService {
   /**
    * Verify HMAC for data integrity
    */
-  verifyHMAC(data, hmac, key = this.encryptionKey) {
+  verifyHMAC(data, hmac, key = null) {
     try {
       const expectedHMAC = this.generateHMAC(data, key);
       return crypto.timingSafeEqual(
@@ -147,6 +300,64 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Parse a PEM public key that shares can be encrypted to (RSA, 2048 bits or more)
+   */
+  parseRecipientKey(publicKeyPem) {
+    let key;
+    try {
+      key = crypto.createPublicKey(publicKeyPem);
+    } catch (error) {
+      throw new Error('Public key is not a valid PEM key');
+    }
+
+    if (key.asymmetricKeyType !== 'rsa' || key.asymmetricKeyDetails.modulusLength < 2048) {
+      throw new Error('Public key must be an RSA key of at least 2048 bits');
+    }
+
+    return key;
+  }
+
+  /**
+   * Fingerprint of a public key (SHA-256 of its DER encoding)
+   */
+  getKeyFingerprint(publicKeyPem) {
+    const der = this.parseRecipientKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+  }
+
+  /**
+   * Encrypt data to a recipient's public key: a fresh AES-256-GCM key
+   * encrypts the data and is itself wrapped with RSA-OAEP (SHA-256)
+   */
+  encryptForRecipient(data, publicKeyPem) {
+    try {
+      const dataKey = crypto.randomBytes(32);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+
+      let encrypted = cipher.update(data, 'utf8', 'hex');
+      encrypted += cipher.final('hex');
+
+      const wrappedKey = crypto.publicEncrypt({
+        key: this.parseRecipientKey(publicKeyPem),
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      }, dataKey);
+
+      return {
+        algorithm: 'RSA-OAEP-256+A256GCM',
+        wrappedKey: wrappedKey.toString('base64'),
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex'),
+        encrypted
+      };
+    } catch (error) {
+      logger.error('Recipient encryption error:', error);
+      throw new Error('Failed to encrypt data for recipient');
+    }
+  }
+
   /**
    * Encrypt and hash data for blockchain storage
    */
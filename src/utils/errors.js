@@ -0,0 +1,36 @@
+/**
+ * Error raised by services for failures that map to a specific HTTP status
+ * (e.g. 404 for missing entities, 409 for illegal state transitions)
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Send an error response, honouring the status code of a ServiceError
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised by a service
+ * @param {string} message - Message used for unexpected (500) errors
+ */
+const sendServiceError = (res, error, message) => {
+  const statusCode = error.statusCode || 500;
+
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    error: error.message,
+    ...(error.details && { details: error.details })
+  });
+};
+
+module.exports = {
+  ServiceError,
+  sendServiceError
+};
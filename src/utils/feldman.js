@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * Feldman verifiable secret sharing over the RFC 3526 2048-bit MODP group
+ * (group 14). p is a safe prime (p = 2q + 1) and g = 2 generates the subgroup
+ * of prime order q, so shares live in the field Z_q and commitments in Z_p.
+ *
+ * The dealer splits a secret s with a random polynomial
+ * f(x) = s + a1*x + ... + a(t-1)*x^(t-1) mod q and publishes the commitments
+ * C_j = g^(a_j) mod p. Share (i, y) is valid iff g^y = prod(C_j^(i^j)) mod p,
+ * which anyone can check without learning the secret.
+ */
+class FeldmanVSS {
+  constructor() {
+    this.p = BigInt(`0x${crypto.getDiffieHellman('modp14').getPrime('hex')}`);
+    this.q = (this.p - 1n) / 2n;
+    this.g = 2n;
+    this.elementLength = 512; // hex digits of an element of Z_p
+  }
+
+  /**
+   * Public parameters a holder needs to verify a share independently
+   * @returns {Object} Scheme, group and generator
+   */
+  getParameters() {
+    return {
+      scheme: 'feldman-vss',
+      group: 'rfc3526-modp-2048',
+      generator: Number(this.g)
+    };
+  }
+
+  /**
+   * Split a secret (hex) into shares and the commitments to its polynomial
+   * @param {string} secretHex - Secret, smaller than q
+   * @param {number} totalShares - Number of shares
+   * @param {number} threshold - Shares needed to reconstruct
+   * @returns {Object} { shares: [{ id, share }], commitments: [hex] }
+   */
+  split(secretHex, totalShares, threshold) {
+    const secret = BigInt(`0x${secretHex}`);
+    if (secret >= this.q) {
+      throw new Error('Secret is too large for the field');
+    }
+    if (threshold < 2 || threshold > totalShares) {
+      throw new Error('Threshold must be between 2 and the number of shares');
+    }
+
+    const coefficients = [secret];
+    for (let j = 1; j < threshold; j++) {
+      coefficients.push(this.randomScalar());
+    }
+
+    const shares = [];
+    for (let id = 1; id <= totalShares; id++) {
+      shares.push({ id, share: this.toHex(this.evaluate(coefficients, BigInt(id))) });
+    }
+
+    return {
+      shares,
+      commitments: coefficients.map(a => this.toHex(this.modPow(this.g, a, this.p)))
+    };
+  }
+
+  /**
+   * Check a share against the published commitments
+   * @param {number} id - Share ID (the x coordinate)
+   * @param {string} shareHex - Share value
+   * @param {Array<string>} commitments - Polynomial commitments
+   * @returns {boolean} True if the share lies on the committed polynomial
+   */
+  verifyShare(id, shareHex, commitments) {
+    let y;
+    try {
+      y = BigInt(`0x${shareHex}`);
+    } catch (error) {
+      return false;
+    }
+    if (y >= this.q || commitments.length === 0) return false;
+
+    const x = BigInt(id);
+    let expected = 1n;
+    let power = 1n; // x^j
+    for (const commitment of commitments) {
+      expected = (expected * this.modPow(BigInt(`0x${commitment}`), power, this.p)) % this.p;
+      power *= x;
+    }
+
+    return this.modPow(this.g, y, this.p) === expected;
+  }
+
+  /**
+   * Reconstruct the secret from threshold shares (Lagrange interpolation at 0)
+   * @param {Array} shares - Shares ({ id, share })
+   * @param {number} secretLength - Secret length in bytes
+   * @returns {string} Secret (hex)
+   */
+  combine(shares, secretLength = 32) {
+    const points = shares.map(s => ({ x: BigInt(s.id), y: BigInt(`0x${s.share}`) }));
+    if (new Set(points.map(p => p.x)).size !== points.length) {
+      throw new Error('Shares must have distinct IDs');
+    }
+
+    let secret = 0n;
+    points.forEach((point, i) => {
+      let numerator = 1n;
+      let denominator = 1n;
+      points.forEach((other, j) => {
+        if (i === j) return;
+        numerator = (numerator * this.mod(-other.x, this.q)) % this.q;
+        denominator = (denominator * this.mod(point.x - other.x, this.q)) % this.q;
+      });
+      const lagrange = (numerator * this.modPow(denominator, this.q - 2n, this.q)) % this.q;
+      secret = (secret + point.y * lagrange) % this.q;
+    });
+
+    return secret.toString(16).padStart(secretLength * 2, '0');
+  }
+
+  /**
+   * Evaluate a polynomial at x (Horner's rule, mod q)
+   * @private
+   */
+  evaluate(coefficients, x) {
+    let result = 0n;
+    for (let j = coefficients.length - 1; j >= 0; j--) {
+      result = (result * x + coefficients[j]) % this.q;
+    }
+    return result;
+  }
+
+  /**
+   * Uniform random element of [1, q - 1]; 128 extra bits make the modulo bias negligible
+   * @private
+   */
+  randomScalar() {
+    const value = BigInt(`0x${crypto.randomBytes(272).toString('hex')}`);
+    return (value % (this.q - 1n)) + 1n;
+  }
+
+  /**
+   * Modular exponentiation (square and multiply)
+   * @private
+   */
+  modPow(base, exponent, modulus) {
+    let result = 1n;
+    let b = this.mod(base, modulus);
+    let e = exponent;
+    while (e > 0n) {
+      if (e & 1n) result = (result * b) % modulus;
+      b = (b * b) % modulus;
+      e >>= 1n;
+    }
+    return result;
+  }
+
+  /**
+   * Non-negative remainder
+   * @private
+   */
+  mod(value, modulus) {
+    const r = value % modulus;
+    return r < 0n ? r + modulus : r;
+  }
+
+  /**
+   * Fixed-width hex encoding of a group or field element
+   * @private
+   */
+  toHex(value) {
+    return value.toString(16).padStart(this.elementLength, '0');
+  }
+}
+
+// Create singleton instance
+const feldmanVSS = new FeldmanVSS();
+
+module.exports = feldmanVSS;
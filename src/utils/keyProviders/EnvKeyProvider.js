@@ -0,0 +1,68 @@
+const fs = require('fs');
+const KeyringProvider = require('./KeyringProvider');
+
+const HEX_KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Default key provider: master keys come from environment variables, or from
+ * a JSON key file when ENCRYPTION_KEYS_FILE is set. Previous keys stay
+ * available for decryption while records are migrated to the active key.
+ * Following Single Responsibility Principle (SRP)
+ */
+class EnvKeyProvider extends KeyringProvider {
+  /**
+   * @param {Object} config - Key configuration
+   * @param {string} config.activeKey - Active master key (64 hex characters)
+   * @param {Array<string>} config.previousKeys - Retired keys still used for
+   * decryption. Keys that are not 64 hex characters were accepted before
+   * envelope encryption; they only decrypt records from that time.
+   * @param {string} config.hmacKey - MAC key
+   */
+  constructor({ activeKey, previousKeys = [], hmacKey }) {
+    if (!activeKey || !HEX_KEY_PATTERN.test(activeKey)) {
+      throw new Error(
+        'The active encryption key must be 32 bytes written as 64 hex characters; ' +
+        'keep an older key in the previous keys to decrypt records written with it'
+      );
+    }
+
+    const masterKeys = [activeKey, ...previousKeys.filter(key => HEX_KEY_PATTERN.test(key))];
+    // Read as hex the way createCipher was given them, whatever their form
+    const legacyKeys = previousKeys.filter(key => !HEX_KEY_PATTERN.test(key));
+
+    super(
+      masterKeys.map(key => Buffer.from(key, 'hex')),
+      hmacKey || activeKey,
+      legacyKeys.map(key => Buffer.from(key, 'hex'))
+    );
+  }
+
+  /**
+   * Read the key configuration from the environment
+   *
+   * The key file looks like { "activeKey": "<hex>", "previousKeys": ["<hex>"], "hmacKey": "<secret>" }.
+   * Without a file, ENCRYPTION_KEY is the active key, ENCRYPTION_PREVIOUS_KEYS
+   * lists retired keys (comma-separated) and HMAC_KEY defaults to ENCRYPTION_KEY,
+   * which keeps HMACs computed before key providers valid.
+   * @param {Object} env - Environment variables
+   * @returns {EnvKeyProvider} Provider
+   */
+  static fromEnvironment(env = process.env) {
+    if (env.ENCRYPTION_KEYS_FILE) {
+      const config = JSON.parse(fs.readFileSync(env.ENCRYPTION_KEYS_FILE, 'utf8'));
+      return new EnvKeyProvider(config);
+    }
+
+    if (!env.ENCRYPTION_KEY) {
+      throw new Error('ENCRYPTION_KEY is not defined in environment variables');
+    }
+
+    return new EnvKeyProvider({
+      activeKey: env.ENCRYPTION_KEY,
+      previousKeys: (env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+      hmacKey: env.HMAC_KEY
+    });
+  }
+}
+
+module.exports = EnvKeyProvider;
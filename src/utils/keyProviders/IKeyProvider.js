@@ -0,0 +1,73 @@
+/**
+ * Interface for key management providers. A provider holds the master keys:
+ * it wraps and unwraps the per-record data keys and computes HMACs, so master
+ * key material never has to leave it.
+ * Following Interface Segregation Principle (ISP)
+ */
+class IKeyProvider {
+  /**
+   * Get the ID of the master key new data keys are wrapped with
+   * @returns {string} Active key ID
+   */
+  getActiveKeyId() {
+    throw new Error('Method getActiveKeyId must be implemented');
+  }
+
+  /**
+   * Get the IDs of every master key the provider can unwrap with
+   * @returns {Array<string>} Key IDs, active key first
+   */
+  listKeyIds() {
+    throw new Error('Method listKeyIds must be implemented');
+  }
+
+  /**
+   * Wrap a data key with the active master key
+   * @param {Buffer} dataKey - Data key
+   * @returns {Object} Wrapped key ({ keyId, wrappedKey })
+   */
+  wrapKey(dataKey) {
+    throw new Error('Method wrapKey must be implemented');
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {string} wrappedKey - Wrapped data key
+   * @param {string} keyId - ID of the master key it was wrapped with
+   * @returns {Buffer} Data key
+   */
+  unwrapKey(wrappedKey, keyId) {
+    throw new Error('Method unwrapKey must be implemented');
+  }
+
+  /**
+   * Compute an HMAC-SHA256 with the provider's MAC key
+   * @param {string} data - Data to authenticate
+   * @returns {string} HMAC (hex)
+   */
+  hmac(data) {
+    throw new Error('Method hmac must be implemented');
+  }
+
+  /**
+   * Export a master key. Only needed for records encrypted directly with a
+   * master key before envelope encryption; HSM-backed providers refuse.
+   * @param {string} keyId - Key ID
+   * @returns {Buffer} Master key
+   */
+  exportKey(keyId) {
+    throw new Error('Method exportKey must be implemented');
+  }
+
+  /**
+   * Every key a record from before envelope encryption may have been written
+   * with: the master keys and any decrypt-only legacy keys. HSM-backed
+   * providers refuse, as for exportKey.
+   * @returns {Array<Buffer>} Keys
+   */
+  listLegacyKeys() {
+    throw new Error('Method listLegacyKeys must be implemented');
+  }
+}
+
+module.exports = IKeyProvider;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const IKeyProvider = require('./IKeyProvider');
+
+const WRAP_ALGORITHM = 'aes-256-gcm';
+const WRAP_IV_LENGTH = 12;
+const WRAP_TAG_LENGTH = 16;
+
+/**
+ * Key provider backed by an in-memory keyring of AES-256 master keys. Data
+ * keys are wrapped with AES-256-GCM, bound to the wrapping key's ID.
+ * Following Single Responsibility Principle (SRP)
+ */
+class KeyringProvider extends IKeyProvider {
+  /**
+   * @param {Array<Buffer>} masterKeys - Master keys, active key first
+   * @param {string|Buffer} hmacKey - MAC key
+   * @param {Array<Buffer>} legacyKeys - Keys that only decrypt records from
+   * before envelope encryption
+   */
+  constructor(masterKeys, hmacKey, legacyKeys = []) {
+    super();
+    if (masterKeys.length === 0) {
+      throw new Error('Key provider needs at least one master key');
+    }
+
+    this.keys = new Map(masterKeys.map(key => [KeyringProvider.keyIdOf(key), key]));
+    this.activeKeyId = KeyringProvider.keyIdOf(masterKeys[0]);
+    this.hmacKey = hmacKey;
+    this.legacyKeys = legacyKeys;
+  }
+
+  /**
+   * Identify a key without revealing it (first 16 hex characters of its SHA-256)
+   * @param {Buffer} key - Key
+   * @returns {string} Key ID
+   */
+  static keyIdOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  getActiveKeyId() {
+    return this.activeKeyId;
+  }
+
+  listKeyIds() {
+    return [...this.keys.keys()];
+  }
+
+  wrapKey(dataKey) {
+    const iv = crypto.randomBytes(WRAP_IV_LENGTH);
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, this.getKey(this.activeKeyId), iv);
+    cipher.setAAD(Buffer.from(`key-wrap:${this.activeKeyId}`, 'utf8'));
+
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId: this.activeKeyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64')
+    };
+  }
+
+  unwrapKey(wrappedKey, keyId) {
+    const packed = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(
+      WRAP_ALGORITHM,
+      this.getKey(keyId),
+      packed.subarray(0, WRAP_IV_LENGTH)
+    );
+    decipher.setAAD(Buffer.from(`key-wrap:${keyId}`, 'utf8'));
+    decipher.setAuthTag(packed.subarray(WRAP_IV_LENGTH, WRAP_IV_LENGTH + WRAP_TAG_LENGTH));
+
+    return Buffer.concat([decipher.update(packed.subarray(WRAP_IV_LENGTH + WRAP_TAG_LENGTH)), decipher.final()]);
+  }
+
+  hmac(data) {
+    return crypto.createHmac('sha256', this.hmacKey).update(data).digest('hex');
+  }
+
+  exportKey(keyId) {
+    return this.getKey(keyId);
+  }
+
+  listLegacyKeys() {
+    return [...this.keys.values(), ...this.legacyKeys];
+  }
+
+  /**
+   * Look up a master key
+   * @param {string} keyId - Key ID
+   * @returns {Buffer} Master key
+   * @private
+   */
+  getKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown master key: ${keyId}`);
+    }
+    return key;
+  }
+}
+
+module.exports = KeyringProvider;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const KeyringProvider = require('./KeyringProvider');
+
+/**
+ * HSM-like key provider for tests and local development: master keys are
+ * generated in memory, can be rotated, and can never be exported.
+ * Following Single Responsibility Principle (SRP)
+ */
+class LocalHsmKeyProvider extends KeyringProvider {
+  constructor() {
+    super([crypto.randomBytes(32)], crypto.randomBytes(32));
+  }
+
+  /**
+   * Generate a new active master key; older keys can still unwrap
+   * @returns {string} New active key ID
+   */
+  rotate() {
+    const key = crypto.randomBytes(32);
+    this.activeKeyId = KeyringProvider.keyIdOf(key);
+    this.keys = new Map([[this.activeKeyId, key], ...this.keys]);
+    return this.activeKeyId;
+  }
+
+  exportKey(keyId) {
+    throw new Error('Master keys cannot be exported from the HSM');
+  }
+
+  listLegacyKeys() {
+    throw new Error('Master keys cannot be exported from the HSM');
+  }
+}
+
+module.exports = LocalHsmKeyProvider;
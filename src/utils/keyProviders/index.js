@@ -0,0 +1,28 @@
+const IKeyProvider = require('./IKeyProvider');
+const EnvKeyProvider = require('./EnvKeyProvider');
+const LocalHsmKeyProvider = require('./LocalHsmKeyProvider');
+
+/**
+ * Create the key provider selected by KEY_PROVIDER (env by default)
+ * @param {Object} env - Environment variables
+ * @returns {IKeyProvider} Key provider
+ */
+const createKeyProvider = (env = process.env) => {
+  const providerName = env.KEY_PROVIDER || 'env';
+
+  switch (providerName) {
+    case 'env':
+      return EnvKeyProvider.fromEnvironment(env);
+    case 'local-hsm':
+      return new LocalHsmKeyProvider();
+    default:
+      throw new Error(`Unknown KEY_PROVIDER: ${providerName}`);
+  }
+};
+
+module.exports = {
+  IKeyProvider,
+  EnvKeyProvider,
+  LocalHsmKeyProvider,
+  createKeyProvider
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Domain separation: a leaf can never be passed off as an interior node
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Binary SHA-256 Merkle tree over anchored records. Leaves commit to the
+ * record's type, ID and hash. An odd node at the end of a level is promoted
+ * unchanged rather than paired with itself, so no two leaf lists share a root.
+ *
+ * An inclusion proof is the list of sibling hashes from the leaf up to the
+ * root, each tagged with the side it sits on.
+ */
+class MerkleTree {
+  /**
+   * Hash of the leaf committing to a record
+   * @param {string} entityType - Record type (Answer, Result)
+   * @param {string} entityId - Record ID
+   * @param {string} hash - Record hash
+   * @returns {string} Leaf hash (hex)
+   */
+  hashLeaf(entityType, entityId, hash) {
+    return this.sha256(LEAF_PREFIX, Buffer.from(JSON.stringify([entityType, entityId, hash]), 'utf8'));
+  }
+
+  /**
+   * Build the tree over leaf hashes
+   * @param {Array<string>} leaves - Leaf hashes (hex), in order
+   * @returns {Object} { root, proofs } with one proof per leaf, in leaf order
+   */
+  build(leaves) {
+    if (leaves.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const proofs = leaves.map(() => []);
+    // positions[i]: indices of the leaves under node i of the current level
+    let level = leaves;
+    let positions = leaves.map((leaf, index) => [index]);
+
+    while (level.length > 1) {
+      const nextLevel = [];
+      const nextPositions = [];
+
+      for (let i = 0; i < level.length; i += 2) {
+        if (i + 1 === level.length) {
+          nextLevel.push(level[i]);
+          nextPositions.push(positions[i]);
+          continue;
+        }
+
+        positions[i].forEach(index => proofs[index].push({ position: 'right', hash: level[i + 1] }));
+        positions[i + 1].forEach(index => proofs[index].push({ position: 'left', hash: level[i] }));
+
+        nextLevel.push(this.hashNode(level[i], level[i + 1]));
+        nextPositions.push(positions[i].concat(positions[i + 1]));
+      }
+
+      level = nextLevel;
+      positions = nextPositions;
+    }
+
+    return { root: level[0], proofs };
+  }
+
+  /**
+   * Recompute the root from a leaf and its inclusion proof
+   * @param {string} leaf - Leaf hash (hex)
+   * @param {Array} proof - Sibling hashes ({ position, hash }), leaf to root
+   * @returns {string} Root (hex)
+   */
+  computeRoot(leaf, proof) {
+    return proof.reduce(
+      (node, sibling) => (sibling.position === 'left' ? this.hashNode(sibling.hash, node) : this.hashNode(node, sibling.hash)),
+      leaf
+    );
+  }
+
+  /**
+   * Check that a leaf is included under a root
+   * @param {string} leaf - Leaf hash (hex)
+   * @param {Array} proof - Inclusion proof
+   * @param {string} root - Expected root (hex)
+   * @returns {boolean} True if the proof leads from the leaf to the root
+   */
+  verify(leaf, proof, root) {
+    return this.computeRoot(leaf, proof) === root;
+  }
+
+  /**
+   * Hash of an interior node
+   * @private
+   */
+  hashNode(left, right) {
+    return this.sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+  }
+
+  /**
+   * SHA-256 of the concatenated buffers (hex)
+   * @private
+   */
+  sha256(...buffers) {
+    return crypto.createHash('sha256').update(Buffer.concat(buffers)).digest('hex');
+  }
+}
+
+// Create singleton instance
+const merkleTree = new MerkleTree();
+
+module.exports = merkleTree;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Ed25519 server signing key, read from SIGNING_PRIVATE_KEY (PKCS#8 PEM,
+ * with newlines escaped as \n if needed). Outside production a throwaway key
+ * is generated when none is set, so its signatures stop verifying against
+ * the published key once the server restarts.
+ */
+class Signer {
+  constructor() {
+    this.privateKey = null;
+    this.publicKey = null;
+  }
+
+  /**
+   * Sign data with the server key
+   * @param {string|Buffer} data - Data to sign
+   * @returns {string} Signature (base64)
+   */
+  sign(data) {
+    this.loadKeys();
+    return crypto.sign(null, Buffer.from(data), this.privateKey).toString('base64');
+  }
+
+  /**
+   * Verify a signature made with the server key
+   * @param {string|Buffer} data - Signed data
+   * @param {string} signature - Signature (base64)
+   * @returns {boolean} True if the signature is valid
+   */
+  verify(data, signature) {
+    this.loadKeys();
+    return crypto.verify(null, Buffer.from(data), this.publicKey, Buffer.from(signature, 'base64'));
+  }
+
+  /**
+   * Public key of the server key
+   * @returns {string} SPKI PEM
+   */
+  getPublicKey() {
+    this.loadKeys();
+    return this.publicKey.export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * Public key of the server key as a JSON Web Key
+   * @returns {Object} JWK (OKP, Ed25519) with its key ID
+   */
+  getPublicJwk() {
+    this.loadKeys();
+    return { ...this.publicKey.export({ format: 'jwk' }), kid: this.getKeyId(), use: 'sig', alg: 'EdDSA' };
+  }
+
+  /**
+   * Short identifier of the server key: the first 16 hex characters of the
+   * SHA-256 of its public key (DER)
+   * @returns {string} Key ID
+   */
+  getKeyId() {
+    this.loadKeys();
+    const der = this.publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Load the key pair on first use
+   * @private
+   */
+  loadKeys() {
+    if (this.privateKey) {
+      return;
+    }
+
+    const pem = process.env.SIGNING_PRIVATE_KEY;
+    if (pem) {
+      this.privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+        this.privateKey = null;
+        throw new Error('SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+      }
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('SIGNING_PRIVATE_KEY is not defined in environment variables');
+    } else {
+      logger.warn('SIGNING_PRIVATE_KEY is not set; signing with a throwaway key');
+      this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+  }
+}
+
+// Create singleton instance
+const signer = new Signer();
+
+module.exports = signer;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const canonicalJson = require('./canonicalJson');
+
+// Version 1 hashed JSON.stringify, whose output depends on the order keys
+// were set in; version 2 hashes canonical JSON
+const LEGACY_HASH_VERSION = 1;
+const CURRENT_HASH_VERSION = 2;
+
+const SERIALIZERS = {
+  [LEGACY_HASH_VERSION]: value => JSON.stringify(value),
+  [CURRENT_HASH_VERSION]: value => canonicalJson.serialize(value)
+};
+
+/**
+ * SHA-256 hashes of structured records (questions, papers, answer revisions,
+ * results, normalisation parameters). Every stored hash keeps the version it
+ * was computed with next to it (hashVersion), and is always recomputed with
+ * that version. Records stored before versions were tracked have no
+ * hashVersion and were hashed with version 1.
+ */
+class VersionedHash {
+  constructor() {
+    this.currentVersion = CURRENT_HASH_VERSION;
+    this.legacyVersion = LEGACY_HASH_VERSION;
+  }
+
+  /**
+   * Hash a value with a hash version
+   * @param {*} value - JSON value
+   * @param {number|null} version - Stored hash version; none means version 1
+   * @returns {string} Hash (hex)
+   */
+  hash(value, version) {
+    const serialize = SERIALIZERS[this.versionOf(version)];
+    if (!serialize) {
+      throw new Error(`Unsupported hash version: ${version}`);
+    }
+
+    return crypto.createHash('sha256').update(serialize(value)).digest('hex');
+  }
+
+  /**
+   * Hash version a stored hash was computed with
+   * @param {number|null} version - Stored hash version
+   * @returns {number} Hash version
+   */
+  versionOf(version) {
+    return version || LEGACY_HASH_VERSION;
+  }
+}
+
+// Create singleton instance
+const versionedHash = new VersionedHash();
+
+module.exports = versionedHash;
@@ -0,0 +1,135 @@
+process.env.KEY_PROVIDER = 'local-hsm';
+
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mongoose = require('mongoose');
+const PaperService = require('../../../src/services/PaperService');
+const ExamPaper = require('../../../src/models/ExamPaper');
+const User = require('../../../src/models/User');
+const EncryptionService = require('../../../src/utils/encryption');
+
+describe('PaperService.decryptPaper', () => {
+  const holders = [
+    { _id: new mongoose.Types.ObjectId(), username: 'alice' },
+    { _id: new mongoose.Types.ObjectId(), username: 'bob' },
+    { _id: new mongoose.Types.ObjectId(), username: 'carol' }
+  ];
+  const submitter = { _id: new mongoose.Types.ObjectId(), role: 'internal' };
+  let paperService;
+  let shares;
+  let paper;
+
+  beforeAll(() => {
+    const paperKey = EncryptionService.generateRandomKey(32).toString('hex');
+    const split = EncryptionService.splitSecret(paperKey, 3, 2);
+    shares = split.shares;
+    paper = {
+      paperId: 'PAPER-TEST',
+      status: 'distributed',
+      keyVersion: 1,
+      threshold: 2,
+      shareCommitments: split.commitments,
+      shamirShares: shares.map((share, index) => ({
+        shareId: share.id,
+        shareHash: EncryptionService.generateHash(share.share),
+        holder: holders[index]._id
+      }))
+    };
+  });
+
+  beforeEach(() => {
+    paperService = new PaperService(null);
+    jest.spyOn(paperService, 'getPaperById').mockResolvedValue(paper);
+    jest.spyOn(ExamPaper, 'updateOne').mockResolvedValue({});
+    jest.spyOn(ExamPaper, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'find').mockImplementation(({ _id: { $in: ids } }) => ({
+      select: () => Promise.resolve(holders.filter(holder => ids.some(id => id.equals(holder._id))))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Submission as sent by a holder: the share value only, keyed by its ID
+  const submission = share => ({ shareId: share.id, share: share.share });
+
+  // A share moved by one, so only the Feldman commitments can catch it
+  const tamper = share => ({
+    ...submission(share),
+    share: (BigInt(`0x${share.share}`) + 1n).toString(16)
+  });
+
+  it('should name the holder of a share that fails the commitments', async () => {
+    const error = await paperService
+      .decryptPaper(paper.paperId, [submission(shares[0]), tamper(shares[1])], submitter)
+      .catch(e => e);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Invalid Shamir share: share 2 (holder bob)');
+    expect(error.details.invalidShares).toEqual([{
+      shareId: 2,
+      holder: holders[1]._id,
+      holderUsername: 'bob',
+      reason: 'commitment_mismatch'
+    }]);
+  });
+
+  it('should store none of the shares and log every submission as rejected', async () => {
+    await expect(paperService.decryptPaper(
+      paper.paperId,
+      [submission(shares[0]), tamper(shares[1]), submission(shares[2])],
+      submitter
+    )).rejects.toThrow('Invalid Shamir share');
+
+    expect(ExamPaper.findOneAndUpdate).not.toHaveBeenCalled();
+    const [paperId, update] = ExamPaper.updateOne.mock.calls[0];
+    expect(paperId).toEqual({ paperId: paper.paperId });
+    expect(update.$push.shareSubmissions.$each.map(entry => [entry.shareId, entry.holder, entry.outcome, entry.reason])).toEqual([
+      [1, holders[0]._id, 'rejected', 'Submitted with an invalid share'],
+      [2, holders[1]._id, 'rejected', 'Share does not match the published commitments'],
+      [3, holders[2]._id, 'rejected', 'Submitted with an invalid share']
+    ]);
+  });
+
+  it('should name every holder whose share is invalid', async () => {
+    const error = await paperService
+      .decryptPaper(paper.paperId, [tamper(shares[0]), submission(shares[1]), tamper(shares[2])], submitter)
+      .catch(e => e);
+
+    expect(error.message).toBe('Invalid Shamir share: share 1 (holder alice), share 3 (holder carol)');
+    expect(error.details.invalidShares.map(s => s.holderUsername)).toEqual(['alice', 'carol']);
+  });
+
+  it('should report a share ID that is not part of the paper without a holder', async () => {
+    const error = await paperService
+      .decryptPaper(paper.paperId, [{ shareId: 9, share: shares[0].share }], submitter)
+      .catch(e => e);
+
+    expect(error.message).toBe('Invalid Shamir share: share 9');
+    expect(error.details.invalidShares).toEqual([{
+      shareId: 9,
+      holder: null,
+      holderUsername: null,
+      reason: 'unknown_share'
+    }]);
+  });
+
+  it('should store valid shares until the threshold is reached', async () => {
+    ExamPaper.findOneAndUpdate.mockResolvedValue({
+      paperId: paper.paperId,
+      threshold: 2,
+      shamirShares: [{ shareId: 1, submittedAt: new Date() }, { shareId: 2 }, { shareId: 3 }]
+    });
+
+    const result = await paperService.decryptPaper(paper.paperId, [submission(shares[0])], submitter);
+
+    expect(result).toMatchObject({ decrypted: false, collectedShares: 1, questions: null });
+    const [filter, update] = ExamPaper.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ paperId: paper.paperId, status: 'distributed' });
+    expect(update.$push.shareSubmissions.$each[0]).toMatchObject({ shareId: 1, outcome: 'accepted' });
+    expect(EncryptionService.decrypt(JSON.parse(update.$set['shamirShares.$[s0].submittedShare']))).toBe(shares[0].share);
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const crypto = require('crypto');
+const ResultBundleService = require('../../../src/services/ResultBundleService');
+const Answer = require('../../../src/models/Answer');
+const ExamPaper = require('../../../src/models/ExamPaper');
+const Question = require('../../../src/models/Question');
+const BlockchainTransaction = require('../../../src/models/BlockchainTransaction');
+const bundleVerifier = require('../../../src/utils/bundleVerifier');
+const merkleTree = require('../../../src/utils/merkle');
+const signer = require('../../../src/utils/signing');
+
+describe('ResultBundleService', () => {
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  // Only the selected fields, as MongoDB would return them
+  const project = (record, fields) => Object.fromEntries(
+    fields.split(' ').filter(field => field in record).map(field => [field, record[field]])
+  );
+
+  // Confirmed anchoring transaction with the memo BlockchainService sends
+  const anchorOf = (transactionId, type, entityType, entityId, hash) => ({
+    transactionId,
+    solanaTxId: `sig-${transactionId}`,
+    programId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+    type,
+    entityType,
+    entityId,
+    status: 'confirmed',
+    dataHash: hash,
+    memo: JSON.stringify({ app: 'nta', type, entityType, entityId, hash })
+  });
+
+  /**
+   * Records of a graded session as stored: two questions, the paper, one
+   * answer per question anchored in a Merkle batch, and the result
+   */
+  const buildRecords = ({ questionVersions, paperVersion, resultVersion }) => {
+    const questions = questionVersions.map((hashVersion, index) => ({
+      questionId: `Q-${index + 1}`,
+      stateCode: 'MH',
+      subject: 'Physics',
+      topic: 'Kinematics',
+      difficulty: 'medium',
+      questionText: `Question ${index + 1}`,
+      options: { A: 'one', B: 'two', C: 'three', D: 'four' },
+      correctAnswer: 'B',
+      marks: 4,
+      hashVersion,
+      blockchainTxId: `TX-Q-${index + 1}`
+    }));
+
+    const paperData = {
+      paperId: 'PAPER-1',
+      title: 'Physics Mock Test',
+      subject: 'Physics',
+      totalQuestions: 2,
+      totalMarks: 8,
+      duration: 30,
+      questions: questions.map((q, index) => ({ questionId: q.questionId, order: index + 1, marks: 4, timeLimit: 60 })),
+      difficultyDistribution: { easy: 0, medium: 2, hard: 0 },
+      generatedAt: new Date('2025-01-10T08:00:00.000Z'),
+      status: 'completed',
+      hashVersion: paperVersion,
+      blockchainTxId: 'TX-PAPER'
+    };
+    const paper = ExamPaper.hydrate({ ...paperData, sealedHash: ExamPaper.hydrate(paperData).paperHash });
+
+    const answers = questions.map((q, index) => ({
+      answerId: `ANS-${index + 1}`,
+      questionId: q.questionId,
+      revisionHead: sha256(`revision head ${index + 1}`)
+    }));
+    const leaves = answers.map(a => merkleTree.hashLeaf('Answer', a.answerId, a.revisionHead));
+    const { root, proofs } = merkleTree.build(leaves);
+    answers.forEach((answer, index) => {
+      answer.merkleProof = { batchId: 'BATCH-1', leafIndex: index, leaf: leaves[index], root, path: proofs[index] };
+    });
+
+    const result = {
+      resultId: 'RES-1',
+      studentId: '65e1a0c2f1d4b3a2c1e0f9d8',
+      sessionId: 'SES-1',
+      paperId: 'PAPER-1',
+      totalMarks: 8,
+      obtainedMarks: 4,
+      percentage: 50,
+      grade: 'C',
+      isPassed: true,
+      correctAnswers: 1,
+      incorrectAnswers: 1,
+      unansweredQuestions: 0,
+      totalQuestions: 2,
+      status: 'published',
+      hashVersion: resultVersion,
+      blockchainTxId: 'TX-RESULT'
+    };
+    result.resultHash = bundleVerifier.hashResult(result, answers.map(a => ({ answerId: a.answerId, hash: a.revisionHead })));
+
+    const transactions = [
+      anchorOf('TX-RESULT', 'result_hash', 'Result', result.resultId, result.resultHash),
+      anchorOf('TX-PAPER', 'paper_hash', 'ExamPaper', paper.paperId, paper.sealedHash),
+      anchorOf('TX-BATCH-1', 'merkle_root', 'AnchorBatch', 'BATCH-1', root),
+      ...questions.map(q => anchorOf(q.blockchainTxId, 'question_hash', 'Question', q.questionId, Question.hydrate(q).questionHash))
+    ];
+
+    return { questions, paper, answers, result, transactions };
+  };
+
+  let resultBundleService;
+
+  const useRecords = ({ questions, paper, answers, result, transactions }) => {
+    resultBundleService = new ResultBundleService({ getResult: jest.fn().mockResolvedValue(result) });
+    jest.spyOn(ExamPaper, 'findOne').mockResolvedValue(paper);
+    jest.spyOn(Answer, 'findBySession').mockReturnValue({ select: () => Promise.resolve(answers) });
+    jest.spyOn(Question, 'find').mockReturnValue({
+      select: fields => Promise.resolve(questions.map(q => Question.hydrate(project(q, fields))))
+    });
+    jest.spyOn(BlockchainTransaction, 'find').mockResolvedValue(transactions);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('exportResultBundle', () => {
+    it('should export a bundle that verifies against the server key', async () => {
+      useRecords(buildRecords({ questionVersions: [2, 2], paperVersion: 2, resultVersion: 2 }));
+
+      const bundle = await resultBundleService.exportResultBundle('RES-1', { role: 'admin' });
+      const report = bundleVerifier.verify(bundle, { publicKey: signer.getPublicJwk() });
+
+      expect(report.reasons).toEqual([]);
+      expect(report.verdict).toBe('pass');
+    });
+
+    it('should carry the version 2 hash a question was anchored with', async () => {
+      const records = buildRecords({ questionVersions: [2, 2], paperVersion: 2, resultVersion: 2 });
+      useRecords(records);
+
+      const bundle = await resultBundleService.exportResultBundle('RES-1', { role: 'admin' });
+
+      bundle.questions.forEach((question, index) => {
+        expect(question.hash).toBe(Question.hydrate(records.questions[index]).questionHash);
+        expect(question.hash).toBe(question.anchor.dataHash);
+        expect(question.hash).not.toBe(Question.hydrate({ ...records.questions[index], hashVersion: undefined }).questionHash);
+      });
+      expect(bundleVerifier.verify(bundle, { publicKey: signer.getPublicJwk() }).checks.anchorsCommit).toBe(true);
+    });
+
+    it('should export records hashed with different versions so that each still verifies', async () => {
+      useRecords(buildRecords({ questionVersions: [undefined, 2], paperVersion: 2, resultVersion: undefined }));
+
+      const bundle = await resultBundleService.exportResultBundle('RES-1', { role: 'admin' });
+      const report = bundleVerifier.verify(bundle, { publicKey: signer.getPublicJwk() });
+
+      expect(bundle.result.hashVersion).toBe(1);
+      expect(bundle.paper.hashVersion).toBe(2);
+      expect(report.reasons).toEqual([]);
+      expect(report.verdict).toBe('pass');
+    });
+
+    it('should export a bundle that fails once a result field is changed', async () => {
+      useRecords(buildRecords({ questionVersions: [2, 2], paperVersion: 2, resultVersion: 2 }));
+
+      const bundle = await resultBundleService.exportResultBundle('RES-1', { role: 'admin' });
+      bundle.result.percentage = 100;
+      const report = bundleVerifier.verify(bundle, { publicKey: signer.getPublicJwk() });
+
+      expect(report.checks.signatureValid).toBe(false);
+      expect(report.checks.resultHashMatches).toBe(false);
+      expect(report.verdict).toBe('fail');
+    });
+
+    it('should export a bundle that stays pending when verified without the server key', async () => {
+      useRecords(buildRecords({ questionVersions: [2, 2], paperVersion: 2, resultVersion: 2 }));
+
+      const bundle = await resultBundleService.exportResultBundle('RES-1', { role: 'admin' });
+      const report = bundleVerifier.verify(bundle);
+
+      expect(report.checks.signatureValid).toBe(true);
+      expect(report.verdict).toBe('pending');
+    });
+  });
+});
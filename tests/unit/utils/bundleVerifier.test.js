@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const bundleVerifier = require('../../../src/utils/bundleVerifier');
+const merkleTree = require('../../../src/utils/merkle');
+const versionedHash = require('../../../src/utils/versionedHash');
+
+describe('BundleVerifier', () => {
+  const serverKey = crypto.generateKeyPairSync('ed25519');
+  const otherKey = crypto.generateKeyPairSync('ed25519');
+  const pem = key => key.publicKey.export({ type: 'spki', format: 'pem' });
+
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  // Confirmed anchor carrying the memo BlockchainService sends
+  const anchorOf = (transactionId, entityType, entityId, hash) => ({
+    transactionId,
+    solanaTxId: `sig-${transactionId}`,
+    programId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+    status: 'confirmed',
+    confirmationStatus: 'finalized',
+    slot: 1234,
+    dataHash: hash,
+    memo: JSON.stringify({ app: 'nta', type: `${entityType.toLowerCase()}_hash`, entityType, entityId, hash })
+  });
+
+  const sign = (bundle, key = serverKey) => {
+    const { signature, ...signed } = bundle;
+    return {
+      ...signed,
+      signature: {
+        algorithm: 'Ed25519',
+        keyId: 'test-key',
+        publicKey: pem(key),
+        value: crypto.sign(null, Buffer.from(bundleVerifier.serialize(signed)), key.privateKey).toString('base64')
+      }
+    };
+  };
+
+  /**
+   * Signed bundle as ResultBundleService exports it: two answers anchored in
+   * one Merkle batch, a decrypted paper and two questions with their own anchors
+   */
+  const makeBundle = ({ resultVersion = 2, paperVersion = 2 } = {}) => {
+    const answers = [1, 2].map(n => ({
+      answerId: `ANS-${n}`,
+      questionId: `Q-${n}`,
+      hash: sha256(`revision head ${n}`)
+    }));
+    const leaves = answers.map(a => merkleTree.hashLeaf('Answer', a.answerId, a.hash));
+    const { root, proofs } = merkleTree.build(leaves);
+    const batchAnchor = anchorOf('TX-BATCH-1', 'AnchorBatch', 'BATCH-1', root);
+    answers.forEach((answer, index) => {
+      answer.merkleProof = { batchId: 'BATCH-1', leafIndex: index, leaf: leaves[index], root, path: proofs[index] };
+      answer.anchor = batchAnchor;
+    });
+
+    const result = {
+      resultId: 'RES-1',
+      studentId: '65e1a0c2f1d4b3a2c1e0f9d8',
+      sessionId: 'SES-1',
+      paperId: 'PAPER-1',
+      totalMarks: 8,
+      obtainedMarks: 4,
+      percentage: 50,
+      grade: 'C',
+      isPassed: true,
+      correctAnswers: 1,
+      incorrectAnswers: 1,
+      unansweredQuestions: 0,
+      totalQuestions: 2,
+      status: 'published',
+      hashVersion: resultVersion,
+      merkleProof: null
+    };
+    result.resultHash = bundleVerifier.hashResult(result, answers);
+    result.anchor = anchorOf('TX-RESULT', 'Result', result.resultId, result.resultHash);
+
+    const hashData = {
+      paperId: 'PAPER-1',
+      title: 'Physics Mock Test',
+      subject: 'Physics',
+      totalQuestions: 2,
+      totalMarks: 8,
+      questions: [{ questionId: 'Q-1', order: 1, marks: 4 }, { questionId: 'Q-2', order: 2, marks: 4 }],
+      difficultyDistribution: { easy: 0, medium: 2, hard: 0 },
+      generatedAt: '2025-01-10T08:00:00.000Z'
+    };
+    const sealedHash = versionedHash.hash(hashData, paperVersion);
+
+    const questions = [1, 2].map(n => {
+      const hash = sha256(`question ${n}`);
+      return { questionId: `Q-${n}`, hash, anchor: anchorOf(`TX-Q-${n}`, 'Question', `Q-${n}`, hash) };
+    });
+
+    return sign({
+      format: bundleVerifier.format,
+      version: bundleVerifier.version,
+      exportedAt: '2025-01-20T10:00:00.000Z',
+      result,
+      answers,
+      paper: {
+        paperId: 'PAPER-1',
+        hashData,
+        sealedHash,
+        hashVersion: paperVersion,
+        anchor: anchorOf('TX-PAPER', 'ExamPaper', 'PAPER-1', sealedHash)
+      },
+      questions
+    });
+  };
+
+  describe('verify', () => {
+    it('should pass a signed bundle checked against the server key', () => {
+      const report = bundleVerifier.verify(makeBundle(), { publicKey: pem(serverKey) });
+
+      expect(report.reasons).toEqual([]);
+      expect(report.verdict).toBe('pass');
+      expect(Object.values(report.checks).every(check => check === true)).toBe(true);
+    });
+
+    it('should accept the server key as a JWK', () => {
+      const jwk = serverKey.publicKey.export({ format: 'jwk' });
+
+      expect(bundleVerifier.verify(makeBundle(), { publicKey: jwk }).verdict).toBe('pass');
+    });
+
+    it('should list each Solana transaction once and say anchors were not looked up on chain', () => {
+      const report = bundleVerifier.verify(makeBundle(), { publicKey: pem(serverKey) });
+
+      expect(report.solanaTransactions.map(t => t.solanaTxId).sort())
+        .toEqual(['sig-TX-BATCH-1', 'sig-TX-PAPER', 'sig-TX-Q-1', 'sig-TX-Q-2', 'sig-TX-RESULT']);
+      expect(report.onChainChecked).toBe(false);
+      expect(report.notice).toMatch(/on chain/);
+    });
+
+    it('should fail a bundle whose result was changed after signing', () => {
+      const bundle = makeBundle();
+      bundle.result.obtainedMarks = 8;
+
+      const report = bundleVerifier.verify(bundle, { publicKey: pem(serverKey) });
+
+      expect(report.verdict).toBe('fail');
+      expect(report.checks.signatureValid).toBe(false);
+      expect(report.checks.resultHashMatches).toBe(false);
+    });
+
+    it('should fail a changed result re-signed with another key, even without a trusted key', () => {
+      const tampered = makeBundle();
+      tampered.result.obtainedMarks = 8;
+      tampered.result.resultHash = bundleVerifier.hashResult(tampered.result, tampered.answers);
+
+      const report = bundleVerifier.verify(sign(tampered, otherKey));
+
+      expect(report.checks.signatureValid).toBe(true);
+      expect(report.checks.resultHashMatches).toBe(true);
+      expect(report.checks.anchorsCommit).toBe(false);
+      expect(report.verdict).toBe('fail');
+    });
+
+    it('should fail an answer whose hash is not the one in its Merkle proof', () => {
+      const bundle = makeBundle();
+      bundle.answers[1].hash = sha256('another revision');
+
+      const report = bundleVerifier.verify(sign(bundle), { publicKey: pem(serverKey) });
+
+      expect(report.checks.proofsValid).toBe(false);
+      expect(report.reasons).toContain(`Answer ANS-2: the Merkle proof does not lead to root ${bundle.answers[1].merkleProof.root}`);
+    });
+
+    it('should fail a paper whose questions differ from its sealed hash', () => {
+      const bundle = makeBundle();
+      bundle.paper.hashData.questions[1].marks = 8;
+
+      const report = bundleVerifier.verify(sign(bundle), { publicKey: pem(serverKey) });
+
+      expect(report.checks.paperHashMatches).toBe(false);
+      expect(report.verdict).toBe('fail');
+    });
+
+    it('should stay pending without a trusted key, though the signature is valid', () => {
+      const report = bundleVerifier.verify(makeBundle());
+
+      expect(report.checks.signatureValid).toBe(true);
+      expect(report.checks.signerTrusted).toBeNull();
+      expect(report.verdict).toBe('pending');
+      expect(report.reasons).toEqual(['No trusted public key was given, so the signer could not be checked']);
+    });
+
+    it('should stay pending for a bundle signed with an untrusted key when no key is pinned', () => {
+      const report = bundleVerifier.verify(sign(makeBundle(), otherKey));
+
+      expect(report.verdict).toBe('pending');
+      expect(report.checks.signerTrusted).toBeNull();
+    });
+
+    it('should fail a bundle signed with another key than the trusted one', () => {
+      const report = bundleVerifier.verify(sign(makeBundle(), otherKey), { publicKey: pem(serverKey) });
+
+      expect(report.checks.signatureValid).toBe(true);
+      expect(report.checks.signerTrusted).toBe(false);
+      expect(report.verdict).toBe('fail');
+    });
+
+    it('should stay pending while an anchor is unconfirmed', () => {
+      const bundle = makeBundle();
+      bundle.questions[0].anchor.status = 'pending';
+
+      const report = bundleVerifier.verify(sign(bundle), { publicKey: pem(serverKey) });
+
+      expect(report.verdict).toBe('pending');
+      expect(report.reasons).toEqual(['Question Q-1: the anchoring transaction is pending']);
+    });
+
+    it('should stay pending while the paper is sealed', () => {
+      const bundle = makeBundle();
+      bundle.paper.hashData = null;
+
+      const report = bundleVerifier.verify(sign(bundle), { publicKey: pem(serverKey) });
+
+      expect(report.checks.paperHashMatches).toBeNull();
+      expect(report.verdict).toBe('pending');
+    });
+
+    it('should fail a bundle in an unknown format', () => {
+      const report = bundleVerifier.verify({ ...makeBundle(), version: 99 }, { publicKey: pem(serverKey) });
+
+      expect(report.checks).toEqual({ formatSupported: false });
+      expect(report.verdict).toBe('fail');
+    });
+
+    it.each([
+      [1, 2],
+      [2, 1],
+      [1, 1]
+    ])('should recompute a version %i result hash and a version %i paper hash', (resultVersion, paperVersion) => {
+      const report = bundleVerifier.verify(makeBundle({ resultVersion, paperVersion }), { publicKey: pem(serverKey) });
+
+      expect(report.reasons).toEqual([]);
+      expect(report.verdict).toBe('pass');
+    });
+
+    it('should fail a hash recomputed with another version than it was stored with', () => {
+      const bundle = makeBundle({ resultVersion: 1 });
+      bundle.result.hashVersion = 2;
+
+      const report = bundleVerifier.verify(sign(bundle), { publicKey: pem(serverKey) });
+
+      expect(report.checks.resultHashMatches).toBe(false);
+      expect(report.verdict).toBe('fail');
+    });
+  });
+});
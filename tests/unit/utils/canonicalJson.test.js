@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const canonicalJson = require('../../../src/utils/canonicalJson');
+
+describe('CanonicalJson', () => {
+  describe('serialize', () => {
+    it('should sort object keys at every level', () => {
+      expect(canonicalJson.serialize({ b: 1, a: { d: [{ z: 1, y: 2 }], c: 3 } }))
+        .toBe('{"a":{"c":3,"d":[{"y":2,"z":1}]},"b":1}');
+    });
+
+    it('should not depend on the order keys were set in', () => {
+      const first = { subject: 'Physics', marks: 4 };
+      const second = {};
+      second.marks = 4;
+      second.subject = 'Physics';
+
+      expect(canonicalJson.serialize(first)).toBe(canonicalJson.serialize(second));
+    });
+
+    it('should keep array order', () => {
+      expect(canonicalJson.serialize([3, 1, 2])).toBe('[3,1,2]');
+    });
+
+    it('should drop undefined members and write undefined array items as null', () => {
+      expect(canonicalJson.serialize({ a: undefined, b: null, c: [undefined, 1] })).toBe('{"b":null,"c":[null,1]}');
+    });
+
+    it('should write primitives and escape strings as JSON does', () => {
+      expect(canonicalJson.serialize('say "hi"\n')).toBe(JSON.stringify('say "hi"\n'));
+      expect(canonicalJson.serialize(true)).toBe('true');
+      expect(canonicalJson.serialize(null)).toBe('null');
+      expect(canonicalJson.serialize(1.5e-7)).toBe('1.5e-7');
+    });
+
+    it('should write Dates as ISO 8601 UTC strings', () => {
+      const date = new Date('2024-03-01T15:00:00+05:30');
+
+      expect(canonicalJson.serialize({ generatedAt: date })).toBe('{"generatedAt":"2024-03-01T09:30:00.000Z"}');
+    });
+
+    it('should reject an invalid Date', () => {
+      expect(() => canonicalJson.serialize({ at: new Date('not a date') })).toThrow(TypeError);
+    });
+
+    it('should write Maps as objects with sorted keys', () => {
+      const first = new Map([['b', 2], ['a', new Map([['y', 1], ['x', 0]])]]);
+      const second = new Map([['a', new Map([['x', 0], ['y', 1]])], ['b', 2]]);
+
+      expect(canonicalJson.serialize(first)).toBe('{"a":{"x":0,"y":1},"b":2}');
+      expect(canonicalJson.serialize(second)).toBe(canonicalJson.serialize(first));
+    });
+
+    it('should write ObjectIds as their hex string', () => {
+      const id = new mongoose.Types.ObjectId('65e1a0c2f1d4b3a2c1e0f9d8');
+
+      expect(canonicalJson.serialize({ holder: id })).toBe('{"holder":"65e1a0c2f1d4b3a2c1e0f9d8"}');
+    });
+
+    it('should serialise values with a toJSON method through it', () => {
+      const value = { toJSON: () => ({ b: 1, a: 2 }) };
+
+      expect(canonicalJson.serialize({ value })).toBe('{"value":{"a":2,"b":1}}');
+    });
+
+    it('should write -0 as 0', () => {
+      expect(canonicalJson.serialize(-0)).toBe('0');
+      expect(canonicalJson.serialize({ score: -0 })).toBe(canonicalJson.serialize({ score: 0 }));
+    });
+
+    it.each([NaN, Infinity, -Infinity])('should reject %p rather than write null', value => {
+      expect(() => canonicalJson.serialize(value)).toThrow(TypeError);
+      expect(() => canonicalJson.serialize({ nested: [1, value] })).toThrow(`Cannot serialise the number ${value}`);
+    });
+
+    it('should give output that parses back to the same value', () => {
+      const value = { b: [1, 'two', { c: null }], a: { d: false } };
+
+      expect(JSON.parse(canonicalJson.serialize(value))).toEqual(value);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const feldmanVSS = require('../../../src/utils/feldman');
+
+describe('FeldmanVSS', () => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  let shares;
+  let commitments;
+
+  beforeAll(() => {
+    ({ shares, commitments } = feldmanVSS.split(secret, 5, 3));
+  });
+
+  // A share moved by one, still in the field, so only the commitments can catch it
+  const tamper = share => ({
+    ...share,
+    share: ((BigInt(`0x${share.share}`) + 1n) % feldmanVSS.q).toString(16)
+  });
+
+  describe('split', () => {
+    it('should deal one share per holder and one commitment per coefficient', () => {
+      expect(shares.map(s => s.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(commitments).toHaveLength(3);
+    });
+
+    it('should reject a threshold below 2 or above the number of shares', () => {
+      expect(() => feldmanVSS.split(secret, 5, 1)).toThrow('Threshold must be between 2 and the number of shares');
+      expect(() => feldmanVSS.split(secret, 3, 4)).toThrow('Threshold must be between 2 and the number of shares');
+    });
+
+    it('should reject a secret outside the field', () => {
+      expect(() => feldmanVSS.split(feldmanVSS.q.toString(16), 5, 3)).toThrow('Secret is too large for the field');
+    });
+  });
+
+  describe('combine', () => {
+    it('should reconstruct the secret from any threshold of shares', () => {
+      expect(feldmanVSS.combine(shares.slice(0, 3))).toBe(secret);
+      expect(feldmanVSS.combine([shares[4], shares[1], shares[3]])).toBe(secret);
+      expect(feldmanVSS.combine(shares)).toBe(secret);
+    });
+
+    it('should keep leading zeros of the secret', () => {
+      const smallSecret = `0000${crypto.randomBytes(30).toString('hex')}`;
+      const split = feldmanVSS.split(smallSecret, 3, 2);
+
+      expect(feldmanVSS.combine(split.shares.slice(1))).toBe(smallSecret);
+    });
+
+    it('should not reconstruct the secret from fewer than threshold shares', () => {
+      expect(feldmanVSS.combine(shares.slice(0, 2))).not.toBe(secret);
+    });
+
+    it('should reject shares with the same ID', () => {
+      expect(() => feldmanVSS.combine([shares[0], shares[0], shares[1]])).toThrow('Shares must have distinct IDs');
+    });
+  });
+
+  describe('verifyShare', () => {
+    it('should accept every dealt share', () => {
+      shares.forEach(share => {
+        expect(feldmanVSS.verifyShare(share.id, share.share, commitments)).toBe(true);
+      });
+    });
+
+    it('should reject a tampered share', () => {
+      const tampered = tamper(shares[2]);
+
+      expect(feldmanVSS.verifyShare(tampered.id, tampered.share, commitments)).toBe(false);
+    });
+
+    it('should reject a valid share claimed under another ID', () => {
+      expect(feldmanVSS.verifyShare(2, shares[0].share, commitments)).toBe(false);
+    });
+
+    it('should reject a share checked against the commitments of another split', () => {
+      const other = feldmanVSS.split(secret, 5, 3);
+
+      expect(feldmanVSS.verifyShare(shares[0].id, shares[0].share, other.commitments)).toBe(false);
+    });
+
+    it('should reject values that are not shares', () => {
+      expect(feldmanVSS.verifyShare(1, 'not-hex', commitments)).toBe(false);
+      expect(feldmanVSS.verifyShare(1, feldmanVSS.q.toString(16), commitments)).toBe(false);
+      expect(feldmanVSS.verifyShare(1, shares[0].share, [])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const merkleTree = require('../../../src/utils/merkle');
+
+describe('MerkleTree', () => {
+  const makeLeaves = count => Array.from({ length: count }, (value, index) => merkleTree.hashLeaf(
+    'Answer',
+    `ANS-${index}`,
+    crypto.createHash('sha256').update(`answer ${index}`).digest('hex')
+  ));
+
+  // Interior node as specified: SHA-256 of 0x01, left child, right child
+  const hashNode = (left, right) => crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]))
+    .digest('hex');
+
+  describe('hashLeaf', () => {
+    it('should commit to the type, ID and hash of the record', () => {
+      const leaf = merkleTree.hashLeaf('Answer', 'ANS-1', 'ab');
+
+      expect(leaf).toMatch(/^[0-9a-f]{64}$/);
+      expect(merkleTree.hashLeaf('Result', 'ANS-1', 'ab')).not.toBe(leaf);
+      expect(merkleTree.hashLeaf('Answer', 'ANS-2', 'ab')).not.toBe(leaf);
+      expect(merkleTree.hashLeaf('Answer', 'ANS-1', 'ac')).not.toBe(leaf);
+    });
+
+    it('should not let fields run into each other', () => {
+      expect(merkleTree.hashLeaf('Answer', 'A', 'Bc')).not.toBe(merkleTree.hashLeaf('Answer', 'AB', 'c'));
+    });
+  });
+
+  describe('build', () => {
+    it('should reject an empty list of leaves', () => {
+      expect(() => merkleTree.build([])).toThrow('Cannot build a Merkle tree without leaves');
+    });
+
+    it('should use a single leaf as the root with an empty proof', () => {
+      const [leaf] = makeLeaves(1);
+      const { root, proofs } = merkleTree.build([leaf]);
+
+      expect(root).toBe(leaf);
+      expect(proofs).toEqual([[]]);
+      expect(merkleTree.verify(leaf, proofs[0], root)).toBe(true);
+    });
+
+    it('should hash two leaves into the root', () => {
+      const leaves = makeLeaves(2);
+      const { root, proofs } = merkleTree.build(leaves);
+
+      expect(root).toBe(hashNode(leaves[0], leaves[1]));
+      expect(proofs).toEqual([
+        [{ position: 'right', hash: leaves[1] }],
+        [{ position: 'left', hash: leaves[0] }]
+      ]);
+    });
+
+    it('should promote an odd last leaf instead of pairing it with itself', () => {
+      const leaves = makeLeaves(3);
+      const { root, proofs } = merkleTree.build(leaves);
+
+      expect(root).toBe(hashNode(hashNode(leaves[0], leaves[1]), leaves[2]));
+      expect(proofs[2]).toEqual([{ position: 'left', hash: hashNode(leaves[0], leaves[1]) }]);
+      expect(merkleTree.build([...leaves, leaves[2]]).root).not.toBe(root);
+    });
+
+    it.each([1, 2, 3, 4, 5, 7, 8, 9, 16, 17, 33])('should give a verifying proof for each of %i leaves', count => {
+      const leaves = makeLeaves(count);
+      const { root, proofs } = merkleTree.build(leaves);
+
+      expect(proofs).toHaveLength(count);
+      leaves.forEach((leaf, index) => {
+        expect(merkleTree.computeRoot(leaf, proofs[index])).toBe(root);
+        expect(merkleTree.verify(leaf, proofs[index], root)).toBe(true);
+      });
+    });
+
+    it('should give the last of 2^n + 1 leaves a proof of one sibling', () => {
+      const leaves = makeLeaves(9);
+      const { proofs } = merkleTree.build(leaves);
+
+      expect(proofs.slice(0, 8).every(proof => proof.length === 4)).toBe(true);
+      expect(proofs[8]).toEqual([{ position: 'left', hash: merkleTree.build(leaves.slice(0, 8)).root }]);
+    });
+
+    it('should change the root when leaves are reordered', () => {
+      const leaves = makeLeaves(4);
+
+      expect(merkleTree.build([leaves[1], leaves[0], leaves[2], leaves[3]]).root)
+        .not.toBe(merkleTree.build(leaves).root);
+    });
+  });
+
+  describe('verify', () => {
+    const leaves = makeLeaves(9);
+    const { root, proofs } = merkleTree.build(leaves);
+
+    it('should reject a proof with a sibling on the wrong side', () => {
+      leaves.forEach((leaf, index) => {
+        proofs[index].forEach((sibling, depth) => {
+          const swapped = proofs[index].map((s, i) => (
+            i === depth ? { ...s, position: s.position === 'left' ? 'right' : 'left' } : s
+          ));
+          expect(merkleTree.verify(leaf, swapped, root)).toBe(false);
+        });
+      });
+    });
+
+    it('should reject a proof with a sibling from another branch', () => {
+      const swapped = [...proofs[0]];
+      swapped[0] = proofs[2][0];
+
+      expect(merkleTree.verify(leaves[0], swapped, root)).toBe(false);
+    });
+
+    it('should reject a proof with its siblings out of order', () => {
+      const swapped = [proofs[0][1], proofs[0][0], ...proofs[0].slice(2)];
+
+      expect(merkleTree.verify(leaves[0], swapped, root)).toBe(false);
+    });
+
+    it('should reject the proof of another leaf', () => {
+      expect(merkleTree.verify(leaves[0], proofs[1], root)).toBe(false);
+    });
+
+    it('should reject a leaf that is not in the tree', () => {
+      const outsider = merkleTree.hashLeaf('Answer', 'ANS-X', leaves[0]);
+
+      expect(merkleTree.verify(outsider, proofs[0], root)).toBe(false);
+    });
+
+    it('should reject a truncated proof', () => {
+      expect(merkleTree.verify(leaves[0], proofs[0].slice(0, -1), root)).toBe(false);
+    });
+
+    it('should reject another root', () => {
+      expect(merkleTree.verify(leaves[0], proofs[0], merkleTree.build(makeLeaves(8)).root)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const versionedHash = require('../../../src/utils/versionedHash');
+const Question = require('../../../src/models/Question');
+const ExamPaper = require('../../../src/models/ExamPaper');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Records as stored before hash versions were tracked (no hashVersion), with
+// the hashes the models computed for them at the time: SHA-256 of
+// JSON.stringify of the hashed fields
+const LEGACY_QUESTION = {
+  questionId: 'Q-LEGACY-001',
+  stateCode: 'MH',
+  subject: 'Physics',
+  topic: 'Kinematics',
+  difficulty: 'medium',
+  questionText: 'A body starts from rest with uniform acceleration 2 m/s². How far does it travel in 5 s?',
+  options: { A: '10 m', B: '20 m', C: '25 m', D: '50 m' },
+  correctAnswer: 'C',
+  marks: 4
+};
+const LEGACY_QUESTION_HASH = 'e010c4a387bc4f924466f2c149517b953d6782df324cbc3610b212ce25c62e40';
+
+const LEGACY_PAPER = {
+  paperId: 'PAPER-LEGACY-001',
+  title: 'Physics Mock Test',
+  subject: 'Physics',
+  totalQuestions: 2,
+  totalMarks: 8,
+  duration: 30,
+  questions: [
+    { questionId: 'Q-LEGACY-001', order: 1, marks: 4, timeLimit: 60 },
+    { questionId: 'Q-LEGACY-002', order: 2, marks: 4, timeLimit: 60 }
+  ],
+  difficultyDistribution: { easy: 1, medium: 1, hard: 0 },
+  generatedAt: new Date('2024-03-01T09:30:00.000Z'),
+  status: 'active'
+};
+const LEGACY_PAPER_HASH = 'ba9f1d20449a8f8122e2e134f1783dc960480dd4c1ca26061317eba663d9a285';
+
+describe('VersionedHash', () => {
+  describe('hash', () => {
+    it('should hash version 1 from JSON.stringify, in key insertion order', () => {
+      expect(versionedHash.hash({ b: 1, a: 2 }, 1)).toBe(sha256('{"b":1,"a":2}'));
+      expect(versionedHash.hash({ b: 1, a: 2 }, 1)).not.toBe(versionedHash.hash({ a: 2, b: 1 }, 1));
+    });
+
+    it('should hash version 2 from canonical JSON, whatever the key order', () => {
+      expect(versionedHash.hash({ b: 1, a: 2 }, 2)).toBe(sha256('{"a":2,"b":1}'));
+      expect(versionedHash.hash({ b: 1, a: 2 }, 2)).toBe(versionedHash.hash({ a: 2, b: 1 }, 2));
+    });
+
+    it.each([undefined, null, 0])('should treat a missing version (%p) as version 1', version => {
+      expect(versionedHash.hash({ b: 1, a: 2 }, version)).toBe(versionedHash.hash({ b: 1, a: 2 }, 1));
+    });
+
+    it('should reject an unknown version', () => {
+      expect(() => versionedHash.hash({}, 3)).toThrow('Unsupported hash version: 3');
+    });
+
+    it('should hash new records with version 2', () => {
+      expect(versionedHash.currentVersion).toBe(2);
+      expect(versionedHash.legacyVersion).toBe(1);
+    });
+  });
+
+  describe('stored version 1 hashes', () => {
+    it('should still verify a stored Question hash', () => {
+      const question = Question.hydrate(LEGACY_QUESTION);
+
+      expect(question.hashVersion).toBeUndefined();
+      expect(question.questionHash).toBe(LEGACY_QUESTION_HASH);
+    });
+
+    it('should still verify a stored ExamPaper hash', () => {
+      const paper = ExamPaper.hydrate(LEGACY_PAPER);
+
+      expect(paper.hashVersion).toBeUndefined();
+      expect(paper.paperHash).toBe(LEGACY_PAPER_HASH);
+    });
+
+    it('should hash the same records differently once they carry version 2', () => {
+      const question = Question.hydrate({ ...LEGACY_QUESTION, hashVersion: 2 });
+      const paper = ExamPaper.hydrate({ ...LEGACY_PAPER, hashVersion: 2 });
+
+      expect(question.questionHash).not.toBe(LEGACY_QUESTION_HASH);
+      expect(paper.paperHash).not.toBe(LEGACY_PAPER_HASH);
+      expect(paper.paperHash).toBe(versionedHash.hash(paper.getHashData(), 2));
+    });
+  });
+});